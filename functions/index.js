@@ -0,0 +1,135 @@
+// Cloud Functions for 2X Customs. Run locally with `firebase emulators:start`;
+// settings come from functions/.env (see .env.example).
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+import { onDocumentCreated, onDocumentUpdated } from 'firebase-functions/v2/firestore';
+import { createMailTransport } from './mail.js';
+import { DEFAULT_EMAIL_TEMPLATES, getTemplateData, renderEmailTemplate, textToHtml } from './templates.js';
+
+initializeApp();
+const db = getFirestore();
+
+const SUBMISSION_PATH = 'artifacts/{appId}/public/data/submissions/{submissionId}';
+const THREAD_MESSAGE_PATH = 'artifacts/{appId}/public/data/threads/{threadId}/messages/{messageId}';
+const ALREADY_EXISTS = 6; // gRPC status code
+
+let transport = null;
+const getTransport = () => {
+  if (!transport) transport = createMailTransport();
+  return transport;
+};
+
+const getSiteUrl = () => (process.env.SITE_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+// A saved template overrides the default field by field.
+const loadTemplate = async (appId, templateId) => {
+  const snapshot = await db.doc(`artifacts/${appId}/emailTemplates/${templateId}`).get();
+  return { ...DEFAULT_EMAIL_TEMPLATES[templateId], ...(snapshot.exists ? snapshot.data() : {}) };
+};
+
+// Sends one templated email and records it in artifacts/{appId}/mailLog. Firestore triggers can
+// be delivered more than once, so the log doc is keyed by the event id and created first: a
+// repeated delivery finds it and sends nothing.
+const sendTemplatedEmail = async ({ appId, eventId, templateId, to, replyTo, data, submissionId }) => {
+  if (!to) return;
+  const logRef = db.doc(`artifacts/${appId}/mailLog/${eventId}-${templateId}`);
+  try {
+    await logRef.create({ templateId, to, submissionId, status: 'sending', createdAt: FieldValue.serverTimestamp() });
+  } catch (error) {
+    if (error.code === ALREADY_EXISTS) return;
+    throw error;
+  }
+
+  const template = await loadTemplate(appId, templateId);
+  if (template.enabled === false) {
+    await logRef.update({ status: 'disabled' });
+    return;
+  }
+
+  const { subject, body } = renderEmailTemplate(template, data);
+  try {
+    const info = await getTransport().send({
+      from: process.env.MAIL_FROM || '2X Customs <no-reply@localhost>',
+      to,
+      ...(replyTo ? { replyTo } : {}),
+      subject,
+      text: body,
+      html: textToHtml(body),
+    });
+    await logRef.update({ status: 'sent', subject, messageId: info?.messageId || null, sentAt: FieldValue.serverTimestamp() });
+  } catch (error) {
+    logger.error(`Could not send ${templateId} email for ${submissionId}`, error);
+    await logRef.update({ status: 'failed', subject, error: error.message });
+  }
+};
+
+// The owner alert and the customer's confirmation.
+const sendNewSubmissionEmails = ({ appId, submissionId, eventId, submission }) => {
+  const data = getTemplateData(submission, { siteUrl: getSiteUrl() });
+  return Promise.all([
+    sendTemplatedEmail({ appId, eventId, templateId: 'ownerNewSubmission', to: process.env.OWNER_EMAIL, replyTo: submission.email, data, submissionId }),
+    sendTemplatedEmail({ appId, eventId, templateId: 'customerConfirmation', to: submission.email, data, submissionId }),
+  ]);
+};
+
+// importSubmissions stamps every restored doc with a fresh `importedAt`. Restoring an export
+// must not email past customers again, whether it creates the doc or overwrites it.
+const isImportWrite = (after, before = {}) => Boolean(after.importedAt) && !after.importedAt.isEqual(before.importedAt);
+
+// Spam-flagged submissions send nothing; they are emailed if an admin marks them "Not spam".
+export const onSubmissionCreated = onDocumentCreated(SUBMISSION_PATH, async (event) => {
+  const submission = event.data?.data();
+  if (!submission || submission.spam || isImportWrite(submission)) return;
+  const { appId, submissionId } = event.params;
+  await sendNewSubmissionEmails({ appId, submissionId, eventId: event.id, submission });
+});
+
+export const onSubmissionUpdated = onDocumentUpdated(SUBMISSION_PATH, async (event) => {
+  const before = event.data.before.data();
+  const after = event.data.after.data();
+  const { appId, submissionId } = event.params;
+  if (after.spam || isImportWrite(after, before)) return;
+
+  if (before.spam) {
+    await sendNewSubmissionEmails({ appId, submissionId, eventId: event.id, submission: after });
+    return;
+  }
+  if (!after.status || before.status === after.status) return;
+
+  await sendTemplatedEmail({
+    appId,
+    eventId: event.id,
+    templateId: 'customerStatusUpdate',
+    to: after.email,
+    data: getTemplateData(after, { siteUrl: getSiteUrl(), previousStatus: before.status || '' }),
+    submissionId,
+  });
+});
+
+// Admin replies go to the customer, customer replies to the owner. Spam never gets a reply email.
+export const onThreadMessageCreated = onDocumentCreated(THREAD_MESSAGE_PATH, async (event) => {
+  const message = event.data?.data();
+  if (!message) return;
+  const { appId, threadId } = event.params;
+  const thread = (await db.doc(`artifacts/${appId}/public/data/threads/${threadId}`).get()).data();
+  if (!thread?.submissionId) return;
+  const { submissionId } = thread;
+  const submissionSnapshot = await db.doc(`artifacts/${appId}/public/data/submissions/${submissionId}`).get();
+  const submission = submissionSnapshot.data();
+  if (!submission || submission.spam) return;
+
+  const attachments = (message.attachments || []).map((attachment, index) => `Photo ${index + 1}: ${attachment.url}`);
+  const messageText = [message.text, ...attachments].filter(Boolean).join('\n');
+  const data = getTemplateData({ ...submission, threadId }, { siteUrl: getSiteUrl(), messageText });
+  const fromAdmin = message.from === 'admin';
+  await sendTemplatedEmail({
+    appId,
+    eventId: event.id,
+    templateId: fromAdmin ? 'customerReply' : 'ownerCustomerReply',
+    to: fromAdmin ? submission.email : process.env.OWNER_EMAIL,
+    replyTo: fromAdmin ? undefined : submission.email,
+    data,
+    submissionId,
+  });
+});
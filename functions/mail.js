@@ -0,0 +1,40 @@
+// Mail transports. MAIL_TRANSPORT picks one (default `smtp`):
+//   smtp — nodemailer over SMTP_HOST / SMTP_PORT, with SMTP_USER / SMTP_PASS if set and
+//          SMTP_SECURE=true for TLS. The defaults (127.0.0.1:1025) match a local Mailpit or
+//          MailHog inbox, so the emulator never sends real mail.
+//   log  — writes each message to the functions log instead of sending it.
+// To use another provider, add a factory to TRANSPORTS that returns `{ name, send(message) }`.
+import nodemailer from 'nodemailer';
+import { logger } from 'firebase-functions';
+
+const createSmtpTransport = (env) => {
+  const transporter = nodemailer.createTransport({
+    host: env.SMTP_HOST || '127.0.0.1',
+    port: Number(env.SMTP_PORT || 1025),
+    secure: env.SMTP_SECURE === 'true',
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined,
+  });
+  return { name: 'smtp', send: (message) => transporter.sendMail(message) };
+};
+
+const createLogTransport = () => ({
+  name: 'log',
+  send: async (message) => {
+    logger.info(`Email to ${message.to}: ${message.subject}`, { text: message.text });
+    return { messageId: `log-${Date.now()}` };
+  },
+});
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  log: createLogTransport,
+};
+
+export const createMailTransport = (env = process.env) => {
+  const name = env.MAIL_TRANSPORT || 'smtp';
+  const create = TRANSPORTS[name];
+  if (!create) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use one of: ${Object.keys(TRANSPORTS).join(', ')}.`);
+  }
+  return create(env);
+};
@@ -0,0 +1,163 @@
+// Field rules for every submission type, shared by the public forms and addSubmission in
+// src/App.jsx, the Cloud Functions and the security rules tests (tests/firestore.rules.test.mjs),
+// so there is one list of fields and limits. firestore.rules enforces the same limits and has to
+// be kept in sync by hand.
+// `messages` overrides the default wording for a check (required, minItems, maxItems, pattern).
+// A rule with `when` only applies to submissions it returns true for; `map` rules check the
+// `fields` of a nested object, keyed like `returnAddress.zip`.
+
+export const BUDGET_OPTIONS = ['<$50', '$50-$100', '$100-$200', '$200+'];
+
+export const DELIVERY_METHODS = [
+  { value: 'drop_off', label: 'Drop-off', desc: 'Bring your pairs to us in the NYC Metro Area.' },
+  { value: 'ship_in', label: 'Ship-in', desc: 'Mail your pairs from anywhere in the US; we ship them back.' },
+];
+
+export const MAX_CLEANING_PAIRS = 10;
+
+// Ship-in return addresses are US only (states, DC and Puerto Rico).
+export const US_STATE_CODES = [
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS', 'KY', 'LA',
+  'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC', 'ND', 'OH', 'OK', 'OR',
+  'PA', 'PR', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY',
+];
+
+// Limits for customer reference photos. `maxFileSize` applies to the original file;
+// images are downscaled and re-encoded as JPEG before upload, and the result must be
+// under `maxUploadSize` (the limit in storage.rules).
+export const REFERENCE_IMAGE_LIMITS = {
+  maxFiles: 5,
+  maxFileSize: 10 * 1024 * 1024,
+  maxUploadSize: 5 * 1024 * 1024,
+  acceptedTypes: ['image/jpeg', 'image/png', 'image/webp'],
+  maxDimension: 1600,
+  quality: 0.82,
+};
+
+export const formatFileSize = (bytes) => (
+  bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${(bytes / 1024).toFixed(1)} KB`
+);
+
+export const validateReferenceImage = (file) => {
+  if (!REFERENCE_IMAGE_LIMITS.acceptedTypes.includes(file.type)) {
+    return `${file.name}: only JPG, PNG or WebP images are accepted.`;
+  }
+  if (file.size > REFERENCE_IMAGE_LIMITS.maxFileSize) {
+    return `${file.name}: file is larger than ${formatFileSize(REFERENCE_IMAGE_LIMITS.maxFileSize)}.`;
+  }
+  return null;
+};
+
+const EMAIL_PATTERN = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+const ZIP_PATTERN = /^\d{5}(-\d{4})?$/;
+
+const CONTACT_FIELDS = {
+  name: { label: 'Name', required: true, maxLength: 100 },
+  email: { label: 'Email', required: true, email: true, maxLength: 254 },
+};
+
+export const ADDRESS_FIELDS = {
+  name: { label: 'Recipient name', required: true, maxLength: 100 },
+  line1: { label: 'Street address', required: true, maxLength: 200 },
+  line2: { label: 'Apartment, suite, etc.', maxLength: 200 },
+  city: { label: 'City', required: true, maxLength: 100 },
+  state: { label: 'State', required: true, oneOf: US_STATE_CODES },
+  zip: { label: 'ZIP code', required: true, pattern: ZIP_PATTERN, messages: { pattern: 'Enter a 5-digit ZIP code.' } },
+};
+
+const DELIVERY_FIELDS = {
+  delivery: { label: 'Delivery method', required: true, oneOf: DELIVERY_METHODS.map(method => method.value) },
+  returnAddress: { label: 'Return address', map: true, when: data => data.delivery === 'ship_in', fields: ADDRESS_FIELDS },
+};
+
+export const SUBMISSION_SCHEMAS = {
+  contact_message: {
+    ...CONTACT_FIELDS,
+    message: { label: 'Message', required: true, maxLength: 5000 },
+  },
+  custom_booking: {
+    ...CONTACT_FIELDS,
+    shoeModel: { label: 'Shoe model', required: true, maxLength: 200 },
+    designRequest: { label: 'Design request', required: true, maxLength: 5000 },
+    budget: { label: 'Budget range', required: true, oneOf: BUDGET_OPTIONS },
+    referenceImages: { label: 'reference images', maxItems: REFERENCE_IMAGE_LIMITS.maxFiles, images: true },
+    ...DELIVERY_FIELDS,
+  },
+  cleaning_booking: {
+    ...CONTACT_FIELDS,
+    pairs: {
+      label: 'pairs',
+      minItems: 1,
+      maxItems: MAX_CLEANING_PAIRS,
+      messages: { minItems: 'Add at least one pair.' },
+      fields: {
+        shoeModel: { label: 'Shoe model', required: true, maxLength: 200 },
+        serviceId: { label: 'Cleaning level', required: true, messages: { required: 'Choose a cleaning level.' } },
+        notes: { label: 'Pair notes', maxLength: 500 },
+      },
+    },
+    ...DELIVERY_FIELDS,
+    // `notes` is the admin's notes list (see addSubmissionNote).
+    customerNotes: { label: 'Notes', maxLength: 2000 },
+  },
+};
+
+// Returns the error message for one value, or '' when it passes.
+export const validateValue = (rule, value) => {
+  const { label, messages = {} } = rule;
+  if (rule.minItems !== undefined || rule.maxItems !== undefined) {
+    const items = value || [];
+    if (items.length < (rule.minItems || 0)) return messages.minItems || `Add at least ${rule.minItems} ${label}.`;
+    if (rule.maxItems && items.length > rule.maxItems) return messages.maxItems || `You can add up to ${rule.maxItems} ${label}.`;
+    // Works for both picked files and uploaded image records ({ name, contentType, size }).
+    if (rule.images) return items.map(item => validateReferenceImage({ name: item.name, type: item.type || item.contentType, size: item.size })).find(Boolean) || '';
+    return '';
+  }
+
+  const text = typeof value === 'string' ? value : '';
+  if (!text.trim()) {
+    if (!rule.required) return '';
+    return messages.required || (rule.oneOf ? `Choose a ${label.toLowerCase()}.` : `Enter your ${label.toLowerCase()}.`);
+  }
+  if (rule.maxLength && text.length > rule.maxLength) return `${label} must be ${rule.maxLength} characters or fewer.`;
+  if (rule.email && !EMAIL_PATTERN.test(text.trim())) return 'Enter an email address like name@example.com.';
+  if (rule.oneOf && !rule.oneOf.includes(text)) return `Choose a ${label.toLowerCase()} from the list.`;
+  if (rule.pattern && !rule.pattern.test(text)) return messages.pattern || `Enter a valid ${label.toLowerCase()}.`;
+  return '';
+};
+
+// Checks `data` against its type's schema. Returns { field: message }, empty when valid.
+// List items are keyed by position, e.g. `pairs.0.shoeModel`.
+export const validateSubmission = (data) => {
+  const schema = SUBMISSION_SCHEMAS[data.type];
+  if (!schema) return { type: `Unknown submission type "${data.type}".` };
+
+  const errors = {};
+  Object.entries(schema).forEach(([field, rule]) => {
+    if (rule.when && !rule.when(data)) return;
+    if (rule.map) {
+      Object.entries(rule.fields).forEach(([key, itemRule]) => {
+        const itemError = validateValue(itemRule, data[field]?.[key]);
+        if (itemError) errors[`${field}.${key}`] = itemError;
+      });
+      return;
+    }
+    const error = validateValue(rule, data[field]);
+    if (error) errors[field] = error;
+    if (!rule.fields) return;
+    (data[field] || []).forEach((item, index) => {
+      Object.entries(rule.fields).forEach(([key, itemRule]) => {
+        const itemError = validateValue(itemRule, item[key]);
+        if (itemError) errors[`${field}.${index}.${key}`] = itemError;
+      });
+    });
+  });
+  return errors;
+};
+
+export const getFieldRule = (type, field) => {
+  const [name, ...rest] = field.split('.');
+  const rule = SUBMISSION_SCHEMAS[type]?.[name];
+  const key = rule?.map ? rest[0] : rest[1];
+  return key ? rule?.fields?.[key] : rule;
+};
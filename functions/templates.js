@@ -0,0 +1,254 @@
+// Email templates, shared by the Cloud Functions that send them and the admin Emails page that
+// edits and previews them (src/App.jsx imports this file). Templates are plain text with
+// {{variable}} placeholders; saved copies live in artifacts/{appId}/emailTemplates/{templateId}.
+
+import { DELIVERY_METHODS } from './submissionSchema.js';
+
+export const DEFAULT_EMAIL_TEMPLATES = {
+  ownerNewSubmission: {
+    label: 'New submission (to you)',
+    description: 'Sent to OWNER_EMAIL for every new submission that isn\'t flagged as spam. Replying goes to the customer.',
+    enabled: true,
+    subject: 'New {{typeLabel}} from {{name}}',
+    body: `{{name}} <{{email}}> sent a new {{typeLabel}}.
+
+{{details}}
+
+Open the dashboard: {{dashboardUrl}}`,
+  },
+  customerConfirmation: {
+    label: 'Confirmation (to customer)',
+    description: 'Sent to the customer right after they submit a form.',
+    enabled: true,
+    subject: 'We got your {{typeLabel}}, {{firstName}}!',
+    body: `Hi {{firstName}},
+
+Thanks for reaching out to 2X Customs! We've received your {{typeLabel}} and will reply by email soon.
+
+{{trackingInfo}}
+
+{{mailInInfo}}
+
+{{messagesInfo}}
+
+{{details}}
+
+— 2X Customs`,
+  },
+  customerStatusUpdate: {
+    label: 'Status update (to customer)',
+    description: 'Sent to the customer whenever a booking moves to a new status.',
+    enabled: true,
+    subject: 'Your 2X Customs order is now {{status}}',
+    body: `Hi {{firstName}},
+
+{{statusMessage}}
+
+{{shippingInfo}}
+
+Order: {{shoeModel}} ({{trackingCode}})
+Track it: {{trackingUrl}}
+
+— 2X Customs`,
+  },
+  customerReply: {
+    label: 'New reply (to customer)',
+    description: 'Sent to the customer when you reply in a message thread.',
+    enabled: true,
+    subject: 'New message from 2X Customs about your {{typeLabel}}',
+    body: `Hi {{firstName}},
+
+{{messageText}}
+
+Reply or see the whole conversation: {{messagesUrl}}
+
+— 2X Customs`,
+  },
+  ownerCustomerReply: {
+    label: 'Customer reply (to you)',
+    description: 'Sent to OWNER_EMAIL when a customer posts in a message thread.',
+    enabled: true,
+    subject: '{{name}} replied about their {{typeLabel}}',
+    body: `{{name}} <{{email}}> wrote:
+
+{{messageText}}
+
+Reply from the dashboard: {{dashboardUrl}}`,
+  },
+};
+
+export const EMAIL_TEMPLATE_IDS = Object.keys(DEFAULT_EMAIL_TEMPLATES);
+
+export const EMAIL_TEMPLATE_VARIABLES = [
+  { name: 'name', description: 'Customer name' },
+  { name: 'firstName', description: 'First word of the name' },
+  { name: 'email', description: 'Customer email' },
+  { name: 'typeLabel', description: 'message, custom request or cleaning booking' },
+  { name: 'shoeModel', description: 'Shoe model(s)' },
+  { name: 'details', description: 'Everything the customer filled in' },
+  { name: 'trackingCode', description: 'Tracking code (bookings only)' },
+  { name: 'trackingUrl', description: 'Link to the Track My Order page' },
+  { name: 'trackingInfo', description: 'Sentence with the code and link, empty for messages' },
+  { name: 'status', description: 'Current status' },
+  { name: 'previousStatus', description: 'Status before the change' },
+  { name: 'statusMessage', description: 'Friendly line for the current status' },
+  { name: 'dashboardUrl', description: 'Admin dashboard link' },
+  { name: 'messagesUrl', description: 'Private link to the message thread' },
+  { name: 'messagesInfo', description: 'Sentence with the message link, empty if there is no thread' },
+  { name: 'messageText', description: 'The new message (reply emails only)' },
+  { name: 'mailInUrl', description: 'Printable mail-in instructions (ship-in bookings only)' },
+  { name: 'mailInInfo', description: 'Sentence with the mail-in link, empty unless shipping in' },
+  { name: 'shippingInfo', description: 'Return carrier and tracking link, empty until shipped back' },
+];
+
+const TYPE_LABELS = {
+  contact_message: 'message',
+  custom_booking: 'custom request',
+  cleaning_booking: 'cleaning booking',
+};
+
+const STATUS_MESSAGES = {
+  New: "We've received your request.",
+  Quoted: 'Your quote is ready. Open your order to accept or decline it.',
+  Accepted: 'Thanks for accepting the quote. Your pair is in the queue.',
+  'In Progress': "We've started work on your pair.",
+  Ready: 'Your pair is done and ready to go.',
+  Shipped: 'Your pair is on its way back to you.',
+  'Picked Up': 'Your pair has been picked up. Enjoy!',
+  Completed: "Your order is complete. Thanks for choosing 2X Customs — we'd love a review from the tracking page.",
+  Cancelled: "Your order has been cancelled. Reply to this email if that's unexpected.",
+};
+
+const DELIVERY_LABELS = Object.fromEntries(DELIVERY_METHODS.map(method => [method.value, method.label]));
+
+const formatAddress = (address) => [
+  address.name,
+  address.line1,
+  address.line2,
+  `${address.city}, ${address.state} ${address.zip}`,
+].filter(Boolean).join('\n');
+
+const formatShipment = (shipment) => [shipment.carrier, shipment.trackingNumber].filter(Boolean).join(' ')
+  + (shipment.trackingUrl ? ` — ${shipment.trackingUrl}` : '');
+
+const describeSubmission = (submission) => {
+  const lines = [];
+  if (submission.trackingCode) lines.push(`Tracking code: ${submission.trackingCode}`);
+  if (submission.type === 'contact_message') {
+    lines.push(`Message:\n${submission.message || ''}`);
+  } else if (submission.type === 'custom_booking') {
+    lines.push(`Shoe: ${submission.shoeModel || ''}`, `Budget: ${submission.budget || ''}`);
+    if (submission.estimate) {
+      const { min, max } = submission.estimate;
+      lines.push(`Estimate: ${max === null ? `$${min}+` : `$${min}–$${max}`}`);
+    }
+    lines.push(`Design request:\n${submission.designRequest || ''}`);
+    (submission.referenceImages || []).forEach((image, index) => lines.push(`Reference ${index + 1}: ${image.url}`));
+  } else if (submission.type === 'cleaning_booking') {
+    (submission.pairs || []).forEach((pair, index) => {
+      lines.push(`Pair ${index + 1}: ${pair.shoeModel} — ${pair.level || pair.serviceId}${pair.notes ? ` (${pair.notes})` : ''}`);
+    });
+    if (submission.customerNotes) lines.push(`Notes:\n${submission.customerNotes}`);
+  }
+  if (submission.delivery) lines.push(`Delivery: ${DELIVERY_LABELS[submission.delivery] || submission.delivery}`);
+  if (submission.returnAddress) lines.push(`Return address:\n${formatAddress(submission.returnAddress)}`);
+  return lines.join('\n');
+};
+
+// Values for the {{variables}} of one submission. `siteUrl` has no trailing slash.
+export const getTemplateData = (submission, { siteUrl = '', previousStatus = '', messageText = '' } = {}) => {
+  const trackingUrl = submission.trackingCode
+    ? `${siteUrl}/track?code=${encodeURIComponent(submission.trackingCode)}`
+    : '';
+  const messagesUrl = submission.threadId ? `${siteUrl}/messages/${submission.threadId}` : '';
+  const mailInUrl = submission.delivery === 'ship_in' && submission.trackingId ? `${siteUrl}/track/${submission.trackingId}/mail-in` : '';
+  const outbound = submission.shipping?.outbound;
+  return {
+    name: submission.name || '',
+    firstName: (submission.name || '').split(' ')[0],
+    email: submission.email || '',
+    typeLabel: TYPE_LABELS[submission.type] || 'request',
+    shoeModel: submission.shoeModel || (submission.pairs || []).map(pair => pair.shoeModel).join(', '),
+    details: describeSubmission(submission),
+    trackingCode: submission.trackingCode || '',
+    trackingUrl,
+    trackingInfo: trackingUrl
+      ? `Your tracking code is ${submission.trackingCode}. Check on your order any time at ${trackingUrl} using this email address.`
+      : '',
+    status: submission.status || '',
+    previousStatus,
+    statusMessage: STATUS_MESSAGES[submission.status] || `Your order status is now ${submission.status}.`,
+    dashboardUrl: `${siteUrl}/dashboard`,
+    messagesUrl,
+    messagesInfo: messagesUrl ? `Questions? Message us privately about this request: ${messagesUrl}` : '',
+    messageText,
+    mailInUrl,
+    mailInInfo: mailInUrl ? `Sending your pairs by mail? Print the mail-in instructions, with our address and a slip for the box: ${mailInUrl}` : '',
+    shippingInfo: outbound ? `Your return package: ${formatShipment(outbound)}` : '',
+  };
+};
+
+// Fills in the placeholders; unknown ones render empty. Blank lines left by empty values collapse.
+export const renderEmailTemplate = (template, data) => {
+  const fill = (text) => (text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => data[key] ?? '');
+  return {
+    subject: fill(template.subject).replace(/\s+/g, ' ').trim(),
+    body: fill(template.body).replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim(),
+  };
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// HTML alternative for a rendered body: paragraphs, line breaks and clickable links.
+export const textToHtml = (text) => text
+  .split(/\n{2,}/)
+  .map(paragraph => `<p>${escapeHtml(paragraph)
+    .replace(/https?:\/\/[^\s<]+/g, url => `<a href="${url}">${url}</a>`)
+    .replace(/\n/g, '<br>')}</p>`)
+  .join('\n');
+
+// Example submissions and message for previews in the admin area.
+export const SAMPLE_MESSAGE_TEXT = 'Could you send a photo of the toe box before you start?';
+
+export const SAMPLE_SUBMISSIONS = {
+  contact_message: {
+    type: 'contact_message',
+    name: 'Sam Lee',
+    email: 'sam@example.com',
+    message: 'Do you work on suede?',
+    threadId: 'sampleThreadId00000000',
+  },
+  custom_booking: {
+    type: 'custom_booking',
+    status: 'In Progress',
+    name: 'Sam Lee',
+    email: 'sam@example.com',
+    shoeModel: 'Air Force 1',
+    designRequest: 'Red swoosh with a black drip on the toe box.',
+    budget: '$100-$200',
+    referenceImages: [],
+    trackingCode: '2X-ABCD-EFGH',
+    threadId: 'sampleThreadId00000000',
+  },
+  cleaning_booking: {
+    type: 'cleaning_booking',
+    status: 'Shipped',
+    name: 'Sam Lee',
+    email: 'sam@example.com',
+    pairs: [{ shoeModel: 'Jordan 4', level: 'Deep Clean', notes: 'Yellowed midsoles' }],
+    delivery: 'ship_in',
+    returnAddress: { name: 'Sam Lee', line1: '12 Main St', line2: 'Apt 3', city: 'Austin', state: 'TX', zip: '78701' },
+    shipping: {
+      state: 'outbound',
+      outbound: { carrier: 'USPS', trackingNumber: '9400100000000000000000', trackingUrl: 'https://tools.usps.com/go/TrackConfirmAction?tLabels=9400100000000000000000' },
+    },
+    customerNotes: '',
+    trackingCode: '2X-ABCD-EFGH',
+    trackingId: 'sampleTrackingId',
+    threadId: 'sampleThreadId00000000',
+  },
+};
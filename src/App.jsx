@@ -1,8 +1,11 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useCallback, useMemo, useRef } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged, signInWithEmailAndPassword, signOut as firebaseSignOut } from 'firebase/auth';
-import { getFirestore, collection, addDoc, serverTimestamp, getDocs, query, orderBy, limit } from 'firebase/firestore';
-import { Sparkles, Brush, Feather, DollarSign, Menu, X, CheckCircle, Info, Upload, Zap, Shirt, List, Settings, MessageCircle, MapPin, Lock } from 'lucide-react';
+import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged, signInWithEmailAndPassword, sendPasswordResetEmail, getIdTokenResult, signOut as firebaseSignOut, connectAuthEmulator } from 'firebase/auth';
+import { initializeFirestore, persistentLocalCache, persistentMultipleTabManager, collection, doc, getDoc, getDocFromServer, setDoc, updateDoc, deleteDoc, writeBatch, runTransaction, serverTimestamp, arrayUnion, arrayRemove, deleteField, increment, Timestamp, getDocs, onSnapshot, query, where, orderBy, limit, startAfter, connectFirestoreEmulator } from 'firebase/firestore';
+import { getStorage, ref as storageRef, uploadBytesResumable, getDownloadURL, deleteObject, connectStorageEmulator } from 'firebase/storage';
+import { Sparkles, Brush, Feather, DollarSign, Menu, X, CheckCircle, Info, Upload, Zap, Shirt, List, Settings, MessageCircle, MapPin, Lock, Package, Copy, ChevronUp, ChevronDown, ChevronsLeftRight, Trash2, Star, Inbox, ShieldAlert, Mail, Calendar, Download, Printer, Truck, BarChart3 } from 'lucide-react';
+import { ADDRESS_FIELDS, BUDGET_OPTIONS, DELIVERY_METHODS, MAX_CLEANING_PAIRS, REFERENCE_IMAGE_LIMITS, US_STATE_CODES, formatFileSize, getFieldRule, validateReferenceImage, validateSubmission, validateValue } from '../functions/submissionSchema.js';
+import { DEFAULT_EMAIL_TEMPLATES, EMAIL_TEMPLATE_IDS, EMAIL_TEMPLATE_VARIABLES, SAMPLE_MESSAGE_TEXT, SAMPLE_SUBMISSIONS, getTemplateData, renderEmailTemplate, textToHtml } from '../functions/templates.js';
 
 // --- Configuration ---
 // Read config from Vite env vars if available (recommended). These should be set
@@ -20,35 +23,251 @@ try {
   FIREBASE_CONFIG = null;
 }
 
+// Local Firebase emulators (`firebase emulators:start`). When enabled without a config,
+// a `demo-` project is used so nothing can reach a real backend.
+const USE_FIREBASE_EMULATORS = import.meta.env.VITE_USE_FIREBASE_EMULATORS === '1';
+const FIREBASE_EMULATOR_HOST = import.meta.env.VITE_FIREBASE_EMULATOR_HOST || '127.0.0.1';
+if (USE_FIREBASE_EMULATORS && !FIREBASE_CONFIG) {
+  FIREBASE_CONFIG = { apiKey: 'demo-api-key', projectId: 'demo-2xcustoms', storageBucket: 'demo-2xcustoms.appspot.com' };
+}
+
 const INITIAL_AUTH_TOKEN = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : (import.meta.env.VITE_INITIAL_AUTH_TOKEN || null);
 const UPLOADED_IMAGE_URL = 'https://storage.googleapis.com/canvas-content-store/{6C931EF4-E907-449A-878C-A5E26BC8F977}.png';
 
 // --- Global Data & Content ---
+// `path` segments starting with `:` are route params; a trailing `?` makes them optional.
+// `hideInNav` routes are reachable by link only (footer, confirmation modals, admin tabs).
 const PAGE_ROUTES = {
-  home: { title: 'Home', icon: Sparkles },
-  custom: { title: 'Book a Custom', icon: Brush },
-  cleaning: { title: 'Cleaning Services', icon: Feather },
-  gallery: { title: 'Gallery', icon: Shirt },
-  pricing: { title: 'Pricing', icon: DollarSign },
-  about: { title: 'About', icon: Info },
-  contact: { title: 'Contact', icon: MessageCircle },
-  submissions: { title: 'Dashboard', icon: List }
-};
-
-const CLEANING_LEVELS = [
-  { level: 'Quick Clean', price: '$10', desc: 'A fast refresh for mild dirt and scuffs. Perfect for daily wear.' },
-  { level: 'Deep Clean', price: '$20', desc: 'Full restoration, deep scrubbing of uppers, midsoles, and laces.' },
-  { level: 'Restore & Repaint', price: '$35–$60', desc: 'Fixing deep scuffs, removing oxidation, and professional repainting of key areas.' },
+  home: { title: 'Home', icon: Sparkles, path: '/' },
+  custom: { title: 'Book a Custom', icon: Brush, path: '/custom' },
+  cleaning: { title: 'Cleaning Services', icon: Feather, path: '/cleaning' },
+  cleaningBooking: { title: 'Book a Cleaning', icon: Feather, path: '/cleaning/book', hideInNav: true },
+  gallery: { title: 'Gallery', icon: Shirt, path: '/gallery/:itemId?' },
+  pricing: { title: 'Pricing', icon: DollarSign, path: '/pricing' },
+  about: { title: 'About', icon: Info, path: '/about' },
+  contact: { title: 'Contact', icon: MessageCircle, path: '/contact' },
+  track: { title: 'Track My Order', icon: Package, path: '/track', hideInNav: true },
+  mailIn: { title: 'Mail-in Instructions', icon: Truck, path: '/track/:trackingId/mail-in', hideInNav: true },
+  messages: { title: 'Messages', icon: MessageCircle, path: '/messages/:threadId', hideInNav: true },
+  submissions: { title: 'Dashboard', icon: List, path: '/dashboard', adminOnly: true },
+  analytics: { title: 'Analytics', icon: BarChart3, path: '/dashboard/analytics', adminOnly: true, hideInNav: true },
+  invoice: { title: 'Invoice', icon: DollarSign, path: '/dashboard/invoices/:invoiceId', adminOnly: true, hideInNav: true },
+  appointments: { title: 'Appointments', icon: Calendar, path: '/dashboard/appointments', adminOnly: true, hideInNav: true },
+  priceCatalog: { title: 'Price Catalog', icon: Settings, path: '/dashboard/prices', adminOnly: true, hideInNav: true },
+  galleryManager: { title: 'Gallery Manager', icon: Shirt, path: '/dashboard/gallery', adminOnly: true, hideInNav: true },
+  reviewModeration: { title: 'Reviews', icon: Star, path: '/dashboard/reviews', adminOnly: true, hideInNav: true },
+  emailTemplates: { title: 'Emails', icon: Mail, path: '/dashboard/emails', adminOnly: true, hideInNav: true },
+  adminAccounts: { title: 'Admins', icon: Lock, path: '/dashboard/admins', adminOnly: true, hideInNav: true }
+};
+
+const NOT_FOUND_PAGE = 'notFound';
+
+const PRICE_CATEGORIES = [
+  { value: 'custom', label: 'Custom Work' },
+  { value: 'cleaning', label: 'Cleaning & Restoration' },
+];
+
+// Bundled copy of the price catalog. The live catalog is edited from the dashboard and stored
+// in Firestore; this is shown until it loads, or when it is empty or unreachable.
+// `max: null` means "and up".
+const DEFAULT_PRICE_CATALOG = [
+  { id: 'simple-customs', category: 'custom', name: 'Simple Customs', min: 30, max: 40, currency: 'USD', description: 'Basic color changes, minor accents, and single logo application.', active: true, sortOrder: 10 },
+  { id: 'medium-customs', category: 'custom', name: 'Medium Customs', min: 50, max: 80, currency: 'USD', description: 'Detailed line work, complex patterns, and full panel color transitions.', active: true, sortOrder: 20 },
+  { id: 'advanced-customs', category: 'custom', name: 'Advanced Customs', min: 100, max: null, currency: 'USD', description: 'Full design concept, intricate artwork, airbrushing, and detailed finish work.', active: true, sortOrder: 30 },
+  { id: 'quick-clean', category: 'cleaning', name: 'Quick Clean', min: 10, max: 10, currency: 'USD', description: 'A fast refresh for mild dirt and scuffs. Perfect for daily wear.', active: true, sortOrder: 10 },
+  { id: 'deep-clean', category: 'cleaning', name: 'Deep Clean', min: 20, max: 20, currency: 'USD', description: 'Full restoration, deep scrubbing of uppers, midsoles, and laces.', active: true, sortOrder: 20 },
+  { id: 'restore-repaint', category: 'cleaning', name: 'Restore & Repaint', min: 35, max: 60, currency: 'USD', description: 'Fixing deep scuffs, removing oxidation, and professional repainting of key areas.', active: true, sortOrder: 30 },
+];
+
+const GALLERY_CATEGORIES = ['Simple Customs', 'Medium Customs', 'Advanced Customs', 'Restorations'];
+
+// Placeholder gallery shown until the first item is added from the dashboard. Items with a
+// `beforeImage` are before/after pairs (`image` is the after shot).
+const DEFAULT_GALLERY_ITEMS = [
+  { id: '1', category: 'Advanced Customs', title: 'Neon Matrix', image: { url: 'https://placehold.co/400x400/8B5CF6/000?text=ADV-1' }, featured: true },
+  { id: '2', category: 'Simple Customs', title: 'Triple Red', image: { url: 'https://placehold.co/400x400/EF4444/000?text=SIMPLE-1' } },
+  { id: '3', category: 'Restorations', title: 'AJ1 Re-Dye', image: { url: 'https://placehold.co/400x400/9CA3AF/000?text=RESTORE-1' }, beforeImage: { url: 'https://placehold.co/400x400/4B5563/FFF?text=BEFORE-1' }, featured: true },
+  { id: '4', category: 'Medium Customs', title: 'Camo Split', image: { url: 'https://placehold.co/400x400/F97316/000?text=MED-1' }, featured: true },
+  { id: '5', category: 'Advanced Customs', title: 'Galaxy Flow', image: { url: 'https://placehold.co/400x400/3B82F6/000?text=ADV-2' } },
+  { id: '6', category: 'Simple Customs', title: 'Black Out', image: { url: 'https://placehold.co/400x400/1F2937/FFF?text=SIMPLE-2' } },
+  { id: '7', category: 'Restorations', title: 'Oxidation Fix', image: { url: 'https://placehold.co/400x400/374151/FFF?text=RESTORE-2' }, beforeImage: { url: 'https://placehold.co/400x400/78716C/FFF?text=BEFORE-2' } },
+  { id: '8', category: 'Medium Customs', title: 'Cyber Drip', image: { url: 'https://placehold.co/400x400/EC4899/000?text=MED-2' } },
+  { id: '9', category: 'Advanced Customs', title: 'Graffiti Tag', image: { url: 'https://placehold.co/400x400/000000/FCA5A5?text=GRAF-TAG' }, featured: true },
+  { id: '10', category: 'Simple Customs', title: 'Yellow Toe', image: { url: 'https://placehold.co/400x400/FBBF24/000?text=SIMPLE-3' } },
+  { id: '11', category: 'Restorations', title: 'Sole Swap', image: { url: 'https://placehold.co/400x400/9333EA/000?text=RESTORE-3' }, beforeImage: { url: 'https://placehold.co/400x400/57534E/FFF?text=BEFORE-3' } },
+  { id: '12', category: 'Medium Customs', title: 'Street Maps', image: { url: 'https://placehold.co/400x400/4F46E5/000?text=MED-3' } },
+].map((item, index) => ({ description: '', tags: [], featured: false, beforeImage: null, ...item, sortOrder: (index + 1) * 10 }));
+
+const HOME_GALLERY_PREVIEW_COUNT = 4;
+
+// Reviews start out pending and only approved ones are shown publicly.
+const REVIEW_STATUSES = [
+  { value: 'pending', label: 'Pending', badge: 'bg-amber-500/20 text-amber-300' },
+  { value: 'approved', label: 'Approved', badge: 'bg-green-500/20 text-green-300' },
+  { value: 'hidden', label: 'Hidden', badge: 'bg-gray-500/20 text-gray-300' },
+];
+const REVIEW_TEXT_MAX_LENGTH = 1000;
+const HOME_REVIEW_COUNT = 6;
+
+// Shown on the home page until the first review is approved. Not included in review markup.
+const FALLBACK_TESTIMONIALS = [
+  { text: "The best deep clean I've ever had. My Jordans look brand new, not a scuff in sight. Fast service too!", author: 'Marcus L.' },
+  { text: 'Got a simple custom and it turned out fire! The paint quality is great and the attention to detail is crazy.', author: 'Jessica P.' },
+];
+const CLEANING_EXAMPLE_COUNT = 3;
+
+// Add-on pricing for the custom booking estimator, applied on top of the chosen tier's range.
+// The tier price covers `includedPanels` painted areas; rush multiplies the whole estimate.
+const CUSTOM_ESTIMATOR = {
+  includedPanels: 2,
+  maxPanels: 12,
+  panelPrice: { min: 10, max: 15 },
+  extras: [
+    { value: 'airbrush', label: 'Airbrush work', min: 25, max: 50 },
+    { value: 'sole', label: 'Sole work (paint or icy soles)', min: 20, max: 40 },
+    { value: 'laces', label: 'Lace swap', min: 5, max: 10 },
+  ],
+  rushMultiplier: 1.25,
+};
+
+const SUBMISSION_TYPES = [
+  { value: 'custom_booking', label: 'Custom Bookings' },
+  { value: 'cleaning_booking', label: 'Cleaning Bookings' },
+  { value: 'contact_message', label: 'Contact Messages' },
 ];
 
-const CUSTOM_PRICING = [
-  { type: 'Simple Customs', price: '$30–$40', desc: 'Basic color changes, minor accents, and single logo application.' },
-  { type: 'Medium Customs', price: '$50–$80', desc: 'Detailed line work, complex patterns, and full panel color transitions.' },
-  { type: 'Advanced Customs', price: '$100+', desc: 'Full design concept, intricate artwork, airbrushing, and detailed finish work.' },
-  { type: 'Cleaning (Deep)', price: '$20', desc: 'Full restoration, deep scrubbing of uppers, midsoles, and laces.' },
-  { type: 'Restore/Repaint', price: '$35–$60', desc: 'Fixing deep scuffs and professional repainting of key areas.' },
+const CLEANING_PROBLEM_AREAS = ['Uppers', 'Midsoles', 'Outsoles', 'Toe box creasing', 'Laces', 'Insoles / odor', 'Suede / nubuck', 'Yellowing / oxidation', 'Stains'];
+
+const getDeliveryLabel = (value) => DELIVERY_METHODS.find(m => m.value === value)?.label || value || '';
+
+// Order lifecycle for bookings, in pipeline order. `Cancelled` can be reached from any stage.
+const ORDER_STATUSES = [
+  { value: 'New', color: 'border-sky-500', badge: 'bg-sky-500/20 text-sky-300' },
+  { value: 'Quoted', color: 'border-indigo-500', badge: 'bg-indigo-500/20 text-indigo-300' },
+  { value: 'Accepted', color: 'border-violet-500', badge: 'bg-violet-500/20 text-violet-300' },
+  { value: 'In Progress', color: 'border-amber-500', badge: 'bg-amber-500/20 text-amber-300' },
+  { value: 'Ready', color: 'border-lime-500', badge: 'bg-lime-500/20 text-lime-300' },
+  { value: 'Shipped', color: 'border-teal-500', badge: 'bg-teal-500/20 text-teal-300' },
+  { value: 'Picked Up', color: 'border-cyan-500', badge: 'bg-cyan-500/20 text-cyan-300' },
+  { value: 'Completed', color: 'border-green-500', badge: 'bg-green-500/20 text-green-300' },
+  { value: 'Cancelled', color: 'border-gray-500', badge: 'bg-gray-500/20 text-gray-300' },
 ];
 
+const DEFAULT_STATUS = 'New';
+
+const getStatusMeta = (status) => ORDER_STATUSES.find(s => s.value === status) || ORDER_STATUSES[0];
+
+// --- Routing ---
+// Path-based routing on top of the History API. Hosting (netlify.toml / vercel.json)
+// already serves index.html for every path, so deep links land here.
+
+const matchPath = (pattern, pathname) => {
+  const patternParts = pattern.split('/').filter(Boolean);
+  const pathParts = pathname.split('/').filter(Boolean);
+  if (pathParts.length > patternParts.length) return null;
+
+  const params = {};
+  for (let i = 0; i < patternParts.length; i++) {
+    const part = patternParts[i];
+    const value = pathParts[i];
+    if (part.startsWith(':')) {
+      const optional = part.endsWith('?');
+      const name = part.slice(1, optional ? -1 : undefined);
+      if (value === undefined) {
+        if (optional) continue;
+        return null;
+      }
+      try {
+        params[name] = decodeURIComponent(value);
+      } catch (e) {
+        return null;
+      }
+    } else if (part !== value) {
+      return null;
+    }
+  }
+  return params;
+};
+
+const matchRoute = (pathname) => {
+  for (const [page, { path }] of Object.entries(PAGE_ROUTES)) {
+    const params = matchPath(path, pathname);
+    if (params) return { page, params };
+  }
+  return { page: NOT_FOUND_PAGE, params: {} };
+};
+
+const buildPath = (page, params = {}) => {
+  const route = PAGE_ROUTES[page];
+  if (!route) return '/';
+  const segments = route.path.split('/').filter(Boolean).map(part => {
+    if (!part.startsWith(':')) return part;
+    const name = part.slice(1).replace(/\?$/, '');
+    return params[name] !== undefined && params[name] !== null ? encodeURIComponent(params[name]) : null;
+  }).filter(segment => segment !== null);
+  return `/${segments.join('/')}`;
+};
+
+const createHistoryKey = () => Math.random().toString(36).slice(2, 10);
+
+// Scroll offsets keyed by history entry, so back/forward returns to where the user was.
+const scrollPositions = new Map();
+
+const readLocation = () => ({
+  ...matchRoute(window.location.pathname),
+  search: window.location.search,
+  key: window.history.state?.key || null,
+});
+
+const useRouter = () => {
+  const [location, setLocation] = useState(() => ({ ...readLocation(), restoreScroll: false }));
+
+  useEffect(() => {
+    if ('scrollRestoration' in window.history) {
+      window.history.scrollRestoration = 'manual';
+    }
+    if (!window.history.state?.key) {
+      window.history.replaceState({ key: createHistoryKey() }, '', window.location.href);
+      setLocation(prev => ({ ...prev, key: window.history.state.key }));
+    }
+
+    const handlePopState = () => setLocation({ ...readLocation(), restoreScroll: true });
+    const handleScroll = () => {
+      const key = window.history.state?.key;
+      if (key) scrollPositions.set(key, window.scrollY);
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    return () => {
+      window.removeEventListener('popstate', handlePopState);
+      window.removeEventListener('scroll', handleScroll);
+    };
+  }, []);
+
+  useLayoutEffect(() => {
+    if (location.keepScroll) return;
+    const top = location.restoreScroll ? (scrollPositions.get(location.key) || 0) : 0;
+    window.scrollTo(0, top);
+  }, [location]);
+
+  // navigate('gallery', { itemId: 3 }) -> /gallery/3. Pass { replace: true } to avoid a new history entry
+  // and { scroll: false } to keep the current scroll offset (e.g. when opening an overlay).
+  const navigate = useCallback((page, params = {}, { replace = false, search = '', scroll = true } = {}) => {
+    const url = `${buildPath(page, params)}${search}`;
+    const key = createHistoryKey();
+    if (replace) {
+      window.history.replaceState({ key }, '', url);
+    } else {
+      window.history.pushState({ key }, '', url);
+    }
+    if (!scroll) scrollPositions.set(key, window.scrollY);
+    setLocation({ ...readLocation(), restoreScroll: false, keepScroll: !scroll });
+  }, []);
+
+  return { ...location, navigate };
+};
+
 // --- Utility Components ---
 
 const Button = ({ children, onClick, variant = 'primary', className = '', icon: Icon, type = 'button', disabled = false }) => {
@@ -79,11 +298,11 @@ const SectionTitle = ({ children }) => (
   </h2>
 );
 
-const Modal = ({ isOpen, onClose, title, children }) => {
+const Modal = ({ isOpen, onClose, title, children, wide = false }) => {
   if (!isOpen) return null;
   return (
     <div className="fixed inset-0 bg-black bg-opacity-80 z-50 flex justify-center items-center p-4">
-      <div className="bg-gray-900 p-8 rounded-xl shadow-2xl max-w-lg w-full border-t-4 border-red-600 relative">
+      <div className={`bg-gray-900 p-8 rounded-xl shadow-2xl ${wide ? 'max-w-3xl max-h-[90vh] overflow-y-auto' : 'max-w-lg'} w-full border-t-4 border-red-600 relative`}>
         <button onClick={onClose} className="absolute top-4 right-4 text-gray-400 hover:text-red-500">
           <X className="w-6 h-6" />
         </button>
@@ -94,786 +313,8051 @@ const Modal = ({ isOpen, onClose, title, children }) => {
   );
 };
 
+// Drag (or use the arrow keys on the handle) to wipe between a before and an after image.
+// Both images are laid over each other; the before image is clipped to the handle position.
+const BeforeAfterSlider = ({ before, after, label = '', className = '' }) => {
+  const [position, setPosition] = useState(50);
+  const containerRef = useRef(null);
+  const draggingRef = useRef(false);
+
+  const clamp = (value) => Math.min(100, Math.max(0, value));
+  const moveToPointer = (e) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    setPosition(clamp(((e.clientX - rect.left) / rect.width) * 100));
+  };
+
+  const handlePointerDown = (e) => {
+    draggingRef.current = true;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    moveToPointer(e);
+  };
+  const handlePointerMove = (e) => {
+    if (draggingRef.current) moveToPointer(e);
+  };
+  const handlePointerUp = () => { draggingRef.current = false; };
+
+  const handleKeyDown = (e) => {
+    const step = e.shiftKey ? 10 : 2;
+    const next = { ArrowLeft: position - step, ArrowDown: position - step, ArrowRight: position + step, ArrowUp: position + step, Home: 0, End: 100 }[e.key];
+    if (next === undefined) return;
+    e.preventDefault();
+    setPosition(clamp(next));
+  };
+
+  return (
+    <div
+      ref={containerRef}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+      className={`relative overflow-hidden rounded-lg select-none touch-pan-y cursor-ew-resize ${className}`}
+    >
+      <img src={after} alt={`${label} after`.trim()} className="block w-full h-auto" draggable={false} />
+      <img src={before} alt={`${label} before`.trim()} className="absolute inset-0 w-full h-full object-cover" style={{ clipPath: `inset(0 ${100 - position}% 0 0)` }} draggable={false} />
+      <span className="absolute top-2 left-2 px-2 py-0.5 rounded bg-black/70 text-xs font-bold text-white">BEFORE</span>
+      <span className="absolute top-2 right-2 px-2 py-0.5 rounded bg-red-600/90 text-xs font-bold text-white">AFTER</span>
+      <div className="absolute inset-y-0 w-0.5 bg-white shadow-lg pointer-events-none" style={{ left: `${position}%` }}></div>
+      <div
+        role="slider"
+        tabIndex={0}
+        aria-label={`${label} before and after comparison`.trim()}
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={Math.round(position)}
+        aria-valuetext={`${Math.round(position)}% before`}
+        onKeyDown={handleKeyDown}
+        className="absolute top-1/2 w-9 h-9 -ml-[18px] -mt-[18px] rounded-full bg-white text-gray-900 flex items-center justify-center shadow-xl focus:outline-none focus:ring-4 focus:ring-red-500"
+        style={{ left: `${position}%` }}
+      >
+        <ChevronsLeftRight className="w-5 h-5" />
+      </div>
+    </div>
+  );
+};
+
+const StarRating = ({ value, className = 'w-4 h-4' }) => (
+  <span className="inline-flex text-amber-400" role="img" aria-label={`${value} out of 5 stars`}>
+    {[1, 2, 3, 4, 5].map(n => <Star key={n} className={className} fill={n <= Math.round(value) ? 'currentColor' : 'none'} />)}
+  </span>
+);
+
+// Star picker built on radio buttons, so arrow keys move between ratings.
+const StarInput = ({ value, onChange, name = 'rating' }) => (
+  <div className="flex gap-1" role="radiogroup" aria-label="Rating">
+    {[1, 2, 3, 4, 5].map(n => (
+      <label key={n} className="cursor-pointer text-amber-400">
+        <input type="radio" name={name} value={n} checked={value === n} onChange={() => onChange(n)} className="sr-only peer" />
+        <Star className="w-8 h-8 rounded peer-focus-visible:ring-2 peer-focus-visible:ring-red-500" fill={n <= value ? 'currentColor' : 'none'} />
+        <span className="sr-only">{n} {n === 1 ? 'star' : 'stars'}</span>
+      </label>
+    ))}
+  </div>
+);
+
 // --- Admin Login ---
-const AdminLogin = ({ isOpen, onClose, onSuccess, signInWithEmail }) => {
-  const [password, setPassword] = useState('');
+// Email/password sign-in for admin accounts, with a "forgot password" mode. Whether the
+// account is an admin is decided by useFirebase, not here.
+const AdminLogin = ({ isOpen, onClose, onSuccess, signInWithEmail, sendPasswordReset, notice }) => {
+  const [mode, setMode] = useState('signIn'); // 'signIn' | 'reset'
   const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
   const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
 
-  const ADMIN_PASSWORD = typeof __admin_password !== 'undefined' ? __admin_password : (import.meta.env.VITE_ADMIN_PASSWORD || null);
-
-  const useFirebaseAdmin = Boolean(FIREBASE_CONFIG && import.meta.env.VITE_USE_FIREBASE_ADMIN === '1' && typeof signInWithEmail === 'function');
+  const switchMode = (next) => {
+    setMode(next);
+    setError('');
+    setMessage('');
+  };
 
-  const handleSubmitPassword = (e) => {
+  const handleSignIn = async (e) => {
     e.preventDefault();
-    if (!ADMIN_PASSWORD) {
-      console.warn('No admin password is configured (VITE_ADMIN_PASSWORD). Login will always fail until you set one.');
-    }
-    if (password === ADMIN_PASSWORD) {
+    setError('');
+    setIsBusy(true);
+    const res = await signInWithEmail(email, password);
+    setIsBusy(false);
+    if (res.success) {
       onSuccess();
-      setPassword('');
-      setError('');
+      setEmail(''); setPassword('');
       onClose();
     } else {
-      setError('Invalid password');
+      setError(res.error || 'Sign-in failed');
     }
   };
 
-  const handleSubmitFirebase = async (e) => {
+  const handleReset = async (e) => {
     e.preventDefault();
     setError('');
-    if (!email || !password) {
-      setError('Please enter email and password');
-      return;
-    }
-    const res = await signInWithEmail(email, password);
+    setIsBusy(true);
+    const res = await sendPasswordReset(email);
+    setIsBusy(false);
     if (res.success) {
-      onSuccess();
-      setEmail(''); setPassword('');
-      onClose();
+      setMessage(`If ${email} has an account, a password reset link is on its way.`);
     } else {
-      setError(res.error || 'Sign-in failed');
+      setError(res.error || 'Could not send the reset email');
     }
   };
 
+  const inputClass = "w-full p-3 rounded-lg bg-gray-800 text-white border border-gray-700 focus:border-red-500 focus:ring-red-500";
+
   return (
-    <Modal isOpen={isOpen} onClose={onClose} title="Admin Login">
-      {useFirebaseAdmin ? (
-        <form onSubmit={handleSubmitFirebase} className="space-y-4">
-          <div>
-            <label className="block text-sm font-medium text-white mb-1">Email</label>
-            <input type="email" value={email} onChange={e => setEmail(e.target.value)} className="w-full p-3 rounded-lg bg-gray-800 text-white border border-gray-700 focus:border-red-500 focus:ring-red-500" />
-          </div>
-          <div>
-            <label className="block text-sm font-medium text-white mb-1">Password</label>
-            <input type="password" value={password} onChange={e => setPassword(e.target.value)} className="w-full p-3 rounded-lg bg-gray-800 text-white border border-gray-700 focus:border-red-500 focus:ring-red-500" />
-          </div>
-          {error && <div className="text-red-400">{error}</div>}
-          <div className="flex justify-end">
-            <Button variant="primary" type="submit">Sign in</Button>
-          </div>
-        </form>
-      ) : (
-        <form onSubmit={handleSubmitPassword} className="space-y-4">
+    <Modal isOpen={isOpen} onClose={onClose} title={mode === 'signIn' ? 'Admin Login' : 'Reset Password'}>
+      {notice && mode === 'signIn' && <div className="mb-4 p-3 rounded-lg bg-amber-500/10 border border-amber-500/40 text-amber-200 text-sm">{notice}</div>}
+      <form onSubmit={mode === 'signIn' ? handleSignIn : handleReset} className="space-y-4">
+        <div>
+          <label htmlFor="adminEmail" className="block text-sm font-medium text-white mb-1">Email</label>
+          <input type="email" id="adminEmail" value={email} onChange={e => setEmail(e.target.value)} required autoComplete="username" className={inputClass} />
+        </div>
+        {mode === 'signIn' && (
           <div>
-            <label className="block text-sm font-medium text-white mb-1">Password</label>
-            <input type="password" value={password} onChange={e => setPassword(e.target.value)} className="w-full p-3 rounded-lg bg-gray-800 text-white border border-gray-700 focus:border-red-500 focus:ring-red-500" />
+            <label htmlFor="adminPassword" className="block text-sm font-medium text-white mb-1">Password</label>
+            <input type="password" id="adminPassword" value={password} onChange={e => setPassword(e.target.value)} required autoComplete="current-password" className={inputClass} />
           </div>
-          {error && <div className="text-red-400">{error}</div>}
-          <div className="flex justify-end">
-            <Button variant="primary" type="submit">Enter</Button>
-          </div>
-        </form>
-      )}
+        )}
+        {error && <div className="text-red-400" role="alert">{error}</div>}
+        {message && <div className="text-green-400" role="status">{message}</div>}
+        <div className="flex items-center justify-between">
+          <button type="button" onClick={() => switchMode(mode === 'signIn' ? 'reset' : 'signIn')} className="text-sm text-gray-400 hover:text-red-400">
+            {mode === 'signIn' ? 'Forgot password?' : 'Back to sign in'}
+          </button>
+          <Button variant="primary" type="submit" disabled={isBusy}>
+            {mode === 'signIn' ? (isBusy ? 'Signing in...' : 'Sign in') : (isBusy ? 'Sending...' : 'Send Reset Link')}
+          </Button>
+        </div>
+      </form>
     </Modal>
   );
 };
 
-// --- Firebase Context and Hook ---
+// --- Image Helpers ---
 
-const useFirebase = () => {
-  const [db, setDb] = useState(null);
-  const [auth, setAuth] = useState(null);
-  const [userId, setUserId] = useState(null);
-  const [isReady, setIsReady] = useState(false);
-  const [currentUser, setCurrentUser] = useState(null);
+// Download URLs from this project's Storage bucket (or the local emulator). Stored image links
+// are only rendered when they match; firestore.rules checks the same shape on write.
+const STORAGE_DOWNLOAD_URL_PREFIX = `${USE_FIREBASE_EMULATORS ? `http://${FIREBASE_EMULATOR_HOST}:9199` : 'https://firebasestorage.googleapis.com'}/v0/b/${FIREBASE_CONFIG?.storageBucket}/o/`;
 
-  useEffect(() => {
-    if (!FIREBASE_CONFIG) {
-      console.error("Firebase config is missing.");
-      setIsReady(true);
-      return;
-    }
+const isStorageDownloadUrl = (url) => Boolean(FIREBASE_CONFIG?.storageBucket) && typeof url === 'string' && url.startsWith(STORAGE_DOWNLOAD_URL_PREFIX);
 
-    try {
-      const app = initializeApp(FIREBASE_CONFIG);
-      const newAuth = getAuth(app);
-      const newDb = getFirestore(app);
-
-      const signIn = async () => {
-        if (INITIAL_AUTH_TOKEN) {
-          await signInWithCustomToken(newAuth, INITIAL_AUTH_TOKEN);
-        } else {
-          // Try anonymous sign-in for general public submissions. Admins will sign in explicitly.
-          try { await signInAnonymously(newAuth); } catch (e) { /* ignore */ }
-        }
-      };
+const loadImage = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const img = new Image();
+  img.onload = () => { URL.revokeObjectURL(url); resolve(img); };
+  img.onerror = () => { URL.revokeObjectURL(url); reject(new Error(`Could not read image ${file.name}`)); };
+  img.src = url;
+});
 
-      const unsubscribe = onAuthStateChanged(newAuth, (user) => {
-        if (user) {
-          setUserId(user.uid);
-          setCurrentUser(user);
-        } else {
-          setUserId(null);
-          setCurrentUser(null);
-        }
-        setIsReady(true);
-      });
+// Downscale to fit within `maxDimension` and re-encode as JPEG. Falls back to the
+// original file if re-encoding would not make it smaller; throws if the browser can't
+// re-encode it at all.
+const compressImage = async (file, { maxDimension = REFERENCE_IMAGE_LIMITS.maxDimension, quality = REFERENCE_IMAGE_LIMITS.quality } = {}) => {
+  const img = await loadImage(file);
+  const scale = Math.min(1, maxDimension / Math.max(img.naturalWidth, img.naturalHeight));
+  const width = Math.round(img.naturalWidth * scale);
+  const height = Math.round(img.naturalHeight * scale);
 
-      signIn();
-      setAuth(newAuth);
-      setDb(newDb);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  // JPEG has no alpha channel; paint transparent PNG areas white instead of black.
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+  ctx.drawImage(img, 0, 0, width, height);
 
-      return () => unsubscribe();
-    } catch (error) {
-      console.error("Firebase initialization failed:", error);
-      setIsReady(true);
-    }
-  }, []);
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', quality));
+  if (!blob) throw new Error(`Could not compress image ${file.name}`);
+  if (scale === 1 && blob.size >= file.size) {
+    return { blob: file, width: img.naturalWidth, height: img.naturalHeight };
+  }
+  return { blob, width, height };
+};
 
-  // Public submission path: /artifacts/{appId}/public/data/submissions
-  const getSubmissionsCollectionRef = useCallback(() => {
-    if (!db) return null;
-    return collection(db, 'artifacts', APP_ID, 'public', 'data', 'submissions');
-  }, [db]);
+// --- Submission Errors ---
+// Field rules for every submission type live in functions/submissionSchema.js. The public forms
+// use them for inline errors and addSubmission checks them again before writing.
 
-  const addSubmission = useCallback(async (data) => {
-    const submissionsRef = getSubmissionsCollectionRef();
-    if (!submissionsRef) {
-      console.error("Firestore database not ready.");
-      return { success: false, error: "Database not ready." };
-    }
-    
-    try {
-      const docRef = await addDoc(submissionsRef, {
-        ...data,
-        userId: userId,
-        timestamp: serverTimestamp(),
-      });
-      return { success: true, docId: docRef.id };
-    } catch (error) {
-      console.error("Error adding document:", error);
-      return { success: false, error: error.message };
-    }
-  }, [getSubmissionsCollectionRef, userId]);
-  
-  const fetchSubmissions = useCallback(async () => {
-    const submissionsRef = getSubmissionsCollectionRef();
-    if (!submissionsRef) return [];
-    
-    try {
-      // Fetch and order by timestamp (most recent first)
-      const q = query(submissionsRef, orderBy('timestamp', 'desc'), limit(50));
-      const querySnapshot = await getDocs(q);
-      const submissions = querySnapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data(),
-        timestamp: doc.data().timestamp?.toDate().toLocaleString() || 'N/A'
-      }));
-      return submissions;
-    } catch (error) {
-      console.error("Error fetching documents:", error);
-      return [];
-    }
-  }, [getSubmissionsCollectionRef]);
+const SUBMISSION_ERROR_MESSAGE = "We couldn't send your request. Check your connection and try again in a moment.";
+const FIELD_ERRORS_MESSAGE = 'Please fix the highlighted fields.';
 
-  const signInAdminWithEmail = useCallback(async (email, password) => {
-    if (!auth) return { success: false, error: 'Auth not initialized' };
-    try {
-      const cred = await signInWithEmailAndPassword(auth, email, password);
-      setCurrentUser(cred.user);
-      return { success: true, user: cred.user };
-    } catch (error) {
-      console.error('Admin sign-in failed', error);
-      return { success: false, error: error.message };
-    }
-  }, [auth]);
+// Inline error state for a public form. `fieldProps(field, id)` applies the schema's
+// required/maxLength and links the input to its <FieldError>; `validate` and `showFailure`
+// reveal errors and move focus to the first invalid field.
+const useSubmissionErrors = (type) => {
+  const [errors, setErrors] = useState({});
+  const [formError, setFormError] = useState('');
+  const fieldIds = useRef({});
 
-  const signOutAdmin = useCallback(async () => {
-    if (!auth) return;
-    try {
-      await firebaseSignOut(auth);
-      setCurrentUser(null);
-    } catch (e) {
-      console.error('Sign out failed', e);
+  const showErrors = (next) => {
+    setErrors(next);
+    const first = Object.keys(next).find(field => fieldIds.current[field]);
+    if (first) document.getElementById(fieldIds.current[first])?.focus();
+    return !Object.keys(next).length;
+  };
+
+  const validate = (data) => {
+    setFormError('');
+    return showErrors(validateSubmission(data));
+  };
+
+  const showFailure = (result) => {
+    if (result.fieldErrors) {
+      setFormError(FIELD_ERRORS_MESSAGE);
+      showErrors(result.fieldErrors);
+    } else {
+      console.error("Submission failed:", result.error);
+      setFormError(result.isRateLimited || result.isAppointmentError ? result.error : SUBMISSION_ERROR_MESSAGE);
     }
-  }, [auth]);
+  };
+
+  // Clears `field` and anything nested under it (`clearError('pairs')` clears every pair).
+  const clearError = (field) => setErrors(prev => {
+    const keys = Object.keys(prev).filter(key => key === field || key.startsWith(`${field}.`));
+    if (!keys.length) return prev;
+    const next = { ...prev };
+    keys.forEach(key => delete next[key]);
+    return next;
+  });
 
+  const fieldProps = (field, id) => {
+    fieldIds.current[field] = id;
+    const rule = getFieldRule(type, field) || {};
+    return {
+      id,
+      required: rule.required,
+      maxLength: rule.maxLength,
+      'aria-invalid': errors[field] ? true : undefined,
+      'aria-describedby': errors[field] ? `${id}-error` : undefined,
+    };
+  };
 
-  return { db, auth, userId, isReady, addSubmission, fetchSubmissions, signInAdminWithEmail, signOutAdmin, currentUser };
+  return { errors, formError, validate, showFailure, clearError, fieldProps };
 };
 
-// --- Page Components ---
+const FieldError = ({ id, message }) => (
+  message ? <p id={`${id}-error`} className="mt-1 text-sm text-red-400">{message}</p> : null
+);
 
-const HomePage = ({ navigate }) => (
-  <div className="min-h-screen">
-    {/* Hero Section */}
-    <div className="relative h-[80vh] flex items-center justify-center text-center p-4" 
-         style={{ 
-           backgroundImage: `url(${UPLOADED_IMAGE_URL}), linear-gradient(to bottom, #000000, #111827)`,
-           backgroundSize: 'cover', 
-           backgroundPosition: 'center',
-           backgroundBlendMode: 'overlay',
-           backgroundColor: 'rgba(0, 0, 0, 0.6)'
-         }}>
-      <div className="z-10 bg-black/70 p-8 rounded-xl border border-red-600/50 max-w-3xl">
-        <h1 className="text-6xl sm:text-8xl font-black text-red-600 tracking-tighter shadow-red-800/50 drop-shadow-lg">
-          2X CUSTOMS
-        </h1>
-        <p className="text-xl sm:text-3xl text-white font-light mt-4 mb-10 tracking-wider">
-          TURN YOUR KICKS INTO ART
-        </p>
-        <div className="flex flex-col sm:flex-row justify-center space-y-4 sm:space-y-0 sm:space-x-6">
-          <Button onClick={() => navigate('custom')} variant="primary" className="text-lg">
-            <Brush className="w-5 h-5" /> Book a Custom
-          </Button>
-          <Button onClick={() => navigate('cleaning')} variant="secondary" className="text-lg">
-            <Feather className="w-5 h-5" /> Get a Cleaning
-          </Button>
-        </div>
-      </div>
+const FormError = ({ message }) => (
+  message ? (
+    <div role="alert" className="flex items-start p-4 rounded-lg bg-red-950/60 border border-red-700 text-red-200 text-sm">
+      <Info className="w-5 h-5 mr-3 flex-shrink-0 text-red-400" />
+      <span>{message}</span>
     </div>
+  ) : null
+);
 
-    {/* Why Choose Section */}
-    <div className="py-20 bg-gray-950">
-      <SectionTitle>Why Choose 2X Customs</SectionTitle>
-      <div className="container mx-auto px-4 grid grid-cols-1 md:grid-cols-3 gap-10 max-w-6xl">
-        <div className="p-6 bg-gray-900 rounded-xl shadow-2xl border-t-4 border-red-600 text-center hover:shadow-red-900/40 transition-shadow">
-          <Zap className="w-10 h-10 text-red-500 mx-auto mb-4" />
-          <h3 className="text-xl font-bold text-white mb-2">Fast Turnaround</h3>
-          <p className="text-gray-400">Get your fresh heat back in days, not weeks. Quick, professional service.</p>
+// --- Offline Queue ---
+// Submissions that can't be written right away (offline, Firebase not up yet, or a failed write)
+// are kept in IndexedDB and retried by useFirebase. Entries are keyed by the submission doc id,
+// so a retry after a write that actually landed is detected instead of sent twice.
+const OFFLINE_DB_NAME = '2xcustoms-offline';
+const OFFLINE_QUEUE_STORE = 'pendingSubmissions';
+
+const SUBMISSION_RETRY = {
+  baseDelayMs: 5 * 1000,
+  maxDelayMs: 5 * 60 * 1000,
+  checkIntervalMs: 15 * 1000,
+  writeTimeoutMs: 20 * 1000,
+};
+
+// Firestore and Storage error codes worth retrying; anything else (permission-denied, invalid data)
+// would fail the same way again.
+const RETRYABLE_ERROR_CODES = new Set([
+  'unavailable', 'deadline-exceeded', 'resource-exhausted', 'aborted', 'cancelled', 'internal', 'unknown',
+  'storage/retry-limit-exceeded', 'storage/unknown', 'storage/canceled',
+]);
+
+const isRetryableError = (error) => RETRYABLE_ERROR_CODES.has(error?.code);
+
+// 5s, 10s, 20s ... capped at 5 minutes.
+const getRetryDelay = (attempts) => Math.min(SUBMISSION_RETRY.baseDelayMs * 2 ** Math.max(attempts - 1, 0), SUBMISSION_RETRY.maxDelayMs);
+
+// Rejects with a `deadline-exceeded` error if `promise` hasn't settled in time. Firestore keeps
+// unacknowledged writes pending instead of failing them, so a flaky connection would otherwise hang.
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(Object.assign(new Error('The request timed out.'), { code: 'deadline-exceeded' })), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const openOfflineDb = () => new Promise((resolve, reject) => {
+  if (typeof indexedDB === 'undefined') {
+    reject(new Error('IndexedDB is not available.'));
+    return;
+  }
+  const request = indexedDB.open(OFFLINE_DB_NAME, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(OFFLINE_QUEUE_STORE, { keyPath: 'id' });
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Runs one request against the queue store and resolves with its result once the transaction commits.
+const runOfflineQueue = async (mode, makeRequest) => {
+  const offlineDb = await openOfflineDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = offlineDb.transaction(OFFLINE_QUEUE_STORE, mode);
+      const request = makeRequest(transaction.objectStore(OFFLINE_QUEUE_STORE));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    offlineDb.close();
+  }
+};
+
+// Entries: { id, data, guard, files, userId, queuedAt, attempts, nextAttemptAt, lastError, failed }.
+// `files` are reference photos still to be uploaded; IndexedDB stores the File objects as-is.
+const offlineQueue = {
+  list: async () => (await runOfflineQueue('readonly', store => store.getAll()))
+    .sort((a, b) => a.queuedAt - b.queuedAt),
+  put: (entry) => runOfflineQueue('readwrite', store => store.put(entry)),
+  remove: (id) => runOfflineQueue('readwrite', store => store.delete(id)),
+};
+
+const SUBMISSION_TYPE_LABELS = {
+  contact_message: 'Message',
+  custom_booking: 'Custom request',
+  cleaning_booking: 'Cleaning booking',
+};
+
+// Site-wide notice for queued submissions, plus the tracking codes of ones that went out later.
+const PendingSubmissionsBanner = ({ pending, sent, isOnline, onRetry, onDiscard, onDismissSent, navigate }) => {
+  if (!pending.length && !sent.length) return null;
+  const waiting = pending.filter(entry => !entry.failed);
+  const failed = pending.filter(entry => entry.failed);
+
+  return (
+    <div className="fixed bottom-4 right-4 z-40 w-[calc(100%-2rem)] max-w-sm space-y-2 print:hidden" aria-live="polite">
+      {waiting.length > 0 && (
+        <div className="p-4 rounded-lg bg-gray-900 border border-yellow-600/60 shadow-xl text-sm">
+          <p className="flex items-center text-yellow-300 font-semibold">
+            <span className="w-2 h-2 rounded-full mr-2 bg-yellow-400 animate-pulse"></span>
+            {waiting.length === 1 ? '1 request' : `${waiting.length} requests`} waiting to send
+          </p>
+          <p className="text-gray-400 mt-1">
+            {isOnline ? "We'll keep retrying in the background." : "You're offline. We'll send it as soon as you're back online."}
+          </p>
+          <button type="button" onClick={onRetry} className="mt-2 text-red-400 hover:text-red-300 underline">Retry now</button>
         </div>
-        <div className="p-6 bg-gray-900 rounded-xl shadow-2xl border-t-4 border-red-600 text-center hover:shadow-red-900/40 transition-shadow">
-          <Settings className="w-10 h-10 text-red-500 mx-auto mb-4" />
+      )}
+      {failed.map(entry => (
+        <div key={entry.id} role="alert" className="p-4 rounded-lg bg-gray-900 border border-red-700 shadow-xl text-sm">
+          <p className="text-red-300 font-semibold">{SUBMISSION_TYPE_LABELS[entry.data.type] || 'Request'} couldn't be sent</p>
+          {entry.lastError && <p className="text-gray-400 mt-1">{entry.lastError}</p>}
+          <div className="mt-2 flex space-x-4">
+            <button type="button" onClick={onRetry} className="text-red-400 hover:text-red-300 underline">Try again</button>
+            <button type="button" onClick={() => onDiscard(entry.id)} className="text-gray-400 hover:text-white underline">Discard</button>
+          </div>
+        </div>
+      ))}
+      {sent.map(entry => (
+        <div key={entry.id} className="p-4 rounded-lg bg-gray-900 border border-green-700 shadow-xl text-sm">
+          <div className="flex items-start justify-between">
+            <p className="text-green-400 font-semibold flex items-center">
+              <CheckCircle className="w-4 h-4 mr-2 flex-shrink-0" />
+              Your saved {(SUBMISSION_TYPE_LABELS[entry.type] || 'request').toLowerCase()} was sent
+            </p>
+            <button type="button" onClick={() => onDismissSent(entry.id)} title="Dismiss" className="text-gray-500 hover:text-white">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+          {entry.trackingCode && (
+            <p className="text-gray-300 mt-1">
+              Tracking code: <span className="font-mono font-bold text-red-400 select-all">{entry.trackingCode}</span>{' '}
+              <button type="button" onClick={() => navigate('track', {}, { search: `?code=${encodeURIComponent(entry.trackingCode)}` })} className="text-red-400 hover:text-red-300 underline">Track it</button>
+            </p>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// --- Firebase Context and Hook ---
+
+const SUBMISSIONS_PAGE_SIZE = 50;
+
+// Server-side filters for the submissions list. Each equality filter combined with the
+// timestamp ordering needs a composite index (see firestore.indexes.json); Firestore merges
+// those indexes when several filters are active at once.
+const buildSubmissionConstraints = (filters = {}) => {
+  const constraints = [];
+  if (filters.type) constraints.push(where('type', '==', filters.type));
+  // Older documents have no `status` field and count as DEFAULT_STATUS, which a where() can't
+  // match, so that filter is applied to the loaded page instead (see matchesStatusFilter).
+  if (filters.status && filters.status !== DEFAULT_STATUS) constraints.push(where('status', '==', filters.status));
+  if (filters.budget) constraints.push(where('budget', '==', filters.budget));
+  if (filters.view === 'spam') constraints.push(where('spam', '==', true));
+  // Date bounds are whole days in the shop's time zone, whatever the admin's browser is set to.
+  if (filters.from) {
+    constraints.push(where('timestamp', '>=', Timestamp.fromMillis(shopTimeToMillis(filters.from, '00:00'))));
+  }
+  if (filters.to) {
+    constraints.push(where('timestamp', '<', Timestamp.fromMillis(shopTimeToMillis(addDays(filters.to, 1), '00:00'))));
+  }
+  constraints.push(orderBy('timestamp', 'desc'));
+  return constraints;
+};
+
+// Commits groups of batch operations (`batch => batch.delete(ref)` and so on) in as few batches
+// as Firestore's 500-operation cap allows. A group only spans batches if it is bigger than that.
+const commitInBatches = async (db, groups) => {
+  let batch = writeBatch(db);
+  let size = 0;
+  const flush = async () => {
+    if (size) await batch.commit();
+    batch = writeBatch(db);
+    size = 0;
+  };
+  for (const group of groups) {
+    if (size + group.length > 500) await flush();
+    for (const operation of group) {
+      if (size === 500) await flush();
+      operation(batch);
+      size += 1;
+    }
+  }
+  await flush();
+};
+
+// Normalizes a submission document for the dashboard. `timestamp` stays a display string
+// for the tables; `createdAt` keeps the Date for sorting and comparisons. Pending server
+// timestamps (local writes not yet acknowledged) are estimated instead of showing N/A.
+const mapSubmissionDoc = (snapshot) => {
+  const data = snapshot.data({ serverTimestamps: 'estimate' });
+  const createdAt = data.timestamp?.toDate() || null;
+  return {
+    id: snapshot.id,
+    ...data,
+    // Early cleaning bookings stored the customer's text in `notes`, now the admin's notes list.
+    ...(typeof data.notes === 'string' ? { notes: [], customerNotes: data.customerNotes || data.notes } : {}),
+    createdAt,
+    timestamp: createdAt ? createdAt.toLocaleString() : 'N/A',
+  };
+};
+
+// --- Order Tracking ---
+// Bookings get a customer-facing tracking code. A customer-safe copy of the order lives at
+// /artifacts/{appId}/public/data/tracking/{trackingId}, where trackingId is a SHA-256 of the
+// code and email. Looking an order up therefore needs both, and the tracking docs expose
+// nothing beyond status, history and notes the admin marked public.
+
+const TRACKING_CODE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ'; // No 0/O, 1/I/L lookalikes
+
+const generateTrackingCode = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(8));
+  const chars = Array.from(bytes, b => TRACKING_CODE_ALPHABET[b % TRACKING_CODE_ALPHABET.length]).join('');
+  return `2X-${chars.slice(0, 4)}-${chars.slice(4)}`;
+};
+
+const normalizeTrackingCode = (code) => code.trim().toUpperCase().replace(/\s+/g, '');
+
+const sha256Hex = async (text) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+};
+
+const getTrackingId = (code, email) => sha256Hex(`${normalizeTrackingCode(code)}:${email.trim().toLowerCase()}`);
+
+// Rebuilds the tracking doc for a booking restored by importSubmissions, with what addSubmission
+// and the dashboard's status, note, quote and shipping updates would have copied there.
+// A pickup booked from the tracking page only lives on the tracking doc and can't be rebuilt.
+const buildTrackingDoc = (submissionId, data) => {
+  const history = data.statusHistory || [];
+  return {
+    trackingCode: data.trackingCode,
+    submissionId,
+    type: data.type,
+    firstName: (data.name || '').split(' ')[0],
+    shoeModel: data.shoeModel || (data.pairs || []).map(pair => pair.shoeModel).join(', '),
+    status: data.status || DEFAULT_STATUS,
+    statusHistory: [
+      { status: history[0]?.from || DEFAULT_STATUS, changedAt: data.timestamp || Timestamp.now() },
+      ...history.map(({ status, changedAt }) => ({ status, changedAt })),
+    ],
+    publicNotes: (Array.isArray(data.notes) ? data.notes : []).filter(note => note.isPublic).map(({ text, createdAt }) => ({ text, createdAt })),
+    ...(data.delivery ? { delivery: data.delivery } : {}),
+    ...(data.appointment ? { appointment: data.appointment } : {}),
+    ...(data.quote && data.quote.status !== 'draft' ? { quote: data.quote } : {}),
+    ...(data.shipping ? { shipping: data.shipping } : {}),
+    ...(data.threadId ? { threadId: data.threadId } : {}),
+    userId: data.userId || null,
+    createdAt: data.timestamp || serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  };
+};
+
+// --- Message Threads ---
+// Every submission gets a conversation at /artifacts/{appId}/public/data/threads/{threadId}
+// with its messages in a `messages` subcollection. The thread id is random and only shared with
+// the customer (confirmation email, tracking page), so /messages/{threadId} is their private
+// link, the same way the tracking id stands in for the code and email.
+
+const THREAD_MESSAGE_LIMITS = { maxLength: 5000, maxAttachments: 4, previewLength: 140 };
+
+// Every customer message emails the owner, so each thread's customer messages are throttled
+// through its `customerRateLimit` map. firestore.rules enforces the same numbers.
+const THREAD_MESSAGE_RATE_LIMIT = {
+  minIntervalMs: 10 * 1000,
+  windowMs: 60 * 60 * 1000,
+  maxPerWindow: 20,
+};
+const MESSAGE_RATE_LIMIT_ERROR = "You've sent several messages in a short time. Please wait a few minutes and try again.";
+
+// Works out the thread's next `customerRateLimit`, or an error if the customer must wait.
+const nextMessageRateLimit = (current, now = Date.now()) => {
+  const last = current?.lastMessageAt?.toMillis() || 0;
+  const windowStart = current?.windowStart?.toMillis() || 0;
+  const inWindow = now - windowStart < THREAD_MESSAGE_RATE_LIMIT.windowMs;
+  if (now - last < THREAD_MESSAGE_RATE_LIMIT.minIntervalMs || (inWindow && current.count >= THREAD_MESSAGE_RATE_LIMIT.maxPerWindow)) {
+    return { error: MESSAGE_RATE_LIMIT_ERROR };
+  }
+  return {
+    doc: {
+      lastMessageAt: serverTimestamp(),
+      windowStart: inWindow ? current.windowStart : serverTimestamp(),
+      count: inWindow ? current.count + 1 : 1,
+    },
+  };
+};
+
+// 16 random bytes as 22 base64url characters.
+const generateThreadId = () => btoa(String.fromCharCode(...crypto.getRandomValues(new Uint8Array(16))))
+  .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const getThreadSubject = (data) => data.shoeModel || (data.pairs || []).map(pair => pair.shoeModel).join(', ') || 'Your message';
+
+// Thread doc written alongside a new submission (or on the first reply to an older one).
+const createThreadDoc = (submissionId, data, userId) => ({
+  submissionId,
+  type: data.type,
+  firstName: (data.name || '').split(' ')[0],
+  subject: getThreadSubject(data),
+  userId,
+  createdAt: serverTimestamp(),
+  messageCount: 0,
+  unreadByAdmin: 0,
+  unreadByCustomer: 0,
+});
+
+// --- Appointments ---
+// Drop-off and pickup times for local customers. The admin's availability is stored in
+// /artifacts/{appId}/public/data/scheduling/availability. Booking a slot creates a private
+// appointment doc (/artifacts/{appId}/appointments/{slotId}, admin-only) and adds its time to the
+// day's public doc (/public/data/appointmentDays/{date}) in one transaction, so a slot can't be
+// taken twice and a day never goes over its cap. Dates and times are wall-clock values in the
+// shop's time zone; slot ids look like `2026-10-21T11:30`.
+
+const SHOP_TIME_ZONE = 'America/New_York';
+const WEEKDAY_LABELS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const SLOT_LENGTH_OPTIONS = [15, 20, 30, 45, 60, 90, 120];
+const APPOINTMENT_KINDS = { drop_off: 'Drop-off', pickup: 'Pickup' };
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const SLOT_UNAVAILABLE = 'slot-unavailable';
+const SLOT_TAKEN_ERROR = 'Sorry, that time was just booked or is no longer available. Please pick another one.';
+const APPOINTMENT_OFFLINE_ERROR = "Booking a time needs a connection. Try again once you're back online, or clear the time and we'll arrange one by email.";
+
+// Used until the admin saves availability. Online booking stays off until then.
+const DEFAULT_AVAILABILITY = {
+  enabled: true,
+  weeklyHours: WEEKDAY_LABELS.map((_, day) => ({ open: day >= 2, start: '11:00', end: '19:00' })),
+  blackoutDates: [],
+  slotMinutes: 30,
+  maxPerDay: 8,
+  minNoticeHours: 24,
+  bookingWindowDays: 21,
+};
+
+const normalizeAvailability = (data) => ({
+  ...DEFAULT_AVAILABILITY,
+  ...data,
+  weeklyHours: DEFAULT_AVAILABILITY.weeklyHours.map((day, index) => ({ ...day, ...(data.weeklyHours || [])[index] })),
+  blackoutDates: [...(data.blackoutDates || [])].sort(),
+});
+
+// Returns an error message, or '' when the settings can be saved.
+const validateAvailability = (availability) => {
+  const { weeklyHours, slotMinutes, maxPerDay, minNoticeHours, bookingWindowDays, blackoutDates } = availability;
+  const shortDay = weeklyHours.findIndex(day => day.open && toMinutes(day.end) - toMinutes(day.start) < slotMinutes);
+  if (shortDay !== -1) return `${WEEKDAY_LABELS[shortDay]} must be open for at least one ${slotMinutes}-minute slot.`;
+  if (!SLOT_LENGTH_OPTIONS.includes(slotMinutes)) return 'Choose a slot length from the list.';
+  if (!Number.isInteger(maxPerDay) || maxPerDay < 1 || maxPerDay > 50) return 'Max appointments per day must be between 1 and 50.';
+  if (!Number.isInteger(minNoticeHours) || minNoticeHours < 0 || minNoticeHours > 168) return 'Notice must be between 0 and 168 hours.';
+  if (!Number.isInteger(bookingWindowDays) || bookingWindowDays < 1 || bookingWindowDays > 90) return 'The booking window must be between 1 and 90 days.';
+  if (blackoutDates.some(date => !DATE_PATTERN.test(date))) return 'Blackout dates must look like 2026-12-25.';
+  return '';
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+const fromMinutes = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// Today's date (YYYY-MM-DD) in the shop's time zone.
+const getShopDate = (at = new Date()) => new Intl.DateTimeFormat('en-CA', { timeZone: SHOP_TIME_ZONE, year: 'numeric', month: '2-digit', day: '2-digit' }).format(at);
+
+const addDays = (date, days) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+const getWeekday = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+// Milliseconds for a wall-clock date and time in the shop's time zone.
+const shopTimeToMillis = (date, time) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  const asUtc = Date.UTC(year, month - 1, day, hours, minutes);
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: SHOP_TIME_ZONE, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+  }).formatToParts(new Date(asUtc)).map(part => [part.type, Number(part.value)]));
+  const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - asUtc;
+  return asUtc - offset;
+};
+
+const formatShopDay = (date) => new Intl.DateTimeFormat('en-US', { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric' }).format(new Date(`${date}T12:00:00Z`));
+const formatShopTime = (time) => new Intl.DateTimeFormat('en-US', { timeZone: 'UTC', hour: 'numeric', minute: '2-digit' }).format(new Date(`1970-01-01T${time}:00Z`));
+const formatAppointment = ({ date, time }) => `${formatShopDay(date)} at ${formatShopTime(time)}`;
+
+// Free slots on one day: inside opening hours, not taken, and no earlier than `earliest` (ms).
+const getDaySlots = (availability, date, booked, earliest) => {
+  const hours = availability.weeklyHours[getWeekday(date)];
+  if (!hours.open || availability.blackoutDates.includes(date) || booked.length >= availability.maxPerDay) return [];
+  const slots = [];
+  for (let start = toMinutes(hours.start); start + availability.slotMinutes <= toMinutes(hours.end); start += availability.slotMinutes) {
+    const time = fromMinutes(start);
+    const startsAt = shopTimeToMillis(date, time);
+    if (startsAt >= earliest && !booked.includes(time)) {
+      slots.push({ slotId: `${date}T${time}`, date, time, startsAt, minutes: availability.slotMinutes });
+    }
+  }
+  return slots;
+};
+
+// Days with free slots in the booking window. `bookedDays` maps dates to their taken times.
+const getOpenSlots = (availability, bookedDays, now = Date.now()) => {
+  const earliest = now + availability.minNoticeHours * 60 * 60 * 1000;
+  const today = getShopDate(new Date(now));
+  const days = [];
+  for (let offset = 0; offset < availability.bookingWindowDays; offset++) {
+    const date = addDays(today, offset);
+    const slots = getDaySlots(availability, date, bookedDays[date] || [], earliest);
+    if (slots.length) days.push({ date, slots });
+  }
+  return days;
+};
+
+// The shape stored on submissions (`appointment`) and tracking docs (`appointment`, `pickup`).
+const toStoredSlot = ({ kind, slotId, date, time, startsAt, minutes }) => ({
+  kind, slotId, date, time, startsAt: Timestamp.fromMillis(startsAt), minutes,
+});
+
+// Stored slots carry a Timestamp; freshly picked ones have milliseconds.
+const getAppointmentMillis = (appointment) => (typeof appointment.startsAt === 'number' ? appointment.startsAt : appointment.startsAt.toMillis());
+const isUpcomingAppointment = (appointment) => Boolean(appointment) && getAppointmentMillis(appointment) + appointment.minutes * 60 * 1000 > Date.now();
+
+const mapAppointmentDoc = (snapshot) => {
+  const data = snapshot.data({ serverTimestamps: 'estimate' });
+  return { ...data, id: snapshot.id, startsAt: data.startsAt.toMillis() };
+};
+
+// --- Calendar Export ---
+
+const toIcsTimestamp = (ms) => new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+const escapeIcsText = (text) => String(text || '').replace(/\\/g, '\\\\').replace(/\r?\n/g, '\\n').replace(/([,;])/g, '\\$1');
+// RFC 5545 lines are folded at 75 characters, continuing with a leading space.
+const foldIcsLine = (line) => line.match(/.{1,74}/g).join('\r\n ');
+
+// iCalendar file for `events` ({ uid, startsAt, minutes, summary, description }).
+const buildIcsCalendar = (events) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//2X Customs//Appointments//EN',
+  'CALSCALE:GREGORIAN',
+  'METHOD:PUBLISH',
+  ...events.flatMap(event => [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${toIcsTimestamp(Date.now())}`,
+    `DTSTART:${toIcsTimestamp(event.startsAt)}`,
+    `DTEND:${toIcsTimestamp(event.startsAt + event.minutes * 60 * 1000)}`,
+    `SUMMARY:${escapeIcsText(event.summary)}`,
+    ...(event.description ? [`DESCRIPTION:${escapeIcsText(event.description)}`] : []),
+    'END:VEVENT',
+  ]),
+  'END:VCALENDAR',
+].map(foldIcsLine).join('\r\n') + '\r\n';
+
+// --- Shipping ---
+// Ship-in bookings carry the customer's `returnAddress` (see ADDRESS_FIELDS). The admin records
+// the packages in a `shipping` map, copied as-is to the tracking doc so the customer sees the same
+// thing: { state, inbound, outbound, receivedAt, shippedAt, deliveredAt, updatedAt }, where
+// inbound and outbound are { carrier, trackingNumber, trackingUrl } or null.
+
+const SHIPPING_STATES = [
+  { value: 'awaiting', label: 'Awaiting package', customerLabel: "We're waiting for your package.", badge: 'bg-gray-500/20 text-gray-300' },
+  { value: 'inbound', label: 'On the way in', customerLabel: 'Your package is on its way to us.', badge: 'bg-sky-500/20 text-sky-300' },
+  { value: 'received', label: 'Received', customerLabel: 'We received your package.', badge: 'bg-amber-500/20 text-amber-300', stamp: 'receivedAt' },
+  { value: 'outbound', label: 'Shipped back', customerLabel: 'Your pair is on its way back to you.', badge: 'bg-teal-500/20 text-teal-300', stamp: 'shippedAt' },
+  { value: 'delivered', label: 'Delivered', customerLabel: 'Your package was delivered.', badge: 'bg-green-500/20 text-green-300', stamp: 'deliveredAt' },
+];
+
+// Tracking pages for the carriers suggested in the admin form; other carriers get no link.
+const SHIPPING_CARRIERS = {
+  USPS: 'https://tools.usps.com/go/TrackConfirmAction?tLabels=',
+  UPS: 'https://www.ups.com/track?tracknum=',
+  FedEx: 'https://www.fedex.com/fedextrack/?trknbr=',
+  DHL: 'https://www.dhl.com/us-en/home/tracking/tracking-express.html?submit=1&tracking-id=',
+};
+
+const EMPTY_ADDRESS = { name: '', line1: '', line2: '', city: '', state: '', zip: '' };
+
+// Where customers send their pairs, edited on the Appointments tab and stored next to the
+// availability settings in /artifacts/{appId}/public/data/scheduling/shipIn.
+const normalizeShipInSettings = (data) => ({
+  address: { ...EMPTY_ADDRESS, ...(data?.address || {}) },
+  packingNotes: data?.packingNotes || '',
+});
+
+const trimAddress = (address) => Object.fromEntries(Object.keys(EMPTY_ADDRESS).map(key => [key, (address[key] || '').trim()]));
+
+// Name, street lines and "City, ST 12345", skipping blanks.
+const formatAddressLines = (address) => (address ? [
+  address.name,
+  address.line1,
+  address.line2,
+  [address.city, [address.state, address.zip].filter(Boolean).join(' ')].filter(Boolean).join(', '),
+].filter(Boolean) : []);
+
+const getShippingStep = (state) => Math.max(SHIPPING_STATES.findIndex(s => s.value === state), 0);
+const getShippingState = (shipping) => SHIPPING_STATES[getShippingStep(shipping?.state)];
+
+// One package, or null when neither field is filled in.
+const toShipment = ({ carrier = '', trackingNumber = '' } = {}) => {
+  const name = carrier.trim();
+  const number = trackingNumber.replace(/\s+/g, '');
+  if (!name && !number) return null;
+  const known = Object.keys(SHIPPING_CARRIERS).find(key => key.toLowerCase() === name.toLowerCase());
+  return {
+    carrier: known || name,
+    trackingNumber: number,
+    trackingUrl: known && number ? `${SHIPPING_CARRIERS[known]}${encodeURIComponent(number)}` : '',
+  };
+};
+
+// The `shipping` map to save. Each step's stamp is kept from `previous` while the state is at or
+// past that step, set to `now` when it is first reached and cleared if the admin moves back.
+const buildShippingRecord = (previous, { state, inbound, outbound }, now) => {
+  const step = getShippingStep(state);
+  const record = { state, inbound: toShipment(inbound), outbound: toShipment(outbound), updatedAt: now };
+  SHIPPING_STATES.forEach(({ stamp }, index) => {
+    if (stamp) record[stamp] = index <= step ? (previous?.[stamp] || now) : null;
+  });
+  return record;
+};
+
+// --- Spam Protection ---
+// Public forms carry a honeypot field and note when they were opened. addSubmission flags
+// (rather than drops) suspicious entries so they land in the dashboard's Spam bucket, and
+// throttles each visitor through /artifacts/{appId}/rateLimits/{userId}, which firestore.rules
+// enforces with the same numbers.
+
+const SUBMISSION_RATE_LIMIT = {
+  minIntervalMs: 30 * 1000,
+  windowMs: 60 * 60 * 1000,
+  maxPerWindow: 5,
+  recentFingerprints: 5,
+};
+const MIN_FORM_FILL_MS = 3000;
+const RATE_LIMIT_ERROR = "You've sent several requests in a short time. Please wait a few minutes and try again.";
+
+const SPAM_REASONS = {
+  honeypot: 'Hidden bot field filled in',
+  too_fast: 'Sent seconds after opening the form',
+  duplicate: 'Same as an earlier submission',
+  manual: 'Marked as spam by an admin',
+};
+
+// Identifies repeat submissions of the same request regardless of spacing or case.
+const getSubmissionFingerprint = (data) => sha256Hex([
+  data.type, data.email, data.message, data.shoeModel, data.designRequest, data.customerNotes,
+  ...(data.pairs || []).map(pair => `${pair.shoeModel}/${pair.serviceId}`),
+].map(value => (value || '').trim().toLowerCase().replace(/\s+/g, ' ')).join('|'));
+
+// Works out the throttle doc for the next submission, or an error if the visitor must wait.
+const nextRateLimit = (current, fingerprint, now = Date.now()) => {
+  const last = current?.lastSubmissionAt?.toMillis() || 0;
+  const windowStart = current?.windowStart?.toMillis() || 0;
+  const inWindow = now - windowStart < SUBMISSION_RATE_LIMIT.windowMs;
+  if (now - last < SUBMISSION_RATE_LIMIT.minIntervalMs || (inWindow && current.count >= SUBMISSION_RATE_LIMIT.maxPerWindow)) {
+    return { error: RATE_LIMIT_ERROR };
+  }
+  const recent = current?.recentFingerprints || [];
+  return {
+    isDuplicate: recent.includes(fingerprint),
+    doc: {
+      lastSubmissionAt: serverTimestamp(),
+      windowStart: inWindow ? current.windowStart : serverTimestamp(),
+      count: inWindow ? current.count + 1 : 1,
+      recentFingerprints: [fingerprint, ...recent.filter(fp => fp !== fingerprint)].slice(0, SUBMISSION_RATE_LIMIT.recentFingerprints),
+    },
+  };
+};
+
+// Bot checks for a public form. Spread `honeypotProps` onto <HoneypotField>, pass `check()` to
+// addSubmission and call `reset()` after a successful send.
+const useFormGuard = () => {
+  const openedAt = useRef(Date.now());
+  const [honeypot, setHoneypot] = useState('');
+  const check = () => ({ honeypot: honeypot !== '', elapsedMs: Date.now() - openedAt.current });
+  const reset = () => {
+    openedAt.current = Date.now();
+    setHoneypot('');
+  };
+  return { honeypotProps: { value: honeypot, onChange: (e) => setHoneypot(e.target.value) }, check, reset };
+};
+
+// Off-screen rather than display:none, which some bots skip. Hidden from assistive tech and
+// out of the tab order so people never fill it in.
+const HoneypotField = (props) => (
+  <div aria-hidden="true" className="absolute -left-[10000px] w-px h-px overflow-hidden">
+    <label>
+      Website
+      <input type="text" name="website" tabIndex={-1} autoComplete="off" {...props} />
+    </label>
+  </div>
+);
+
+// --- Price Catalog ---
+
+const CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/;
+
+// Whole-dollar prices drop the cents ("$20", not "$20.00").
+const formatPrice = (amount, currency = CURRENCY) => formatCurrency(amount, currency).replace(/\.00$/, '');
+
+const formatPriceRange = ({ min, max, currency }) => {
+  if (max === null || max === undefined) return `${formatPrice(min, currency)}+`;
+  return min === max ? formatPrice(min, currency) : `${formatPrice(min, currency)}–${formatPrice(max, currency)}`;
+};
+
+const sortCatalog = (items) => [...items].sort((a, b) => (a.sortOrder - b.sortOrder) || a.name.localeCompare(b.name));
+
+// Active items of one category, in display order.
+const getCatalogItems = (catalog, category) => sortCatalog(catalog.filter(item => item.active && item.category === category));
+
+// Coerces a Firestore document into the catalog item shape.
+const normalizeCatalogItem = (id, data) => ({
+  id,
+  category: data.category,
+  name: String(data.name || ''),
+  description: String(data.description || ''),
+  min: Number(data.min) || 0,
+  max: data.max === null || data.max === undefined || data.max === '' ? null : Number(data.max),
+  currency: data.currency || CURRENCY,
+  active: data.active !== false,
+  sortOrder: Number(data.sortOrder) || 0,
+});
+
+// Returns an error message for an invalid item, or null.
+const validateCatalogItem = (item) => {
+  if (!item.name.trim()) return 'Name is required.';
+  if (!PRICE_CATEGORIES.some(c => c.value === item.category)) return 'Pick a category.';
+  if (!Number.isFinite(item.min) || item.min < 0) return 'Minimum price must be 0 or more.';
+  if (item.max !== null && (!Number.isFinite(item.max) || item.max < item.min)) return 'Maximum price must be at least the minimum.';
+  if (!CURRENCY_CODE_PATTERN.test(item.currency)) return 'Currency must be a 3-letter code like USD.';
+  return null;
+};
+
+const formatEstimate = (estimate) => formatPriceRange({ currency: CURRENCY, ...estimate });
+
+// Live price range for the custom booking estimator. Tiers without a max ("$100+") give an
+// open-ended estimate. Returns null until a tier is picked.
+const estimateCustom = ({ serviceId, panels, extras, rush }, catalog) => {
+  const tier = catalog.find(item => item.id === serviceId);
+  if (!tier) return null;
+  const extraPanels = Math.max(0, panels - CUSTOM_ESTIMATOR.includedPanels);
+  const addOns = CUSTOM_ESTIMATOR.extras.filter(extra => extras.includes(extra.value));
+  const total = (base, key) => base + extraPanels * CUSTOM_ESTIMATOR.panelPrice[key] + addOns.reduce((sum, extra) => sum + extra[key], 0);
+  const multiplier = rush ? CUSTOM_ESTIMATOR.rushMultiplier : 1;
+  return {
+    min: Math.round(total(tier.min, 'min') * multiplier),
+    max: tier.max === null ? null : Math.round(total(tier.max, 'max') * multiplier),
+    currency: tier.currency,
+  };
+};
+
+// One-line summary of the estimator options saved on a custom booking.
+const describeEstimatorOptions = ({ tier, panels, extras = [], rush }) => [
+  tier,
+  `${panels} ${panels === 1 ? 'area' : 'areas'}`,
+  ...CUSTOM_ESTIMATOR.extras.filter(extra => extras.includes(extra.value)).map(extra => extra.label),
+  rush && 'Rush',
+].filter(Boolean).join(' · ');
+
+// --- Gallery ---
+
+// Coerces a Firestore document into the gallery item shape.
+const normalizeGalleryItem = (id, data) => ({
+  id,
+  title: String(data.title || ''),
+  category: data.category || '',
+  description: String(data.description || ''),
+  tags: Array.isArray(data.tags) ? data.tags : [],
+  featured: Boolean(data.featured),
+  sortOrder: Number(data.sortOrder) || 0,
+  image: data.image || null,
+  beforeImage: data.beforeImage || null,
+});
+
+const sortGallery = (items) => [...items].sort((a, b) => a.sortOrder - b.sortOrder);
+
+// "Jordan 1, red ,  suede" -> ['jordan 1', 'red', 'suede']
+const parseTags = (text) => [...new Set(text.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+
+// Before/after pairs for the cleaning page, restorations first.
+const getBeforeAfterExamples = (items) => sortGallery(items.filter(item => item.beforeImage && item.image))
+  .sort((a, b) => Number(b.category === 'Restorations') - Number(a.category === 'Restorations'))
+  .slice(0, CLEANING_EXAMPLE_COUNT);
+
+// Featured items for the home page, topped up with the newest-ordered rest when there are too few.
+const getGalleryPreview = (items) => {
+  const sorted = sortGallery(items);
+  return [...sorted.filter(item => item.featured), ...sorted.filter(item => !item.featured)].slice(0, HOME_GALLERY_PREVIEW_COUNT);
+};
+
+// --- Reviews ---
+
+const mapReviewDoc = (snapshot) => {
+  const data = snapshot.data();
+  return { id: snapshot.id, ...data, createdAt: data.createdAt?.toDate ? data.createdAt.toDate() : null };
+};
+
+const summarizeRatings = (reviews) => {
+  if (!reviews.length) return { average: 0, count: 0 };
+  const total = reviews.reduce((sum, review) => sum + review.rating, 0);
+  return { average: Math.round((total / reviews.length) * 10) / 10, count: reviews.length };
+};
+
+// schema.org LocalBusiness with its aggregate rating and the displayed reviews, as JSON-LD.
+const buildReviewStructuredData = (reviews, summary) => JSON.stringify({
+  '@context': 'https://schema.org',
+  '@type': 'LocalBusiness',
+  name: '2X Customs',
+  description: 'Custom shoe designs, deep cleaning and restoration.',
+  aggregateRating: { '@type': 'AggregateRating', ratingValue: summary.average, reviewCount: summary.count, bestRating: 5, worstRating: 1 },
+  review: reviews.map(review => ({
+    '@type': 'Review',
+    author: { '@type': 'Person', name: review.displayName },
+    datePublished: review.createdAt ? review.createdAt.toISOString().slice(0, 10) : undefined,
+    reviewBody: review.text,
+    reviewRating: { '@type': 'Rating', ratingValue: review.rating, bestRating: 5, worstRating: 1 },
+  })),
+}).replace(/</g, '\\u003c'); // keep customer text from closing the <script> tag
+
+// --- Quotes ---
+
+const CURRENCY = 'USD';
+const currencyFormatters = new Map();
+const formatCurrency = (amount, currency = CURRENCY) => {
+  if (!currencyFormatters.has(currency)) {
+    currencyFormatters.set(currency, new Intl.NumberFormat('en-US', { style: 'currency', currency }));
+  }
+  return currencyFormatters.get(currency).format(Number(amount) || 0);
+};
+const roundCents = (amount) => Math.round((Number(amount) || 0) * 100) / 100;
+
+const QUOTE_VALIDITY_DAYS = 14;
+
+const createEmptyQuote = () => ({
+  lineItems: [],
+  discount: { type: 'amount', value: 0 },
+  deposit: 0,
+  expiresOn: addDays(getShopDate(), QUOTE_VALIDITY_DAYS),
+  customerNote: '',
+  currency: CURRENCY,
+  status: 'draft',
+});
+
+const calculateQuoteTotals = (quote) => {
+  const subtotal = roundCents((quote.lineItems || []).reduce((sum, item) => sum + (Number(item.quantity) || 0) * (Number(item.unitPrice) || 0), 0));
+  const discountValue = Number(quote.discount?.value) || 0;
+  const rawDiscount = quote.discount?.type === 'percent' ? subtotal * (discountValue / 100) : discountValue;
+  const discountAmount = roundCents(Math.min(Math.max(rawDiscount, 0), subtotal));
+  const total = roundCents(subtotal - discountAmount);
+  const deposit = roundCents(Math.min(Math.max(Number(quote.deposit) || 0, 0), total));
+  return { subtotal, discountAmount, total, deposit, balance: roundCents(total - deposit) };
+};
+
+// `expiresOn` is a YYYY-MM-DD date; the quote stays valid through the end of that day in the
+// shop's time zone. saveQuote stores that moment as `expiresAt`, which firestore.rules checks.
+const getQuoteExpiresAt = (expiresOn) => (expiresOn ? Timestamp.fromMillis(shopTimeToMillis(addDays(expiresOn, 1), '00:00')) : null);
+const isQuoteExpired = (quote) => {
+  const expiresAt = quote?.expiresAt || getQuoteExpiresAt(quote?.expiresOn);
+  return Boolean(expiresAt) && expiresAt.toMillis() <= Date.now();
+};
+
+// --- Invoices ---
+// Invoices are issued from a booking's quote and stored privately in
+// /artifacts/{appId}/invoices/{number}. Numbers come from a counter doc
+// (/artifacts/{appId}/counters/invoices) bumped in the same transaction, so they are sequential
+// and never reused. Line items, discount, tax and deposit are fixed once issued; only payments
+// and voiding change afterwards. A fully paid invoice prints as a receipt.
+
+const INVOICE_NUMBER_PREFIX = 'INV-';
+const INVOICE_DUE_DAYS = 14;
+const PAYMENT_METHODS = ['Cash', 'Card', 'Zelle', 'Venmo', 'Cash App', 'PayPal', 'Other'];
+
+const INVOICE_STATUSES = [
+  { value: 'open', label: 'Open', badge: 'bg-amber-500/20 text-amber-300' },
+  { value: 'paid', label: 'Paid', badge: 'bg-green-500/20 text-green-300' },
+  { value: 'void', label: 'Void', badge: 'bg-gray-500/20 text-gray-300' },
+];
+
+const formatInvoiceNumber = (sequence) => `${INVOICE_NUMBER_PREFIX}${String(sequence).padStart(4, '0')}`;
+
+// YYYY-MM-DD dates as "October 19, 2026".
+const formatInvoiceDate = (date) => (date
+  ? new Intl.DateTimeFormat('en-US', { timeZone: 'UTC', year: 'numeric', month: 'long', day: 'numeric' }).format(new Date(`${date}T12:00:00Z`))
+  : '');
+
+// Quote totals plus tax on the discounted amount. `taxRate` is a percentage. The deposit is what
+// the customer pays before work starts; `depositDue` is whatever part of it is still unpaid.
+const calculateInvoiceTotals = (invoice) => {
+  const { subtotal, discountAmount, total: taxableAmount } = calculateQuoteTotals({ lineItems: invoice.lineItems, discount: invoice.discount });
+  const tax = roundCents(taxableAmount * Math.max(Number(invoice.taxRate) || 0, 0) / 100);
+  const total = roundCents(taxableAmount + tax);
+  const deposit = roundCents(Math.min(Math.max(Number(invoice.deposit) || 0, 0), total));
+  const paid = roundCents((invoice.payments || []).reduce((sum, payment) => sum + (Number(payment.amount) || 0), 0));
+  return {
+    subtotal,
+    discountAmount,
+    tax,
+    total,
+    deposit,
+    paid,
+    depositDue: roundCents(Math.max(deposit - paid, 0)),
+    balance: roundCents(Math.max(total - paid, 0)),
+  };
+};
+
+const getInvoiceStatus = (invoice, totals = calculateInvoiceTotals(invoice)) => {
+  if (invoice.voidedAt) return 'void';
+  return totals.total > 0 && totals.balance === 0 ? 'paid' : 'open';
+};
+const getInvoiceStatusMeta = (status) => INVOICE_STATUSES.find(s => s.value === status) || INVOICE_STATUSES[0];
+const getInvoiceTitle = (invoice) => (invoice.status === 'paid' ? 'Receipt' : 'Invoice');
+
+// Draft for a new invoice: the booking's quote if it has one, otherwise the same starting lines
+// as a new quote (see createQuoteForSubmission).
+const createInvoiceDraft = (submission, catalog) => {
+  const quote = submission.quote || createQuoteForSubmission(submission, catalog);
+  const issuedOn = getShopDate();
+  return {
+    lineItems: (quote.lineItems || []).map(({ id, label, description, quantity, unitPrice }) => ({ id, label, description: description || '', quantity, unitPrice })),
+    discount: { ...(quote.discount || { type: 'amount', value: 0 }) },
+    taxRate: 0,
+    deposit: Number(quote.deposit) || 0,
+    issuedOn,
+    dueOn: addDays(issuedOn, INVOICE_DUE_DAYS),
+    notes: '',
+  };
+};
+
+// Totals in display order, shared by the printable page and the PDF.
+const getInvoiceTotalRows = (invoice) => {
+  const totals = calculateInvoiceTotals(invoice);
+  const discountLabel = invoice.discount?.type === 'percent' ? `Discount (${invoice.discount.value}%)` : 'Discount';
+  return [
+    { label: 'Subtotal', amount: totals.subtotal },
+    ...(totals.discountAmount > 0 ? [{ label: discountLabel, amount: -totals.discountAmount }] : []),
+    ...(totals.tax > 0 ? [{ label: `Tax (${Number(invoice.taxRate)}%)`, amount: totals.tax }] : []),
+    { label: 'Total', amount: totals.total, strong: true },
+    ...(totals.depositDue > 0 ? [{ label: 'Deposit due to start', amount: totals.depositDue }] : []),
+    ...(totals.paid > 0 ? [{ label: 'Paid', amount: -totals.paid }] : []),
+    { label: 'Balance due', amount: totals.balance, strong: true },
+  ];
+};
+
+const formatSignedCurrency = (amount) => (amount < 0 ? `−${formatCurrency(-amount)}` : formatCurrency(amount));
+
+// --- PDF Export ---
+// A small PDF writer for printable documents: US Letter pages of Helvetica text and rules, with
+// no embedded fonts or images, so no PDF library is needed. Text is WinAnsi-encoded; characters
+// outside it print as "?".
+
+const PDF_PAGE = { width: 612, height: 792, margin: 54 };
+const PDF_RED = [0.863, 0.149, 0.149];
+
+// Advance widths (1/1000 em) of ASCII 32–126 in the standard Helvetica metrics.
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556,
+  556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556,
+  556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556,
+  556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611,
+  611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+const WIN_ANSI_EXTRAS = { '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99, '−': 0x2d };
+
+const toWinAnsiCode = (char) => {
+  const code = char.codePointAt(0);
+  if ((code >= 32 && code < 127) || (code >= 160 && code <= 255)) return code;
+  return WIN_ANSI_EXTRAS[char] ?? 63;
+};
+
+// Literal string operand; bytes above ASCII are octal escapes so the file stays 7-bit.
+const toPdfString = (text) => `(${Array.from(String(text)).map(char => {
+  const code = toWinAnsiCode(char);
+  if (code === 40 || code === 41 || code === 92) return `\\${String.fromCharCode(code)}`;
+  return code < 127 ? String.fromCharCode(code) : `\\${code.toString(8)}`;
+}).join('')})`;
+
+const measurePdfText = (text, size, bold = false) => {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  const units = Array.from(String(text)).reduce((sum, char) => {
+    const code = toWinAnsiCode(char);
+    return sum + (code >= 32 && code < 127 ? widths[code - 32] : 556);
+  }, 0);
+  return units * size / 1000;
+};
+
+const wrapPdfText = (text, maxWidth, size, bold = false) => String(text || '').split('\n').flatMap(paragraph => {
+  const lines = [];
+  let line = '';
+  paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+    const next = line ? `${line} ${word}` : word;
+    if (line && measurePdfText(next, size, bold) > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = next;
+    }
+  });
+  return [...lines, line];
+});
+
+// Lays text out top to bottom from the top margin. `y` is the current baseline; `ensureSpace`
+// starts a new page when the next `height` points won't fit.
+const createPdfWriter = () => {
+  const { width, height, margin } = PDF_PAGE;
+  const pages = [[]];
+  let y = height - margin;
+  const ops = () => pages[pages.length - 1];
+  const writer = {
+    left: margin,
+    right: width - margin,
+    get y() { return y; },
+    moveDown: (amount) => { y -= amount; },
+    ensureSpace: (needed) => {
+      if (y - needed >= margin) return;
+      pages.push([]);
+      y = height - margin;
+    },
+    text: (x, text, { size = 10, bold = false, align = 'left', color = null } = {}) => {
+      const start = align === 'right' ? x - measurePdfText(text, size, bold) : x;
+      const fill = color ? `${color.join(' ')} rg` : '0 g';
+      ops().push(`BT ${fill} /${bold ? 'F2' : 'F1'} ${size} Tf ${start.toFixed(2)} ${y.toFixed(2)} Td ${toPdfString(text)} Tj ET`);
+    },
+    rule: (from = margin, to = width - margin, gray = 0.75) => {
+      ops().push(`${gray} G 0.75 w ${from} ${y.toFixed(2)} m ${to} ${y.toFixed(2)} l S`);
+    },
+    toPdf: () => buildPdf(pages),
+  };
+  return writer;
+};
+
+// Serializes pages of content-stream operators. Everything is ASCII, so string offsets are byte offsets.
+const buildPdf = (pages) => {
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    null,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+  ];
+  const kids = pages.map(ops => {
+    const content = ops.join('\n');
+    objects.push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE.width} ${PDF_PAGE.height}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${objects.length} 0 R >>`);
+    return `${objects.length} 0 R`;
+  });
+  objects[1] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>`;
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  return pdf;
+};
+
+// The invoice or receipt as a PDF, laid out like InvoicePage. `shopLines` is the shop's address.
+const buildInvoicePdf = (invoice, shopLines) => {
+  const pdf = createPdfWriter();
+  const { left, right } = pdf;
+  const muted = [0.42, 0.45, 0.5];
+  const title = getInvoiceTitle(invoice);
+
+  pdf.text(left, '2X', { size: 20, bold: true });
+  pdf.text(left + measurePdfText('2X ', 20, true), 'CUSTOMS', { size: 20, bold: true, color: PDF_RED });
+  pdf.text(right, invoice.status === 'void' ? `${title.toUpperCase()} (VOID)` : title.toUpperCase(), { size: 20, bold: true, align: 'right' });
+  pdf.moveDown(20);
+
+  const details = [
+    `No. ${invoice.number}`,
+    `Issued ${formatInvoiceDate(invoice.issuedOn)}`,
+    ...(invoice.status === 'open' && invoice.dueOn ? [`Due ${formatInvoiceDate(invoice.dueOn)}`] : []),
+    ...(invoice.trackingCode ? [`Order ${invoice.trackingCode}`] : []),
+  ];
+  const billTo = [invoice.customerName, invoice.customerEmail, ...formatAddressLines(invoice.billingAddress).slice(1)];
+  const rows = Math.max(shopLines.length, details.length);
+  for (let i = 0; i < rows; i += 1) {
+    if (shopLines[i]) pdf.text(left, shopLines[i], { size: 9, color: muted });
+    if (details[i]) pdf.text(right, details[i], { size: 9, align: 'right' });
+    pdf.moveDown(12);
+  }
+  pdf.moveDown(12);
+
+  pdf.text(left, 'BILL TO', { size: 8, bold: true, color: muted });
+  pdf.moveDown(14);
+  billTo.filter(Boolean).forEach((line, index) => {
+    pdf.text(left, line, { size: 10, bold: index === 0 });
+    pdf.moveDown(13);
+  });
+  pdf.moveDown(14);
+
+  const columns = { qty: 380, price: 460 };
+  const itemWidth = columns.qty - left - 50;
+  const tableHeader = () => {
+    pdf.text(left, 'ITEM', { size: 8, bold: true, color: muted });
+    pdf.text(columns.qty, 'QTY', { size: 8, bold: true, color: muted, align: 'right' });
+    pdf.text(columns.price, 'PRICE', { size: 8, bold: true, color: muted, align: 'right' });
+    pdf.text(right, 'AMOUNT', { size: 8, bold: true, color: muted, align: 'right' });
+    pdf.moveDown(6);
+    pdf.rule();
+    pdf.moveDown(14);
+  };
+  tableHeader();
+  invoice.lineItems.forEach(item => {
+    const label = wrapPdfText(item.label, itemWidth, 10);
+    const description = item.description ? wrapPdfText(item.description, itemWidth, 8) : [];
+    const height = label.length * 13 + description.length * 10 + 6;
+    if (pdf.y - height < PDF_PAGE.margin) {
+      pdf.ensureSpace(height + 40);
+      tableHeader();
+    }
+    pdf.text(columns.qty, String(item.quantity), { align: 'right' });
+    pdf.text(columns.price, formatCurrency(item.unitPrice), { align: 'right' });
+    pdf.text(right, formatCurrency(item.quantity * item.unitPrice), { align: 'right' });
+    label.forEach(line => {
+      pdf.text(left, line);
+      pdf.moveDown(13);
+    });
+    description.forEach(line => {
+      pdf.text(left, line, { size: 8, color: muted });
+      pdf.moveDown(10);
+    });
+    pdf.moveDown(6);
+  });
+  pdf.moveDown(-8);
+  pdf.rule();
+  pdf.moveDown(16);
+
+  const totalRows = getInvoiceTotalRows(invoice);
+  pdf.ensureSpace(totalRows.length * 15);
+  totalRows.forEach(row => {
+    pdf.text(340, row.label, { size: row.strong ? 11 : 10, bold: row.strong });
+    pdf.text(right, formatSignedCurrency(row.amount), { size: row.strong ? 11 : 10, bold: row.strong, align: 'right' });
+    pdf.moveDown(15);
+  });
+
+  if ((invoice.payments || []).length) {
+    pdf.moveDown(10);
+    pdf.ensureSpace(20 + invoice.payments.length * 13);
+    pdf.text(left, 'PAYMENTS', { size: 8, bold: true, color: muted });
+    pdf.moveDown(14);
+    invoice.payments.forEach(payment => {
+      pdf.text(left, [formatInvoiceDate(payment.paidOn), payment.method, payment.reference].filter(Boolean).join(' · '), { size: 9 });
+      pdf.text(right, formatCurrency(payment.amount), { size: 9, align: 'right' });
+      pdf.moveDown(13);
+    });
+  }
+
+  if (invoice.notes) {
+    const notes = wrapPdfText(invoice.notes, right - left, 9);
+    pdf.moveDown(10);
+    pdf.ensureSpace(20 + notes.length * 12);
+    pdf.text(left, 'NOTES', { size: 8, bold: true, color: muted });
+    pdf.moveDown(14);
+    notes.forEach(line => {
+      pdf.text(left, line, { size: 9 });
+      pdf.moveDown(12);
+    });
+  }
+
+  pdf.moveDown(16);
+  pdf.ensureSpace(14);
+  pdf.text(left, 'Thank you for choosing 2X Customs.', { size: 9, color: muted });
+  return pdf.toPdf();
+};
+
+// --- Admin Access ---
+
+const ADMIN_SESSION_MAX_AGE_MS = 12 * 60 * 60 * 1000;
+
+const ADMIN_AUTH_ERRORS = {
+  'auth/invalid-credential': 'Incorrect email or password.',
+  'auth/invalid-email': 'Enter a valid email address.',
+  'auth/too-many-requests': 'Too many attempts. Try again in a few minutes or reset your password.',
+  'auth/user-disabled': 'This account has been disabled.',
+};
+
+// An account is an admin if its ID token carries the `admin` custom claim, or if it has a
+// document in the allowlist at artifacts/{appId}/admins/{uid}. Anonymous (customer) sessions
+// never are. The session expires ADMIN_SESSION_MAX_AGE_MS after the user last entered a password.
+const resolveAdminAccess = async (user, db) => {
+  if (!user || user.isAnonymous) return { isAdmin: false };
+  try {
+    const token = await getIdTokenResult(user);
+    const expiresAt = Date.parse(token.authTime) + ADMIN_SESSION_MAX_AGE_MS;
+    if (token.claims.admin === true) return { isAdmin: true, expiresAt };
+    const allowlisted = await getDoc(doc(db, 'artifacts', APP_ID, 'admins', user.uid));
+    return { isAdmin: allowlisted.exists(), expiresAt };
+  } catch (error) {
+    // Treat a rejected allowlist read (permission-denied) as no access.
+    if (error.code !== 'permission-denied') console.error('Admin check failed', error);
+    return { isAdmin: false };
+  }
+};
+
+const useFirebase = () => {
+  const [db, setDb] = useState(null);
+  const [auth, setAuth] = useState(null);
+  const [storage, setStorage] = useState(null);
+  const [userId, setUserId] = useState(null);
+  const [isReady, setIsReady] = useState(false);
+  const [currentUser, setCurrentUser] = useState(null);
+  const [adminSession, setAdminSession] = useState(null); // { expiresAt } while a verified admin is signed in
+  const [adminSessionExpired, setAdminSessionExpired] = useState(false);
+  const snapshotListeners = useRef(new Set());
+  const [pendingSubmissions, setPendingSubmissions] = useState([]); // offline queue entries
+  const [sentSubmissions, setSentSubmissions] = useState([]); // queued submissions sent since load
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const isFlushing = useRef(false);
+
+  useEffect(() => {
+    if (!FIREBASE_CONFIG) {
+      console.error("Firebase config is missing.");
+      setIsReady(true);
+      return;
+    }
+
+    try {
+      const app = initializeApp(FIREBASE_CONFIG);
+      const newAuth = getAuth(app);
+      // Cached reads and queued writes survive reloads and flaky connections; all open tabs share one cache.
+      const newDb = initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) });
+      const newStorage = getStorage(app);
+
+      if (USE_FIREBASE_EMULATORS) {
+        connectAuthEmulator(newAuth, `http://${FIREBASE_EMULATOR_HOST}:9099`, { disableWarnings: true });
+        connectFirestoreEmulator(newDb, FIREBASE_EMULATOR_HOST, 8080);
+        connectStorageEmulator(newStorage, FIREBASE_EMULATOR_HOST, 9199);
+      }
+
+      // Admin access is re-checked for every auth change (including a session restored on load).
+      // `authCheck` drops results that arrive after a newer auth change.
+      let authCheck = 0;
+      const unsubscribe = onAuthStateChanged(newAuth, async (user) => {
+        const check = ++authCheck;
+        const access = await resolveAdminAccess(user, newDb);
+        if (check !== authCheck) return;
+
+        if (access.isAdmin && access.expiresAt <= Date.now()) {
+          // Signing out triggers this listener again with no user.
+          setAdminSessionExpired(true);
+          firebaseSignOut(newAuth).catch(e => console.error('Sign out failed', e));
+          return;
+        }
+
+        setUserId(user ? user.uid : null);
+        setCurrentUser(user || null);
+        setAdminSession(access.isAdmin ? { expiresAt: access.expiresAt } : null);
+        setIsReady(true);
+
+        // Visitors (and admins who just signed out) get an anonymous session for public submissions.
+        if (!user && !INITIAL_AUTH_TOKEN) {
+          signInAnonymously(newAuth).catch(() => { /* ignore */ });
+        }
+      });
+
+      if (INITIAL_AUTH_TOKEN) {
+        signInWithCustomToken(newAuth, INITIAL_AUTH_TOKEN).catch(e => console.error('Custom token sign-in failed', e));
+      }
+      setAuth(newAuth);
+      setDb(newDb);
+      setStorage(newStorage);
+
+      return () => unsubscribe();
+    } catch (error) {
+      console.error("Firebase initialization failed:", error);
+      setIsReady(true);
+    }
+  }, []);
+
+  // Public submission path: /artifacts/{appId}/public/data/submissions
+  const getSubmissionsCollectionRef = useCallback(() => {
+    if (!db) return null;
+    return collection(db, 'artifacts', APP_ID, 'public', 'data', 'submissions');
+  }, [db]);
+
+  // Public order tracking path: /artifacts/{appId}/public/data/tracking
+  const getTrackingCollectionRef = useCallback(() => {
+    if (!db) return null;
+    return collection(db, 'artifacts', APP_ID, 'public', 'data', 'tracking');
+  }, [db]);
+
+  // Public price catalog path: /artifacts/{appId}/public/data/priceCatalog
+  const getPriceCatalogCollectionRef = useCallback(() => {
+    if (!db) return null;
+    return collection(db, 'artifacts', APP_ID, 'public', 'data', 'priceCatalog');
+  }, [db]);
+
+  // Public reviews path: /artifacts/{appId}/public/data/reviews (one per order, keyed by tracking id)
+  const getReviewsCollectionRef = useCallback(() => {
+    if (!db) return null;
+    return collection(db, 'artifacts', APP_ID, 'public', 'data', 'reviews');
+  }, [db]);
+
+  // Public message threads path: /artifacts/{appId}/public/data/threads (see Message Threads)
+  const getThreadsCollectionRef = useCallback(() => {
+    if (!db) return null;
+    return collection(db, 'artifacts', APP_ID, 'public', 'data', 'threads');
+  }, [db]);
+
+  // Public gallery path: /artifacts/{appId}/public/data/gallery
+  const getGalleryCollectionRef = useCallback(() => {
+    if (!db) return null;
+    return collection(db, 'artifacts', APP_ID, 'public', 'data', 'gallery');
+  }, [db]);
+
+  // Public availability settings: /artifacts/{appId}/public/data/scheduling/availability
+  const getAvailabilityRef = useCallback(() => {
+    if (!db) return null;
+    return doc(db, 'artifacts', APP_ID, 'public', 'data', 'scheduling', 'availability');
+  }, [db]);
+
+  // Public ship-in settings: /artifacts/{appId}/public/data/scheduling/shipIn (see Shipping)
+  const getShipInSettingsRef = useCallback(() => {
+    if (!db) return null;
+    return doc(db, 'artifacts', APP_ID, 'public', 'data', 'scheduling', 'shipIn');
+  }, [db]);
+
+  // Public taken times per day: /artifacts/{appId}/public/data/appointmentDays/{date}
+  const getAppointmentDaysCollectionRef = useCallback(() => {
+    if (!db) return null;
+    return collection(db, 'artifacts', APP_ID, 'public', 'data', 'appointmentDays');
+  }, [db]);
+
+  // Private appointment details: /artifacts/{appId}/appointments/{slotId} (admins only)
+  const getAppointmentsCollectionRef = useCallback(() => {
+    if (!db) return null;
+    return collection(db, 'artifacts', APP_ID, 'appointments');
+  }, [db]);
+
+  // Books `slot` inside `transaction` (see Appointments): re-reads the availability and the day,
+  // then writes the appointment and adds its time to the day. Throws SLOT_UNAVAILABLE if the slot
+  // was taken or closed in the meantime. All reads happen before any write, as transactions require.
+  const reserveSlot = useCallback(async (transaction, slot, details) => {
+    const dayRef = doc(getAppointmentDaysCollectionRef(), slot.date);
+    const [availabilitySnapshot, daySnapshot] = await Promise.all([transaction.get(getAvailabilityRef()), transaction.get(dayRef)]);
+    const availability = availabilitySnapshot.exists() ? normalizeAvailability(availabilitySnapshot.data()) : null;
+    const booked = daySnapshot.exists() ? daySnapshot.data().times : [];
+    const isOpen = availability?.enabled
+      && availability.slotMinutes === slot.minutes
+      && getDaySlots(availability, slot.date, booked, Date.now()).some(open => open.slotId === slot.slotId);
+    if (!isOpen) {
+      const error = new Error(SLOT_TAKEN_ERROR);
+      error.code = SLOT_UNAVAILABLE;
+      throw error;
+    }
+
+    transaction.set(doc(getAppointmentsCollectionRef(), slot.slotId), {
+      ...toStoredSlot(slot),
+      ...details,
+      userId,
+      createdAt: serverTimestamp(),
+    });
+    transaction.set(dayRef, { date: slot.date, times: [...booked, slot.time], lastSlotId: slot.slotId });
+  }, [getAvailabilityRef, getAppointmentDaysCollectionRef, getAppointmentsCollectionRef, userId]);
+
+  // The writes that undo reserveSlot for a booked slot: delete the appointment and take its time
+  // off the day. Each is a function of the batch to write to.
+  const getReleaseSlotWrites = useCallback(({ slotId, date, time }) => [
+    batch => batch.delete(doc(getAppointmentsCollectionRef(), slotId)),
+    batch => batch.update(doc(getAppointmentDaysCollectionRef(), date), { times: arrayRemove(time) }),
+  ], [getAppointmentDaysCollectionRef, getAppointmentsCollectionRef]);
+
+  // Submissions that carry a `status` (bookings) also get a tracking code and a public
+  // tracking doc, written in the same batch so one never exists without the other. `guard` is
+  // the public form's useFormGuard check; the visitor's rate limit doc is bumped in the batch too.
+  // Throws on Firestore errors; a rate-limited visitor gets `{ success: false, isRateLimited: true }`.
+  const writeSubmission = useCallback(async (data, guard, submissionId) => {
+    const rateLimitRef = doc(db, 'artifacts', APP_ID, 'rateLimits', userId);
+    const fingerprint = await getSubmissionFingerprint(data);
+    const rateLimit = nextRateLimit((await withTimeout(getDoc(rateLimitRef), SUBMISSION_RETRY.writeTimeoutMs)).data(), fingerprint);
+    if (rateLimit.error) return { success: false, error: rateLimit.error, isRateLimited: true };
+
+    const spamReasons = [
+      guard.honeypot && 'honeypot',
+      guard.elapsedMs < MIN_FORM_FILL_MS && 'too_fast',
+      rateLimit.isDuplicate && 'duplicate',
+    ].filter(Boolean);
+    const threadId = generateThreadId();
+    const submission = {
+      ...data,
+      ...(data.appointment ? { appointment: toStoredSlot(data.appointment) } : {}),
+      fingerprint,
+      ...(spamReasons.length ? { spam: true, spamReasons } : {}),
+      threadId,
+      userId: userId,
+      timestamp: serverTimestamp(),
+    };
+
+    const docRef = doc(getSubmissionsCollectionRef(), submissionId);
+    const writes = [
+      [rateLimitRef, rateLimit.doc],
+      [doc(getThreadsCollectionRef(), threadId), createThreadDoc(docRef.id, data, userId)],
+    ];
+    let result = { success: true, docId: docRef.id, threadId };
+    let trackingId = null;
+    if (!data.status) {
+      writes.push([docRef, submission]);
+    } else {
+      const trackingCode = generateTrackingCode();
+      trackingId = await getTrackingId(trackingCode, data.email);
+      writes.push([docRef, { ...submission, trackingCode, trackingId }], [doc(getTrackingCollectionRef(), trackingId), {
+        trackingCode,
+        submissionId: docRef.id,
+        type: data.type,
+        firstName: (data.name || '').split(' ')[0],
+        shoeModel: data.shoeModel || (data.pairs || []).map(pair => pair.shoeModel).join(', '),
+        status: data.status,
+        statusHistory: [{ status: data.status, changedAt: Timestamp.now() }],
+        publicNotes: [],
+        ...(data.delivery ? { delivery: data.delivery } : {}),
+        ...(submission.appointment ? { appointment: submission.appointment } : {}),
+        threadId,
+        userId: userId,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+      }]);
+      result = { ...result, trackingCode, trackingId };
+    }
+
+    // A drop-off time is reserved in the same transaction as the submission (see Appointments).
+    // Like createInvoice, the transaction isn't raced against the write timeout: it could still
+    // commit afterwards, and the customer would be told to try again and book a second slot.
+    if (!data.appointment) {
+      const batch = writeBatch(db);
+      writes.forEach(([ref, value]) => batch.set(ref, value));
+      await withTimeout(batch.commit(), SUBMISSION_RETRY.writeTimeoutMs);
+      return result;
+    }
+    try {
+      await runTransaction(db, async (transaction) => {
+        await reserveSlot(transaction, data.appointment, {
+          submissionId: docRef.id,
+          trackingId,
+          type: data.type,
+          name: data.name,
+          email: data.email,
+          shoeModel: data.shoeModel || (data.pairs || []).map(pair => pair.shoeModel).join(', '),
+        });
+        writes.forEach(([ref, value]) => transaction.set(ref, value));
+      });
+    } catch (error) {
+      if (error.code === SLOT_UNAVAILABLE) return { success: false, error: error.message, isAppointmentError: true };
+      throw error;
+    }
+    return result;
+  }, [getSubmissionsCollectionRef, getTrackingCollectionRef, getThreadsCollectionRef, reserveSlot, db, userId]);
+
+  const refreshPendingSubmissions = useCallback(async () => {
+    try {
+      setPendingSubmissions(await offlineQueue.list());
+    } catch (error) {
+      console.error("Could not read the offline queue:", error);
+    }
+  }, []);
+
+  // Saves a submission to the offline queue. `fallbackError` is returned if IndexedDB is unavailable.
+  const queueSubmission = useCallback(async (data, guard, { submissionId, files = [], fallbackError }) => {
+    try {
+      await offlineQueue.put({
+        id: submissionId || `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`,
+        data,
+        guard,
+        files,
+        userId,
+        queuedAt: Date.now(),
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+        lastError: '',
+        failed: false,
+      });
+      await refreshPendingSubmissions();
+      return { success: true, queued: true };
+    } catch (error) {
+      console.error("Could not queue submission:", error);
+      return { success: false, error: fallbackError };
+    }
+  }, [userId, refreshPendingSubmissions]);
+
+  // Public form submissions. Invalid data is rejected with `fieldErrors` (see validateSubmission)
+  // before anything is written. When the write can't happen now it is queued and the result has
+  // `queued: true` (no tracking code yet); `pendingFiles` are reference photos that couldn't be
+  // uploaded, which always queues the submission.
+  const addSubmission = useCallback(async (data, guard = {}, pendingFiles = []) => {
+    const fieldErrors = validateSubmission(data);
+    if (Object.keys(fieldErrors).length) {
+      return { success: false, error: FIELD_ERRORS_MESSAGE, fieldErrors };
+    }
+    // A time slot can't be held offline, so bookings with one are never queued.
+    if (!db || !userId || !navigator.onLine || pendingFiles.length) {
+      if (data.appointment) return { success: false, error: APPOINTMENT_OFFLINE_ERROR, isAppointmentError: true };
+      return queueSubmission(data, guard, { files: pendingFiles, fallbackError: SUBMISSION_ERROR_MESSAGE });
+    }
+
+    const submissionId = doc(getSubmissionsCollectionRef()).id;
+    try {
+      return await writeSubmission(data, guard, submissionId);
+    } catch (error) {
+      console.error("Error adding document:", error);
+      if (!isRetryableError(error)) return { success: false, error: error.message };
+      if (data.appointment) return { success: false, error: APPOINTMENT_OFFLINE_ERROR, isAppointmentError: true };
+      return queueSubmission(data, guard, { submissionId, fallbackError: SUBMISSION_ERROR_MESSAGE });
+    }
+  }, [getSubmissionsCollectionRef, writeSubmission, queueSubmission, db, userId]);
+
+  // Customer lookup for the Track My Order page. Returns `{ success: false }` for any
+  // code/email mismatch without revealing which part was wrong.
+  const lookupOrder = useCallback(async (code, email) => {
+    const trackingRef = getTrackingCollectionRef();
+    if (!trackingRef) return { success: false, error: "Database not ready." };
+
+    try {
+      const snapshot = await getDoc(doc(trackingRef, await getTrackingId(code, email)));
+      if (!snapshot.exists()) {
+        return { success: false, error: "We couldn't find an order with that code and email." };
+      }
+      return { success: true, order: { ...snapshot.data(), trackingId: snapshot.id } };
+    } catch (error) {
+      console.error("Error looking up order:", error);
+      return { success: false, error: "We couldn't find an order with that code and email." };
+    }
+  }, [getTrackingCollectionRef]);
+
+  // Streams one tracking doc by id for pages linked from emails (mail-in instructions);
+  // `onChange` receives null if there is no such order. Public listener.
+  const subscribeToTrackedOrder = useCallback((trackingId, onChange, onError) => {
+    const trackingRef = getTrackingCollectionRef();
+    if (!trackingRef || !trackingId) return () => {};
+
+    return onSnapshot(doc(trackingRef, trackingId), (snapshot) => {
+      onChange(snapshot.exists() ? { ...snapshot.data({ serverTimestamps: 'estimate' }), trackingId: snapshot.id } : null);
+    }, (error) => {
+      console.error("Order listener failed:", error);
+      if (onError) onError(error);
+    });
+  }, [getTrackingCollectionRef]);
+  
+  // Compresses and uploads an image to /artifacts/{appId}/{folder}/... (customer reference
+  // photos under uploads/{userId}, dashboard gallery images under gallery).
+  // `onProgress` receives a 0-100 percentage while the upload runs.
+  const uploadImage = useCallback(async (file, folder, onProgress) => {
+    // `offline` tells the custom form to queue the photo with the submission instead.
+    if (!storage || !userId || !navigator.onLine) {
+      return { success: false, error: "Storage not ready.", offline: true };
+    }
+
+    try {
+      const { blob, width, height } = await compressImage(file);
+      // storage.rules rejects anything this big, so don't start an upload that can't land.
+      if (blob.size >= REFERENCE_IMAGE_LIMITS.maxUploadSize) {
+        return { success: false, error: `${file.name} is still larger than ${formatFileSize(REFERENCE_IMAGE_LIMITS.maxUploadSize)} after resizing.`, offline: false, tooLarge: true };
+      }
+      const contentType = blob.type || file.type;
+      const extension = contentType === 'image/jpeg' ? 'jpg' : contentType.split('/')[1];
+      const baseName = file.name.replace(/\.[^.]+$/, '').replace(/[^a-zA-Z0-9_-]+/g, '-').slice(0, 40) || 'image';
+      const path = `artifacts/${APP_ID}/${folder}/${Date.now()}-${Math.random().toString(36).slice(2, 8)}-${baseName}.${extension}`;
+
+      const task = uploadBytesResumable(storageRef(storage, path), blob, { contentType });
+      await new Promise((resolve, reject) => {
+        task.on('state_changed',
+          (snapshot) => onProgress && onProgress(Math.round((snapshot.bytesTransferred / snapshot.totalBytes) * 100)),
+          reject,
+          resolve
+        );
+      });
+
+      const url = await getDownloadURL(task.snapshot.ref);
+      return { success: true, image: { url, path, name: file.name, size: blob.size, contentType, width, height } };
+    } catch (error) {
+      console.error("Error uploading image:", error);
+      return { success: false, error: error.message, offline: !navigator.onLine || isRetryableError(error) };
+    }
+  }, [storage, userId]);
+
+  const uploadReferenceImage = useCallback((file, onProgress) => uploadImage(file, `uploads/${userId}`, onProgress), [uploadImage, userId]);
+  const uploadGalleryImage = useCallback((file, onProgress) => uploadImage(file, 'gallery', onProgress), [uploadImage]);
+
+  // Sends one queued submission: checks whether an earlier attempt already landed, uploads any
+  // queued photos (saving progress so they aren't uploaded twice), then writes it.
+  const sendQueuedSubmission = useCallback(async (entry) => {
+    const findSent = async () => {
+      const existing = await withTimeout(getDocFromServer(doc(getSubmissionsCollectionRef(), entry.id)), SUBMISSION_RETRY.writeTimeoutMs);
+      return existing.exists() ? { success: true, trackingCode: existing.data().trackingCode } : null;
+    };
+
+    try {
+      const sent = await findSent();
+      if (sent) return sent;
+
+      let current = entry;
+      while (current.files?.length) {
+        const upload = await uploadReferenceImage(current.files[0]);
+        if (!upload.success) return { success: false, error: upload.error, retryable: upload.offline };
+        current = {
+          ...current,
+          data: { ...current.data, referenceImages: [...(current.data.referenceImages || []), upload.image] },
+          files: current.files.slice(1),
+        };
+        await offlineQueue.put(current);
+      }
+
+      const result = await writeSubmission(current.data, current.guard || {}, current.id);
+      return result.isRateLimited ? { ...result, retryable: true } : result;
+    } catch (error) {
+      // A timed-out write stays pending inside Firestore and may land before ours, which the
+      // rules then reject as an update.
+      if (error.code === 'permission-denied') {
+        const sent = await findSent().catch(() => null);
+        if (sent) return sent;
+      }
+      console.error("Error sending queued submission:", error);
+      return { success: false, error: error.message, retryable: isRetryableError(error) };
+    }
+  }, [getSubmissionsCollectionRef, uploadReferenceImage, writeSubmission]);
+
+  // Sends every queued submission that is due. `immediate` skips the backoff (connectivity just
+  // came back, or the visitor pressed retry); entries that failed for good are left alone.
+  const flushSubmissionQueue = useCallback(async ({ immediate = false } = {}) => {
+    if (!db || !userId || !navigator.onLine || isFlushing.current) return;
+    isFlushing.current = true;
+    try {
+      for (const entry of await offlineQueue.list()) {
+        if (entry.failed || (!immediate && entry.nextAttemptAt > Date.now())) continue;
+        const result = await sendQueuedSubmission(entry);
+        if (result.success) {
+          await offlineQueue.remove(entry.id);
+          setSentSubmissions(prev => [...prev, { id: entry.id, type: entry.data.type, trackingCode: result.trackingCode }]);
+          continue;
+        }
+        // Re-read the entry: photo uploads may have made progress.
+        const latest = (await offlineQueue.list()).find(e => e.id === entry.id) || entry;
+        const attempts = latest.attempts + 1;
+        await offlineQueue.put({
+          ...latest,
+          attempts,
+          lastError: result.error || '',
+          failed: !result.retryable,
+          nextAttemptAt: Date.now() + (result.isRateLimited ? Math.max(getRetryDelay(attempts), SUBMISSION_RATE_LIMIT.minIntervalMs) : getRetryDelay(attempts)),
+        });
+        if (!navigator.onLine) break;
+      }
+    } catch (error) {
+      console.error("Could not flush the offline queue:", error);
+    } finally {
+      isFlushing.current = false;
+      await refreshPendingSubmissions();
+    }
+  }, [db, userId, sendQueuedSubmission, refreshPendingSubmissions]);
+
+  // Clears the failed flag on every entry and sends them now.
+  const retryPendingSubmissions = useCallback(async () => {
+    try {
+      for (const entry of await offlineQueue.list()) {
+        if (entry.failed) await offlineQueue.put({ ...entry, failed: false });
+      }
+    } catch (error) {
+      console.error("Could not read the offline queue:", error);
+    }
+    await flushSubmissionQueue({ immediate: true });
+  }, [flushSubmissionQueue]);
+
+  const discardPendingSubmission = useCallback(async (id) => {
+    try {
+      await offlineQueue.remove(id);
+    } catch (error) {
+      console.error("Could not discard queued submission:", error);
+    }
+    await refreshPendingSubmissions();
+  }, [refreshPendingSubmissions]);
+
+  const dismissSentSubmission = useCallback((id) => {
+    setSentSubmissions(prev => prev.filter(entry => entry.id !== id));
+  }, []);
+
+  useEffect(() => {
+    refreshPendingSubmissions();
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [refreshPendingSubmissions]);
+
+  // Retries as soon as the session (re)appears or the connection comes back, then on a timer
+  // while anything is still waiting.
+  const hasQueuedSubmissions = pendingSubmissions.some(entry => !entry.failed);
+  useEffect(() => {
+    if (!hasQueuedSubmissions || !isOnline) return undefined;
+    flushSubmissionQueue({ immediate: true });
+    const timer = setInterval(() => flushSubmissionQueue(), SUBMISSION_RETRY.checkIntervalMs);
+    return () => clearInterval(timer);
+  }, [hasQueuedSubmissions, isOnline, flushSubmissionQueue]);
+
+  // Fetches one page of submissions matching `filters`, starting after `cursor` (the last
+  // document snapshot of the previous page). Returns the cursor for the next page.
+  const fetchSubmissions = useCallback(async ({ filters = {}, cursor = null } = {}) => {
+    const submissionsRef = getSubmissionsCollectionRef();
+    if (!submissionsRef) return { submissions: [], cursor: null, hasMore: false };
+    
+    try {
+      // Fetch and order by timestamp (most recent first)
+      const constraints = [...buildSubmissionConstraints(filters), limit(SUBMISSIONS_PAGE_SIZE)];
+      if (cursor) constraints.push(startAfter(cursor));
+      const querySnapshot = await getDocs(query(submissionsRef, ...constraints));
+      return {
+        submissions: querySnapshot.docs.map(mapSubmissionDoc),
+        cursor: querySnapshot.docs[querySnapshot.docs.length - 1] || cursor,
+        hasMore: querySnapshot.size === SUBMISSIONS_PAGE_SIZE,
+      };
+    } catch (error) {
+      console.error("Error fetching documents:", error);
+      return { submissions: [], cursor, hasMore: false, error: error.message };
+    }
+  }, [getSubmissionsCollectionRef]);
+
+  // Every submission matching `filters`, unpaginated, for the Analytics tab. It only filters on
+  // the date range, which needs no composite index.
+  const fetchAllSubmissions = useCallback(async (filters = {}) => {
+    const submissionsRef = getSubmissionsCollectionRef();
+    if (!submissionsRef) return { submissions: [], error: "Database not ready." };
+
+    try {
+      const querySnapshot = await getDocs(query(submissionsRef, ...buildSubmissionConstraints(filters)));
+      return { submissions: querySnapshot.docs.map(mapSubmissionDoc) };
+    } catch (error) {
+      console.error("Error fetching documents:", error);
+      return { submissions: [], error: error.message };
+    }
+  }, [getSubmissionsCollectionRef]);
+
+  // Streams the newest page of submissions matching `filters`. `onChange(submissions, meta)` fires
+  // on every change with:
+  //   added      - documents newer than anything seen before (new arrivals, for alerts)
+  //   removedIds - documents deleted or no longer matching the filters. Documents that merely
+  //                slid past the end of the page are not included, so callers can keep them.
+  //   cursor     - last document of the page, for fetchSubmissions to continue from
+  // Returns an unsubscribe function. Listeners are also torn down by signOutAdmin.
+  const subscribeToSubmissions = useCallback((filters, onChange, onError) => {
+    const submissionsRef = getSubmissionsCollectionRef();
+    if (!submissionsRef) return () => {};
+
+    let isInitial = true;
+    let newestSeen = 0;
+    const q = query(submissionsRef, ...buildSubmissionConstraints(filters), limit(SUBMISSIONS_PAGE_SIZE));
+    // Metadata changes tell the dashboard when it switches between cached and live data.
+    const unsubscribe = onSnapshot(q, { includeMetadataChanges: true }, (snapshot) => {
+      const docs = snapshot.docs.map(mapSubmissionDoc);
+      const oldest = docs[docs.length - 1];
+      const pageIsFull = snapshot.size >= SUBMISSIONS_PAGE_SIZE;
+      const changes = snapshot.docChanges();
+
+      const added = isInitial ? [] : changes
+        .filter(change => change.type === 'added' && !change.doc.metadata.hasPendingWrites)
+        .map(change => mapSubmissionDoc(change.doc))
+        .filter(s => (s.createdAt?.getTime() || 0) > newestSeen);
+      const removedIds = changes
+        .filter(change => change.type === 'removed')
+        .filter(change => {
+          if (!pageIsFull || !oldest?.createdAt) return true;
+          const createdAt = mapSubmissionDoc(change.doc).createdAt;
+          return !createdAt || createdAt >= oldest.createdAt;
+        })
+        .map(change => change.doc.id);
+
+      docs.forEach(s => { newestSeen = Math.max(newestSeen, s.createdAt?.getTime() || 0); });
+      onChange(docs, {
+        added,
+        removedIds,
+        isInitial,
+        cursor: snapshot.docs[snapshot.docs.length - 1] || null,
+        hasMore: pageIsFull,
+        fromCache: snapshot.metadata.fromCache,
+      });
+      isInitial = false;
+    }, (error) => {
+      console.error("Submissions listener failed:", error);
+      if (onError) onError(error);
+    });
+
+    snapshotListeners.current.add(unsubscribe);
+    return () => {
+      snapshotListeners.current.delete(unsubscribe);
+      unsubscribe();
+    };
+  }, [getSubmissionsCollectionRef]);
+
+  // Restores records produced by submissionsToJson, keeping their original document ids, and
+  // recreates the tracking doc of each booking so its code keeps working. Tracking docs are
+  // merged so a pickup or review already on them survives. Writes 250 records per batch because
+  // Firestore caps a batch at 500 operations.
+  const importSubmissions = useCallback(async (records) => {
+    const submissionsRef = getSubmissionsCollectionRef();
+    const trackingRef = getTrackingCollectionRef();
+    if (!submissionsRef || !trackingRef || !db) {
+      return { success: false, error: "Database not ready." };
+    }
+
+    try {
+      for (let i = 0; i < records.length; i += 250) {
+        const batch = writeBatch(db);
+        records.slice(i, i + 250).forEach(({ id, data }) => {
+          // `importedAt` tells the email triggers this is a restore, not a new or updated booking.
+          batch.set(doc(submissionsRef, id), { ...data, importedAt: serverTimestamp() });
+          if (data.trackingId && data.trackingCode) {
+            batch.set(doc(trackingRef, data.trackingId), buildTrackingDoc(id, data), { merge: true });
+          }
+        });
+        await batch.commit();
+      }
+      return { success: true, count: records.length };
+    } catch (error) {
+      console.error("Error importing submissions:", error);
+      return { success: false, error: error.message };
+    }
+  }, [getSubmissionsCollectionRef, getTrackingCollectionRef, db]);
+
+  // Moves a submission into or out of the Spam bucket. Automatic flags stay in `spamReasons`.
+  const setSubmissionSpam = useCallback(async (submission, isSpam) => {
+    const submissionsRef = getSubmissionsCollectionRef();
+    if (!submissionsRef) {
+      return { success: false, error: "Database not ready." };
+    }
+
+    try {
+      await updateDoc(doc(submissionsRef, submission.id), isSpam ? { spam: true, spamReasons: arrayUnion('manual') } : { spam: false });
+      return { success: true };
+    } catch (error) {
+      console.error("Error updating spam flag:", error);
+      return { success: false, error: error.message };
+    }
+  }, [getSubmissionsCollectionRef]);
+
+  // Deletes submissions with their tracking docs and message threads and frees their drop-off and
+  // pickup times, each submission's writes in one batch where they fit, then (best effort) deletes
+  // their reference photos and message attachments.
+  const deleteSubmissions = useCallback(async (submissions) => {
+    const submissionsRef = getSubmissionsCollectionRef();
+    if (!submissionsRef || !db) {
+      return { success: false, error: "Database not ready." };
+    }
+
+    try {
+      const images = submissions.flatMap(submission => submission.referenceImages || []);
+      const groups = await Promise.all(submissions.map(async (submission) => {
+        const refs = [doc(submissionsRef, submission.id)];
+        // A pickup is only recorded on the tracking doc.
+        const slots = submission.appointment ? [submission.appointment] : [];
+        if (submission.trackingId) {
+          const trackingRef = doc(getTrackingCollectionRef(), submission.trackingId);
+          const pickup = (await getDoc(trackingRef)).data()?.pickup;
+          if (pickup) slots.push(pickup);
+          refs.push(trackingRef);
+        }
+        if (submission.threadId) {
+          const threadRef = doc(getThreadsCollectionRef(), submission.threadId);
+          const messages = await getDocs(collection(threadRef, 'messages'));
+          messages.docs.forEach(message => images.push(...(message.data().attachments || [])));
+          refs.push(...messages.docs.map(message => message.ref), threadRef);
+        }
+        return [...refs.map(ref => batch => batch.delete(ref)), ...slots.flatMap(getReleaseSlotWrites)];
+      }));
+      await commitInBatches(db, groups);
+      images.filter(image => image.path && storage).forEach(image => {
+        deleteObject(storageRef(storage, image.path)).catch(error => console.warn("Could not delete image:", error));
+      });
+      return { success: true, count: submissions.length };
+    } catch (error) {
+      console.error("Error deleting submissions:", error);
+      return { success: false, error: error.message };
+    }
+  }, [getSubmissionsCollectionRef, getTrackingCollectionRef, getThreadsCollectionRef, getReleaseSlotWrites, db, storage]);
+
+  // Streams the price catalog. `onChange` receives null while the collection is empty so callers
+  // can fall back to DEFAULT_PRICE_CATALOG. This is a public listener, so signOutAdmin leaves it alone.
+  const subscribeToPriceCatalog = useCallback((onChange, onError) => {
+    const catalogRef = getPriceCatalogCollectionRef();
+    if (!catalogRef) return () => {};
+
+    return onSnapshot(catalogRef, (snapshot) => {
+      onChange(snapshot.empty ? null : snapshot.docs.map(d => normalizeCatalogItem(d.id, d.data())));
+    }, (error) => {
+      console.error("Price catalog listener failed:", error);
+      if (onError) onError(error);
+    });
+  }, [getPriceCatalogCollectionRef]);
+
+  // Writes the edited catalog in one batch: upserts `items` and deletes `removedIds`.
+  const savePriceCatalog = useCallback(async (items, removedIds = []) => {
+    const catalogRef = getPriceCatalogCollectionRef();
+    if (!catalogRef) {
+      return { success: false, error: "Database not ready." };
+    }
+
+    try {
+      const batch = writeBatch(db);
+      items.forEach(({ id, ...item }) => batch.set(doc(catalogRef, id), { ...item, updatedAt: serverTimestamp() }));
+      removedIds.forEach(id => batch.delete(doc(catalogRef, id)));
+      await batch.commit();
+      return { success: true };
+    } catch (error) {
+      console.error("Error saving price catalog:", error);
+      return { success: false, error: error.message };
+    }
+  }, [getPriceCatalogCollectionRef, db]);
+
+  // Streams the gallery. Like the price catalog, `onChange` receives null while the collection
+  // is empty so the placeholder gallery can be shown instead.
+  const subscribeToGallery = useCallback((onChange, onError) => {
+    const galleryRef = getGalleryCollectionRef();
+    if (!galleryRef) return () => {};
+
+    return onSnapshot(galleryRef, (snapshot) => {
+      onChange(snapshot.empty ? null : snapshot.docs.map(d => normalizeGalleryItem(d.id, d.data())));
+    }, (error) => {
+      console.error("Gallery listener failed:", error);
+      if (onError) onError(error);
+    });
+  }, [getGalleryCollectionRef]);
+
+  // Creates the item when it has no id yet, otherwise overwrites it.
+  const saveGalleryItem = useCallback(async ({ id, ...item }) => {
+    const galleryRef = getGalleryCollectionRef();
+    if (!galleryRef) {
+      return { success: false, error: "Database not ready." };
+    }
+
+    try {
+      const itemRef = id ? doc(galleryRef, id) : doc(galleryRef);
+      await setDoc(itemRef, { ...item, updatedAt: serverTimestamp(), ...(id ? {} : { createdAt: serverTimestamp() }) }, { merge: true });
+      return { success: true, id: itemRef.id };
+    } catch (error) {
+      console.error("Error saving gallery item:", error);
+      return { success: false, error: error.message };
+    }
+  }, [getGalleryCollectionRef]);
+
+  // Deletes the item and, best effort, its uploaded images.
+  const deleteGalleryItem = useCallback(async (item) => {
+    const galleryRef = getGalleryCollectionRef();
+    if (!galleryRef) {
+      return { success: false, error: "Database not ready." };
+    }
+
+    try {
+      await deleteDoc(doc(galleryRef, item.id));
+      [item.image, item.beforeImage].filter(image => image?.path && storage).forEach(image => {
+        deleteObject(storageRef(storage, image.path)).catch(error => console.warn("Could not delete gallery image:", error));
+      });
+      return { success: true };
+    } catch (error) {
+      console.error("Error deleting gallery item:", error);
+      return { success: false, error: error.message };
+    }
+  }, [getGalleryCollectionRef, storage]);
+
+  // Persists a new display order: `ids` first to last.
+  const reorderGallery = useCallback(async (ids) => {
+    const galleryRef = getGalleryCollectionRef();
+    if (!galleryRef) {
+      return { success: false, error: "Database not ready." };
+    }
+
+    try {
+      const batch = writeBatch(db);
+      ids.forEach((id, index) => batch.update(doc(galleryRef, id), { sortOrder: (index + 1) * 10 }));
+      await batch.commit();
+      return { success: true };
+    } catch (error) {
+      console.error("Error reordering gallery:", error);
+      return { success: false, error: error.message };
+    }
+  }, [getGalleryCollectionRef, db]);
+
+  // Moves a submission to a new lifecycle status and appends the change to its `statusHistory`
+  // (mirrored to the public tracking doc when there is one). History entries use a client
+  // timestamp because serverTimestamp() is not allowed inside arrays.
+  const updateSubmissionStatus = useCallback(async (submission, status) => {
+    const submissionsRef = getSubmissionsCollectionRef();
+    if (!submissionsRef) {
+      return { success: false, error: "Database not ready." };
+    }
+    if (!ORDER_STATUSES.some(s => s.value === status)) {
+      return { success: false, error: `Unknown status "${status}".` };
+    }
+
+    try {
+      const changedAt = Timestamp.now();
+      const batch = writeBatch(db);
+      batch.update(doc(submissionsRef, submission.id), {
+        status,
+        statusUpdatedAt: serverTimestamp(),
+        statusHistory: arrayUnion({ status, from: submission.status || null, changedAt, changedBy: currentUser?.uid || null }),
+      });
+      if (submission.trackingId) {
+        batch.update(doc(getTrackingCollectionRef(), submission.trackingId), {
+          status,
+          statusHistory: arrayUnion({ status, changedAt }),
+          updatedAt: serverTimestamp(),
+        });
+      }
+      await batch.commit();
+      return { success: true, changedAt };
+    } catch (error) {
+      console.error("Error updating status:", error);
+      return { success: false, error: error.message };
+    }
+  }, [getSubmissionsCollectionRef, getTrackingCollectionRef, db, currentUser]);
+
+  // Saves the admin's quote on the submission and its tracking doc. With `send`, the quote
+  // becomes visible for the customer to accept or decline and a New booking moves to Quoted.
+  const saveQuote = useCallback(async (submission, quote, { send = false } = {}) => {
+    const submissionsRef = getSubmissionsCollectionRef();
+    if (!submissionsRef) {
+      return { success: false, error: "Database not ready." };
+    }
+
+    try {
+      const now = Timestamp.now();
+      const savedQuote = {
+        ...quote,
+        ...calculateQuoteTotals(quote),
+        expiresAt: getQuoteExpiresAt(quote.expiresOn),
+        status: send ? 'sent' : (quote.status || 'draft'),
+        updatedAt: now,
+        ...(send ? { sentAt: now, respondedAt: null, declineReason: '' } : {}),
+      };
+      const moveToQuoted = send && (submission.status || DEFAULT_STATUS) === 'New';
+      const statusChange = moveToQuoted ? { status: 'Quoted', changedAt: now } : null;
+
+      const batch = writeBatch(db);
+      batch.update(doc(submissionsRef, submission.id), {
+        quote: savedQuote,
+        ...(statusChange ? {
+          status: statusChange.status,
+          statusUpdatedAt: serverTimestamp(),
+          statusHistory: arrayUnion({ ...statusChange, from: submission.status || DEFAULT_STATUS, changedBy: currentUser?.uid || null }),
+        } : {}),
+      });
+      // Drafts stay private; the customer only ever sees a sent quote.
+      if (submission.trackingId && savedQuote.status !== 'draft') {
+        batch.update(doc(getTrackingCollectionRef(), submission.trackingId), {
+          quote: savedQuote,
+          updatedAt: serverTimestamp(),
+          ...(statusChange ? { status: statusChange.status, statusHistory: arrayUnion(statusChange) } : {}),
+        });
+      }
+      await batch.commit();
+      return { success: true, quote: savedQuote, statusChange };
+    } catch (error) {
+      console.error("Error saving quote:", error);
+      return { success: false, error: error.message };
+    }
+  }, [getSubmissionsCollectionRef, getTrackingCollectionRef, db, currentUser]);
+
+  // Customer accepts or declines a sent quote from the tracking page. Accepting moves the
+  // booking to Accepted, declining cancels it. `customerResponseKey` carries the tracking id,
+  // which only someone who knows the code and email can compute.
+  const respondToQuote = useCallback(async (order, accepted, declineReason = '') => {
+    const submissionsRef = getSubmissionsCollectionRef();
+    if (!submissionsRef || !order?.submissionId) {
+      return { success: false, error: "This quote can't be answered online. Please contact us." };
+    }
+
+    try {
+      const changedAt = Timestamp.now();
+      const status = accepted ? 'Accepted' : 'Cancelled';
+      const response = {
+        'quote.status': accepted ? 'accepted' : 'declined',
+        'quote.respondedAt': serverTimestamp(),
+        'quote.declineReason': accepted ? '' : declineReason,
+        status,
+      };
+
+      const batch = writeBatch(db);
+      batch.update(doc(getTrackingCollectionRef(), order.trackingId), {
+        ...response,
+        statusHistory: arrayUnion({ status, changedAt }),
+        updatedAt: serverTimestamp(),
+      });
+      batch.update(doc(submissionsRef, order.submissionId), {
+        ...response,
+        statusUpdatedAt: serverTimestamp(),
+        statusHistory: arrayUnion({ status, from: order.status, changedAt, changedBy: 'customer' }),
+        customerResponseKey: order.trackingId,
+      });
+      await batch.commit();
+      return { success: true, status, changedAt };
+    } catch (error) {
+      console.error("Error responding to quote:", error);
+      return { success: false, error: "Something went wrong saving your response. Please try again." };
+    }
+  }, [getSubmissionsCollectionRef, getTrackingCollectionRef, db]);
+
+  // Customer reviews a completed order from the tracking page. The review is keyed by the
+  // tracking id, so there is one per order and only someone who knows the code and email can
+  // write it. It waits in the moderation queue until an admin approves it.
+  const submitReview = useCallback(async (order, { rating, text, displayName, photo }) => {
+    const reviewsRef = getReviewsCollectionRef();
+    if (!reviewsRef || !order?.trackingId) {
+      return { success: false, error: "Reviews can't be submitted right now. Please try again later." };
+    }
+    if (order.status !== 'Completed') {
+      return { success: false, error: 'Reviews open once your order is completed.' };
+    }
+
+    try {
+      const submittedAt = Timestamp.now();
+      const batch = writeBatch(db);
+      batch.set(doc(reviewsRef, order.trackingId), {
+        rating,
+        text,
+        displayName,
+        photo: photo || null,
+        shoeModel: order.shoeModel || '',
+        type: order.type,
+        submissionId: order.submissionId,
+        status: 'pending',
+        userId,
+        createdAt: serverTimestamp(),
+      });
+      batch.update(doc(getTrackingCollectionRef(), order.trackingId), { review: { rating, submittedAt } });
+      await batch.commit();
+      return { success: true, submittedAt };
+    } catch (error) {
+      console.error("Error submitting review:", error);
+      return { success: false, error: "Something went wrong saving your review. Please try again." };
+    }
+  }, [getReviewsCollectionRef, getTrackingCollectionRef, db, userId]);
+
+  // Approved reviews for the home page (public listener).
+  const subscribeToApprovedReviews = useCallback((onChange, onError) => {
+    const reviewsRef = getReviewsCollectionRef();
+    if (!reviewsRef) return () => {};
+
+    return onSnapshot(query(reviewsRef, where('status', '==', 'approved')), (snapshot) => {
+      onChange(snapshot.docs.map(mapReviewDoc).sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0)));
+    }, (error) => {
+      console.error("Reviews listener failed:", error);
+      if (onError) onError(error);
+    });
+  }, [getReviewsCollectionRef]);
+
+  // Every review, newest first, for the moderation queue. Torn down by signOutAdmin.
+  const subscribeToReviews = useCallback((onChange, onError) => {
+    const reviewsRef = getReviewsCollectionRef();
+    if (!reviewsRef) return () => {};
+
+    const unsubscribe = onSnapshot(query(reviewsRef, orderBy('createdAt', 'desc')), (snapshot) => {
+      onChange(snapshot.docs.map(mapReviewDoc));
+    }, (error) => {
+      console.error("Reviews listener failed:", error);
+      if (onError) onError(error);
+    });
+
+    snapshotListeners.current.add(unsubscribe);
+    return () => {
+      snapshotListeners.current.delete(unsubscribe);
+      unsubscribe();
+    };
+  }, [getReviewsCollectionRef]);
+
+  const moderateReview = useCallback(async (review, status) => {
+    const reviewsRef = getReviewsCollectionRef();
+    if (!reviewsRef) {
+      return { success: false, error: "Database not ready." };
+    }
+    if (!REVIEW_STATUSES.some(s => s.value === status)) {
+      return { success: false, error: `Unknown review status "${status}".` };
+    }
+
+    try {
+      await updateDoc(doc(reviewsRef, review.id), { status, moderatedAt: serverTimestamp(), moderatedBy: currentUser?.uid || null });
+      return { success: true };
+    } catch (error) {
+      console.error("Error moderating review:", error);
+      return { success: false, error: error.message };
+    }
+  }, [getReviewsCollectionRef, currentUser]);
+
+  // Adds an admin note to a submission. Notes marked public are also shown to the customer
+  // on the Track My Order page.
+  const addSubmissionNote = useCallback(async (submission, { text, isPublic }) => {
+    const submissionsRef = getSubmissionsCollectionRef();
+    if (!submissionsRef) {
+      return { success: false, error: "Database not ready." };
+    }
+
+    try {
+      const note = { text, isPublic, createdAt: Timestamp.now(), author: currentUser?.email || currentUser?.uid || null };
+      const batch = writeBatch(db);
+      batch.update(doc(submissionsRef, submission.id), { notes: arrayUnion(note) });
+      if (isPublic && submission.trackingId) {
+        batch.update(doc(getTrackingCollectionRef(), submission.trackingId), {
+          publicNotes: arrayUnion({ text, createdAt: note.createdAt }),
+          updatedAt: serverTimestamp(),
+        });
+      }
+      await batch.commit();
+      return { success: true, note };
+    } catch (error) {
+      console.error("Error adding note:", error);
+      return { success: false, error: error.message };
+    }
+  }, [getSubmissionsCollectionRef, getTrackingCollectionRef, db, currentUser]);
+
+  // Records a ship-in booking's packages (see Shipping) on the submission and its tracking doc.
+  // Reaching "Shipped back" moves an order that isn't Shipped yet to Shipped in the same write,
+  // so the status email goes out with the return tracking number.
+  const saveShipping = useCallback(async (submission, changes) => {
+    const submissionsRef = getSubmissionsCollectionRef();
+    if (!submissionsRef) {
+      return { success: false, error: "Database not ready." };
+    }
+    if (!SHIPPING_STATES.some(s => s.value === changes.state)) {
+      return { success: false, error: `Unknown shipping state "${changes.state}".` };
+    }
+
+    try {
+      const now = Timestamp.now();
+      const shipping = buildShippingRecord(submission.shipping, changes, now);
+      const status = submission.status || DEFAULT_STATUS;
+      const outboundStep = getShippingStep('outbound');
+      const shipsNow = getShippingStep(submission.shipping?.state) < outboundStep && getShippingStep(shipping.state) >= outboundStep;
+      const statusIndex = ORDER_STATUSES.findIndex(s => s.value === status);
+      const statusChange = shipsNow && statusIndex < ORDER_STATUSES.findIndex(s => s.value === 'Shipped') ? { status: 'Shipped', changedAt: now } : null;
+
+      const batch = writeBatch(db);
+      batch.update(doc(submissionsRef, submission.id), {
+        shipping,
+        ...(statusChange ? {
+          status: statusChange.status,
+          statusUpdatedAt: serverTimestamp(),
+          statusHistory: arrayUnion({ ...statusChange, from: status, changedBy: currentUser?.uid || null }),
+        } : {}),
+      });
+      if (submission.trackingId) {
+        batch.update(doc(getTrackingCollectionRef(), submission.trackingId), {
+          shipping,
+          updatedAt: serverTimestamp(),
+          ...(statusChange ? { status: statusChange.status, statusHistory: arrayUnion(statusChange) } : {}),
+        });
+      }
+      await batch.commit();
+      return { success: true, shipping, statusChange };
+    } catch (error) {
+      console.error("Error saving shipping:", error);
+      return { success: false, error: error.message };
+    }
+  }, [getSubmissionsCollectionRef, getTrackingCollectionRef, db, currentUser]);
+
+  // Private invoices: /artifacts/{appId}/invoices/{number} (see Invoices)
+  const getInvoicesCollectionRef = useCallback(() => {
+    if (!db) return null;
+    return collection(db, 'artifacts', APP_ID, 'invoices');
+  }, [db]);
+
+  // Issues an invoice for `submission` from an editor draft. The number counter and the invoice
+  // are written in one transaction, so two admins issuing at once never share a number. It isn't
+  // raced against a write timeout: a transaction that commits after the timeout would leave a
+  // second, differently numbered invoice behind when the admin tries again.
+  const createInvoice = useCallback(async (submission, draft) => {
+    const invoicesRef = getInvoicesCollectionRef();
+    if (!invoicesRef) {
+      return { success: false, error: "Database not ready." };
+    }
+
+    try {
+      const counterRef = doc(db, 'artifacts', APP_ID, 'counters', 'invoices');
+      const invoice = await runTransaction(db, async (transaction) => {
+        const counter = await transaction.get(counterRef);
+        const sequence = counter.exists() ? counter.data().next : 1;
+        const number = formatInvoiceNumber(sequence);
+        const data = {
+          ...draft,
+          number,
+          sequence,
+          submissionId: submission.id,
+          trackingCode: submission.trackingCode || '',
+          customerName: submission.name || '',
+          customerEmail: (submission.email || '').trim().toLowerCase(),
+          billingAddress: submission.returnAddress || null,
+          currency: CURRENCY,
+          payments: [],
+          voidedAt: null,
+          createdBy: currentUser?.uid || null,
+        };
+        const totals = calculateInvoiceTotals(data);
+        Object.assign(data, totals, { status: getInvoiceStatus(data, totals) });
+        transaction.set(counterRef, { next: sequence + 1 });
+        transaction.set(doc(invoicesRef, number), { ...data, createdAt: serverTimestamp(), updatedAt: serverTimestamp() });
+        return { id: number, ...data };
+      });
+      return { success: true, invoice };
+    } catch (error) {
+      console.error("Error creating invoice:", error);
+      return { success: false, error: error.message };
+    }
+  }, [getInvoicesCollectionRef, db, currentUser]);
+
+  // Adds or removes one payment on an issued invoice, or voids/unvoids it; totals and status are
+  // recalculated. The change is applied to the invoice as read inside a transaction, so a payment
+  // recorded by another admin in the meantime is kept rather than overwritten.
+  const updateInvoice = useCallback(async (invoiceId, { addPayment, removePaymentId, voided }) => {
+    const invoicesRef = getInvoicesCollectionRef();
+    if (!invoicesRef) {
+      return { success: false, error: "Database not ready." };
+    }
+
+    try {
+      const invoiceRef = doc(invoicesRef, invoiceId);
+      await runTransaction(db, async (transaction) => {
+        const snapshot = await transaction.get(invoiceRef);
+        if (!snapshot.exists()) throw new Error(`Invoice ${invoiceId} no longer exists.`);
+        const invoice = snapshot.data();
+        let payments = invoice.payments || [];
+        if (removePaymentId) payments = payments.filter(payment => payment.id !== removePaymentId);
+        if (addPayment) {
+          if (addPayment.amount > invoice.balance) {
+            throw new Error(`That's more than the balance of ${formatCurrency(invoice.balance)}.`);
+          }
+          payments = [...payments, addPayment];
+        }
+        const isVoided = voided === undefined ? Boolean(invoice.voidedAt) : voided;
+        const next = { ...invoice, payments, voidedAt: isVoided ? (invoice.voidedAt || Timestamp.now()) : null };
+        const totals = calculateInvoiceTotals(next);
+        transaction.update(invoiceRef, {
+          payments,
+          voidedAt: next.voidedAt,
+          ...totals,
+          status: getInvoiceStatus(next, totals),
+          updatedAt: serverTimestamp(),
+        });
+      });
+      return { success: true };
+    } catch (error) {
+      console.error("Error updating invoice:", error);
+      return { success: false, error: error.message };
+    }
+  }, [getInvoicesCollectionRef, db]);
+
+  // `onChange` receives null when there is no such invoice.
+  const subscribeToInvoice = useCallback((invoiceId, onChange, onError) => {
+    const invoicesRef = getInvoicesCollectionRef();
+    if (!invoicesRef || !invoiceId) return () => {};
+
+    const unsubscribe = onSnapshot(doc(invoicesRef, invoiceId), (snapshot) => {
+      onChange(snapshot.exists() ? { id: snapshot.id, ...snapshot.data({ serverTimestamps: 'estimate' }) } : null);
+    }, (error) => {
+      console.error("Invoice listener failed:", error);
+      if (onError) onError(error);
+    });
+
+    snapshotListeners.current.add(unsubscribe);
+    return () => {
+      snapshotListeners.current.delete(unsubscribe);
+      unsubscribe();
+    };
+  }, [getInvoicesCollectionRef]);
+
+  // Every invoice issued to `email`, newest first. Sorted here to avoid a composite index.
+  const subscribeToCustomerInvoices = useCallback((email, onChange, onError) => {
+    const invoicesRef = getInvoicesCollectionRef();
+    if (!invoicesRef || !email) return () => {};
+
+    const customerQuery = query(invoicesRef, where('customerEmail', '==', email.trim().toLowerCase()));
+    const unsubscribe = onSnapshot(customerQuery, (snapshot) => {
+      const invoices = snapshot.docs.map(d => ({ id: d.id, ...d.data({ serverTimestamps: 'estimate' }) }));
+      onChange(invoices.sort((a, b) => b.sequence - a.sequence));
+    }, (error) => {
+      console.error("Customer invoices listener failed:", error);
+      if (onError) onError(error);
+    });
+
+    snapshotListeners.current.add(unsubscribe);
+    return () => {
+      snapshotListeners.current.delete(unsubscribe);
+      unsubscribe();
+    };
+  }, [getInvoicesCollectionRef]);
+
+  // Signs in with email and password, then checks the account is actually an admin. Accounts
+  // without admin access are signed straight back out.
+  const signInAdminWithEmail = useCallback(async (email, password) => {
+    if (!auth) return { success: false, error: 'Auth not initialized' };
+    try {
+      const cred = await signInWithEmailAndPassword(auth, email, password);
+      const access = await resolveAdminAccess(cred.user, db);
+      if (!access.isAdmin) {
+        await firebaseSignOut(auth);
+        return { success: false, error: "This account doesn't have admin access." };
+      }
+      setCurrentUser(cred.user);
+      setAdminSession({ expiresAt: access.expiresAt });
+      setAdminSessionExpired(false);
+      return { success: true, user: cred.user };
+    } catch (error) {
+      console.error('Admin sign-in failed', error);
+      return { success: false, error: ADMIN_AUTH_ERRORS[error.code] || error.message };
+    }
+  }, [auth, db]);
+
+  // Firebase only sends the email if the account exists, but reports success either way so
+  // the form doesn't reveal which addresses have accounts.
+  const sendAdminPasswordReset = useCallback(async (email) => {
+    if (!auth) return { success: false, error: 'Auth not initialized' };
+    try {
+      await sendPasswordResetEmail(auth, email);
+      return { success: true };
+    } catch (error) {
+      if (error.code === 'auth/user-not-found') return { success: true };
+      console.error('Password reset failed', error);
+      return { success: false, error: ADMIN_AUTH_ERRORS[error.code] || error.message };
+    }
+  }, [auth]);
+
+  const signOutAdmin = useCallback(async () => {
+    if (!auth) return;
+    // Detach admin-only listeners first so they don't error once the user loses read access.
+    snapshotListeners.current.forEach(unsubscribe => unsubscribe());
+    snapshotListeners.current.clear();
+    try {
+      await firebaseSignOut(auth);
+      setCurrentUser(null);
+      setAdminSession(null);
+    } catch (e) {
+      console.error('Sign out failed', e);
+    }
+  }, [auth]);
+
+  // Admin sessions end ADMIN_SESSION_MAX_AGE_MS after the password was entered, even if the
+  // tab stays open.
+  useEffect(() => {
+    if (!adminSession) return undefined;
+    const timer = setTimeout(() => {
+      setAdminSessionExpired(true);
+      signOutAdmin();
+    }, Math.max(0, adminSession.expiresAt - Date.now()));
+    return () => clearTimeout(timer);
+  }, [adminSession, signOutAdmin]);
+
+  // Firestore allowlist of admin accounts: /artifacts/{appId}/admins/{uid}. Admins granted
+  // through the `admin` custom claim don't appear here.
+  const getAdminsCollectionRef = useCallback(() => {
+    if (!db) return null;
+    return collection(db, 'artifacts', APP_ID, 'admins');
+  }, [db]);
+
+  const subscribeToAdmins = useCallback((onChange, onError) => {
+    const adminsRef = getAdminsCollectionRef();
+    if (!adminsRef) return () => {};
+
+    const unsubscribe = onSnapshot(adminsRef, (snapshot) => {
+      onChange(snapshot.docs.map(d => ({ uid: d.id, ...d.data() })));
+    }, (error) => {
+      console.error("Admins listener failed:", error);
+      if (onError) onError(error);
+    });
+
+    snapshotListeners.current.add(unsubscribe);
+    return () => {
+      snapshotListeners.current.delete(unsubscribe);
+      unsubscribe();
+    };
+  }, [getAdminsCollectionRef]);
+
+  const addAdmin = useCallback(async ({ uid, email }) => {
+    const adminsRef = getAdminsCollectionRef();
+    if (!adminsRef) {
+      return { success: false, error: "Database not ready." };
+    }
+
+    try {
+      await setDoc(doc(adminsRef, uid), { email, addedAt: serverTimestamp(), addedBy: currentUser?.uid || null });
+      return { success: true };
+    } catch (error) {
+      console.error("Error adding admin:", error);
+      return { success: false, error: error.message };
+    }
+  }, [getAdminsCollectionRef, currentUser]);
+
+  const removeAdmin = useCallback(async (uid) => {
+    const adminsRef = getAdminsCollectionRef();
+    if (!adminsRef) {
+      return { success: false, error: "Database not ready." };
+    }
+    if (uid === currentUser?.uid) {
+      return { success: false, error: "You can't remove your own admin access." };
+    }
+
+    try {
+      await deleteDoc(doc(adminsRef, uid));
+      return { success: true };
+    } catch (error) {
+      console.error("Error removing admin:", error);
+      return { success: false, error: error.message };
+    }
+  }, [getAdminsCollectionRef, currentUser]);
+
+  // Email template overrides: /artifacts/{appId}/emailTemplates/{templateId}. The Cloud Functions
+  // in functions/ fall back to DEFAULT_EMAIL_TEMPLATES for any template without a doc.
+  const getEmailTemplatesCollectionRef = useCallback(() => {
+    if (!db) return null;
+    return collection(db, 'artifacts', APP_ID, 'emailTemplates');
+  }, [db]);
+
+  const subscribeToEmailTemplates = useCallback((onChange, onError) => {
+    const templatesRef = getEmailTemplatesCollectionRef();
+    if (!templatesRef) return () => {};
+
+    const unsubscribe = onSnapshot(templatesRef, (snapshot) => {
+      onChange(Object.fromEntries(snapshot.docs.map(d => [d.id, d.data()])));
+    }, (error) => {
+      console.error("Email templates listener failed:", error);
+      if (onError) onError(error);
+    });
+
+    snapshotListeners.current.add(unsubscribe);
+    return () => {
+      snapshotListeners.current.delete(unsubscribe);
+      unsubscribe();
+    };
+  }, [getEmailTemplatesCollectionRef]);
+
+  const saveEmailTemplate = useCallback(async (templateId, { subject, body, enabled }) => {
+    const templatesRef = getEmailTemplatesCollectionRef();
+    if (!templatesRef) {
+      return { success: false, error: "Database not ready." };
+    }
+
+    try {
+      await setDoc(doc(templatesRef, templateId), { subject, body, enabled, updatedAt: serverTimestamp(), updatedBy: currentUser?.uid || null });
+      return { success: true };
+    } catch (error) {
+      console.error("Error saving email template:", error);
+      return { success: false, error: error.message };
+    }
+  }, [getEmailTemplatesCollectionRef, currentUser]);
+
+  // Deleting the override brings back the default template.
+  const resetEmailTemplate = useCallback(async (templateId) => {
+    const templatesRef = getEmailTemplatesCollectionRef();
+    if (!templatesRef) {
+      return { success: false, error: "Database not ready." };
+    }
+
+    try {
+      await deleteDoc(doc(templatesRef, templateId));
+      return { success: true };
+    } catch (error) {
+      console.error("Error resetting email template:", error);
+      return { success: false, error: error.message };
+    }
+  }, [getEmailTemplatesCollectionRef]);
+
+  // Live thread doc and its messages, oldest first. Used by both the customer's private page and
+  // the dashboard, so it isn't tied to the admin session.
+  const subscribeToThread = useCallback((threadId, onChange, onError) => {
+    const threadsRef = getThreadsCollectionRef();
+    if (!threadsRef || !threadId) return () => {};
+
+    const threadRef = doc(threadsRef, threadId);
+    let thread;
+    let messages;
+    const emit = () => { if (thread !== undefined && messages !== undefined) onChange({ thread, messages }); };
+    const handleError = (error) => {
+      console.error("Thread listener failed:", error);
+      if (onError) onError(error);
+    };
+
+    const unsubscribeThread = onSnapshot(threadRef, (snapshot) => {
+      thread = snapshot.exists() ? { id: snapshot.id, ...snapshot.data({ serverTimestamps: 'estimate' }) } : null;
+      emit();
+    }, handleError);
+    const unsubscribeMessages = onSnapshot(query(collection(threadRef, 'messages'), orderBy('createdAt')), (snapshot) => {
+      messages = snapshot.docs.map(d => ({ id: d.id, ...d.data({ serverTimestamps: 'estimate' }), isPending: d.metadata.hasPendingWrites }));
+      emit();
+    }, handleError);
+
+    return () => {
+      unsubscribeThread();
+      unsubscribeMessages();
+    };
+  }, [getThreadsCollectionRef]);
+
+  // Admin only: unread customer messages per submission id.
+  const subscribeToUnreadThreads = useCallback((onChange, onError) => {
+    const threadsRef = getThreadsCollectionRef();
+    if (!threadsRef) return () => {};
+
+    const unsubscribe = onSnapshot(query(threadsRef, where('unreadByAdmin', '>', 0)), (snapshot) => {
+      onChange(Object.fromEntries(snapshot.docs.map(d => [d.data().submissionId, d.data().unreadByAdmin])));
+    }, (error) => {
+      console.error("Unread threads listener failed:", error);
+      if (onError) onError(error);
+    });
+
+    snapshotListeners.current.add(unsubscribe);
+    return () => {
+      snapshotListeners.current.delete(unsubscribe);
+      unsubscribe();
+    };
+  }, [getThreadsCollectionRef]);
+
+  // Posts a message as `from` ('admin' or 'customer') and bumps the other side's unread count.
+  // An admin replying to a submission from before threads existed creates its thread here, and
+  // links it from the submission and its tracking doc in the same batch.
+  const sendThreadMessage = useCallback(async ({ threadId, submission, from, text, attachments = [] }) => {
+    const threadsRef = getThreadsCollectionRef();
+    if (!threadsRef || !userId) {
+      return { success: false, error: "Database not ready." };
+    }
+
+    try {
+      const id = threadId || generateThreadId();
+      const threadRef = doc(threadsRef, id);
+      const messageRef = doc(collection(threadRef, 'messages'));
+      const unreadField = from === 'admin' ? 'unreadByCustomer' : 'unreadByAdmin';
+      const lastMessage = {
+        lastMessageAt: serverTimestamp(),
+        lastMessagePreview: text.slice(0, THREAD_MESSAGE_LIMITS.previewLength),
+        lastMessageFrom: from,
+        lastMessageId: messageRef.id,
+      };
+
+      let customerRateLimit = null;
+      if (threadId && from === 'customer') {
+        const rateLimit = nextMessageRateLimit((await getDoc(threadRef)).data()?.customerRateLimit);
+        if (rateLimit.error) return { success: false, error: rateLimit.error };
+        customerRateLimit = rateLimit.doc;
+      }
+
+      const batch = writeBatch(db);
+      batch.set(messageRef, { from, text, attachments, authorId: userId, createdAt: serverTimestamp() });
+      if (threadId) {
+        batch.update(threadRef, {
+          ...lastMessage,
+          messageCount: increment(1),
+          [unreadField]: increment(1),
+          ...(customerRateLimit ? { customerRateLimit } : {}),
+        });
+      } else {
+        batch.set(threadRef, { ...createThreadDoc(submission.id, submission, submission.userId || userId), ...lastMessage, messageCount: 1, [unreadField]: 1 });
+        batch.update(doc(getSubmissionsCollectionRef(), submission.id), { threadId: id });
+        if (submission.trackingId) batch.update(doc(getTrackingCollectionRef(), submission.trackingId), { threadId: id });
+      }
+      await batch.commit();
+      return { success: true, threadId: id };
+    } catch (error) {
+      console.error("Error sending message:", error);
+      return { success: false, error: error.message };
+    }
+  }, [getThreadsCollectionRef, getSubmissionsCollectionRef, getTrackingCollectionRef, db, userId]);
+
+  // Clears the unread count for `reader` ('admin' or 'customer').
+  const markThreadRead = useCallback(async (threadId, reader) => {
+    const threadsRef = getThreadsCollectionRef();
+    if (!threadsRef || !threadId) return { success: false, error: "Database not ready." };
+
+    try {
+      await updateDoc(doc(threadsRef, threadId), reader === 'admin'
+        ? { unreadByAdmin: 0, adminReadAt: serverTimestamp() }
+        : { unreadByCustomer: 0, customerReadAt: serverTimestamp() });
+      return { success: true };
+    } catch (error) {
+      console.error("Error marking thread read:", error);
+      return { success: false, error: error.message };
+    }
+  }, [getThreadsCollectionRef]);
+
+  // Streams the availability settings; `onChange` receives null until an admin has saved them,
+  // which keeps online booking off. Public listener.
+  const subscribeToAvailability = useCallback((onChange, onError) => {
+    const availabilityRef = getAvailabilityRef();
+    if (!availabilityRef) return () => {};
+
+    return onSnapshot(availabilityRef, (snapshot) => {
+      onChange(snapshot.exists() ? normalizeAvailability(snapshot.data()) : null);
+    }, (error) => {
+      console.error("Availability listener failed:", error);
+      if (onError) onError(error);
+    });
+  }, [getAvailabilityRef]);
+
+  const saveAvailability = useCallback(async (availability) => {
+    const availabilityRef = getAvailabilityRef();
+    if (!availabilityRef) {
+      return { success: false, error: "Database not ready." };
+    }
+
+    try {
+      await setDoc(availabilityRef, { ...availability, updatedAt: serverTimestamp() });
+      return { success: true };
+    } catch (error) {
+      console.error("Error saving availability:", error);
+      return { success: false, error: error.message };
+    }
+  }, [getAvailabilityRef]);
+
+  // Streams the ship-in address and packing notes, normalized even before an admin has saved
+  // them. Public listener.
+  const subscribeToShipInSettings = useCallback((onChange, onError) => {
+    const settingsRef = getShipInSettingsRef();
+    if (!settingsRef) return () => {};
+
+    return onSnapshot(settingsRef, (snapshot) => {
+      onChange(normalizeShipInSettings(snapshot.data()));
+    }, (error) => {
+      console.error("Ship-in settings listener failed:", error);
+      if (onError) onError(error);
+    });
+  }, [getShipInSettingsRef]);
+
+  const saveShipInSettings = useCallback(async (settings) => {
+    const settingsRef = getShipInSettingsRef();
+    if (!settingsRef) {
+      return { success: false, error: "Database not ready." };
+    }
+
+    try {
+      await setDoc(settingsRef, { address: trimAddress(settings.address), packingNotes: settings.packingNotes.trim(), updatedAt: serverTimestamp() });
+      return { success: true };
+    } catch (error) {
+      console.error("Error saving ship-in settings:", error);
+      return { success: false, error: error.message };
+    }
+  }, [getShipInSettingsRef]);
+
+  // Streams the taken times for days `from` to `to` (inclusive) as { date: [times] }. Public listener.
+  const subscribeToBookedDays = useCallback((from, to, onChange) => {
+    const daysRef = getAppointmentDaysCollectionRef();
+    if (!daysRef) return () => {};
+
+    return onSnapshot(query(daysRef, where('date', '>=', from), where('date', '<=', to)), (snapshot) => {
+      onChange(Object.fromEntries(snapshot.docs.map(d => [d.id, d.data().times || []])));
+    }, (error) => {
+      console.error("Booked days listener failed:", error);
+    });
+  }, [getAppointmentDaysCollectionRef]);
+
+  // Streams appointments starting in [from, to) (ms; `to` is optional), earliest first.
+  const subscribeToAppointments = useCallback(({ from, to }, onChange, onError) => {
+    const appointmentsRef = getAppointmentsCollectionRef();
+    if (!appointmentsRef) return () => {};
+
+    const constraints = [where('startsAt', '>=', Timestamp.fromMillis(from))];
+    if (to) constraints.push(where('startsAt', '<', Timestamp.fromMillis(to)));
+    const unsubscribe = onSnapshot(query(appointmentsRef, ...constraints, orderBy('startsAt')), (snapshot) => {
+      onChange(snapshot.docs.map(mapAppointmentDoc));
+    }, (error) => {
+      console.error("Appointments listener failed:", error);
+      if (onError) onError(error);
+    });
+
+    snapshotListeners.current.add(unsubscribe);
+    return () => {
+      snapshotListeners.current.delete(unsubscribe);
+      unsubscribe();
+    };
+  }, [getAppointmentsCollectionRef]);
+
+  // Customer books a pickup time from the tracking page once the order is Ready.
+  const bookPickup = useCallback(async (order, slot, email) => {
+    const trackingRef = getTrackingCollectionRef();
+    if (!trackingRef || !userId || !order?.trackingId) {
+      return { success: false, error: APPOINTMENT_OFFLINE_ERROR };
+    }
+
+    try {
+      const pickup = { ...slot, kind: 'pickup' };
+      // No write timeout, for the same reason as writeSubmission.
+      await runTransaction(db, async (transaction) => {
+        await reserveSlot(transaction, pickup, {
+          submissionId: order.submissionId,
+          trackingId: order.trackingId,
+          type: order.type,
+          name: order.firstName || 'Customer',
+          email,
+          shoeModel: order.shoeModel || '',
+        });
+        transaction.update(doc(trackingRef, order.trackingId), { pickup: toStoredSlot(pickup), updatedAt: serverTimestamp() });
+      });
+      return { success: true, pickup };
+    } catch (error) {
+      if (error.code === SLOT_UNAVAILABLE) return { success: false, error: error.message };
+      console.error("Error booking pickup:", error);
+      return { success: false, error: "We couldn't book that time. Check your connection and try again." };
+    }
+  }, [getTrackingCollectionRef, reserveSlot, db, userId]);
+
+  // Frees the slot and removes the time from the submission or tracking doc, if they still exist.
+  const cancelAppointment = useCallback(async (appointment) => {
+    const appointmentsRef = getAppointmentsCollectionRef();
+    if (!appointmentsRef) {
+      return { success: false, error: "Database not ready." };
+    }
+
+    try {
+      const submissionRef = appointment.submissionId ? doc(getSubmissionsCollectionRef(), appointment.submissionId) : null;
+      const trackingRef = appointment.trackingId ? doc(getTrackingCollectionRef(), appointment.trackingId) : null;
+      const [submission, tracking] = await Promise.all([submissionRef, trackingRef].map(ref => (ref ? getDoc(ref) : null)));
+      const field = appointment.kind === 'pickup' ? 'pickup' : 'appointment';
+
+      const batch = writeBatch(db);
+      getReleaseSlotWrites({ slotId: appointment.id, date: appointment.date, time: appointment.time }).forEach(write => write(batch));
+      if (submission?.exists() && submission.data().appointment?.slotId === appointment.id) batch.update(submissionRef, { appointment: deleteField() });
+      if (tracking?.exists() && tracking.data()[field]?.slotId === appointment.id) batch.update(trackingRef, { [field]: deleteField() });
+      await batch.commit();
+      return { success: true };
+    } catch (error) {
+      console.error("Error cancelling appointment:", error);
+      return { success: false, error: error.message };
+    }
+  }, [getAppointmentsCollectionRef, getSubmissionsCollectionRef, getTrackingCollectionRef, getReleaseSlotWrites, db]);
+
+
+  return { db, auth, userId, isReady, isOnline, addSubmission, pendingSubmissions, sentSubmissions, retryPendingSubmissions, discardPendingSubmission, dismissSentSubmission, uploadReferenceImage, fetchSubmissions, fetchAllSubmissions, subscribeToSubmissions, updateSubmissionStatus, addSubmissionNote, saveQuote, respondToQuote, importSubmissions, setSubmissionSpam, deleteSubmissions, subscribeToPriceCatalog, savePriceCatalog, subscribeToGallery, uploadGalleryImage, saveGalleryItem, deleteGalleryItem, reorderGallery, submitReview, subscribeToApprovedReviews, subscribeToReviews, moderateReview, lookupOrder, subscribeToTrackedOrder, signInAdminWithEmail, sendAdminPasswordReset, signOutAdmin, subscribeToAdmins, addAdmin, removeAdmin, subscribeToEmailTemplates, saveEmailTemplate, resetEmailTemplate, subscribeToThread, subscribeToUnreadThreads, sendThreadMessage, markThreadRead, subscribeToAvailability, saveAvailability, subscribeToBookedDays, subscribeToAppointments, bookPickup, cancelAppointment, saveShipping, subscribeToShipInSettings, saveShipInSettings, createInvoice, updateInvoice, subscribeToInvoice, subscribeToCustomerInvoices, isAdmin: Boolean(adminSession), adminSessionExpired, currentUser };
+};
+
+// --- Page Components ---
+
+const HomePage = ({ navigate, galleryItems, reviews }) => (
+  <div className="min-h-screen">
+    {/* Hero Section */}
+    <div className="relative h-[80vh] flex items-center justify-center text-center p-4" 
+         style={{ 
+           backgroundImage: `url(${UPLOADED_IMAGE_URL}), linear-gradient(to bottom, #000000, #111827)`,
+           backgroundSize: 'cover', 
+           backgroundPosition: 'center',
+           backgroundBlendMode: 'overlay',
+           backgroundColor: 'rgba(0, 0, 0, 0.6)'
+         }}>
+      <div className="z-10 bg-black/70 p-8 rounded-xl border border-red-600/50 max-w-3xl">
+        <h1 className="text-6xl sm:text-8xl font-black text-red-600 tracking-tighter shadow-red-800/50 drop-shadow-lg">
+          2X CUSTOMS
+        </h1>
+        <p className="text-xl sm:text-3xl text-white font-light mt-4 mb-10 tracking-wider">
+          TURN YOUR KICKS INTO ART
+        </p>
+        <div className="flex flex-col sm:flex-row justify-center space-y-4 sm:space-y-0 sm:space-x-6">
+          <Button onClick={() => navigate('custom')} variant="primary" className="text-lg">
+            <Brush className="w-5 h-5" /> Book a Custom
+          </Button>
+          <Button onClick={() => navigate('cleaning')} variant="secondary" className="text-lg">
+            <Feather className="w-5 h-5" /> Get a Cleaning
+          </Button>
+        </div>
+      </div>
+    </div>
+
+    {/* Why Choose Section */}
+    <div className="py-20 bg-gray-950">
+      <SectionTitle>Why Choose 2X Customs</SectionTitle>
+      <div className="container mx-auto px-4 grid grid-cols-1 md:grid-cols-3 gap-10 max-w-6xl">
+        <div className="p-6 bg-gray-900 rounded-xl shadow-2xl border-t-4 border-red-600 text-center hover:shadow-red-900/40 transition-shadow">
+          <Zap className="w-10 h-10 text-red-500 mx-auto mb-4" />
+          <h3 className="text-xl font-bold text-white mb-2">Fast Turnaround</h3>
+          <p className="text-gray-400">Get your fresh heat back in days, not weeks. Quick, professional service.</p>
+        </div>
+        <div className="p-6 bg-gray-900 rounded-xl shadow-2xl border-t-4 border-red-600 text-center hover:shadow-red-900/40 transition-shadow">
+          <Settings className="w-10 h-10 text-red-500 mx-auto mb-4" />
           <h3 className="text-xl font-bold text-white mb-2">Affordable Artistry</h3>
           <p className="text-gray-400">High-quality customization and restoration without breaking the bank. Great value.</p>
         </div>
-        <div className="p-6 bg-gray-900 rounded-xl shadow-2xl border-t-4 border-red-600 text-center hover:shadow-red-900/40 transition-shadow">
-          <CheckCircle className="w-10 h-10 text-red-500 mx-auto mb-4" />
-          <h3 className="text-xl font-bold text-white mb-2">Expert Care</h3>
-          <p className="text-gray-400">Specializing in durable custom paint and deep, non-damaging cleaning methods.</p>
+        <div className="p-6 bg-gray-900 rounded-xl shadow-2xl border-t-4 border-red-600 text-center hover:shadow-red-900/40 transition-shadow">
+          <CheckCircle className="w-10 h-10 text-red-500 mx-auto mb-4" />
+          <h3 className="text-xl font-bold text-white mb-2">Expert Care</h3>
+          <p className="text-gray-400">Specializing in durable custom paint and deep, non-damaging cleaning methods.</p>
+        </div>
+      </div>
+    </div>
+    
+    {/* Gallery Preview Section */}
+    <div className="py-20 bg-gray-900">
+      <SectionTitle>Gallery Preview</SectionTitle>
+      <div className="container mx-auto px-4 grid grid-cols-2 sm:grid-cols-4 gap-4 max-w-6xl">
+        {getGalleryPreview(galleryItems).map(item => (
+          <div key={item.id} className="aspect-square rounded-xl overflow-hidden shadow-lg border border-gray-700 hover:border-red-600 transition-all cursor-pointer" onClick={() => navigate('gallery', { itemId: item.id })}>
+             <img src={item.image?.url} alt={item.title} loading="lazy" className="w-full h-full object-cover transition-transform duration-300 hover:scale-105"/>
+          </div>
+        ))}
+      </div>
+      <div className="text-center mt-10">
+        <Button onClick={() => navigate('gallery')} variant="ghost">View Full Gallery</Button>
+      </div>
+    </div>
+
+    {/* Testimonials Section */}
+    <ReviewsSection reviews={reviews} />
+  </div>
+);
+
+// Approved reviews with their average rating and matching schema.org markup. Falls back to
+// the launch testimonials until the first review is approved.
+const ReviewsSection = ({ reviews }) => {
+  const summary = summarizeRatings(reviews);
+  const shown = reviews.slice(0, HOME_REVIEW_COUNT);
+
+  return (
+    <div className="py-20 bg-gray-950">
+      <SectionTitle>What Our Clients Say</SectionTitle>
+      {summary.count > 0 && (
+        <>
+          <script type="application/ld+json" dangerouslySetInnerHTML={{ __html: buildReviewStructuredData(shown, summary) }} />
+          <p className="flex items-center justify-center gap-3 text-gray-300 mb-10">
+            <StarRating value={summary.average} className="w-6 h-6" />
+            <span className="text-2xl font-bold text-white">{summary.average.toFixed(1)}</span>
+            <span>from {summary.count} verified {summary.count === 1 ? 'review' : 'reviews'}</span>
+          </p>
+        </>
+      )}
+      <div className="container mx-auto px-4 grid grid-cols-1 md:grid-cols-2 gap-8 max-w-4xl">
+        {summary.count > 0 ? shown.map(review => (
+          <figure key={review.id} className="p-6 bg-gray-900 rounded-xl border border-gray-800 text-gray-300">
+            <StarRating value={review.rating} />
+            <blockquote className="italic mt-3 whitespace-pre-wrap">"{review.text}"</blockquote>
+            {review.photo && <img src={review.photo.url} alt={`Photo from ${review.displayName}`} loading="lazy" className="mt-4 w-full max-h-64 object-cover rounded-lg" />}
+            <figcaption className="mt-4 font-bold text-red-400">
+              — {review.displayName}
+              {review.shoeModel && <span className="block text-xs font-normal text-gray-500">{review.shoeModel} · Verified order</span>}
+            </figcaption>
+          </figure>
+        )) : FALLBACK_TESTIMONIALS.map(testimonial => (
+          <div key={testimonial.author} className="p-6 bg-gray-900 rounded-xl border border-gray-800 italic text-gray-300">
+            "{testimonial.text}"
+            <p className="mt-4 font-bold text-red-400">— {testimonial.author}</p>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// --- Form & Data Logic ---
+
+// Shown in booking confirmation modals: the customer's tracking code and how to use it.
+const TrackingCodeNotice = ({ trackingCode, navigate, onClose }) => {
+  const [copied, setCopied] = useState(false);
+  if (!trackingCode) return null;
+
+  const copyCode = async () => {
+    try {
+      await navigator.clipboard.writeText(trackingCode);
+      setCopied(true);
+    } catch (e) { /* clipboard unavailable; the code is still selectable */ }
+  };
+
+  return (
+    <div className="mt-6 p-4 rounded-lg bg-gray-800 border border-gray-700 text-center">
+      <p className="text-sm text-gray-400 mb-2">Your tracking code</p>
+      <div className="flex items-center justify-center space-x-3">
+        <span className="font-mono text-2xl font-bold text-red-400 select-all">{trackingCode}</span>
+        <button type="button" onClick={copyCode} title="Copy tracking code" className="text-gray-400 hover:text-red-400">
+          {copied ? <CheckCircle className="w-5 h-5 text-green-500" /> : <Copy className="w-5 h-5" />}
+        </button>
+      </div>
+      <p className="text-xs text-gray-500 mt-2">Save it — you'll need it with your email to check your order status.</p>
+      <button
+        type="button"
+        onClick={() => { onClose(); navigate('track', {}, { search: `?code=${encodeURIComponent(trackingCode)}` }); }}
+        className="mt-3 text-sm text-red-400 hover:text-red-300 underline"
+      >
+        Track My Order
+      </button>
+    </div>
+  );
+};
+
+// Shown instead of the tracking code when addSubmission queued the submission (see Offline Queue).
+const QueuedSubmissionNotice = ({ isBooking }) => (
+  <div className="mt-6 p-4 rounded-lg bg-gray-800 border border-yellow-600/60 text-sm text-gray-300">
+    <p className="text-yellow-300 font-semibold mb-1">Saved on this device</p>
+    We couldn't reach our server just now, so it will be sent automatically once you're back online — even if you close this page and come back later.
+    {isBooking && ' Your tracking code will appear in the corner of the screen when it goes through.'}
+  </div>
+);
+
+// Shows a booked drop-off or pickup time with an "Add to calendar" (.ics) download.
+const AppointmentNotice = ({ appointment }) => {
+  if (!appointment) return null;
+  const startsAt = getAppointmentMillis(appointment);
+  const label = APPOINTMENT_KINDS[appointment.kind] || 'Appointment';
+
+  const addToCalendar = () => downloadFile(buildIcsCalendar([{
+    uid: `${appointment.slotId}@2xcustoms`,
+    startsAt,
+    minutes: appointment.minutes,
+    summary: `2X Customs ${label.toLowerCase()}`,
+  }]), `2xcustoms-${appointment.kind}-${appointment.date}.ics`, 'text/calendar');
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 p-4 rounded-lg bg-gray-800 border border-gray-700 text-sm">
+      <Calendar className="w-5 h-5 text-red-400 flex-shrink-0" />
+      <span className="text-gray-200"><span className="font-semibold text-white">{label}:</span> {formatAppointment(appointment)}</span>
+      <button type="button" onClick={addToCalendar} className="ml-auto flex items-center text-red-400 hover:text-red-300 underline">
+        <Download className="w-4 h-4 mr-1" /> Add to calendar
+      </button>
+    </div>
+  );
+};
+
+// Time picker for drop-offs and pickups. `scheduling` is { availability, subscribeToBookedDays,
+// isOnline } from App; `value` is the chosen slot (see getDaySlots) or null.
+const SlotPicker = ({ scheduling, value, onChange, idPrefix }) => {
+  const { availability, subscribeToBookedDays, isOnline } = scheduling;
+  const [bookedDays, setBookedDays] = useState({});
+  const [activeDate, setActiveDate] = useState(value?.date || '');
+  const today = getShopDate();
+  const lastDay = addDays(today, availability.bookingWindowDays);
+
+  useEffect(() => subscribeToBookedDays(today, lastDay, setBookedDays), [subscribeToBookedDays, today, lastDay]);
+
+  const days = getOpenSlots(availability, bookedDays);
+  const activeDay = days.find(day => day.date === activeDate) || days[0];
+  const isValueOpen = !value || days.some(day => day.slots.some(slot => slot.slotId === value.slotId));
+
+  // Drop the choice if someone else books it first.
+  useEffect(() => {
+    if (!isValueOpen) onChange(null);
+  }, [isValueOpen, onChange]);
+
+  if (!isOnline) {
+    return <p className="text-sm text-gray-400">Connect to the internet to pick a time, or send your request now and we'll arrange one by email.</p>;
+  }
+  if (!days.length) {
+    return <p className="text-sm text-gray-400">No open times in the next {availability.bookingWindowDays} days. Send your request and we'll arrange a time by email.</p>;
+  }
+
+  const chipClass = (isActive) => `px-3 py-2 rounded-lg text-sm border transition-colors ${isActive ? 'bg-red-600 border-red-500 text-white' : 'bg-gray-800 border-gray-700 text-gray-300 hover:border-red-500'}`;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex gap-2 overflow-x-auto pb-1" role="group" aria-label="Day">
+        {days.map(day => (
+          <button key={day.date} type="button" onClick={() => setActiveDate(day.date)} aria-pressed={activeDay.date === day.date} className={`${chipClass(activeDay.date === day.date)} whitespace-nowrap`}>
+            {formatShopDay(day.date)}
+          </button>
+        ))}
+      </div>
+      <div className="grid grid-cols-3 sm:grid-cols-6 gap-2" role="radiogroup" aria-label={`Times on ${formatShopDay(activeDay.date)}`}>
+        {activeDay.slots.map(slot => (
+          <label key={slot.slotId} className={`${chipClass(value?.slotId === slot.slotId)} text-center cursor-pointer`}>
+            <input type="radio" name={`${idPrefix}-slot`} value={slot.slotId} checked={value?.slotId === slot.slotId} onChange={() => onChange(slot)} className="sr-only" />
+            {formatShopTime(slot.time)}
+          </label>
+        ))}
+      </div>
+      {value && (
+        <p className="text-sm text-gray-300">
+          Selected: <span className="text-white font-semibold">{formatAppointment(value)}</span> ({value.minutes} min).{' '}
+          <button type="button" onClick={() => onChange(null)} className="text-red-400 hover:text-red-300 underline">Clear</button>
+        </p>
+      )}
+      <p className="text-xs text-gray-500">Times are in New York time. Your time is booked when you send the form.</p>
+    </div>
+  );
+};
+
+// Shown in booking confirmation modals for ship-in bookings.
+const MailInNotice = ({ trackingId, navigate, onClose }) => (
+  <div className="mt-6 flex flex-wrap items-center gap-3 p-4 rounded-lg bg-gray-800 border border-gray-700 text-sm">
+    <Truck className="w-5 h-5 text-red-400 flex-shrink-0" />
+    <span className="text-gray-200">Print your mail-in instructions and put the slip in the box with your pairs.</span>
+    <button type="button" onClick={() => { onClose(); navigate('mailIn', { trackingId }); }} className="ml-auto flex items-center text-red-400 hover:text-red-300 underline">
+      <Printer className="w-4 h-4 mr-1" /> Mail-in instructions
+    </button>
+  </div>
+);
+
+// Delivery choice for the booking forms, plus the return address when shipping in. `onChange`
+// is the form's input handler; errors and field props come from its useSubmissionErrors.
+const DeliveryFields = ({ delivery, address, onChange, onAddressChange, errors, fieldProps, idPrefix, inputClass }) => {
+  const addressField = (key, label, autoComplete, options) => {
+    const id = `${idPrefix}Address-${key}`;
+    const props = { value: address[key], onChange: e => onAddressChange(key, e.target.value), autoComplete, ...fieldProps(`returnAddress.${key}`, id) };
+    return (
+      <div>
+        <label htmlFor={id} className="block text-sm font-medium text-white mb-1">{label}</label>
+        {options ? (
+          <select {...props} className={`${inputClass} appearance-none`}>
+            <option value="" disabled>Select</option>
+            {options.map(option => <option key={option} value={option}>{option}</option>)}
+          </select>
+        ) : (
+          <input type="text" {...props} className={inputClass}/>
+        )}
+        <FieldError id={id} message={errors[`returnAddress.${key}`]} />
+      </div>
+    );
+  };
+
+  return (
+    <>
+      <fieldset>
+        <legend className="block text-sm font-medium text-white mb-2">How will you get your pairs to us?</legend>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          {DELIVERY_METHODS.map((method, index) => (
+            <label key={method.value} className={`p-4 rounded-xl border cursor-pointer transition-colors ${delivery === method.value ? 'border-red-500 bg-gray-800' : 'border-gray-700 bg-gray-950 hover:border-red-500'}`}>
+              {/* The first radio stands in for the group so errors can focus it. */}
+              <input type="radio" name="delivery" value={method.value} checked={delivery === method.value} onChange={onChange} {...(index === 0 ? fieldProps('delivery', `${idPrefix}Delivery`) : { required: true })} className="accent-red-600 mr-2" />
+              <span className="text-white font-semibold">{method.label}</span>
+              <span className="block text-sm text-gray-400 mt-1">{method.desc}</span>
+            </label>
+          ))}
+        </div>
+        <FieldError id={`${idPrefix}Delivery`} message={errors.delivery} />
+      </fieldset>
+
+      {delivery === 'ship_in' && (
+        <fieldset className="p-5 rounded-xl bg-gray-950 border border-gray-800 space-y-4">
+          <legend className="px-2 text-red-400 font-bold">Return Address</legend>
+          <p className="text-sm text-gray-400">Where we ship your pairs back to. After booking you'll get printable mail-in instructions with your order code.</p>
+          {addressField('name', 'Recipient Name', 'name')}
+          {addressField('line1', 'Street Address', 'address-line1')}
+          {addressField('line2', 'Apartment, Suite, etc. (Optional)', 'address-line2')}
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            {addressField('city', 'City', 'address-level2')}
+            {addressField('state', 'State', 'address-level1', US_STATE_CODES)}
+            {addressField('zip', 'ZIP Code', 'postal-code')}
+          </div>
+        </fieldset>
+      )}
+    </>
+  );
+};
+
+const EMPTY_ESTIMATOR = { serviceId: '', panels: CUSTOM_ESTIMATOR.includedPanels, extras: [], rush: false };
+
+const PriceEstimator = ({ catalog, value, onChange }) => {
+  const tiers = getCatalogItems(catalog, 'custom');
+  const estimate = estimateCustom(value, tiers);
+  const update = (changes) => onChange({ ...value, ...changes });
+  const toggleExtra = (extra) => update({
+    extras: value.extras.includes(extra) ? value.extras.filter(e => e !== extra) : [...value.extras, extra],
+  });
+
+  return (
+    <fieldset className="p-5 rounded-xl bg-gray-950 border border-gray-800 space-y-5">
+      <legend className="px-2 text-red-400 font-bold flex items-center"><DollarSign className="w-4 h-4 mr-1" /> Instant Estimate (Optional)</legend>
+
+      <div>
+        <span className="block text-sm font-medium text-white mb-2">Complexity</span>
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+          {tiers.map(tier => (
+            <label key={tier.id} className={`p-3 rounded-lg border cursor-pointer transition-colors ${value.serviceId === tier.id ? 'border-red-500 bg-gray-800' : 'border-gray-700 hover:border-red-500'}`}>
+              <input type="radio" name="estimatorTier" value={tier.id} checked={value.serviceId === tier.id} onChange={() => update({ serviceId: tier.id })} className="accent-red-600 mr-2" />
+              <span className="text-white font-semibold">{tier.name}</span>
+              <span className="block text-red-400 text-sm font-bold mt-1">{formatPriceRange(tier)}</span>
+              <span className="block text-xs text-gray-400 mt-1">{tier.description}</span>
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <label htmlFor="estimatorPanels" className="block text-sm font-medium text-white mb-2">
+          Panels / areas painted: <span className="text-red-400 font-bold">{value.panels}</span>
+          <span className="text-gray-500 font-normal"> ({CUSTOM_ESTIMATOR.includedPanels} included, then {formatPriceRange({ ...CUSTOM_ESTIMATOR.panelPrice, currency: CURRENCY })} each)</span>
+        </label>
+        <input type="range" id="estimatorPanels" min="1" max={CUSTOM_ESTIMATOR.maxPanels} value={value.panels} onChange={e => update({ panels: parseInt(e.target.value, 10) })} className="w-full accent-red-600" />
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+        {CUSTOM_ESTIMATOR.extras.map(extra => (
+          <label key={extra.value} className="flex items-center text-gray-300 text-sm">
+            <input type="checkbox" checked={value.extras.includes(extra.value)} onChange={() => toggleExtra(extra.value)} className="mr-2 accent-red-600" />
+            {extra.label} <span className="text-gray-500 ml-1">(+{formatPriceRange({ ...extra, currency: CURRENCY })})</span>
+          </label>
+        ))}
+        <label className="flex items-center text-gray-300 text-sm">
+          <input type="checkbox" checked={value.rush} onChange={e => update({ rush: e.target.checked })} className="mr-2 accent-red-600" />
+          Rush turnaround <span className="text-gray-500 ml-1">(+{Math.round((CUSTOM_ESTIMATOR.rushMultiplier - 1) * 100)}%)</span>
+        </label>
+      </div>
+
+      <div className="flex justify-between items-center p-4 rounded-lg bg-gray-800" aria-live="polite">
+        <span className="text-gray-300">Estimated price</span>
+        <span className="text-2xl font-extrabold text-red-500">{estimate ? formatEstimate(estimate) : 'Pick a complexity'}</span>
+      </div>
+      <p className="text-xs text-gray-500">Estimates are a guide; your final quote depends on the shoe and the design.</p>
+    </fieldset>
+  );
+};
+
+const CustomForm = ({ addSubmission, uploadReferenceImage, navigate, catalog, scheduling }) => {
+  const [form, setForm] = useState({ name: '', email: '', shoeModel: '', designRequest: '', budget: '', delivery: '' });
+  const [address, setAddress] = useState(EMPTY_ADDRESS);
+  const [estimator, setEstimator] = useState(EMPTY_ESTIMATOR);
+  const [appointment, setAppointment] = useState(null);
+  const canSchedule = form.delivery === 'drop_off' && Boolean(scheduling.availability?.enabled);
+  const guard = useFormGuard();
+  const { errors, formError, validate, showFailure, clearError, fieldProps } = useSubmissionErrors('custom_booking');
+  const [images, setImages] = useState([]);
+  const [imageError, setImageError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [confirmation, setConfirmation] = useState(null);
+
+  // Release preview object URLs when images are removed or the form unmounts.
+  const imagesRef = useRef(images);
+  imagesRef.current = images;
+  useEffect(() => () => imagesRef.current.forEach(img => URL.revokeObjectURL(img.previewUrl)), []);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+    clearError(name);
+  };
+
+  const handleAddressChange = (key, value) => {
+    setAddress(prev => ({ ...prev, [key]: value }));
+    clearError(`returnAddress.${key}`);
+  };
+
+  const handleImageUpload = (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = ''; // Allow re-selecting the same file after removing it
+    const errors = [];
+    const accepted = [];
+
+    files.forEach(file => {
+      const error = validateReferenceImage(file);
+      if (error) {
+        errors.push(error);
+      } else if (images.length + accepted.length >= REFERENCE_IMAGE_LIMITS.maxFiles) {
+        errors.push(`${file.name}: you can attach up to ${REFERENCE_IMAGE_LIMITS.maxFiles} images.`);
+      } else {
+        accepted.push({ id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, file, previewUrl: URL.createObjectURL(file), progress: 0 });
+      }
+    });
+
+    setImageError(errors.join(' '));
+    if (accepted.length) setImages(prev => [...prev, ...accepted]);
+  };
+
+  const removeImage = (id) => {
+    clearError('referenceImages');
+    setImages(prev => {
+      const target = prev.find(img => img.id === id);
+      if (target) URL.revokeObjectURL(target.previewUrl);
+      return prev.filter(img => img.id !== id);
+    });
+  };
+
+  const setImageProgress = (id, progress) => {
+    setImages(prev => prev.map(img => img.id === id ? { ...img, progress } : img));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setImageError('');
+
+    const fields = {
+      type: 'custom_booking',
+      status: 'New',
+      name: form.name,
+      email: form.email,
+      shoeModel: form.shoeModel,
+      designRequest: form.designRequest,
+      budget: form.budget,
+      delivery: form.delivery,
+      ...(form.delivery === 'ship_in' ? { returnAddress: trimAddress(address) } : {}),
+    };
+    // Check the picked files too, before anything is uploaded.
+    if (!validate({ ...fields, referenceImages: images.map(img => img.file) })) return;
+    setIsSubmitting(true);
+
+    // Upload reference photos first so their download URLs can be stored on the submission.
+    // Offline, the rest are queued with the submission and uploaded when it is sent.
+    const referenceImages = [];
+    let pendingFiles = [];
+    for (const [index, img] of images.entries()) {
+      const upload = await uploadReferenceImage(img.file, (progress) => setImageProgress(img.id, progress));
+      if (!upload.success && upload.offline) {
+        pendingFiles = images.slice(index).map(pending => pending.file);
+        break;
+      }
+      if (!upload.success) {
+        console.error("Image upload failed:", upload.error);
+        setImageError(upload.tooLarge ? `${upload.error} Please remove it.` : `Could not upload ${img.file.name}. Please try again or remove it.`);
+        setIsSubmitting(false);
+        return;
+      }
+      referenceImages.push(upload.image);
+    }
+    
+    // Data structure for Firestore
+    const submissionData = { ...fields, referenceImages };
+    if (canSchedule && appointment) submissionData.appointment = { ...appointment, kind: 'drop_off' };
+    const tiers = getCatalogItems(catalog, 'custom');
+    const estimate = estimateCustom(estimator, tiers);
+    if (estimate) {
+      submissionData.estimate = estimate;
+      submissionData.estimator = { ...estimator, tier: tiers.find(tier => tier.id === estimator.serviceId).name };
+    }
+
+    const result = await addSubmission(submissionData, guard.check(), pendingFiles);
+    
+    if (result.success) {
+      // The onSubmissionCreated function emails the owner and the customer.
+      setConfirmation({ firstName: form.name.split(' ')[0], trackingCode: result.trackingCode, queued: result.queued, appointment: submissionData.appointment, mailInId: form.delivery === 'ship_in' ? result.trackingId : null });
+      setForm({ name: '', email: '', shoeModel: '', designRequest: '', budget: '', delivery: '' }); // Reset form
+      setAddress(EMPTY_ADDRESS);
+      guard.reset();
+      setEstimator(EMPTY_ESTIMATOR);
+      setAppointment(null);
+      images.forEach(img => URL.revokeObjectURL(img.previewUrl));
+      setImages([]);
+    } else {
+      showFailure(result);
+    }
+    
+    setIsSubmitting(false);
+  };
+
+  const inputClass = "w-full p-3 rounded-lg bg-gray-800 text-white border border-gray-700 focus:border-red-500 focus:ring-red-500 aria-[invalid=true]:border-red-500";
+
+  return (
+    <div className="container mx-auto p-4 md:p-10 max-w-4xl">
+      <Modal 
+        isOpen={!!confirmation} 
+        onClose={() => setConfirmation(null)} 
+        title={confirmation?.queued ? 'Request Saved' : 'Request Received!'}
+      >
+        <p className="text-gray-300 text-lg flex items-center">
+          <CheckCircle className="w-6 h-6 text-green-500 mr-3 flex-shrink-0" />
+          Thank you, {confirmation?.firstName || 'Sneakerhead'}! {confirmation?.queued ? 'Your custom shoe request is saved.' : 'Your custom shoe request has been received.'} We will be in touch via email soon!
+        </p>
+        {confirmation?.queued && <QueuedSubmissionNotice isBooking />}
+        {confirmation?.appointment && <div className="mt-6"><AppointmentNotice appointment={confirmation.appointment} /></div>}
+        {confirmation?.mailInId && <MailInNotice trackingId={confirmation.mailInId} navigate={navigate} onClose={() => setConfirmation(null)} />}
+        <TrackingCodeNotice trackingCode={confirmation?.trackingCode} navigate={navigate} onClose={() => setConfirmation(null)} />
+      </Modal>
+
+      <SectionTitle>Book Your Custom Kicks</SectionTitle>
+      <div className="bg-gray-900 p-8 rounded-xl shadow-2xl border border-red-600/50">
+        <p className="text-gray-400 mb-6 text-lg">
+          Ready to turn your vision into reality? Fill out the details below to start the design process.
+        </p>
+        <form onSubmit={handleSubmit} noValidate className="space-y-6">
+          <HoneypotField {...guard.honeypotProps} />
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
+            <div className="col-span-1">
+              <label htmlFor="name" className="block text-sm font-medium text-white mb-1">Name</label>
+              <input type="text" name="name" value={form.name} onChange={handleChange} {...fieldProps('name', 'name')} className={inputClass}/>
+              <FieldError id="name" message={errors.name} />
+            </div>
+            <div className="col-span-1">
+              <label htmlFor="email" className="block text-sm font-medium text-white mb-1">Email</label>
+              <input type="email" name="email" value={form.email} onChange={handleChange} {...fieldProps('email', 'email')} className={inputClass}/>
+              <FieldError id="email" message={errors.email} />
+            </div>
+          </div>
+
+          <div>
+            <label htmlFor="shoeModel" className="block text-sm font-medium text-white mb-1">Shoe Type / Model (e.g., Air Force 1, Dunk Low, Vans)</label>
+            <input type="text" name="shoeModel" value={form.shoeModel} onChange={handleChange} {...fieldProps('shoeModel', 'shoeModel')} className={inputClass}/>
+            <FieldError id="shoeModel" message={errors.shoeModel} />
+          </div>
+
+          <div>
+            <label htmlFor="designRequest" className="block text-sm font-medium text-white mb-1">Custom Design Request (Describe your idea!)</label>
+            <textarea name="designRequest" value={form.designRequest} onChange={handleChange} {...fieldProps('designRequest', 'designRequest')} rows="4" className={inputClass}></textarea>
+            <FieldError id="designRequest" message={errors.designRequest} />
+          </div>
+
+          <PriceEstimator catalog={catalog} value={estimator} onChange={setEstimator} />
+          
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-6 items-start">
+            <div>
+              <label htmlFor="budget" className="block text-sm font-medium text-white mb-1">Budget Range (Customization cost only)</label>
+              <select name="budget" value={form.budget} onChange={handleChange} {...fieldProps('budget', 'budget')} className={`${inputClass} appearance-none`}>
+                <option value="" disabled>Select a range</option>
+                {BUDGET_OPTIONS.map(b => <option key={b} value={b}>{b}</option>)}
+              </select>
+              <FieldError id="budget" message={errors.budget} />
+            </div>
+            
+            <div>
+              <label htmlFor="imageUpload" className="block text-sm font-medium text-white mb-1">Upload Reference Images (Optional, up to {REFERENCE_IMAGE_LIMITS.maxFiles})</label>
+              <div className="flex items-center space-x-2 p-3 rounded-lg bg-gray-800 border border-gray-700">
+                <Upload className="w-5 h-5 text-red-500 flex-shrink-0" />
+                <input 
+                  type="file" 
+                  id="imageUpload" 
+                  name="imageUpload" 
+                  accept={REFERENCE_IMAGE_LIMITS.acceptedTypes.join(',')}
+                  multiple
+                  disabled={isSubmitting || images.length >= REFERENCE_IMAGE_LIMITS.maxFiles}
+                  onChange={handleImageUpload}
+                  aria-describedby={errors.referenceImages ? 'imageUploadHelp imageUpload-error' : 'imageUploadHelp'}
+                  className="block w-full text-sm text-gray-400 file:mr-4 file:py-1 file:px-3 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-gray-700 file:text-red-400 hover:file:bg-gray-600"
+                />
+              </div>
+              <p id="imageUploadHelp" className="text-xs text-gray-500 mt-1">JPG, PNG or WebP, max {formatFileSize(REFERENCE_IMAGE_LIMITS.maxFileSize)} each. Large photos are resized before upload.</p>
+              {imageError && <p className="text-xs text-red-400 mt-1" role="alert">{imageError}</p>}
+              <FieldError id="imageUpload" message={errors.referenceImages} />
+            </div>
+          </div>
+
+          {images.length > 0 && (
+            <div className="grid grid-cols-3 sm:grid-cols-5 gap-3">
+              {images.map(img => (
+                <div key={img.id} className="relative rounded-lg overflow-hidden border border-gray-700 bg-gray-800">
+                  <img src={img.previewUrl} alt={img.file.name} className="w-full aspect-square object-cover" />
+                  {!isSubmitting && (
+                    <button type="button" onClick={() => removeImage(img.id)} title={`Remove ${img.file.name}`} className="absolute top-1 right-1 p-1 rounded-full bg-black/70 text-gray-300 hover:text-red-500">
+                      <X className="w-4 h-4" />
+                    </button>
+                  )}
+                  {isSubmitting && (
+                    <div className="absolute bottom-0 left-0 right-0 h-1.5 bg-gray-900" role="progressbar" aria-valuenow={img.progress} aria-valuemin="0" aria-valuemax="100">
+                      <div className="h-full bg-red-600 transition-all" style={{ width: `${img.progress}%` }}></div>
+                    </div>
+                  )}
+                  <p className="text-[10px] text-gray-400 px-1 py-0.5 truncate">{img.file.name}</p>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <DeliveryFields delivery={form.delivery} address={address} onChange={handleChange} onAddressChange={handleAddressChange} errors={errors} fieldProps={fieldProps} idPrefix="custom" inputClass={inputClass} />
+
+          {canSchedule && (
+            <fieldset>
+              <legend className="block text-sm font-medium text-white mb-2">Drop-off Time (Optional)</legend>
+              <SlotPicker scheduling={scheduling} value={appointment} onChange={setAppointment} idPrefix="custom" />
+            </fieldset>
+          )}
+          
+          <FormError message={formError} />
+          <Button type="submit" variant="primary" className="w-full text-xl mt-6" disabled={isSubmitting}>
+            {isSubmitting ? (images.length ? 'Uploading Images...' : 'Sending Request...') : 'Submit Custom Request'}
+          </Button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+const CleaningPage = ({ navigate, catalog, galleryItems }) => {
+  const examples = getBeforeAfterExamples(galleryItems);
+  return (
+    <div className="container mx-auto p-4 md:p-10 max-w-4xl">
+      <SectionTitle>Shoe Cleaning & Restoration</SectionTitle>
+      <div className="bg-gray-900 p-8 rounded-xl shadow-2xl border border-red-600/50">
+        <p className="text-gray-400 mb-10 text-lg text-center">
+          From a quick touch-up to bringing a dead pair back to life, we handle it all with specialist, non-damaging solutions.
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-12">
+          {getCatalogItems(catalog, 'cleaning').map(item => (
+            <div key={item.id} className="p-5 bg-gray-800 rounded-xl border border-gray-700 hover:border-red-500 transition-all">
+              <h3 className="text-2xl font-bold text-red-400 mb-2">{item.name}</h3>
+              <p className="text-3xl font-extrabold text-white mb-3">{formatPriceRange(item)}</p>
+              <p className="text-gray-400">{item.description}</p>
+            </div>
+          ))}
+        </div>
+      
+        {examples.length > 0 && (
+          <>
+            <SectionTitle>Before & After</SectionTitle>
+            <p className="text-gray-400 mb-6">Drag the handle to compare.</p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+              {examples.map(item => (
+                <figure key={item.id}>
+                  <BeforeAfterSlider before={item.beforeImage.url} after={item.image.url} label={item.title} className="shadow-lg" />
+                  <figcaption className="mt-2 text-center">
+                    <button onClick={() => navigate('gallery', { itemId: item.id })} className="text-white font-semibold hover:text-red-400">{item.title}</button>
+                  </figcaption>
+                </figure>
+              ))}
+            </div>
+          </>
+        )}
+
+        <div className="text-center mt-12">
+          <Button onClick={() => navigate('cleaningBooking')} variant="primary" className="text-lg">
+            Book Cleaning Service
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Sum of the per-pair price ranges for the selected cleaning services.
+const estimateCleaning = (pairs, catalog) => pairs.reduce((acc, pair) => {
+  const service = catalog.find(item => item.id === pair.serviceId);
+  if (!service) return acc;
+  return { min: acc.min + service.min, max: acc.max + (service.max === null ? service.min : service.max) };
+}, { min: 0, max: 0 });
+
+const createEmptyPair = () => ({ id: createLineItemId(), shoeModel: '', serviceId: '', problemAreas: [], notes: '' });
+
+const CleaningBookingForm = ({ addSubmission, navigate, catalog, scheduling }) => {
+  const [form, setForm] = useState({ name: '', email: '', delivery: '', customerNotes: '' });
+  const [address, setAddress] = useState(EMPTY_ADDRESS);
+  const [pairs, setPairs] = useState(() => [createEmptyPair()]);
+  const [appointment, setAppointment] = useState(null);
+  const canSchedule = form.delivery === 'drop_off' && Boolean(scheduling.availability?.enabled);
+  const guard = useFormGuard();
+  const { errors, formError, validate, showFailure, clearError, fieldProps } = useSubmissionErrors('cleaning_booking');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [confirmation, setConfirmation] = useState(null);
+  const services = getCatalogItems(catalog, 'cleaning');
+  const estimate = estimateCleaning(pairs, services);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+    clearError(name);
+  };
+
+  const handleAddressChange = (key, value) => {
+    setAddress(prev => ({ ...prev, [key]: value }));
+    clearError(`returnAddress.${key}`);
+  };
+
+  // Pair errors are keyed by position, so edit by index.
+  const updatePair = (index, changes) => {
+    setPairs(prev => prev.map((pair, i) => i === index ? { ...pair, ...changes } : pair));
+    Object.keys(changes).forEach(key => clearError(`pairs.${index}.${key}`));
+  };
+  const toggleProblemArea = (index, pair, area) => updatePair(index, {
+    problemAreas: pair.problemAreas.includes(area) ? pair.problemAreas.filter(a => a !== area) : [...pair.problemAreas, area],
+  });
+  const addPair = () => setPairs(prev => (prev.length < MAX_CLEANING_PAIRS ? [...prev, createEmptyPair()] : prev));
+  const removePair = (id) => {
+    setPairs(prev => (prev.length > 1 ? prev.filter(pair => pair.id !== id) : prev));
+    clearError('pairs'); // Positions shift, so earlier errors no longer line up.
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const submissionData = {
+      type: 'cleaning_booking',
+      status: 'New',
+      name: form.name,
+      email: form.email,
+      // The service name is copied so old bookings still read correctly after the catalog changes.
+      pairs: pairs.map(({ shoeModel, serviceId, problemAreas, notes }) => ({
+        shoeModel, serviceId, level: services.find(item => item.id === serviceId)?.name || '', problemAreas, notes,
+      })),
+      delivery: form.delivery,
+      ...(form.delivery === 'ship_in' ? { returnAddress: trimAddress(address) } : {}),
+      customerNotes: form.customerNotes,
+      estimate,
+      ...(canSchedule && appointment ? { appointment: { ...appointment, kind: 'drop_off' } } : {}),
+    };
+    if (!validate(submissionData)) return;
+
+    setIsSubmitting(true);
+    const result = await addSubmission(submissionData, guard.check());
+
+    if (result.success) {
+      setConfirmation({ firstName: form.name.split(' ')[0], trackingCode: result.trackingCode, pairCount: pairs.length, queued: result.queued, appointment: submissionData.appointment, mailInId: form.delivery === 'ship_in' ? result.trackingId : null });
+      setForm({ name: '', email: '', delivery: '', customerNotes: '' }); // Reset form
+      setAddress(EMPTY_ADDRESS);
+      guard.reset();
+      setPairs([createEmptyPair()]);
+      setAppointment(null);
+    } else {
+      showFailure(result);
+    }
+
+    setIsSubmitting(false);
+  };
+
+  const inputClass = "w-full p-3 rounded-lg bg-gray-800 text-white border border-gray-700 focus:border-red-500 focus:ring-red-500 aria-[invalid=true]:border-red-500";
+
+  return (
+    <div className="container mx-auto p-4 md:p-10 max-w-4xl">
+      <Modal isOpen={!!confirmation} onClose={() => setConfirmation(null)} title={confirmation?.queued ? 'Booking Saved' : 'Cleaning Booked!'}>
+        <p className="text-gray-300 text-lg flex items-center">
+          <CheckCircle className="w-6 h-6 text-green-500 mr-3 flex-shrink-0" />
+          Thanks, {confirmation?.firstName || 'Sneakerhead'}! We've got your {confirmation?.pairCount === 1 ? 'pair' : `${confirmation?.pairCount} pairs`} on the list and will email you to confirm the details.
+        </p>
+        {confirmation?.queued && <QueuedSubmissionNotice isBooking />}
+        {confirmation?.appointment && <div className="mt-6"><AppointmentNotice appointment={confirmation.appointment} /></div>}
+        {confirmation?.mailInId && <MailInNotice trackingId={confirmation.mailInId} navigate={navigate} onClose={() => setConfirmation(null)} />}
+        <TrackingCodeNotice trackingCode={confirmation?.trackingCode} navigate={navigate} onClose={() => setConfirmation(null)} />
+      </Modal>
+
+      <SectionTitle>Book a Cleaning</SectionTitle>
+      <div className="bg-gray-900 p-8 rounded-xl shadow-2xl border border-red-600/50">
+        <p className="text-gray-400 mb-6 text-lg">
+          Tell us about each pair and pick a cleaning level. Not sure which level? Pick your best guess — we'll confirm before we start.
+        </p>
+        <form onSubmit={handleSubmit} noValidate className="space-y-6">
+          <HoneypotField {...guard.honeypotProps} />
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
+            <div>
+              <label htmlFor="cleaningName" className="block text-sm font-medium text-white mb-1">Name</label>
+              <input type="text" name="name" value={form.name} onChange={handleChange} {...fieldProps('name', 'cleaningName')} className={inputClass}/>
+              <FieldError id="cleaningName" message={errors.name} />
+            </div>
+            <div>
+              <label htmlFor="cleaningEmail" className="block text-sm font-medium text-white mb-1">Email</label>
+              <input type="email" name="email" value={form.email} onChange={handleChange} {...fieldProps('email', 'cleaningEmail')} className={inputClass}/>
+              <FieldError id="cleaningEmail" message={errors.email} />
+            </div>
+          </div>
+
+          {pairs.map((pair, index) => (
+            <fieldset key={pair.id} className="p-5 rounded-xl bg-gray-950 border border-gray-800 space-y-4">
+              <legend className="px-2 text-red-400 font-bold">Pair {index + 1}</legend>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label htmlFor={`pairModel-${pair.id}`} className="block text-sm font-medium text-white mb-1">Shoe Type / Model</label>
+                  <input type="text" value={pair.shoeModel} onChange={e => updatePair(index, { shoeModel: e.target.value })} {...fieldProps(`pairs.${index}.shoeModel`, `pairModel-${pair.id}`)} placeholder="e.g., Jordan 1 Chicago" className={inputClass}/>
+                  <FieldError id={`pairModel-${pair.id}`} message={errors[`pairs.${index}.shoeModel`]} />
+                </div>
+                <div>
+                  <label htmlFor={`pairLevel-${pair.id}`} className="block text-sm font-medium text-white mb-1">Cleaning Level</label>
+                  <select value={pair.serviceId} onChange={e => updatePair(index, { serviceId: e.target.value })} {...fieldProps(`pairs.${index}.serviceId`, `pairLevel-${pair.id}`)} className={`${inputClass} appearance-none`}>
+                    <option value="" disabled>Select a level</option>
+                    {services.map(item => <option key={item.id} value={item.id}>{item.name} ({formatPriceRange(item)})</option>)}
+                  </select>
+                  <FieldError id={`pairLevel-${pair.id}`} message={errors[`pairs.${index}.serviceId`]} />
+                </div>
+              </div>
+              <div>
+                <span className="block text-sm font-medium text-white mb-2">Problem Areas</span>
+                <div className="flex flex-wrap gap-2">
+                  {CLEANING_PROBLEM_AREAS.map(area => (
+                    <label key={area} className={`px-3 py-1 rounded-full text-sm cursor-pointer border transition-colors ${pair.problemAreas.includes(area) ? 'bg-red-600 border-red-500 text-white' : 'bg-gray-800 border-gray-700 text-gray-300 hover:border-red-500'}`}>
+                      <input type="checkbox" checked={pair.problemAreas.includes(area)} onChange={() => toggleProblemArea(index, pair, area)} className="sr-only" />
+                      {area}
+                    </label>
+                  ))}
+                </div>
+              </div>
+              <div>
+                <label htmlFor={`pairNotes-${pair.id}`} className="block text-sm font-medium text-white mb-1">Anything else about this pair? (Optional)</label>
+                <input type="text" value={pair.notes} onChange={e => updatePair(index, { notes: e.target.value })} {...fieldProps(`pairs.${index}.notes`, `pairNotes-${pair.id}`)} placeholder="e.g., red wine stain on the left toe" className={inputClass}/>
+                <FieldError id={`pairNotes-${pair.id}`} message={errors[`pairs.${index}.notes`]} />
+              </div>
+              {pairs.length > 1 && (
+                <button type="button" onClick={() => removePair(pair.id)} className="text-sm text-gray-400 hover:text-red-500">Remove this pair</button>
+              )}
+            </fieldset>
+          ))}
+
+          {pairs.length < MAX_CLEANING_PAIRS && (
+            <Button variant="ghost" onClick={addPair} className="w-full">+ Add Another Pair</Button>
+          )}
+
+          <DeliveryFields delivery={form.delivery} address={address} onChange={handleChange} onAddressChange={handleAddressChange} errors={errors} fieldProps={fieldProps} idPrefix="cleaning" inputClass={inputClass} />
+
+          {canSchedule && (
+            <fieldset>
+              <legend className="block text-sm font-medium text-white mb-2">Drop-off Time (Optional)</legend>
+              <SlotPicker scheduling={scheduling} value={appointment} onChange={setAppointment} idPrefix="cleaning" />
+            </fieldset>
+          )}
+
+          <div>
+            <label htmlFor="cleaningNotes" className="block text-sm font-medium text-white mb-1">Additional Notes (Optional)</label>
+            <textarea name="customerNotes" value={form.customerNotes} onChange={handleChange} {...fieldProps('customerNotes', 'cleaningNotes')} rows="3" className={inputClass}></textarea>
+            <FieldError id="cleaningNotes" message={errors.customerNotes} />
+          </div>
+
+          <div className="flex justify-between items-center p-4 rounded-lg bg-gray-800" aria-live="polite">
+            <span className="text-gray-300">Estimated total ({pairs.length} {pairs.length === 1 ? 'pair' : 'pairs'})</span>
+            <span className="text-2xl font-extrabold text-red-500">{estimate.max ? formatEstimate(estimate) : '—'}</span>
+          </div>
+
+          <FormError message={formError} />
+          <Button type="submit" variant="primary" className="w-full text-xl mt-6" disabled={isSubmitting}>
+            {isSubmitting ? 'Booking...' : 'Book Cleaning'}
+          </Button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+const GalleryPage = ({ navigate, itemId, items, isLoading }) => {
+
+  const galleryItems = useMemo(() => sortGallery(items), [items]);
+
+  // Known categories first, then any others used by items, so the filter never hides an item.
+  const categories = useMemo(() => [
+    'All', ...new Set([...GALLERY_CATEGORIES, ...galleryItems.map(item => item.category).filter(Boolean)])
+  ], [galleryItems]);
+
+  const [activeCategory, setActiveCategory] = useState('All');
+
+  const filteredItems = galleryItems.filter(item => 
+    activeCategory === 'All' || item.category === activeCategory
+  );
+
+  // The open item lives in the URL (/gallery/:itemId) so it can be shared and survives refresh.
+  const selectedImage = itemId ? galleryItems.find(item => String(item.id) === itemId) : null;
+
+  if (itemId && !selectedImage) {
+    // The link may point at an item from the live gallery, which hasn't arrived yet.
+    if (isLoading) return null;
+    return <NotFoundPage navigate={navigate} />;
+  }
+
+  return (
+    <div className="container mx-auto p-4 md:p-10">
+      <SectionTitle>Our Art & Archive</SectionTitle>
+
+      <div className="text-center mb-8 overflow-x-auto whitespace-nowrap py-2">
+        {categories.map(cat => (
+          <button 
+            key={cat}
+            onClick={() => setActiveCategory(cat)}
+            className={`px-4 py-2 mx-2 text-sm font-medium rounded-full transition-colors duration-200 ${
+              activeCategory === cat 
+                ? 'bg-red-600 text-white shadow-lg' 
+                : 'bg-gray-800 text-gray-300 hover:bg-gray-700'
+            }`}
+          >
+            {cat}
+          </button>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-4">
+        {filteredItems.map(item => (
+          <div 
+            key={item.id} 
+            className="group relative rounded-xl overflow-hidden shadow-xl border border-gray-800 cursor-pointer hover:border-red-600 transition-all"
+            onClick={() => navigate('gallery', { itemId: item.id }, { scroll: false })}
+          >
+            <img 
+              src={item.image?.url} 
+              alt={item.title} 
+              loading="lazy"
+              className="w-full aspect-square object-cover transition-transform duration-500 group-hover:scale-110"
+            />
+            {item.beforeImage && <span className="absolute top-2 left-2 px-2 py-0.5 rounded bg-black/70 text-[10px] font-bold text-white">BEFORE / AFTER</span>}
+            <div className="absolute inset-0 bg-black bg-opacity-50 flex items-end opacity-0 group-hover:opacity-100 transition-opacity p-3">
+              <div className="text-white">
+                <p className="text-xl font-bold">{item.title}</p>
+                <p className="text-xs text-red-400">{item.category}</p>
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <Modal isOpen={!!selectedImage} onClose={() => navigate('gallery', {}, { scroll: false })} title={selectedImage?.title || ''}>
+        {selectedImage && (
+          <>
+            {selectedImage.beforeImage ? (
+              <BeforeAfterSlider before={selectedImage.beforeImage.url} after={selectedImage.image?.url} label={selectedImage.title} className="mb-4" />
+            ) : (
+              <img src={selectedImage.image?.url} alt={selectedImage.title} className="w-full h-auto rounded-lg mb-4" />
+            )}
+            <p className="text-sm text-red-400">{selectedImage.category}</p>
+            {selectedImage.description && <p className="text-gray-300 mt-2 whitespace-pre-wrap">{selectedImage.description}</p>}
+            {selectedImage.tags.length > 0 && (
+              <div className="flex flex-wrap gap-2 mt-3">
+                {selectedImage.tags.map(tag => <span key={tag} className="px-2 py-0.5 rounded-full bg-gray-800 text-xs text-gray-300">#{tag}</span>)}
+              </div>
+            )}
+          </>
+        )}
+      </Modal>
+    </div>
+  );
+};
+
+const PricingPage = ({ navigate, catalog }) => (
+  <div className="container mx-auto p-4 md:p-10 max-w-4xl">
+    <SectionTitle>Custom & Cleaning Price Breakdown</SectionTitle>
+
+    <div className="bg-gray-900 p-8 rounded-xl shadow-2xl border border-red-600/50 space-y-10">
+      {PRICE_CATEGORIES.map(category => (
+      <div key={category.value}>
+      <h3 className="text-2xl font-bold text-white mb-4">{category.label}</h3>
+      <table className="min-w-full divide-y divide-gray-700">
+        <thead className="bg-gray-800">
+          <tr>
+            <th className="px-6 py-3 text-left text-xs font-medium text-red-400 uppercase tracking-wider">Service</th>
+            <th className="px-6 py-3 text-left text-xs font-medium text-red-400 uppercase tracking-wider">Price Range</th>
+            <th className="px-6 py-3 text-left text-xs font-medium text-red-400 uppercase tracking-wider hidden sm:table-cell">Description</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-800">
+          {getCatalogItems(catalog, category.value).map(item => (
+            <tr key={item.id} className="hover:bg-gray-800 transition-colors">
+              <td className="px-6 py-4 whitespace-nowrap">
+                <div className="text-lg font-bold text-white">{item.name}</div>
+              </td>
+              <td className="px-6 py-4 whitespace-nowrap">
+                <div className="text-xl font-extrabold text-red-500">{formatPriceRange(item)}</div>
+              </td>
+              <td className="px-6 py-4 text-gray-400 hidden sm:table-cell">{item.description}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      </div>
+      ))}
+
+      <div className="mt-12 flex flex-col sm:flex-row justify-center gap-4">
+        <Button onClick={() => navigate('custom')} variant="primary" className="text-xl">
+          Book Now & Start Designing
+        </Button>
+        <Button onClick={() => navigate('cleaningBooking')} variant="ghost" className="text-xl">
+          Book a Cleaning
+        </Button>
+      </div>
+    </div>
+  </div>
+);
+
+const AboutPage = () => (
+  <div className="container mx-auto p-4 md:p-10 max-w-4xl">
+    <SectionTitle>About 2X Customs</SectionTitle>
+    <div className="bg-gray-900 p-8 rounded-xl shadow-2xl border border-red-600/50 flex flex-col md:flex-row items-center space-y-6 md:space-y-0 md:space-x-8">
+      
+      <div className="md:w-1/3 flex-shrink-0">
+        <img 
+          src="https://placehold.co/300x300/111827/FCA5A5?text=LILRO" 
+          alt="Lilro - Owner of 2X Customs" 
+          className="rounded-full w-40 h-40 object-cover mx-auto border-4 border-red-600"
+        />
+        <h3 className="text-center text-xl font-bold text-white mt-4">Lilro, Founder</h3>
+      </div>
+
+      <div className="md:w-2/3 text-gray-300 space-y-4">
+        <p className="text-xl font-semibold text-white">
+          My name is Lilro, and I run 2X Customs.
+        </p>
+        <p className="text-lg">
+          I specialize in transforming everyday footwear into wearable art—from full custom shoe designs using durable, flexible paints, to deep cleaning and restoring beat pairs into fresh heat.
+        </p>
+        <p className="text-lg border-l-4 border-red-600 pl-4 italic">
+          Fast turnaround. Affordable. High quality. I treat every pair like my own. Let's make some noise.
+        </p>
+      </div>
+    </div>
+  </div>
+);
+
+// Linear path shown to customers; the slot after Ready is whichever of Shipped / Picked Up applies.
+const CUSTOMER_STEPS = ['New', 'Quoted', 'Accepted', 'In Progress', 'Ready', ['Shipped', 'Picked Up'], 'Completed'];
+
+const OrderProgress = ({ status, history }) => {
+  const reached = new Set((history || []).map(h => h.status).concat(status));
+  const currentIndex = CUSTOMER_STEPS.findIndex(step => (Array.isArray(step) ? step.includes(status) : step === status));
+
+  return (
+    <ol className="grid grid-cols-2 sm:grid-cols-7 gap-2">
+      {CUSTOMER_STEPS.map((step, i) => {
+        const label = Array.isArray(step) ? (step.find(s => reached.has(s)) || step.join(' / ')) : step;
+        const isDone = i < currentIndex;
+        const isCurrent = i === currentIndex;
+        return (
+          <li
+            key={label}
+            aria-current={isCurrent ? 'step' : undefined}
+            className={`p-2 rounded-lg text-center text-xs font-semibold border ${isCurrent ? 'bg-red-600 text-white border-red-500' : isDone ? 'bg-gray-800 text-green-400 border-green-700' : 'bg-gray-900 text-gray-500 border-gray-800'}`}
+          >
+            {isDone && <CheckCircle className="w-4 h-4 mx-auto mb-1" />}
+            {label}
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
+// Customer's view of a sent quote, with accept / decline while it is still open.
+const CustomerQuote = ({ order, onRespond }) => {
+  const [declining, setDeclining] = useState(false);
+  const [reason, setReason] = useState('');
+  const [state, setState] = useState(null);
+  const quote = order.quote;
+  const expired = isQuoteExpired(quote);
+  const canRespond = quote.status === 'sent' && !expired;
+
+  const respond = async (accepted) => {
+    setState({ busy: true });
+    const result = await onRespond(accepted, reason.trim());
+    setState(result.success ? null : { error: result.error });
+  };
+
+  return (
+    <div className="p-6 rounded-xl bg-gray-950 border border-gray-800 space-y-4">
+      <div className="flex flex-wrap justify-between items-center gap-2">
+        <h4 className="text-lg font-bold text-white">Your Quote</h4>
+        {quote.expiresOn && (
+          <span className={`text-xs ${expired && quote.status === 'sent' ? 'text-red-400' : 'text-gray-500'}`}>
+            {expired ? 'Expired' : 'Valid until'} {new Date(`${quote.expiresOn}T00:00:00`).toLocaleDateString()}
+          </span>
+        )}
+      </div>
+      {quote.customerNote && <p className="text-gray-300 whitespace-pre-wrap">{quote.customerNote}</p>}
+      <QuoteSummary quote={quote} />
+
+      {quote.status === 'accepted' && <p className="text-green-400 font-semibold">You accepted this quote on {formatTimestamp(quote.respondedAt)}. Thanks — we'll get started!</p>}
+      {quote.status === 'declined' && <p className="text-gray-400">You declined this quote on {formatTimestamp(quote.respondedAt)}.</p>}
+      {quote.status === 'sent' && expired && <p className="text-gray-400">This quote has expired. Reach out through the contact page and we'll send an updated one.</p>}
+
+      {canRespond && !declining && (
+        <div className="flex flex-col sm:flex-row gap-3">
+          <Button variant="primary" className="flex-1" onClick={() => respond(true)} disabled={state?.busy}>Accept Quote</Button>
+          <Button variant="ghost" className="flex-1" onClick={() => setDeclining(true)} disabled={state?.busy}>Decline</Button>
+        </div>
+      )}
+      {canRespond && declining && (
+        <div className="space-y-3">
+          <label htmlFor="declineReason" className="block text-sm text-gray-300">Anything we should know? (optional)</label>
+          <textarea id="declineReason" value={reason} onChange={e => setReason(e.target.value)} rows="2" className="w-full p-3 rounded-lg bg-gray-800 text-white border border-gray-700 focus:border-red-500 focus:ring-red-500"></textarea>
+          <div className="flex gap-3">
+            <Button variant="primary" onClick={() => respond(false)} disabled={state?.busy}>Confirm Decline</Button>
+            <Button variant="secondary" onClick={() => setDeclining(false)} disabled={state?.busy}>Back</Button>
+          </div>
+        </div>
+      )}
+      {state?.error && <p className="text-sm text-red-400" role="alert">{state.error}</p>}
+    </div>
+  );
+};
+
+// Shown on a completed order that hasn't been reviewed yet.
+const ReviewForm = ({ order, onSubmit, uploadReferenceImage }) => {
+  const [rating, setRating] = useState(0);
+  const [text, setText] = useState('');
+  const [displayName, setDisplayName] = useState(order.firstName || '');
+  const [photo, setPhoto] = useState(null);
+  const [state, setState] = useState(null);
+
+  useEffect(() => () => { if (photo) URL.revokeObjectURL(photo.previewUrl); }, [photo]);
+
+  const handlePhoto = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    const error = validateReferenceImage(file);
+    if (error) {
+      setState({ error });
+      return;
+    }
+    setState(null);
+    setPhoto({ file, previewUrl: URL.createObjectURL(file) });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!rating) {
+      setState({ error: 'Pick a star rating.' });
+      return;
+    }
+    setState({ busy: true });
+
+    let uploaded = null;
+    if (photo) {
+      const upload = await uploadReferenceImage(photo.file);
+      if (!upload.success) {
+        setState({ error: `Could not upload ${photo.file.name}. Please try again or remove it.` });
+        return;
+      }
+      uploaded = upload.image;
+    }
+
+    const result = await onSubmit({ rating, text: text.trim(), displayName: displayName.trim(), photo: uploaded });
+    if (!result.success) setState({ error: result.error });
+  };
+
+  const inputClass = "w-full p-3 rounded-lg bg-gray-800 text-white border border-gray-700 focus:border-red-500 focus:ring-red-500";
+
+  return (
+    <form onSubmit={handleSubmit} className="p-6 rounded-xl bg-gray-950 border border-gray-800 space-y-4">
+      <h4 className="text-lg font-bold text-white">How did we do?</h4>
+      <StarInput value={rating} onChange={setRating} />
+      <div>
+        <label htmlFor="reviewText" className="block text-sm font-medium text-white mb-1">Your review</label>
+        <textarea id="reviewText" value={text} onChange={e => setText(e.target.value)} required maxLength={REVIEW_TEXT_MAX_LENGTH} rows="4" className={inputClass}></textarea>
+        <p className="text-xs text-gray-500 mt-1 text-right">{text.length}/{REVIEW_TEXT_MAX_LENGTH}</p>
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 items-start">
+        <div>
+          <label htmlFor="reviewName" className="block text-sm font-medium text-white mb-1">Name to show</label>
+          <input id="reviewName" value={displayName} onChange={e => setDisplayName(e.target.value)} required maxLength={60} className={inputClass} />
+        </div>
+        <div>
+          <span className="block text-sm font-medium text-white mb-1">Photo (optional)</span>
+          {photo ? (
+            <div className="flex items-center gap-3">
+              <img src={photo.previewUrl} alt="" className="w-16 h-16 object-cover rounded-lg border border-gray-700" />
+              <button type="button" onClick={() => setPhoto(null)} className="text-sm text-gray-400 hover:text-red-500">Remove</button>
+            </div>
+          ) : (
+            <label className="flex items-center justify-center p-3 rounded-lg bg-gray-800 border border-gray-700 text-sm text-gray-300 hover:border-red-500 cursor-pointer">
+              <Upload className="w-4 h-4 mr-2 text-red-500" /> Add a photo of your pair
+              <input type="file" accept={REFERENCE_IMAGE_LIMITS.acceptedTypes.join(',')} onChange={handlePhoto} className="sr-only" />
+            </label>
+          )}
+        </div>
+      </div>
+      {state?.error && <p className="text-sm text-red-400" role="alert">{state.error}</p>}
+      <Button type="submit" variant="primary" icon={Star} disabled={state?.busy}>
+        {state?.busy ? 'Sending...' : 'Submit Review'}
+      </Button>
+    </form>
+  );
+};
+
+// Lets the customer pick up a Ready order at a time of their choosing.
+const PickupBooking = ({ scheduling, onBook }) => {
+  const [slot, setSlot] = useState(null);
+  const [state, setState] = useState(null);
+
+  const handleBook = async () => {
+    setState({ busy: true });
+    const result = await onBook(slot);
+    setState(result.success ? null : { error: result.error });
+  };
+
+  return (
+    <div className="p-5 rounded-xl bg-gray-950 border border-gray-800 space-y-4">
+      <div>
+        <h4 className="text-lg font-bold text-white">Picking up in person?</h4>
+        <p className="text-sm text-gray-400">Choose a time to collect your pair.</p>
+      </div>
+      <SlotPicker scheduling={scheduling} value={slot} onChange={setSlot} idPrefix="pickup" />
+      {state?.error && <p className="text-sm text-red-400" role="alert">{state.error}</p>}
+      <Button variant="primary" icon={Calendar} onClick={handleBook} disabled={!slot || state?.busy}>
+        {state?.busy ? 'Booking...' : 'Book Pickup'}
+      </Button>
+    </div>
+  );
+};
+
+const ShippingBadge = ({ shipping }) => {
+  const state = getShippingState(shipping);
+  return <span className={`inline-block px-2 py-0.5 rounded-full text-xs font-semibold ${state.badge}`}>{state.label}</span>;
+};
+
+const ShipmentLink = ({ shipment }) => (
+  shipment.trackingUrl ? (
+    <a href={shipment.trackingUrl} target="_blank" rel="noopener noreferrer" className="text-red-400 hover:underline">{shipment.carrier} {shipment.trackingNumber}</a>
+  ) : (
+    <span className="text-gray-200">{[shipment.carrier, shipment.trackingNumber].filter(Boolean).join(' ')}</span>
+  )
+);
+
+// Ship-in progress on the tracking page, with the mail-in instructions until the package arrives.
+const ShippingStatus = ({ order, navigate }) => {
+  const { shipping } = order;
+  const state = getShippingState(shipping);
+  return (
+    <div className="p-5 rounded-xl bg-gray-950 border border-gray-800 space-y-3 text-sm">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h4 className="flex items-center text-lg font-bold text-white"><Truck className="w-5 h-5 mr-2 text-red-400" /> Shipping</h4>
+        <ShippingBadge shipping={shipping} />
+      </div>
+      <p className="text-gray-300">{state.customerLabel}</p>
+      {shipping?.inbound && (
+        <p className="text-gray-400">Your package: <ShipmentLink shipment={shipping.inbound} />{shipping.receivedAt && ` · received ${formatTimestamp(shipping.receivedAt)}`}</p>
+      )}
+      {shipping?.outbound && (
+        <p className="text-gray-400">Return package: <ShipmentLink shipment={shipping.outbound} />{shipping.shippedAt && ` · shipped ${formatTimestamp(shipping.shippedAt)}`}</p>
+      )}
+      {getShippingStep(state.value) < getShippingStep('received') && (
+        <button type="button" onClick={() => navigate('mailIn', { trackingId: order.trackingId })} className="flex items-center text-red-400 hover:text-red-300 underline">
+          <Printer className="w-4 h-4 mr-1" /> Print mail-in instructions
+        </button>
+      )}
+    </div>
+  );
+};
+
+const TrackOrderPage = ({ lookupOrder, respondToQuote, submitReview, bookPickup, uploadReferenceImage, scheduling, search, navigate }) => {
+  const [form, setForm] = useState(() => ({ code: new URLSearchParams(search).get('code') || '', email: '' }));
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [order, setOrder] = useState(null);
+  const [orderEmail, setOrderEmail] = useState(''); // the email the order was found with
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setError('');
+    const result = await lookupOrder(form.code, form.email);
+    if (result.success) {
+      setOrder(result.order);
+      setOrderEmail(form.email.trim());
+    } else {
+      setOrder(null);
+      setError(result.error);
+    }
+    setIsLoading(false);
+  };
+
+  // Reflect the customer's answer locally instead of re-running the lookup.
+  const handleQuoteResponse = async (accepted, reason) => {
+    const result = await respondToQuote(order, accepted, reason);
+    if (result.success) {
+      setOrder(prev => ({
+        ...prev,
+        status: result.status,
+        statusHistory: [...(prev.statusHistory || []), { status: result.status, changedAt: result.changedAt }],
+        quote: { ...prev.quote, status: accepted ? 'accepted' : 'declined', respondedAt: result.changedAt, declineReason: accepted ? '' : reason },
+      }));
+    }
+    return result;
+  };
+
+  const handleReview = async (review) => {
+    const result = await submitReview(order, review);
+    if (result.success) {
+      setOrder(prev => ({ ...prev, review: { rating: review.rating, submittedAt: result.submittedAt } }));
+    }
+    return result;
+  };
+
+  const handleBookPickup = async (slot) => {
+    const result = await bookPickup(order, slot, orderEmail);
+    if (result.success) {
+      setOrder(prev => ({ ...prev, pickup: result.pickup }));
+    }
+    return result;
+  };
+
+  const history = order ? [...(order.statusHistory || [])].reverse() : [];
+  const notes = order ? [...(order.publicNotes || [])].reverse() : [];
+
+  return (
+    <div className="container mx-auto p-4 md:p-10 max-w-3xl">
+      <SectionTitle>Track My Order</SectionTitle>
+      <div className="bg-gray-900 p-8 rounded-xl shadow-2xl border border-red-600/50">
+        <p className="text-gray-400 mb-6 text-center">
+          Enter the tracking code from your confirmation and the email you booked with.
+        </p>
+        <form onSubmit={handleSubmit} className="grid grid-cols-1 sm:grid-cols-5 gap-4 items-end">
+          <div className="sm:col-span-2">
+            <label htmlFor="trackCode" className="block text-sm font-medium text-white mb-1">Tracking Code</label>
+            <input type="text" id="trackCode" name="code" value={form.code} onChange={handleChange} required placeholder="2X-XXXX-XXXX" autoComplete="off" className="w-full p-3 rounded-lg bg-gray-800 text-white font-mono uppercase border border-gray-700 focus:border-red-500 focus:ring-red-500"/>
+          </div>
+          <div className="sm:col-span-2">
+            <label htmlFor="trackEmail" className="block text-sm font-medium text-white mb-1">Email</label>
+            <input type="email" id="trackEmail" name="email" value={form.email} onChange={handleChange} required className="w-full p-3 rounded-lg bg-gray-800 text-white border border-gray-700 focus:border-red-500 focus:ring-red-500"/>
+          </div>
+          <Button type="submit" variant="primary" icon={Package} disabled={isLoading}>
+            {isLoading ? 'Checking...' : 'Track'}
+          </Button>
+        </form>
+        {error && <p className="mt-4 text-red-400 text-center" role="alert">{error}</p>}
+
+        {order && (
+          <div className="mt-10 space-y-8" aria-live="polite">
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <div>
+                <p className="text-white text-xl font-bold">Hi {order.firstName || 'there'}!</p>
+                <p className="text-gray-400 text-sm">
+                  <span className="font-mono text-red-400">{order.trackingCode}</span>
+                  {order.shoeModel && ` · ${order.shoeModel}`} · Booked {formatTimestamp(order.createdAt)}
+                </p>
+              </div>
+              <StatusBadge status={order.status} />
+            </div>
+
+            {order.threadId && (
+              <button type="button" onClick={() => navigate('messages', { threadId: order.threadId })} className="flex items-center text-red-400 hover:text-red-300 underline">
+                <MessageCircle className="w-4 h-4 mr-2" /> Messages about this order
+              </button>
+            )}
+
+            {order.status === 'Cancelled' ? (
+              <p className="p-4 rounded-lg bg-gray-800 text-gray-300">This order was cancelled. Reach out through the contact page if that's unexpected.</p>
+            ) : (
+              <OrderProgress status={order.status} history={order.statusHistory} />
+            )}
+
+            {order.quote && order.quote.status !== 'draft' && (
+              <CustomerQuote order={order} onRespond={handleQuoteResponse} />
+            )}
+
+            {(order.delivery === 'ship_in' || order.shipping) && <ShippingStatus order={order} navigate={navigate} />}
+
+            {isUpcomingAppointment(order.appointment) && <AppointmentNotice appointment={order.appointment} />}
+            {isUpcomingAppointment(order.pickup) && <AppointmentNotice appointment={order.pickup} />}
+            {order.status === 'Ready' && order.delivery !== 'ship_in' && !order.pickup && scheduling.availability?.enabled && (
+              <PickupBooking scheduling={scheduling} onBook={handleBookPickup} />
+            )}
+
+            {order.status === 'Completed' && (order.review ? (
+              <p className="p-4 rounded-lg bg-gray-800 text-gray-300 flex items-center gap-3">
+                <StarRating value={order.review.rating} /> Thanks for your review! It will appear on the site once it's approved.
+              </p>
+            ) : (
+              <ReviewForm order={order} onSubmit={handleReview} uploadReferenceImage={uploadReferenceImage} />
+            ))}
+
+            {notes.length > 0 && (
+              <div>
+                <h4 className="text-lg font-bold text-white mb-3">Updates from 2X Customs</h4>
+                <ul className="space-y-3">
+                  {notes.map((note, i) => (
+                    <li key={i} className="p-4 rounded-lg bg-gray-800 border-l-4 border-red-600">
+                      <p className="text-gray-200 whitespace-pre-wrap">{note.text}</p>
+                      <p className="text-xs text-gray-500 mt-1">{formatTimestamp(note.createdAt)}</p>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div>
+              <h4 className="text-lg font-bold text-white mb-3">History</h4>
+              <ol className="space-y-2">
+                {history.map((entry, i) => (
+                  <li key={i} className="flex items-center gap-3 text-sm">
+                    <StatusBadge status={entry.status} />
+                    <span className="text-gray-400">{formatTimestamp(entry.changedAt)}</span>
+                  </li>
+                ))}
+              </ol>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Printable instructions for ship-in bookings, linked from the booking confirmation, the tracking
+// page and the confirmation email. Like the tracking page, knowing the tracking id is the key.
+const MailInInstructionsPage = ({ trackingId, subscribeToTrackedOrder, shipInSettings, navigate }) => {
+  const [order, setOrder] = useState(undefined); // null once we know there is no such order
+  const [error, setError] = useState('');
+
+  useEffect(() => (
+    subscribeToTrackedOrder(trackingId, setOrder, () => setError("We couldn't load this order. Check your connection and try again."))
+  ), [trackingId, subscribeToTrackedOrder]);
+
+  if (error || !order) {
+    return (
+      <div className="container mx-auto p-4 md:p-10 max-w-3xl">
+        <SectionTitle>Mail-in Instructions</SectionTitle>
+        <div className="bg-gray-900 p-8 rounded-xl shadow-2xl border border-red-600/50 text-center">
+          {error ? (
+            <p className="text-red-400" role="alert">{error}</p>
+          ) : order === undefined ? (
+            <p className="text-gray-400">Loading your order...</p>
+          ) : (
+            <div className="space-y-4">
+              <p className="text-gray-400">We couldn't find this order. Check that you opened the full link from your email.</p>
+              <Button onClick={() => navigate('track')} variant="ghost" className="mx-auto">Track My Order</Button>
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  const shipTo = formatAddressLines(shipInSettings.address);
+  const steps = [
+    "Pack your pairs in a sturdy box with enough padding that they can't move around.",
+    'Cut out the slip at the bottom of this page and put it in the box.',
+    `Write ${order.trackingCode} on the outside of the box, under our address.`,
+    `Ship it with any carrier that gives you a tracking number, then send us the number${order.threadId ? ' in your messages' : ''} so we can watch for it.`,
+    "We'll let you know when your package arrives, and ship your pairs back to the return address you gave us once they're done.",
+  ];
+
+  return (
+    <div className="container mx-auto p-4 md:p-10 max-w-3xl print:p-0 print:max-w-none">
+      <div className="flex flex-wrap items-center gap-4 mb-6 text-sm print:hidden">
+        <button type="button" onClick={() => navigate('track', {}, { search: `?code=${encodeURIComponent(order.trackingCode)}` })} className="text-red-400 hover:text-red-300 underline">
+          Track My Order
+        </button>
+        {order.threadId && (
+          <button type="button" onClick={() => navigate('messages', { threadId: order.threadId })} className="text-red-400 hover:text-red-300 underline">
+            Messages
+          </button>
+        )}
+        <Button variant="primary" icon={Printer} onClick={() => window.print()} className="ml-auto">Print</Button>
+      </div>
+
+      <article className="bg-white text-gray-900 p-8 rounded-xl shadow-2xl print:shadow-none print:rounded-none print:p-0">
+        <header className="flex flex-wrap items-start justify-between gap-4 border-b border-gray-300 pb-4 mb-6">
+          <div>
+            <p className="text-2xl font-extrabold tracking-tight">2X <span className="text-red-600">CUSTOMS</span></p>
+            <h2 className="text-xl font-bold mt-1">Mail-in Instructions</h2>
+          </div>
+          <div className="text-right">
+            <p className="text-xs uppercase tracking-wider text-gray-500">Order</p>
+            <p className="font-mono text-2xl font-bold">{order.trackingCode}</p>
+          </div>
+        </header>
+
+        <section className="mb-6">
+          <h3 className="text-xs uppercase tracking-wider text-gray-500 mb-1">Ship to</h3>
+          {shipTo.length ? (
+            <address className="not-italic text-lg leading-snug">
+              {shipTo.map(line => <div key={line}>{line}</div>)}
+            </address>
+          ) : (
+            <p>We'll email you our shipping address. Message us if it hasn't arrived within a day.</p>
+          )}
+        </section>
+
+        <section className="mb-8">
+          <h3 className="text-xs uppercase tracking-wider text-gray-500 mb-2">How to send your pairs</h3>
+          <ol className="list-decimal pl-5 space-y-2">
+            {steps.map(step => <li key={step}>{step}</li>)}
+          </ol>
+          {shipInSettings.packingNotes && <p className="mt-4 p-3 rounded bg-gray-100 whitespace-pre-wrap">{shipInSettings.packingNotes}</p>}
+        </section>
+
+        <section className="border-2 border-dashed border-gray-400 rounded-lg p-5 break-inside-avoid">
+          <p className="text-xs uppercase tracking-wider text-gray-500 mb-2">✂ Put this slip in the box</p>
+          <p className="font-mono text-3xl font-bold">{order.trackingCode}</p>
+          <dl className="grid grid-cols-2 gap-3 mt-3 text-sm">
+            <div><dt className="text-gray-500">Name</dt><dd className="font-semibold">{order.firstName || '—'}</dd></div>
+            <div><dt className="text-gray-500">Booked</dt><dd>{formatTimestamp(order.createdAt)}</dd></div>
+            <div className="col-span-2"><dt className="text-gray-500">Shoes</dt><dd>{order.shoeModel || '—'}</dd></div>
+          </dl>
+        </section>
+      </article>
+    </div>
+  );
+};
+
+// Conversation view shared by the customer's private page and the dashboard. `viewer` is
+// 'admin' or 'customer'; their own messages sit on the right. Photos are uploaded like
+// reference images before the message is sent.
+const MessageThread = ({ thread, messages, viewer, onSend, uploadReferenceImage }) => {
+  const [text, setText] = useState('');
+  const [files, setFiles] = useState([]);
+  const [state, setState] = useState(null);
+  const endRef = useRef(null);
+
+  useEffect(() => {
+    endRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [messages.length]);
+
+  const authorName = (from) => (from === 'admin' ? '2X Customs' : thread?.firstName || 'Customer');
+
+  const handleFiles = (e) => {
+    const picked = Array.from(e.target.files || []);
+    e.target.value = '';
+    const errors = picked.map(validateReferenceImage).filter(Boolean);
+    const accepted = picked.filter(file => !validateReferenceImage(file));
+    const room = THREAD_MESSAGE_LIMITS.maxAttachments - files.length;
+    if (accepted.length > room) errors.push(`You can attach up to ${THREAD_MESSAGE_LIMITS.maxAttachments} photos per message.`);
+    setFiles(prev => [...prev, ...accepted.slice(0, Math.max(room, 0))]);
+    setState(errors.length ? { error: errors.join(' ') } : null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const message = text.trim();
+    if (!message && !files.length) return;
+    if (message.length > THREAD_MESSAGE_LIMITS.maxLength) {
+      setState({ error: `Messages can be up to ${THREAD_MESSAGE_LIMITS.maxLength} characters.` });
+      return;
+    }
+
+    setState({ busy: true });
+    const attachments = [];
+    for (const file of files) {
+      const upload = await uploadReferenceImage(file);
+      if (!upload.success) {
+        setState({ error: `Could not upload ${file.name}. Please try again or remove it.` });
+        return;
+      }
+      attachments.push(upload.image);
+    }
+
+    const result = await onSend({ text: message, attachments });
+    if (result.success) {
+      setText('');
+      setFiles([]);
+      setState(null);
+    } else {
+      setState({ error: result.error });
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <ol className="space-y-3 max-h-[28rem] overflow-y-auto pr-1" aria-label="Messages">
+        {messages.map(message => {
+          const isMine = message.from === viewer;
+          return (
+            <li key={message.id} className={`flex ${isMine ? 'justify-end' : 'justify-start'}`}>
+              <div className={`max-w-[85%] p-3 rounded-xl text-sm ${isMine ? 'bg-red-700/80 text-white' : 'bg-gray-800 text-gray-200'}`}>
+                <p className="text-xs font-semibold mb-1 opacity-80">{authorName(message.from)}</p>
+                {message.text && <p className="whitespace-pre-wrap break-words">{message.text}</p>}
+                {(message.attachments || []).length > 0 && <div className="mt-2"><ReferenceThumbnails submission={{ referenceImages: message.attachments }} /></div>}
+                <p className="text-[11px] mt-1 opacity-60">{message.isPending ? 'Sending…' : formatTimestamp(message.createdAt)}</p>
+              </div>
+            </li>
+          );
+        })}
+        {!messages.length && <li className="text-sm text-gray-500">No messages yet.</li>}
+        <li ref={endRef} aria-hidden="true" />
+      </ol>
+
+      <form onSubmit={handleSubmit} className="space-y-2">
+        <label htmlFor={`reply-${viewer}`} className="sr-only">Your message</label>
+        <textarea
+          id={`reply-${viewer}`}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          rows="3"
+          maxLength={THREAD_MESSAGE_LIMITS.maxLength}
+          placeholder={viewer === 'admin' ? 'Reply to the customer...' : 'Write a message...'}
+          className="w-full p-3 rounded-lg bg-gray-800 text-white border border-gray-700 focus:border-red-500 focus:ring-red-500"
+        ></textarea>
+        {files.length > 0 && (
+          <ul className="flex flex-wrap gap-2 text-xs">
+            {files.map((file, i) => (
+              <li key={`${file.name}-${i}`} className="flex items-center px-2 py-1 rounded bg-gray-800 text-gray-300">
+                {file.name}
+                <button type="button" onClick={() => setFiles(prev => prev.filter((_, index) => index !== i))} title={`Remove ${file.name}`} className="ml-1 text-gray-500 hover:text-red-500"><X className="w-3 h-3" /></button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <div className="flex items-center justify-between gap-3">
+          <label className={`flex items-center text-sm text-gray-400 ${files.length >= THREAD_MESSAGE_LIMITS.maxAttachments ? 'opacity-50' : 'cursor-pointer hover:text-red-400'}`}>
+            <Upload className="w-4 h-4 mr-1" /> Attach photos
+            <input type="file" accept={REFERENCE_IMAGE_LIMITS.acceptedTypes.join(',')} multiple onChange={handleFiles} disabled={state?.busy || files.length >= THREAD_MESSAGE_LIMITS.maxAttachments} className="sr-only" />
+          </label>
+          <Button type="submit" variant="primary" className="px-4 py-2" disabled={state?.busy || (!text.trim() && !files.length)}>
+            {state?.busy ? 'Sending...' : 'Send'}
+          </Button>
+        </div>
+        {state?.error && <p className="text-sm text-red-400" role="alert">{state.error}</p>}
+      </form>
+    </div>
+  );
+};
+
+// The customer's private conversation page, reached from the confirmation email or the
+// tracking page.
+const CustomerThreadPage = ({ threadId, subscribeToThread, sendThreadMessage, markThreadRead, uploadReferenceImage, navigate }) => {
+  const [data, setData] = useState(null); // { thread, messages }
+  const [error, setError] = useState('');
+
+  useEffect(() => (
+    subscribeToThread(threadId, setData, () => setError("We couldn't load this conversation. Check your connection and try again."))
+  ), [threadId, subscribeToThread]);
+
+  const unreadByCustomer = data?.thread?.unreadByCustomer || 0;
+  useEffect(() => {
+    if (unreadByCustomer > 0) markThreadRead(threadId, 'customer');
+  }, [unreadByCustomer, threadId, markThreadRead]);
+
+  const handleSend = (message) => sendThreadMessage({ threadId, from: 'customer', ...message });
+
+  return (
+    <div className="container mx-auto p-4 md:p-10 max-w-3xl">
+      <SectionTitle>Your Messages</SectionTitle>
+      <div className="bg-gray-900 p-8 rounded-xl shadow-2xl border border-red-600/50">
+        {error ? (
+          <p className="text-red-400 text-center" role="alert">{error}</p>
+        ) : !data ? (
+          <p className="text-gray-400 text-center">Loading conversation...</p>
+        ) : !data.thread ? (
+          <div className="text-center space-y-4">
+            <p className="text-gray-400">We couldn't find this conversation. Check that you opened the full link from your email.</p>
+            <Button onClick={() => navigate('contact')} variant="ghost" className="mx-auto">Contact Us</Button>
+          </div>
+        ) : (
+          <>
+            <p className="text-gray-400 mb-6 text-sm">
+              Hi {data.thread.firstName || 'there'}! This is your private conversation with 2X Customs about <span className="text-white">{data.thread.subject}</span>. Keep the link to come back to it.
+            </p>
+            <MessageThread thread={data.thread} messages={data.messages} viewer="customer" onSend={handleSend} uploadReferenceImage={uploadReferenceImage} />
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const NotFoundPage = ({ navigate }) => (
+  <div className="container mx-auto p-4 md:p-10 max-w-2xl text-center">
+    <SectionTitle>Page Not Found</SectionTitle>
+    <div className="bg-gray-900 p-8 rounded-xl shadow-2xl border border-red-600/50">
+      <p className="text-6xl font-black text-red-600 mb-4">404</p>
+      <p className="text-gray-400 mb-8 text-lg">
+        That page doesn't exist or has moved. Let's get you back to something fresh.
+      </p>
+      <div className="flex flex-col sm:flex-row justify-center space-y-4 sm:space-y-0 sm:space-x-4">
+        <Button onClick={() => navigate('home')} variant="primary">Back to Home</Button>
+        <Button onClick={() => navigate('gallery')} variant="ghost">Browse the Gallery</Button>
+      </div>
+    </div>
+  </div>
+);
+
+const ContactForm = ({ addSubmission, navigate }) => {
+  const [form, setForm] = useState({ name: '', email: '', message: '' });
+  const guard = useFormGuard();
+  const { errors, formError, validate, showFailure, clearError, fieldProps } = useSubmissionErrors('contact_message');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [confirmation, setConfirmation] = useState(null);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+    clearError(name);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    
+    const submissionData = {
+      type: 'contact_message',
+      name: form.name,
+      email: form.email,
+      message: form.message,
+    };
+    if (!validate(submissionData)) return;
+
+    setIsSubmitting(true);
+    const result = await addSubmission(submissionData, guard.check());
+    
+    if (result.success) {
+      setConfirmation({ queued: result.queued, threadId: result.threadId });
+      setForm({ name: '', email: '', message: '' }); // Reset form
+      guard.reset();
+    } else {
+      showFailure(result);
+    }
+    
+    setIsSubmitting(false);
+  };
+
+  const inputClass = "w-full p-3 rounded-lg bg-gray-800 text-white border border-gray-700 focus:border-red-500 focus:ring-red-500 aria-[invalid=true]:border-red-500";
+
+  return (
+    <div className="container mx-auto p-4 md:p-10 max-w-2xl">
+      <Modal 
+        isOpen={!!confirmation} 
+        onClose={() => setConfirmation(null)} 
+        title={confirmation?.queued ? 'Message Saved' : 'Message Sent!'}
+      >
+        <p className="text-gray-300 text-lg flex items-center">
+          <CheckCircle className="w-6 h-6 text-green-500 mr-3" />
+          Got it! Thanks for reaching out. I'll reply to your email soon.
+        </p>
+        {confirmation?.queued && <QueuedSubmissionNotice />}
+        {confirmation?.threadId && (
+          <button
+            type="button"
+            onClick={() => { setConfirmation(null); navigate('messages', { threadId: confirmation.threadId }); }}
+            className="mt-4 text-sm text-red-400 hover:text-red-300 underline"
+          >
+            View your conversation (we'll email you this link too)
+          </button>
+        )}
+      </Modal>
+
+      <SectionTitle>Get In Touch</SectionTitle>
+      <div className="bg-gray-900 p-8 rounded-xl shadow-2xl border border-red-600/50">
+        <p className="text-gray-400 mb-6 text-center">
+          Have a question about pricing, turnaround time, or a special request? Drop me a line!
+        </p>
+        <form onSubmit={handleSubmit} noValidate className="space-y-6">
+          <HoneypotField {...guard.honeypotProps} />
+          <div>
+            <label htmlFor="contactName" className="block text-sm font-medium text-white mb-1">Name</label>
+            <input type="text" name="name" value={form.name} onChange={handleChange} {...fieldProps('name', 'contactName')} className={inputClass}/>
+            <FieldError id="contactName" message={errors.name} />
+          </div>
+          <div>
+            <label htmlFor="contactEmail" className="block text-sm font-medium text-white mb-1">Email</label>
+            <input type="email" name="email" value={form.email} onChange={handleChange} {...fieldProps('email', 'contactEmail')} className={inputClass}/>
+            <FieldError id="contactEmail" message={errors.email} />
+          </div>
+          <div>
+            <label htmlFor="contactMessage" className="block text-sm font-medium text-white mb-1">Message</label>
+            <textarea name="message" value={form.message} onChange={handleChange} {...fieldProps('message', 'contactMessage')} rows="5" className={inputClass}></textarea>
+            <FieldError id="contactMessage" message={errors.message} />
+          </div>
+          
+          <FormError message={formError} />
+          <Button type="submit" variant="primary" className="w-full text-xl mt-6" disabled={isSubmitting}>
+            {isSubmitting ? 'Sending Message...' : 'Send Message'}
+          </Button>
+        </form>
+        <div className="mt-8 text-center text-gray-500 text-sm flex items-center justify-center">
+          <MapPin className="w-4 h-4 mr-2"/> Based in NYC Metro Area, Shipping Nationwide
+        </div>
+      </div>
+    </div>
+  );
+};
+
+
+// Older submissions only recorded an `imageFile` description string, with no stored photo.
+const ReferenceThumbnails = ({ submission }) => {
+  const images = (submission.referenceImages || []).filter(img => isStorageDownloadUrl(img?.url));
+  if (!images.length) {
+    return <span className="text-xs text-gray-500">{submission.imageFile && submission.imageFile !== 'No image uploaded' ? submission.imageFile : '—'}</span>;
+  }
+  return (
+    <div className="flex flex-wrap gap-2">
+      {images.map(img => (
+        <a key={img.path || img.url} href={img.url} target="_blank" rel="noopener noreferrer" title={`${img.name} (${formatFileSize(img.size)})`} className="block w-12 h-12 rounded-md overflow-hidden border border-gray-700 hover:border-red-500">
+          <img src={img.url} alt={img.name} loading="lazy" className="w-full h-full object-cover" />
+        </a>
+      ))}
+    </div>
+  );
+};
+
+// Accepts Firestore Timestamps, Dates or already-formatted strings.
+const formatTimestamp = (value) => {
+  if (!value) return 'N/A';
+  if (typeof value === 'string') return value;
+  const date = typeof value.toDate === 'function' ? value.toDate() : value;
+  return date instanceof Date ? date.toLocaleString() : 'N/A';
+};
+
+const StatusBadge = ({ status }) => {
+  const meta = getStatusMeta(status || DEFAULT_STATUS);
+  return <span className={`inline-block px-2 py-0.5 rounded-full text-xs font-semibold ${meta.badge}`}>{meta.value}</span>;
+};
+
+// Drag cards between columns to change status. Each card also has a status <select>
+// so the board stays usable with a keyboard or on touch screens.
+const KanbanBoard = ({ bookings, onStatusChange, seenIds, unreadMessages, onOpen }) => {
+  const [dragOverStatus, setDragOverStatus] = useState(null);
+
+  const handleDrop = (e, status) => {
+    e.preventDefault();
+    setDragOverStatus(null);
+    const id = e.dataTransfer.getData('text/plain');
+    const booking = bookings.find(b => b.id === id);
+    if (booking && (booking.status || DEFAULT_STATUS) !== status) {
+      onStatusChange(booking, status);
+    }
+  };
+
+  return (
+    <div className="flex gap-4 overflow-x-auto pb-4">
+      {ORDER_STATUSES.map(({ value, color }) => {
+        const items = bookings.filter(b => (b.status || DEFAULT_STATUS) === value);
+        return (
+          <div
+            key={value}
+            onDragOver={(e) => { e.preventDefault(); setDragOverStatus(value); }}
+            onDragLeave={() => setDragOverStatus(prev => (prev === value ? null : prev))}
+            onDrop={(e) => handleDrop(e, value)}
+            className={`flex-shrink-0 w-64 bg-gray-950 rounded-xl border-t-4 ${color} p-3 transition-colors ${dragOverStatus === value ? 'bg-gray-800' : ''}`}
+          >
+            <h4 className="flex justify-between items-center text-sm font-bold text-white uppercase tracking-wider mb-3">
+              {value}
+              <span className="text-xs text-gray-400 bg-gray-800 rounded-full px-2 py-0.5">{items.length}</span>
+            </h4>
+            <div className="space-y-3 min-h-[4rem]">
+              {items.map(b => (
+                <div
+                  key={b.id}
+                  draggable
+                  onDragStart={(e) => { e.dataTransfer.setData('text/plain', b.id); e.dataTransfer.effectAllowed = 'move'; }}
+                  onClick={() => onOpen(b.id)}
+                  className={`p-3 bg-gray-900 rounded-lg border hover:border-red-500 cursor-grab active:cursor-grabbing ${seenIds.has(b.id) ? 'border-gray-700' : 'border-red-500 ring-2 ring-red-500/40'}`}
+                >
+                  <div className="flex items-center justify-between text-white font-semibold text-sm">
+                    <span>{b.name}<UnreadBadge count={unreadMessages[b.id]} /></span>
+                    {!seenIds.has(b.id) && <span className="text-[10px] font-bold text-white bg-red-600 rounded px-1.5">NEW</span>}
+                  </div>
+                  <div className="text-red-400 text-xs truncate">{b.email}</div>
+                  <div className="text-gray-300 text-xs mt-2">{b.shoeModel} · <span className="text-red-500 font-bold">{b.budget}</span></div>
+                  <div className="text-gray-500 text-[11px] mt-1">Updated {formatTimestamp(b.statusUpdatedAt || b.timestamp)}</div>
+                  {b.delivery === 'ship_in' && <div className="mt-1"><ShippingBadge shipping={b.shipping} /></div>}
+                  <select
+                    aria-label={`Status for ${b.name}`}
+                    value={b.status || DEFAULT_STATUS}
+                    onClick={(e) => e.stopPropagation()}
+                    onChange={(e) => onStatusChange(b, e.target.value)}
+                    className="mt-2 w-full p-1 text-xs rounded bg-gray-800 text-gray-200 border border-gray-700 focus:border-red-500"
+                  >
+                    {ORDER_STATUSES.map(s => <option key={s.value} value={s.value}>{s.value}</option>)}
+                  </select>
+                </div>
+              ))}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+const QuoteSummary = ({ quote }) => {
+  const totals = calculateQuoteTotals(quote);
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full text-sm">
+        <thead>
+          <tr className="text-left text-xs uppercase tracking-wider text-gray-500 border-b border-gray-700">
+            <th className="py-2 pr-4">Item</th>
+            <th className="py-2 pr-4 text-right">Qty</th>
+            <th className="py-2 pr-4 text-right">Price</th>
+            <th className="py-2 text-right">Amount</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-800">
+          {(quote.lineItems || []).map(item => (
+            <tr key={item.id}>
+              <td className="py-2 pr-4">
+                <div className="text-gray-200">{item.label}</div>
+                {item.description && <div className="text-xs text-gray-500">{item.description}</div>}
+              </td>
+              <td className="py-2 pr-4 text-right text-gray-300">{item.quantity}</td>
+              <td className="py-2 pr-4 text-right text-gray-300">{formatCurrency(item.unitPrice)}</td>
+              <td className="py-2 text-right text-gray-200">{formatCurrency(item.quantity * item.unitPrice)}</td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot className="text-gray-300">
+          <tr className="border-t border-gray-700"><td colSpan="3" className="pt-3 pr-4 text-right">Subtotal</td><td className="pt-3 text-right">{formatCurrency(totals.subtotal)}</td></tr>
+          {totals.discountAmount > 0 && (
+            <tr>
+              <td colSpan="3" className="pr-4 text-right">Discount{quote.discount?.type === 'percent' ? ` (${quote.discount.value}%)` : ''}</td>
+              <td className="text-right text-green-400">−{formatCurrency(totals.discountAmount)}</td>
+            </tr>
+          )}
+          <tr className="text-white font-bold text-base"><td colSpan="3" className="pt-1 pr-4 text-right">Total</td><td className="pt-1 text-right">{formatCurrency(totals.total)}</td></tr>
+          {totals.deposit > 0 && (
+            <>
+              <tr><td colSpan="3" className="pr-4 text-right">Deposit due to start</td><td className="text-right text-red-400">{formatCurrency(totals.deposit)}</td></tr>
+              <tr><td colSpan="3" className="pr-4 text-right">Balance on completion</td><td className="text-right">{formatCurrency(totals.balance)}</td></tr>
+            </>
+          )}
+        </tfoot>
+      </table>
+    </div>
+  );
+};
+
+const createLineItemId = () => Math.random().toString(36).slice(2, 10);
+
+// Admin editor for a submission's quote. Line items come from the service catalog or are typed in.
+// Cleaning bookings start with one line per booked pair, and custom bookings with the tier the
+// customer picked in the estimator, each at the service's starting price.
+const createQuoteForSubmission = (submission, catalog) => {
+  const quote = createEmptyQuote();
+  (submission.pairs || []).forEach(pair => {
+    const service = catalog.find(item => item.id === pair.serviceId) || catalog.find(item => item.name === pair.level);
+    if (!service) return;
+    quote.lineItems.push({ id: createLineItemId(), source: service.id, label: service.name, description: pair.shoeModel, quantity: 1, unitPrice: service.min });
+  });
+  const tier = submission.estimator && catalog.find(item => item.id === submission.estimator.serviceId);
+  if (tier) {
+    quote.lineItems.push({ id: createLineItemId(), source: tier.id, label: tier.name, description: submission.shoeModel || '', quantity: 1, unitPrice: tier.min });
+  }
+  return quote;
+};
+
+const LINE_ITEM_INPUT_CLASS = "p-2 rounded bg-gray-800 text-white text-sm border border-gray-700 focus:border-red-500 focus:ring-red-500";
+
+// Line items of a quote or invoice. Services come from the active price catalog; unit price
+// defaults to the low end of the range.
+const LineItemsEditor = ({ lineItems, onChange, catalog }) => {
+  const services = catalog.filter(item => item.active);
+  const [serviceId, setServiceId] = useState(() => services[0]?.id || '');
+  const inputClass = LINE_ITEM_INPUT_CLASS;
+
+  const updateLine = (id, changes) => onChange(lineItems.map(item => item.id === id ? { ...item, ...changes } : item));
+  const removeLine = (id) => onChange(lineItems.filter(item => item.id !== id));
+
+  const addService = () => {
+    const service = services.find(item => item.id === serviceId);
+    if (!service) return;
+    onChange([...lineItems, { id: createLineItemId(), source: service.id, label: service.name, description: service.description, quantity: 1, unitPrice: service.min }]);
+  };
+  const addCustomLine = () => {
+    onChange([...lineItems, { id: createLineItemId(), source: 'manual', label: '', description: '', quantity: 1, unitPrice: 0 }]);
+  };
+
+  return (
+    <>
+      <div className="space-y-2">
+        {lineItems.map(item => (
+          <div key={item.id} className="grid grid-cols-12 gap-2 items-center">
+            <input aria-label="Line item" value={item.label} onChange={e => updateLine(item.id, { label: e.target.value })} placeholder="Description" className={`${inputClass} col-span-6`} />
+            <input aria-label="Quantity" type="number" min="1" step="1" value={item.quantity} onChange={e => updateLine(item.id, { quantity: Math.max(1, parseInt(e.target.value, 10) || 1) })} className={`${inputClass} col-span-2`} />
+            <input aria-label="Unit price" type="number" min="0" step="0.01" value={item.unitPrice} onChange={e => updateLine(item.id, { unitPrice: Math.max(0, parseFloat(e.target.value) || 0) })} className={`${inputClass} col-span-3`} />
+            <button type="button" onClick={() => removeLine(item.id)} title="Remove line" className="col-span-1 text-gray-400 hover:text-red-500 justify-self-center">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <select aria-label="Service" value={serviceId} onChange={e => setServiceId(e.target.value)} className={inputClass}>
+          {PRICE_CATEGORIES.map(category => (
+            <optgroup key={category.value} label={category.label}>
+              {getCatalogItems(services, category.value).map(item => (
+                <option key={item.id} value={item.id}>{item.name} ({formatPriceRange(item)})</option>
+              ))}
+            </optgroup>
+          ))}
+        </select>
+        <button type="button" onClick={addService} className="px-3 py-2 rounded bg-gray-800 text-sm text-gray-200 hover:bg-gray-700">Add Service</button>
+        <button type="button" onClick={addCustomLine} className="px-3 py-2 rounded bg-gray-800 text-sm text-gray-200 hover:bg-gray-700">Add Custom Line</button>
+      </div>
+    </>
+  );
+};
+
+const QuoteEditor = ({ submission, onSave, catalog }) => {
+  const [quote, setQuote] = useState(() => submission.quote || createQuoteForSubmission(submission, catalog));
+  const [saveState, setSaveState] = useState(null);
+  const totals = calculateQuoteTotals(quote);
+  const isAnswered = ['accepted', 'declined'].includes(quote.status);
+
+  const updateQuote = (changes) => setQuote(prev => ({ ...prev, ...changes }));
+
+  const save = async (send) => {
+    if (send && !quote.lineItems.length) {
+      setSaveState({ error: 'Add at least one line item before sending.' });
+      return;
+    }
+    if (quote.lineItems.some(item => !item.label.trim())) {
+      setSaveState({ error: 'Every line item needs a description.' });
+      return;
+    }
+    setSaveState({ busy: true });
+    const result = await onSave(submission, quote, { send });
+    if (result.success) {
+      setQuote(result.quote);
+      setSaveState({ message: send ? 'Quote sent — the customer can now accept it from their tracking page.' : 'Draft saved.' });
+    } else {
+      setSaveState({ error: result.error });
+    }
+  };
+
+  const inputClass = LINE_ITEM_INPUT_CLASS;
+
+  return (
+    <div className="space-y-4">
+      {quote.status !== 'draft' && (
+        <p className="text-sm text-gray-400">
+          Quote {quote.status}{quote.sentAt ? ` · sent ${formatTimestamp(quote.sentAt)}` : ''}{quote.respondedAt ? ` · answered ${formatTimestamp(quote.respondedAt)}` : ''}
+          {quote.declineReason && <span className="block text-gray-500">Reason: {quote.declineReason}</span>}
+        </p>
+      )}
+
+      <LineItemsEditor lineItems={quote.lineItems} onChange={lineItems => updateQuote({ lineItems })} catalog={catalog} />
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 text-sm">
+        <label className="text-gray-400">
+          Discount
+          <div className="flex gap-2 mt-1">
+            <input type="number" min="0" step="0.01" value={quote.discount.value} onChange={e => updateQuote({ discount: { ...quote.discount, value: Math.max(0, parseFloat(e.target.value) || 0) } })} className={`${inputClass} w-full`} />
+            <select aria-label="Discount type" value={quote.discount.type} onChange={e => updateQuote({ discount: { ...quote.discount, type: e.target.value } })} className={inputClass}>
+              <option value="amount">$</option>
+              <option value="percent">%</option>
+            </select>
+          </div>
+        </label>
+        <label className="text-gray-400">
+          Deposit
+          <input type="number" min="0" step="0.01" value={quote.deposit} onChange={e => updateQuote({ deposit: Math.max(0, parseFloat(e.target.value) || 0) })} className={`${inputClass} w-full mt-1`} />
+        </label>
+        <label className="text-gray-400">
+          Valid until
+          <input type="date" value={quote.expiresOn} onChange={e => updateQuote({ expiresOn: e.target.value })} className={`${inputClass} w-full mt-1`} />
+        </label>
+      </div>
+
+      <label className="block text-sm text-gray-400">
+        Note to customer
+        <textarea value={quote.customerNote} onChange={e => updateQuote({ customerNote: e.target.value })} rows="2" className={`${inputClass} w-full mt-1`}></textarea>
+      </label>
+
+      <div className="flex flex-wrap items-center justify-between gap-3 p-3 rounded-lg bg-gray-800 text-sm">
+        <span className="text-gray-300">Subtotal {formatCurrency(totals.subtotal)} · Discount {formatCurrency(totals.discountAmount)}</span>
+        <span className="text-white font-bold text-base">Total {formatCurrency(totals.total)}{totals.deposit > 0 && <span className="text-red-400 font-normal text-sm"> · Deposit {formatCurrency(totals.deposit)}</span>}</span>
+      </div>
+
+      <div className="flex flex-wrap justify-end gap-3">
+        <Button variant="ghost" className="px-4 py-2" onClick={() => save(false)} disabled={saveState?.busy}>Save Draft</Button>
+        <Button variant="primary" className="px-4 py-2" onClick={() => save(true)} disabled={saveState?.busy || !submission.trackingId}>
+          {quote.status === 'draft' ? 'Send Quote' : 'Resend Quote'}
+        </Button>
+      </div>
+      {!submission.trackingId && <p className="text-xs text-gray-500 text-right">This booking has no tracking code, so the quote can't be sent online.</p>}
+      {isAnswered && <p className="text-xs text-gray-500 text-right">Resending replaces the customer's answer and asks them again.</p>}
+      {saveState?.message && <p className="text-sm text-green-400">{saveState.message}</p>}
+      {saveState?.error && <p className="text-sm text-red-400" role="alert">{saveState.error}</p>}
+    </div>
+  );
+};
+
+const InvoiceStatusBadge = ({ status }) => {
+  const meta = getInvoiceStatusMeta(status);
+  return <span className={`inline-block px-2 py-0.5 rounded-full text-xs font-semibold ${meta.badge}`}>{meta.label}</span>;
+};
+
+// Form for a new invoice, prefilled from the booking's quote (see createInvoiceDraft).
+const InvoiceEditor = ({ submission, catalog, onCreate, onCancel }) => {
+  const [draft, setDraft] = useState(() => createInvoiceDraft(submission, catalog));
+  const [saveState, setSaveState] = useState(null);
+  const totals = calculateInvoiceTotals(draft);
+  const updateDraft = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+  const inputClass = LINE_ITEM_INPUT_CLASS;
+
+  const handleCreate = async () => {
+    if (!draft.lineItems.length) {
+      setSaveState({ error: 'Add at least one line item.' });
+      return;
+    }
+    if (draft.lineItems.some(item => !item.label.trim())) {
+      setSaveState({ error: 'Every line item needs a description.' });
+      return;
+    }
+    if (!DATE_PATTERN.test(draft.issuedOn)) {
+      setSaveState({ error: 'Pick the issue date.' });
+      return;
+    }
+    setSaveState({ busy: true });
+    const result = await onCreate(submission, { ...draft, notes: draft.notes.trim() });
+    if (!result.success) setSaveState({ error: result.error });
+  };
+
+  return (
+    <div className="space-y-4 p-4 rounded-lg border border-gray-800">
+      <LineItemsEditor lineItems={draft.lineItems} onChange={lineItems => updateDraft({ lineItems })} catalog={catalog} />
+
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-3 text-sm">
+        <label className="text-gray-400">
+          Discount
+          <div className="flex gap-2 mt-1">
+            <input type="number" min="0" step="0.01" value={draft.discount.value} onChange={e => updateDraft({ discount: { ...draft.discount, value: Math.max(0, parseFloat(e.target.value) || 0) } })} className={`${inputClass} w-full`} />
+            <select aria-label="Discount type" value={draft.discount.type} onChange={e => updateDraft({ discount: { ...draft.discount, type: e.target.value } })} className={inputClass}>
+              <option value="amount">$</option>
+              <option value="percent">%</option>
+            </select>
+          </div>
+        </label>
+        <label className="text-gray-400">
+          Tax rate (%)
+          <input type="number" min="0" max="100" step="0.001" value={draft.taxRate} onChange={e => updateDraft({ taxRate: Math.min(100, Math.max(0, parseFloat(e.target.value) || 0)) })} className={`${inputClass} w-full mt-1`} />
+        </label>
+        <label className="text-gray-400">
+          Deposit
+          <input type="number" min="0" step="0.01" value={draft.deposit} onChange={e => updateDraft({ deposit: Math.max(0, parseFloat(e.target.value) || 0) })} className={`${inputClass} w-full mt-1`} />
+        </label>
+        <label className="text-gray-400">
+          Issued
+          <input type="date" value={draft.issuedOn} onChange={e => updateDraft({ issuedOn: e.target.value })} className={`${inputClass} w-full mt-1`} />
+        </label>
+        <label className="text-gray-400">
+          Due
+          <input type="date" value={draft.dueOn} onChange={e => updateDraft({ dueOn: e.target.value })} className={`${inputClass} w-full mt-1`} />
+        </label>
+      </div>
+
+      <label className="block text-sm text-gray-400">
+        Notes on the invoice
+        <textarea value={draft.notes} onChange={e => updateDraft({ notes: e.target.value })} rows="2" placeholder="Payment instructions, warranty, thanks..." className={`${inputClass} w-full mt-1`}></textarea>
+      </label>
+
+      <div className="flex flex-wrap items-center justify-between gap-3 p-3 rounded-lg bg-gray-800 text-sm">
+        <span className="text-gray-300">Subtotal {formatCurrency(totals.subtotal)} · Discount {formatCurrency(totals.discountAmount)} · Tax {formatCurrency(totals.tax)}</span>
+        <span className="text-white font-bold text-base">Total {formatCurrency(totals.total)}{totals.deposit > 0 && <span className="text-red-400 font-normal text-sm"> · Deposit {formatCurrency(totals.deposit)}</span>}</span>
+      </div>
+
+      <div className="flex flex-wrap justify-end gap-3">
+        <Button variant="ghost" className="px-4 py-2" onClick={onCancel} disabled={saveState?.busy}>Cancel</Button>
+        <Button variant="primary" className="px-4 py-2" onClick={handleCreate} disabled={saveState?.busy}>Issue Invoice</Button>
+      </div>
+      <p className="text-xs text-gray-500 text-right">Issuing assigns the next invoice number. Items can't be changed afterwards; void it and issue a new one instead.</p>
+      {saveState?.error && <p className="text-sm text-red-400" role="alert">{saveState.error}</p>}
+    </div>
+  );
+};
+
+// The customer's invoice history (matched by email, across all their bookings) and a form to
+// issue a new one for this booking.
+const SubmissionInvoices = ({ submission, catalog, subscribeToCustomerInvoices, createInvoice, navigate }) => {
+  const [invoices, setInvoices] = useState(null);
+  const [loadError, setLoadError] = useState('');
+  const [isCreating, setIsCreating] = useState(false);
+
+  useEffect(() => subscribeToCustomerInvoices(
+    submission.email,
+    setInvoices,
+    () => setLoadError("Couldn't load invoices. Check your connection and try again.")
+  ), [submission.email, subscribeToCustomerInvoices]);
+
+  const openInvoice = (invoice) => navigate('invoice', { invoiceId: invoice.id });
+  const handleCreate = async (target, draft) => {
+    const result = await createInvoice(target, draft);
+    if (result.success) openInvoice(result.invoice);
+    return result;
+  };
+
+  return (
+    <div className="space-y-3">
+      {loadError && <p className="text-sm text-red-400" role="alert">{loadError}</p>}
+      {invoices === null && !loadError && <p className="text-sm text-gray-500">Loading invoices...</p>}
+      {invoices?.length === 0 && <p className="text-sm text-gray-500">No invoices for {submission.email} yet.</p>}
+      {invoices?.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs uppercase tracking-wider text-gray-500 border-b border-gray-700">
+                <th className="py-2 pr-4">Number</th>
+                <th className="py-2 pr-4">Issued</th>
+                <th className="py-2 pr-4">Order</th>
+                <th className="py-2 pr-4 text-right">Total</th>
+                <th className="py-2 pr-4 text-right">Balance</th>
+                <th className="py-2 pr-4">Status</th>
+                <th className="py-2"><span className="sr-only">Open</span></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-800">
+              {invoices.map(invoice => (
+                <tr key={invoice.id} className={invoice.submissionId === submission.id ? 'text-gray-200' : 'text-gray-400'}>
+                  <td className="py-2 pr-4 font-mono">{invoice.number}</td>
+                  <td className="py-2 pr-4 whitespace-nowrap">{formatInvoiceDate(invoice.issuedOn)}</td>
+                  <td className="py-2 pr-4 font-mono">{invoice.submissionId === submission.id ? 'This booking' : invoice.trackingCode || '—'}</td>
+                  <td className="py-2 pr-4 text-right">{formatCurrency(invoice.total)}</td>
+                  <td className="py-2 pr-4 text-right">{formatCurrency(invoice.balance)}</td>
+                  <td className="py-2 pr-4"><InvoiceStatusBadge status={invoice.status} /></td>
+                  <td className="py-2 text-right">
+                    <button type="button" onClick={() => openInvoice(invoice)} className="text-red-400 hover:text-red-300 underline">Open</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {isCreating ? (
+        <InvoiceEditor submission={submission} catalog={catalog} onCreate={handleCreate} onCancel={() => setIsCreating(false)} />
+      ) : (
+        <div className="flex justify-end">
+          <Button variant="ghost" className="px-4 py-2" onClick={() => setIsCreating(true)}>New Invoice</Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const DetailField = ({ label, children }) => (
+  <div>
+    <dt className="text-xs uppercase tracking-wider text-gray-500">{label}</dt>
+    <dd className="text-gray-200 whitespace-pre-wrap break-words">{children || '—'}</dd>
+  </div>
+);
+
+// Count of customer messages the admin hasn't read yet, next to a submission in the lists.
+const UnreadBadge = ({ count }) => (
+  count > 0 ? (
+    <span title={`${count} unread ${count === 1 ? 'message' : 'messages'}`} className="inline-flex items-center ml-2 px-1.5 rounded bg-red-600 text-[10px] font-bold text-white">
+      <MessageCircle className="w-3 h-3 mr-0.5" />{count}
+    </span>
+  ) : null
+);
+
+// The submission's conversation with the customer. Opening it marks customer messages read.
+const SubmissionThread = ({ submission, subscribeToThread, sendThreadMessage, markThreadRead, uploadReferenceImage }) => {
+  const [data, setData] = useState(null); // { thread, messages }
+  const [error, setError] = useState('');
+  const { threadId } = submission;
+
+  useEffect(() => {
+    if (!threadId) return undefined;
+    return subscribeToThread(threadId, setData, (err) => setError(`Could not load messages: ${err.message}`));
+  }, [threadId, subscribeToThread]);
+
+  const unreadByAdmin = data?.thread?.unreadByAdmin || 0;
+  useEffect(() => {
+    if (unreadByAdmin > 0) markThreadRead(threadId, 'admin');
+  }, [unreadByAdmin, threadId, markThreadRead]);
+
+  const handleSend = (message) => sendThreadMessage({ threadId, submission, from: 'admin', ...message });
+  const customerLink = threadId ? `${window.location.origin}${buildPath('messages', { threadId })}` : '';
+
+  if (error) return <p className="text-sm text-red-400" role="alert">{error}</p>;
+  if (threadId && !data) return <p className="text-sm text-gray-500">Loading messages...</p>;
+
+  return (
+    <div className="space-y-3">
+      {customerLink ? (
+        <p className="text-xs text-gray-500">
+          Customer's private link: <a href={customerLink} target="_blank" rel="noopener noreferrer" className="text-red-400 hover:underline break-all">{customerLink}</a>
+          {data?.thread?.customerReadAt && <> · Read by customer {formatTimestamp(data.thread.customerReadAt)}</>}
+        </p>
+      ) : (
+        <p className="text-xs text-gray-500">This submission predates message threads. Your first reply starts one and emails the customer a private link.</p>
+      )}
+      <MessageThread thread={data?.thread} messages={data?.messages || []} viewer="admin" onSend={handleSend} uploadReferenceImage={uploadReferenceImage} />
+    </div>
+  );
+};
+
+const toShippingDraft = (shipping) => ({
+  state: shipping?.state || SHIPPING_STATES[0].value,
+  inbound: { carrier: shipping?.inbound?.carrier || '', trackingNumber: shipping?.inbound?.trackingNumber || '' },
+  outbound: { carrier: shipping?.outbound?.carrier || '', trackingNumber: shipping?.outbound?.trackingNumber || '' },
+});
+
+// Inbound and outbound packages for a ship-in booking. Entering a tracking number moves the
+// state along if it is behind; the customer sees the saved result on the tracking page.
+const ShippingEditor = ({ submission, onSave }) => {
+  const [draft, setDraft] = useState(() => toShippingDraft(submission.shipping));
+  const [saveState, setSaveState] = useState(null);
+  const { shipping } = submission;
+
+  const editShipment = (direction, changes) => {
+    setDraft(prev => {
+      const shipment = { ...prev[direction], ...changes };
+      const behind = shipment.trackingNumber.trim() && getShippingStep(prev.state) < getShippingStep(direction);
+      return { ...prev, [direction]: shipment, state: behind ? direction : prev.state };
+    });
+    setSaveState(null);
+  };
+
+  const handleSave = async () => {
+    setSaveState({ busy: true });
+    const result = await onSave(submission, draft);
+    setSaveState(result.success ? { saved: true, statusChange: result.statusChange } : { error: result.error });
+  };
+
+  const inputClass = "p-2 rounded bg-gray-800 text-gray-200 border border-gray-700 focus:border-red-500 text-sm";
+  const shipmentFields = (direction, label, stamp) => (
+    <fieldset className="p-3 rounded-lg bg-gray-950 border border-gray-800 space-y-2">
+      <legend className="px-1 text-sm font-semibold text-white">{label}</legend>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+        <input type="text" list="shippingCarriers" aria-label={`${label} carrier`} placeholder="Carrier" value={draft[direction].carrier} onChange={e => editShipment(direction, { carrier: e.target.value })} className={inputClass} />
+        <input type="text" aria-label={`${label} tracking number`} placeholder="Tracking number" value={draft[direction].trackingNumber} onChange={e => editShipment(direction, { trackingNumber: e.target.value })} className={`${inputClass} font-mono`} />
+      </div>
+      {shipping?.[direction] && (
+        <p className="text-xs text-gray-500">Saved: <ShipmentLink shipment={shipping[direction]} />{shipping[stamp] && ` · ${formatTimestamp(shipping[stamp])}`}</p>
+      )}
+    </fieldset>
+  );
+
+  return (
+    <div className="space-y-3">
+      <datalist id="shippingCarriers">
+        {Object.keys(SHIPPING_CARRIERS).map(carrier => <option key={carrier} value={carrier} />)}
+      </datalist>
+      <label className="flex flex-wrap items-center gap-3 text-sm text-gray-300">
+        Shipping state
+        <select value={draft.state} onChange={e => { setDraft(prev => ({ ...prev, state: e.target.value })); setSaveState(null); }} className={inputClass}>
+          {SHIPPING_STATES.map(state => <option key={state.value} value={state.value}>{state.label}</option>)}
+        </select>
+        {shipping?.updatedAt && <span className="text-xs text-gray-500">Updated {formatTimestamp(shipping.updatedAt)}</span>}
+      </label>
+      {shipmentFields('inbound', 'Inbound (customer to us)', 'receivedAt')}
+      {shipmentFields('outbound', 'Outbound (back to customer)', 'shippedAt')}
+      <div className="flex flex-wrap items-center justify-end gap-3">
+        {saveState?.error && <span className="text-sm text-red-400" role="alert">{saveState.error}</span>}
+        {saveState?.saved && <span className="text-sm text-green-400">Shipping saved{saveState.statusChange ? ' and the order moved to Shipped' : ''}.</span>}
+        <Button variant="primary" icon={Truck} onClick={handleSave} disabled={saveState?.busy} className="px-4 py-2">
+          {saveState?.busy ? 'Saving...' : 'Save Shipping'}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+// Full view of one submission: every field, status history and admin notes.
+const SubmissionDetail = ({ submission, onClose, onStatusChange, onAddNote, onSaveQuote, onSaveShipping, onSetSpam, catalog, threadProps, invoiceProps }) => {
+  const [noteText, setNoteText] = useState('');
+  const [noteIsPublic, setNoteIsPublic] = useState(false);
+  const [noteState, setNoteState] = useState(null);
+
+  if (!submission) return null;
+  const isBooking = submission.type !== 'contact_message';
+  const isCustom = submission.type === 'custom_booking';
+  const isCleaning = submission.type === 'cleaning_booking';
+  const isShipIn = submission.delivery === 'ship_in';
+
+  const handleAddNote = async (e) => {
+    e.preventDefault();
+    if (!noteText.trim()) return;
+    setNoteState({ busy: true });
+    const result = await onAddNote(submission, { text: noteText.trim(), isPublic: noteIsPublic });
+    if (result.success) {
+      setNoteText('');
+      setNoteIsPublic(false);
+      setNoteState(null);
+    } else {
+      setNoteState({ error: result.error });
+    }
+  };
+
+  return (
+    <Modal isOpen onClose={onClose} title={submission.name || 'Submission'} wide>
+      <div className="space-y-6">
+        <div className="flex flex-wrap items-center gap-3 text-sm">
+          {isBooking && <StatusBadge status={submission.status} />}
+          <span className="text-gray-400">{SUBMISSION_TYPES.find(t => t.value === submission.type)?.label || submission.type}</span>
+          <span className="text-gray-500">Submitted {submission.timestamp}</span>
+          {submission.trackingCode && <span className="font-mono text-red-400">{submission.trackingCode}</span>}
+          <button onClick={() => onSetSpam(submission, !submission.spam)} className="ml-auto flex items-center text-gray-400 hover:text-red-400">
+            {submission.spam ? <><Inbox className="w-4 h-4 mr-1" /> Not spam</> : <><ShieldAlert className="w-4 h-4 mr-1" /> Mark as spam</>}
+          </button>
+        </div>
+        {submission.spam && (submission.spamReasons || []).length > 0 && (
+          <p className="text-sm text-yellow-400">Flagged as spam: {submission.spamReasons.map(reason => SPAM_REASONS[reason] || reason).join('; ')}.</p>
+        )}
+
+        <dl className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <DetailField label="Email"><a href={`mailto:${submission.email}`} className="text-red-400 hover:underline">{submission.email}</a></DetailField>
+          {isCustom && <DetailField label="Shoe Model">{submission.shoeModel}</DetailField>}
+          {isCustom && <DetailField label="Budget">{submission.budget}</DetailField>}
+          {isCustom && submission.estimate && (
+            <div className="sm:col-span-2">
+              <DetailField label="Customer Estimate">
+                <span className="text-red-400 font-bold">{formatEstimate(submission.estimate)}</span>
+                {submission.estimator && <span className="block text-sm text-gray-400">{describeEstimatorOptions(submission.estimator)}</span>}
+              </DetailField>
+            </div>
+          )}
+          {isBooking && submission.delivery && <DetailField label="Delivery">{getDeliveryLabel(submission.delivery)}</DetailField>}
+          {submission.returnAddress && <DetailField label="Return Address"><span className="select-all">{formatAddressLines(submission.returnAddress).join('\n')}</span></DetailField>}
+          {isCleaning && submission.estimate && <DetailField label="Estimate">{formatEstimate(submission.estimate)}</DetailField>}
+          {submission.appointment && <DetailField label="Drop-off Time">{formatAppointment(submission.appointment)}</DetailField>}
+          {isBooking && (
+            <DetailField label="Status">
+              <select
+                aria-label="Status"
+                value={submission.status || DEFAULT_STATUS}
+                onChange={(e) => onStatusChange(submission, e.target.value)}
+                className="mt-1 p-1.5 text-sm rounded bg-gray-800 text-gray-200 border border-gray-700 focus:border-red-500"
+              >
+                {ORDER_STATUSES.map(s => <option key={s.value} value={s.value}>{s.value}</option>)}
+              </select>
+            </DetailField>
+          )}
+          {submission.designRequest && <div className="sm:col-span-2"><DetailField label="Design Request">{submission.designRequest}</DetailField></div>}
+          {submission.message && <div className="sm:col-span-2"><DetailField label="Message">{submission.message}</DetailField></div>}
+          {isCleaning && (
+            <div className="sm:col-span-2">
+              <DetailField label={`Pairs (${(submission.pairs || []).length})`}>
+                <ol className="mt-1 space-y-2">
+                  {(submission.pairs || []).map((pair, i) => (
+                    <li key={i} className="p-3 rounded-lg bg-gray-950 border border-gray-800">
+                      <div className="flex justify-between gap-3">
+                        <span className="text-white font-semibold">{pair.shoeModel}</span>
+                        <span className="text-red-400 text-sm">{pair.level}</span>
+                      </div>
+                      {(pair.problemAreas || []).length > 0 && <div className="text-xs text-gray-400 mt-1">{pair.problemAreas.join(' · ')}</div>}
+                      {pair.notes && <div className="text-sm text-gray-300 mt-1">{pair.notes}</div>}
+                    </li>
+                  ))}
+                </ol>
+              </DetailField>
+            </div>
+          )}
+          {isCleaning && submission.customerNotes && <div className="sm:col-span-2"><DetailField label="Customer Notes">{submission.customerNotes}</DetailField></div>}
+          {isCustom && <div className="sm:col-span-2"><DetailField label="Reference Images"><ReferenceThumbnails submission={submission} /></DetailField></div>}
+        </dl>
+
+        {isBooking && (
+          <div>
+            <h4 className="text-lg font-bold text-white mb-2">Status History</h4>
+            {(submission.statusHistory || []).length ? (
+              <ol className="space-y-1 text-sm">
+                {submission.statusHistory.map((entry, i) => (
+                  <li key={i} className="flex items-center gap-3">
+                    <StatusBadge status={entry.status} />
+                    <span className="text-gray-400">{formatTimestamp(entry.changedAt)}</span>
+                    {entry.from && <span className="text-gray-500">from {entry.from}</span>}
+                  </li>
+                ))}
+              </ol>
+            ) : (
+              <p className="text-sm text-gray-500">No status changes yet.</p>
+            )}
+          </div>
+        )}
+
+        {isBooking && (isShipIn || submission.shipping) && (
+          <div>
+            <h4 className="flex items-center gap-3 text-lg font-bold text-white mb-2">Shipping <ShippingBadge shipping={submission.shipping} /></h4>
+            <ShippingEditor submission={submission} onSave={onSaveShipping} />
+          </div>
+        )}
+
+        {isBooking && (
+          <div>
+            <h4 className="text-lg font-bold text-white mb-2">Quote</h4>
+            <QuoteEditor submission={submission} onSave={onSaveQuote} catalog={catalog} />
+          </div>
+        )}
+
+        {isBooking && (
+          <div>
+            <h4 className="text-lg font-bold text-white mb-2">Invoices</h4>
+            <SubmissionInvoices submission={submission} catalog={catalog} {...invoiceProps} />
+          </div>
+        )}
+
+        <div>
+          <h4 className="text-lg font-bold text-white mb-2">Conversation</h4>
+          <SubmissionThread submission={submission} {...threadProps} />
+        </div>
+
+        <div>
+          <h4 className="text-lg font-bold text-white mb-2">Notes</h4>
+          <ul className="space-y-2 mb-4">
+            {(submission.notes || []).map((note, i) => (
+              <li key={i} className="p-3 rounded-lg bg-gray-800 text-sm">
+                <p className="text-gray-200 whitespace-pre-wrap">{note.text}</p>
+                <p className="text-xs text-gray-500 mt-1">
+                  {formatTimestamp(note.createdAt)}{note.author ? ` · ${note.author}` : ''}
+                  {note.isPublic && <span className="ml-2 text-green-400">Visible to customer</span>}
+                </p>
+              </li>
+            ))}
+            {!(submission.notes || []).length && <li className="text-sm text-gray-500">No notes yet.</li>}
+          </ul>
+          <form onSubmit={handleAddNote} className="space-y-2">
+            <label htmlFor="noteText" className="sr-only">New note</label>
+            <textarea id="noteText" value={noteText} onChange={e => setNoteText(e.target.value)} rows="2" placeholder="Add a note..." className="w-full p-3 rounded-lg bg-gray-800 text-white border border-gray-700 focus:border-red-500 focus:ring-red-500"></textarea>
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              {submission.trackingId ? (
+                <label className="flex items-center space-x-2 text-sm text-gray-300 cursor-pointer">
+                  <input type="checkbox" checked={noteIsPublic} onChange={e => setNoteIsPublic(e.target.checked)} className="accent-red-600" />
+                  <span>Show on customer's tracking page</span>
+                </label>
+              ) : <span />}
+              <Button type="submit" variant="primary" className="px-4 py-2" disabled={noteState?.busy || !noteText.trim()}>Add Note</Button>
+            </div>
+            {noteState?.error && <p className="text-sm text-red-400" role="alert">{noteState.error}</p>}
+          </form>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+// --- Dashboard Alerts ---
+
+const SEEN_SUBMISSIONS_KEY = '2x_seen_submissions';
+const DASHBOARD_ALERTS_KEY = '2x_dashboard_alerts';
+const MAX_SEEN_SUBMISSIONS = 500;
+
+const readStoredJson = (key, fallback) => {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (e) {
+    return fallback;
+  }
+};
+
+const writeStoredJson = (key, value) => {
+  try { localStorage.setItem(key, JSON.stringify(value)); } catch (e) {}
+};
+
+// Short two-tone chime generated with Web Audio, so no sound asset has to be shipped.
+const playArrivalChime = () => {
+  try {
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    if (!AudioCtx) return;
+    const ctx = new AudioCtx();
+    [880, 1320].forEach((frequency, i) => {
+      const osc = ctx.createOscillator();
+      const gain = ctx.createGain();
+      osc.frequency.value = frequency;
+      osc.connect(gain);
+      gain.connect(ctx.destination);
+      const start = ctx.currentTime + i * 0.15;
+      gain.gain.setValueAtTime(0.2, start);
+      gain.gain.exponentialRampToValueAtTime(0.001, start + 0.3);
+      osc.start(start);
+      osc.stop(start + 0.3);
+    });
+    setTimeout(() => ctx.close(), 1000);
+  } catch (e) { /* ignore */ }
+};
+
+const showArrivalNotification = (submission) => {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+  const label = { custom_booking: 'New custom booking', cleaning_booking: 'New cleaning booking' }[submission.type] || 'New message';
+  try {
+    new Notification(`${label} — 2X Customs`, {
+      body: `${submission.name || 'Someone'}${submission.shoeModel ? ` · ${submission.shoeModel}` : ''}`,
+      tag: submission.id,
+    });
+  } catch (e) { /* ignore */ }
+};
+
+// Tracks which submissions the admin has looked at (persisted per browser) and which
+// arrival alerts are enabled.
+const useSeenSubmissions = () => {
+  const [seenIds, setSeenIds] = useState(() => {
+    const stored = readStoredJson(SEEN_SUBMISSIONS_KEY, null);
+    return stored ? new Set(stored) : null;
+  });
+  const [alerts, setAlerts] = useState(() => readStoredJson(DASHBOARD_ALERTS_KEY, { sound: false, desktop: false }));
+
+  const persist = (ids) => {
+    const list = Array.from(ids).slice(-MAX_SEEN_SUBMISSIONS);
+    writeStoredJson(SEEN_SUBMISSIONS_KEY, list);
+    return new Set(list);
+  };
+
+  const markSeen = useCallback((ids) => {
+    setSeenIds(prev => {
+      const next = new Set(prev || []);
+      ids.forEach(id => next.add(id));
+      return persist(next);
+    });
+  }, []);
+
+  // On the very first visit everything already in the database counts as seen.
+  const initialize = useCallback((ids) => {
+    setSeenIds(prev => prev || persist(new Set(ids)));
+  }, []);
+
+  const updateAlerts = useCallback(async (changes) => {
+    if (changes.desktop && typeof Notification !== 'undefined' && Notification.permission !== 'granted') {
+      const permission = await Notification.requestPermission();
+      if (permission !== 'granted') changes = { ...changes, desktop: false };
+    }
+    setAlerts(prev => {
+      const next = { ...prev, ...changes };
+      writeStoredJson(DASHBOARD_ALERTS_KEY, next);
+      return next;
+    });
+  }, []);
+
+  return { seenIds: seenIds || new Set(), markSeen, initialize, alerts, updateAlerts };
+};
+
+// --- Export & Import ---
+
+const EXPORT_FORMAT_VERSION = 1;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+// Columns for the bookkeeping CSV, shared by every submission type (blank where not applicable).
+const CSV_COLUMNS = [
+  { header: 'ID', value: s => s.id },
+  { header: 'Type', value: s => s.type },
+  { header: 'Status', value: s => s.status },
+  { header: 'Submitted At', value: s => (s.createdAt ? s.createdAt.toISOString() : '') },
+  { header: 'Name', value: s => s.name },
+  { header: 'Email', value: s => s.email },
+  { header: 'Shoe Model', value: s => s.shoeModel },
+  { header: 'Budget', value: s => s.budget },
+  { header: 'Estimate', value: s => (s.estimate ? formatEstimate(s.estimate) : '') },
+  { header: 'Estimate Options', value: s => (s.estimator ? describeEstimatorOptions(s.estimator) : '') },
+  { header: 'Design Request', value: s => s.designRequest },
+  { header: 'Message', value: s => s.message },
+  { header: 'Pairs', value: s => (s.pairs || []).map(pair => `${pair.shoeModel} (${pair.level})`).join('; ') },
+  { header: 'Delivery', value: s => (s.delivery ? getDeliveryLabel(s.delivery) : '') },
+  { header: 'Return Address', value: s => formatAddressLines(s.returnAddress).join(', ') },
+  { header: 'Shipping', value: s => (s.delivery === 'ship_in' ? getShippingState(s.shipping).label : '') },
+  { header: 'Inbound Tracking', value: s => (s.shipping?.inbound ? `${s.shipping.inbound.carrier} ${s.shipping.inbound.trackingNumber}`.trim() : '') },
+  { header: 'Outbound Tracking', value: s => (s.shipping?.outbound ? `${s.shipping.outbound.carrier} ${s.shipping.outbound.trackingNumber}`.trim() : '') },
+  { header: 'Customer Notes', value: s => s.customerNotes },
+  { header: 'Reference Images', value: s => (s.referenceImages || []).map(img => img.url).join(' ') },
+  { header: 'Tracking Code', value: s => s.trackingCode },
+  { header: 'Quote Status', value: s => s.quote?.status },
+  { header: 'Quote Total', value: s => (s.quote ? calculateQuoteTotals(s.quote).total.toFixed(2) : '') },
+  { header: 'Quote Deposit', value: s => (s.quote ? calculateQuoteTotals(s.quote).deposit.toFixed(2) : '') },
+];
+
+// RFC 4180 quoting. Cells starting with a formula character are prefixed with a quote so
+// spreadsheet apps don't evaluate customer-entered text.
+const escapeCsvCell = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const submissionsToCsv = (submissions) => {
+  const rows = [CSV_COLUMNS.map(col => col.header)];
+  submissions.forEach(s => rows.push(CSV_COLUMNS.map(col => col.value(s))));
+  return rows.map(row => row.map(escapeCsvCell).join(',')).join('\r\n');
+};
+
+// Firestore Timestamps and Dates become ISO strings; everything else is copied as-is.
+const toExportValue = (value) => {
+  if (value === null || value === undefined) return value;
+  if (typeof value.toDate === 'function') return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(toExportValue);
+  if (typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toExportValue(v)]));
+  return value;
+};
+
+// Submission fields stored as Timestamps, which toExportValue writes as ISO strings. `[]` marks
+// a list of objects. Only these are converted back, so customer text that happens to look like
+// a date stays a string.
+const EXPORT_TIMESTAMP_FIELDS = [
+  'timestamp', 'statusUpdatedAt', 'statusHistory[].changedAt', 'notes[].createdAt',
+  'quote.updatedAt', 'quote.sentAt', 'quote.respondedAt', 'quote.expiresAt', 'appointment.startsAt', 'shipping.updatedAt',
+  ...SHIPPING_STATES.filter(s => s.stamp).map(s => `shipping.${s.stamp}`),
+];
+
+const reviveTimestampField = (value, [key, ...rest]) => {
+  if (!value || typeof value !== 'object') return value;
+  const isList = key.endsWith('[]');
+  const name = isList ? key.slice(0, -2) : key;
+  if (!(name in value)) return value;
+  const revive = (item) => {
+    if (rest.length) return reviveTimestampField(item, rest);
+    return typeof item === 'string' && ISO_DATE_PATTERN.test(item) ? Timestamp.fromDate(new Date(item)) : item;
+  };
+  const field = value[name];
+  return { ...value, [name]: isList ? (Array.isArray(field) ? field.map(revive) : field) : revive(field) };
+};
+
+// Inverse of toExportValue for a submission: its timestamp fields become Timestamps again.
+const fromExportValue = (data) => EXPORT_TIMESTAMP_FIELDS.reduce((value, path) => reviveTimestampField(value, path.split('.')), data);
+
+const submissionsToJson = (submissions) => JSON.stringify({
+  version: EXPORT_FORMAT_VERSION,
+  appId: APP_ID,
+  exportedAt: new Date().toISOString(),
+  // `timestamp` holds the display string in the dashboard; export the real date instead.
+  submissions: submissions.map(({ createdAt, timestamp, ...rest }) => toExportValue({ ...rest, timestamp: createdAt })),
+}, null, 2);
+
+// Validates an export file and returns `{ records }` ready for importSubmissions, or `{ error }`.
+const parseSubmissionsJson = (text) => {
+  let payload;
+  try {
+    payload = JSON.parse(text);
+  } catch (e) {
+    return { error: 'File is not valid JSON.' };
+  }
+  const list = Array.isArray(payload) ? payload : payload?.submissions;
+  if (!Array.isArray(list)) return { error: 'No "submissions" array found in file.' };
+
+  const knownTypes = SUBMISSION_TYPES.map(t => t.value);
+  const records = [];
+  for (const [index, item] of list.entries()) {
+    if (!item || typeof item !== 'object' || !item.id || typeof item.id !== 'string') {
+      return { error: `Entry ${index + 1} is missing an id.` };
+    }
+    if (!knownTypes.includes(item.type)) {
+      return { error: `Entry ${index + 1} (${item.id}) has unknown type "${item.type}".` };
+    }
+    const { id, ...data } = item;
+    records.push({ id, data: fromExportValue(data) });
+  }
+  return { records };
+};
+
+const downloadFile = (content, fileName, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+const SubmissionTransfer = ({ submissions, importSubmissions }) => {
+  const [importState, setImportState] = useState(null);
+  const fileInputRef = useRef(null);
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  // The UTF-8 BOM makes Excel pick the right encoding for names with accents or emoji.
+  const exportCsv = () => downloadFile(`\ufeff${submissionsToCsv(submissions)}`, `2x-submissions-${stamp}.csv`, 'text/csv;charset=utf-8');
+  const exportJson = () => downloadFile(submissionsToJson(submissions), `2x-submissions-${stamp}.json`, 'application/json');
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const { records, error } = parseSubmissionsJson(await file.text());
+    if (error) {
+      setImportState({ error });
+      return;
+    }
+    if (!window.confirm(`Import ${records.length} submissions from ${file.name}? Entries with the same ID will be overwritten.`)) return;
+    setImportState({ busy: true });
+    const result = await importSubmissions(records);
+    setImportState(result.success ? { message: `Imported ${result.count} submissions.` } : { error: result.error });
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 text-sm">
+      <button onClick={exportCsv} disabled={!submissions.length} className="px-3 py-1.5 rounded-lg bg-gray-800 text-gray-200 hover:bg-gray-700 disabled:opacity-50">Export CSV</button>
+      <button onClick={exportJson} disabled={!submissions.length} className="px-3 py-1.5 rounded-lg bg-gray-800 text-gray-200 hover:bg-gray-700 disabled:opacity-50">Export JSON</button>
+      <button onClick={() => fileInputRef.current?.click()} disabled={importState?.busy} className="px-3 py-1.5 rounded-lg bg-gray-800 text-gray-200 hover:bg-gray-700 disabled:opacity-50">
+        {importState?.busy ? 'Importing...' : 'Import JSON'}
+      </button>
+      <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImportFile} className="hidden" />
+      {importState?.message && <span className="text-green-400">{importState.message}</span>}
+      {importState?.error && <span className="text-red-400" role="alert">{importState.error}</span>}
+    </div>
+  );
+};
+
+// --- Dashboard Filters ---
+
+// Filter state lives in the query string (e.g. /dashboard?type=custom_booking&q=dunk) so
+// a filtered view can be bookmarked. `q` is matched client-side; the rest go to Firestore.
+// `view` switches between the inbox and the Spam bucket and survives "clear filters".
+const SUBMISSION_FILTER_KEYS = ['type', 'status', 'budget', 'from', 'to', 'q', 'view'];
+const SEARCHABLE_FIELDS = ['name', 'email', 'shoeModel', 'designRequest', 'message', 'customerNotes'];
+
+const parseSubmissionFilters = (search) => {
+  const params = new URLSearchParams(search);
+  return Object.fromEntries(SUBMISSION_FILTER_KEYS.map(key => [key, params.get(key) || '']));
+};
+
+const serializeSubmissionFilters = (filters) => {
+  const params = new URLSearchParams();
+  SUBMISSION_FILTER_KEYS.forEach(key => { if (filters[key]) params.set(key, filters[key]); });
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
+
+// Submissions without a `status` field count as DEFAULT_STATUS.
+const matchesStatusFilter = (submission, status) => (
+  !status || (submission.status || DEFAULT_STATUS) === status
+);
+
+// Every whitespace-separated term must appear in at least one searchable field.
+const matchesSearch = (submission, text) => {
+  const terms = text.toLowerCase().split(/\s+/).filter(Boolean);
+  if (!terms.length) return true;
+  const pairText = (submission.pairs || []).map(pair => [pair.shoeModel, pair.level, ...(pair.problemAreas || []), pair.notes].join(' '));
+  const haystack = [...SEARCHABLE_FIELDS.map(field => submission[field] || ''), ...pairText].join(' ').toLowerCase();
+  return terms.every(term => haystack.includes(term));
+};
+
+// Upserts `incoming` into `existing` by id (dropping `removedIds`), newest first.
+const mergeSubmissions = (existing, incoming, removedIds = []) => {
+  const byId = new Map(existing.map(s => [s.id, s]));
+  removedIds.forEach(id => byId.delete(id));
+  incoming.forEach(s => byId.set(s.id, s));
+  return Array.from(byId.values()).sort((a, b) => (b.createdAt?.getTime() || 0) - (a.createdAt?.getTime() || 0));
+};
+
+const filterInputClass = "p-2 rounded-lg bg-gray-800 text-white text-sm border border-gray-700 focus:border-red-500 focus:ring-red-500";
+
+const SubmissionFilters = ({ filters, onChange }) => {
+  const update = (key) => (e) => onChange({ ...filters, [key]: e.target.value });
+  const hasFilters = SUBMISSION_FILTER_KEYS.some(key => key !== 'view' && filters[key]);
+
+  return (
+    <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-3 mb-8 bg-gray-900 p-4 rounded-xl border border-gray-800">
+      <input
+        type="search"
+        placeholder="Search name, email, shoe, request..."
+        aria-label="Search submissions"
+        value={filters.q}
+        onChange={update('q')}
+        className={`${filterInputClass} col-span-2`}
+      />
+      <select aria-label="Filter by type" value={filters.type} onChange={update('type')} className={filterInputClass}>
+        <option value="">All types</option>
+        {SUBMISSION_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+      </select>
+      <select aria-label="Filter by status" value={filters.status} onChange={update('status')} className={filterInputClass}>
+        <option value="">All statuses</option>
+        {ORDER_STATUSES.map(s => <option key={s.value} value={s.value}>{s.value}</option>)}
+      </select>
+      <select aria-label="Filter by budget" value={filters.budget} onChange={update('budget')} className={filterInputClass}>
+        <option value="">All budgets</option>
+        {BUDGET_OPTIONS.map(b => <option key={b} value={b}>{b}</option>)}
+      </select>
+      <input type="date" aria-label="From date" value={filters.from} max={filters.to || undefined} onChange={update('from')} className={filterInputClass} />
+      <div className="flex gap-2">
+        <input type="date" aria-label="To date" value={filters.to} min={filters.from || undefined} onChange={update('to')} className={`${filterInputClass} flex-1 min-w-0`} />
+        {hasFilters && (
+          <button onClick={() => onChange({ ...parseSubmissionFilters(''), view: filters.view })} title="Clear filters" className="px-2 text-gray-400 hover:text-red-500">
+            <X className="w-5 h-5" />
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const summarizeSubmission = (submission) => submission.message || submission.designRequest
+  || (submission.pairs || []).map(pair => pair.shoeModel).join(', ') || '';
+
+// Flagged submissions with the reasons they were flagged. False positives go back to the
+// inbox with "Not spam"; the rest can be deleted in bulk.
+const SpamBucket = ({ submissions, onOpen, onSetSpam, onDelete }) => {
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [state, setState] = useState(null);
+
+  // Selections that left the list (restored, deleted or filtered out) are ignored.
+  const selected = submissions.filter(s => selectedIds.has(s.id));
+  const allSelected = submissions.length > 0 && selected.length === submissions.length;
+
+  const toggle = (id) => setSelectedIds(prev => {
+    const next = new Set(prev);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    return next;
+  });
+  const toggleAll = () => setSelectedIds(allSelected ? new Set() : new Set(submissions.map(s => s.id)));
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Permanently delete ${selected.length} submission${selected.length === 1 ? '' : 's'}? This can't be undone.`)) return;
+    setState({ busy: true });
+    const result = await onDelete(selected);
+    if (result.success) {
+      setSelectedIds(new Set());
+      setState(null);
+    } else {
+      setState({ error: `Could not delete: ${result.error}` });
+    }
+  };
+
+  const handleRestore = async (submission) => {
+    const result = await onSetSpam(submission, false);
+    setState(result.success ? null : { error: `Could not restore ${submission.name}: ${result.error}` });
+  };
+
+  return (
+    <div className="bg-gray-900 p-6 rounded-xl shadow-2xl border border-red-600/50">
+      <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+        <h3 className="text-2xl font-bold text-red-400 flex items-center"><ShieldAlert className="w-6 h-6 mr-2"/> Spam ({submissions.length})</h3>
+        <Button onClick={handleDelete} variant="primary" icon={Trash2} disabled={!selected.length || state?.busy}>
+          Delete Selected ({selected.length})
+        </Button>
+      </div>
+      {state?.error && <div className="mb-4 text-sm text-red-400" role="alert">{state.error}</div>}
+      {submissions.length ? (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-700">
+            <thead>
+              <tr className="bg-gray-800">
+                <th className="px-4 py-3 text-left"><input type="checkbox" aria-label="Select all" checked={allSelected} onChange={toggleAll} className="accent-red-600" /></th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-white uppercase tracking-wider">Date</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-white uppercase tracking-wider">Name/Email</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-white uppercase tracking-wider">Content</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-white uppercase tracking-wider">Flagged For</th>
+                <th className="px-6 py-3"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-800">
+              {submissions.map(s => (
+                <tr key={s.id} onClick={() => onOpen(s.id)} className="cursor-pointer hover:bg-gray-800/50">
+                  <td className="px-4 py-4" onClick={e => e.stopPropagation()}>
+                    <input type="checkbox" aria-label={`Select ${s.name}`} checked={selectedIds.has(s.id)} onChange={() => toggle(s.id)} className="accent-red-600" />
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-400">{s.timestamp}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="text-white font-semibold">{s.name}</div>
+                    <div className="text-red-400 text-xs">{s.email}</div>
+                  </td>
+                  <td className="px-6 py-4 max-w-xs overflow-hidden truncate text-sm text-gray-400" title={summarizeSubmission(s)}>
+                    <span className="text-gray-500">{SUBMISSION_TYPES.find(t => t.value === s.type)?.label || s.type} · </span>{summarizeSubmission(s)}
+                  </td>
+                  <td className="px-6 py-4 text-xs text-gray-400">
+                    {(s.spamReasons || []).map(reason => <div key={reason}>{SPAM_REASONS[reason] || reason}</div>)}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right">
+                    <button onClick={(e) => { e.stopPropagation(); handleRestore(s); }} className="text-sm text-gray-300 hover:text-white underline">Not spam</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">Nothing flagged.</p>
+      )}
+    </div>
+  );
+};
+
+// Admin pages share the Dashboard nav entry and switch between each other with these tabs.
+const ADMIN_TABS = ['submissions', 'analytics', 'appointments', 'priceCatalog', 'galleryManager', 'reviewModeration', 'emailTemplates', 'adminAccounts'];
+
+const AdminTabs = ({ activePage, navigate }) => (
+  <nav className="flex flex-wrap justify-center gap-2 mb-8" aria-label="Admin sections">
+    {ADMIN_TABS.map(page => {
+      const { title, icon: Icon } = PAGE_ROUTES[page];
+      return (
+        <button
+          key={page}
+          onClick={() => navigate(page)}
+          aria-current={activePage === page ? 'page' : undefined}
+          className={`flex items-center px-4 py-2 rounded-full text-sm font-medium transition-colors ${activePage === page ? 'bg-red-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}
+        >
+          <Icon className="w-4 h-4 mr-2" /> {title}
+        </button>
+      );
+    })}
+  </nav>
+);
+
+const SubmissionsDashboard = ({ subscribeToSubmissions, fetchSubmissions, updateSubmissionStatus, addSubmissionNote, saveQuote, saveShipping, importSubmissions, setSubmissionSpam, deleteSubmissions, subscribeToUnreadThreads, threadProps, invoiceProps, catalog, search, navigate }) => {
+  const [submissions, setSubmissions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+  const [isCached, setIsCached] = useState(false); // showing Firestore's offline cache
+  const [unreadMessages, setUnreadMessages] = useState({}); // submission id -> unread customer messages
+
+  useEffect(() => subscribeToUnreadThreads(setUnreadMessages), [subscribeToUnreadThreads]);
+  const [cursor, setCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [bookingView, setBookingView] = useState('board');
+  const [statusError, setStatusError] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+  const { seenIds, markSeen, initialize, alerts, updateAlerts } = useSeenSubmissions();
+
+  const filters = useMemo(() => parseSubmissionFilters(search), [search]);
+  const { q: searchText, ...serverFilters } = filters;
+  const isSpamView = filters.view === 'spam';
+  // Only re-query Firestore when a server-side filter changes, not on every search keystroke.
+  const serverFilterKey = JSON.stringify(serverFilters);
+
+  const setFilters = (next) => {
+    navigate('submissions', {}, { replace: true, scroll: false, search: serializeSubmissionFilters(next) });
+  };
+
+  // The listener callback reads alert prefs through a ref so toggling them doesn't resubscribe.
+  const alertsRef = useRef(alerts);
+  alertsRef.current = alerts;
+
+  // The newest page is live; older pages loaded with "Load more" are merged in and kept.
+  useEffect(() => {
+    setIsLoading(true);
+    setSubmissions([]);
+    const unsubscribe = subscribeToSubmissions(JSON.parse(serverFilterKey), (data, { added, removedIds, isInitial, cursor: pageCursor, hasMore: pageHasMore, fromCache }) => {
+      setSubmissions(prev => mergeSubmissions(isInitial ? [] : prev, data, removedIds));
+      setIsLoading(false);
+      setLoadError('');
+      setIsCached(fromCache);
+      if (isInitial) {
+        setCursor(pageCursor);
+        setHasMore(pageHasMore);
+        initialize(data.map(s => s.id));
+      } else {
+        const arrivals = added.filter(s => !s.spam);
+        if (arrivals.length && alertsRef.current.sound) playArrivalChime();
+        if (alertsRef.current.desktop) arrivals.forEach(showArrivalNotification);
+      }
+    }, (error) => {
+      setIsLoading(false);
+      setLoadError(error.message);
+    });
+    return unsubscribe;
+  }, [subscribeToSubmissions, initialize, serverFilterKey]);
+
+  const loadMore = async () => {
+    setIsLoadingMore(true);
+    const page = await fetchSubmissions({ filters: serverFilters, cursor });
+    if (page.error) {
+      setLoadError(page.error);
+    } else {
+      setSubmissions(prev => mergeSubmissions(prev, page.submissions));
+      setCursor(page.cursor);
+      setHasMore(page.hasMore);
+    }
+    setIsLoadingMore(false);
+  };
+
+  // The inbox query can't exclude flagged entries server-side (older documents have no `spam`
+  // field), so the inbox hides them here and a page may show fewer than SUBMISSIONS_PAGE_SIZE.
+  // The same goes for the "New" status filter.
+  const visibleSubmissions = submissions.filter(s => Boolean(s.spam) === isSpamView && matchesStatusFilter(s, filters.status) && matchesSearch(s, searchText));
+  const unseenCount = submissions.filter(s => !s.spam && !seenIds.has(s.id)).length;
+  const unreadMessageCount = Object.values(unreadMessages).reduce((sum, count) => sum + count, 0);
+  
+  const customBookings = visibleSubmissions.filter(s => s.type === 'custom_booking');
+  const cleaningBookings = visibleSubmissions.filter(s => s.type === 'cleaning_booking');
+  const contactMessages = visibleSubmissions.filter(s => s.type === 'contact_message');
+  const showBookings = !filters.type || filters.type === 'custom_booking';
+  const showCleaning = !filters.type || filters.type === 'cleaning_booking';
+  const showMessages = !filters.type || filters.type === 'contact_message';
+
+  // Optimistically move the card, then roll back if the write fails.
+  const handleStatusChange = async (submission, status) => {
+    const previousStatus = submission.status || DEFAULT_STATUS;
+    setStatusError('');
+    setSubmissions(prev => prev.map(s => s.id === submission.id ? { ...s, status } : s));
+    const result = await updateSubmissionStatus({ ...submission, status: previousStatus }, status);
+    if (result.success) {
+      setSubmissions(prev => prev.map(s => s.id === submission.id ? {
+        ...s,
+        statusUpdatedAt: result.changedAt,
+        statusHistory: [...(s.statusHistory || []), { status, from: previousStatus, changedAt: result.changedAt }],
+      } : s));
+    } else {
+      setSubmissions(prev => prev.map(s => s.id === submission.id ? { ...s, status: previousStatus } : s));
+      setStatusError(`Could not move ${submission.name} to ${status}: ${result.error}`);
+    }
+    return result;
+  };
+
+  const handleAddNote = async (submission, note) => {
+    const result = await addSubmissionNote(submission, note);
+    if (result.success) {
+      setSubmissions(prev => prev.map(s => s.id === submission.id ? { ...s, notes: [...(s.notes || []), result.note] } : s));
+    }
+    return result;
+  };
+
+  const handleSaveQuote = async (submission, quote, options) => {
+    const result = await saveQuote(submission, quote, options);
+    if (result.success) {
+      setSubmissions(prev => prev.map(s => {
+        if (s.id !== submission.id) return s;
+        const updated = { ...s, quote: result.quote };
+        if (!result.statusChange) return updated;
+        return {
+          ...updated,
+          status: result.statusChange.status,
+          statusUpdatedAt: result.statusChange.changedAt,
+          statusHistory: [...(s.statusHistory || []), { ...result.statusChange, from: s.status }],
+        };
+      }));
+    }
+    return result;
+  };
+
+  const handleSaveShipping = async (submission, changes) => {
+    const result = await saveShipping(submission, changes);
+    if (result.success) {
+      setSubmissions(prev => prev.map(s => {
+        if (s.id !== submission.id) return s;
+        const updated = { ...s, shipping: result.shipping };
+        if (!result.statusChange) return updated;
+        return {
+          ...updated,
+          status: result.statusChange.status,
+          statusUpdatedAt: result.statusChange.changedAt,
+          statusHistory: [...(s.statusHistory || []), { ...result.statusChange, from: s.status }],
+        };
+      }));
+    }
+    return result;
+  };
+
+  const handleSetSpam = async (submission, isSpam) => {
+    const result = await setSubmissionSpam(submission, isSpam);
+    if (result.success) {
+      setSubmissions(prev => prev.map(s => s.id === submission.id ? { ...s, spam: isSpam } : s));
+      setSelectedId(null);
+    }
+    return result;
+  };
+
+  const handleDeleteSubmissions = async (selected) => {
+    const result = await deleteSubmissions(selected);
+    if (result.success) {
+      const deletedIds = new Set(selected.map(s => s.id));
+      setSubmissions(prev => prev.filter(s => !deletedIds.has(s.id)));
+    }
+    return result;
+  };
+
+  const openSubmission = (id) => {
+    markSeen([id]);
+    setSelectedId(id);
+  };
+  const selectedSubmission = submissions.find(s => s.id === selectedId) || null;
+
+  return (
+    <div className="container mx-auto p-4 md:p-10">
+      <SectionTitle>Admin Dashboard</SectionTitle>
+      <AdminTabs activePage="submissions" navigate={navigate} />
+      <p className="text-gray-400 text-center mb-8">All form submissions are stored here in Firestore (acting as your backend dashboard).</p>
+
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-8 bg-gray-900 px-4 py-3 rounded-xl border border-gray-800">
+        <div className="flex items-center space-x-3 text-sm">
+          {loadError ? (
+            <span className="flex items-center text-red-400">
+              <span className="w-2 h-2 rounded-full mr-2 bg-red-500"></span>Disconnected
+            </span>
+          ) : isCached ? (
+            <span className="flex items-center text-yellow-400" title="Showing saved data; changes sync when the connection returns.">
+              <span className="w-2 h-2 rounded-full mr-2 bg-yellow-400"></span>Offline (cached)
+            </span>
+          ) : (
+            <span className="flex items-center text-green-400">
+              <span className="w-2 h-2 rounded-full mr-2 bg-green-500 animate-pulse"></span>Live
+            </span>
+          )}
+          <span className="text-gray-300">{unseenCount} unseen</span>
+          {unreadMessageCount > 0 && <span className="text-red-400">{unreadMessageCount} unread {unreadMessageCount === 1 ? 'message' : 'messages'}</span>}
+          {unseenCount > 0 && (
+            <button onClick={() => markSeen(submissions.map(s => s.id))} className="text-red-400 hover:text-red-300 underline">Mark all seen</button>
+          )}
+        </div>
+        <div className="flex items-center space-x-4 text-sm text-gray-300">
+          <label className="flex items-center space-x-2 cursor-pointer">
+            <input type="checkbox" checked={alerts.sound} onChange={e => updateAlerts({ sound: e.target.checked })} className="accent-red-600" />
+            <span>Sound</span>
+          </label>
+          <label className="flex items-center space-x-2 cursor-pointer">
+            <input type="checkbox" checked={alerts.desktop} onChange={e => updateAlerts({ desktop: e.target.checked })} className="accent-red-600" />
+            <span>Desktop notifications</span>
+          </label>
+        </div>
+      </div>
+      {loadError && <div className="text-center text-red-400 mb-6" role="alert">Could not load submissions: {loadError}</div>}
+
+      <div className="flex justify-center mb-4">
+        <div className="flex rounded-lg overflow-hidden border border-gray-700" role="group" aria-label="Submission folder">
+          {[['', 'Inbox', Inbox], ['spam', 'Spam', ShieldAlert]].map(([value, label, Icon]) => (
+            <button
+              key={label}
+              onClick={() => setFilters({ ...filters, view: value })}
+              aria-pressed={filters.view === value}
+              className={`flex items-center px-4 py-1.5 text-sm font-medium ${filters.view === value ? 'bg-red-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}
+            >
+              <Icon className="w-4 h-4 mr-2" /> {label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <SubmissionFilters filters={filters} onChange={setFilters} />
+      <div className="flex flex-wrap items-center justify-between gap-4 -mt-4 mb-8">
+        <p className="text-sm text-gray-400">
+          {searchText
+            ? <>{visibleSubmissions.length} of {submissions.length} loaded submissions match "{searchText}".{hasMore && ' Load more to search older entries.'}</>
+            : <>{visibleSubmissions.length} submissions loaded.</>}
+        </p>
+        <SubmissionTransfer submissions={visibleSubmissions} importSubmissions={importSubmissions} />
+      </div>
+      
+      <SubmissionDetail
+        key={selectedId}
+        submission={selectedSubmission}
+        onClose={() => setSelectedId(null)}
+        onStatusChange={handleStatusChange}
+        onAddNote={handleAddNote}
+        onSaveQuote={handleSaveQuote}
+        onSaveShipping={handleSaveShipping}
+        onSetSpam={handleSetSpam}
+        catalog={catalog}
+        threadProps={threadProps}
+        invoiceProps={invoiceProps}
+      />
+
+      {isLoading ? (
+        <div className="text-center text-red-500 text-xl p-10">Loading submissions...</div>
+      ) : (
+        <div className="space-y-12">
+          {isSpamView && (
+            <SpamBucket submissions={visibleSubmissions} onOpen={openSubmission} onSetSpam={handleSetSpam} onDelete={handleDeleteSubmissions} />
+          )}
+          
+          {/* Custom Bookings (Board / Table) */}
+          {!isSpamView && showBookings && (
+          <div className="bg-gray-900 p-6 rounded-xl shadow-2xl border border-red-600/50">
+            <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+              <h3 className="text-2xl font-bold text-red-400 flex items-center"><Brush className="w-6 h-6 mr-2"/> Custom Booking Requests ({customBookings.length})</h3>
+              <div className="flex rounded-lg overflow-hidden border border-gray-700" role="group" aria-label="Booking view">
+                {[['board', 'Board'], ['table', 'Table']].map(([value, label]) => (
+                  <button
+                    key={value}
+                    onClick={() => setBookingView(value)}
+                    aria-pressed={bookingView === value}
+                    className={`px-4 py-1.5 text-sm font-medium ${bookingView === value ? 'bg-red-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            {statusError && <div className="mb-4 text-sm text-red-400" role="alert">{statusError}</div>}
+            {bookingView === 'board' ? (
+              <KanbanBoard bookings={customBookings} onStatusChange={handleStatusChange} seenIds={seenIds} unreadMessages={unreadMessages} onOpen={openSubmission} />
+            ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-700">
+                <thead>
+                  <tr className="bg-gray-800">
+                    <th className="px-6 py-3 text-left text-xs font-medium text-white uppercase tracking-wider">Date</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-white uppercase tracking-wider">Name/Email</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-white uppercase tracking-wider">Shoe/Budget</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-white uppercase tracking-wider">Design Request</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-white uppercase tracking-wider">References</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-white uppercase tracking-wider">Status</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-800">
+                  {customBookings.map(s => (
+                    <tr key={s.id} onClick={() => openSubmission(s.id)} className={`cursor-pointer hover:bg-gray-800/50 ${seenIds.has(s.id) ? '' : 'bg-red-950/40 border-l-4 border-red-600'}`}>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-400">{s.timestamp}</td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-white font-semibold">{s.name}<UnreadBadge count={unreadMessages[s.id]} /></div>
+                        <div className="text-red-400 text-xs">{s.email}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-gray-300">{s.shoeModel}</div>
+                        <div className="text-red-500 font-bold text-sm">{s.budget}</div>
+                        {s.estimate && <div className="text-gray-500 text-xs">Est. {formatEstimate(s.estimate)}</div>}
+                      </td>
+                      <td className="px-6 py-4 max-w-xs overflow-hidden truncate text-sm text-gray-400" title={s.designRequest}>{s.designRequest}</td>
+                      <td className="px-6 py-4">
+                        <ReferenceThumbnails submission={s} />
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <StatusBadge status={s.status} />
+                        {s.delivery === 'ship_in' && <div className="mt-1"><ShippingBadge shipping={s.shipping} /></div>}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            )}
+          </div>
+          )}
+          
+          {/* Cleaning Bookings Table */}
+          {!isSpamView && showCleaning && (
+          <div className="bg-gray-900 p-6 rounded-xl shadow-2xl border border-red-600/50">
+            <h3 className="text-2xl font-bold text-red-400 mb-4 flex items-center"><Sparkles className="w-6 h-6 mr-2"/> Cleaning Bookings ({cleaningBookings.length})</h3>
+            {statusError && !showBookings && <div className="mb-4 text-sm text-red-400" role="alert">{statusError}</div>}
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-700">
+                <thead>
+                  <tr className="bg-gray-800">
+                    <th className="px-6 py-3 text-left text-xs font-medium text-white uppercase tracking-wider">Date</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-white uppercase tracking-wider">Name/Email</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-white uppercase tracking-wider">Pairs</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-white uppercase tracking-wider">Delivery/Estimate</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-white uppercase tracking-wider">Status</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-800">
+                  {cleaningBookings.map(s => (
+                    <tr key={s.id} onClick={() => openSubmission(s.id)} className={`cursor-pointer hover:bg-gray-800/50 ${seenIds.has(s.id) ? '' : 'bg-red-950/40 border-l-4 border-red-600'}`}>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-400">{s.timestamp}</td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-white font-semibold">{s.name}<UnreadBadge count={unreadMessages[s.id]} /></div>
+                        <div className="text-red-400 text-xs">{s.email}</div>
+                      </td>
+                      <td className="px-6 py-4 text-sm">
+                        {(s.pairs || []).map((pair, i) => (
+                          <div key={i} className="text-gray-300">{pair.shoeModel} <span className="text-gray-500">· {pair.level}</span></div>
+                        ))}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-gray-300">{getDeliveryLabel(s.delivery)}</div>
+                        {s.delivery === 'ship_in' && <div className="my-1"><ShippingBadge shipping={s.shipping} /></div>}
+                        {s.estimate && <div className="text-red-500 font-bold text-sm">{formatEstimate(s.estimate)}</div>}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap"><StatusBadge status={s.status} /></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+          )}
+
+          {/* Contact Messages Table */}
+          {!isSpamView && showMessages && (
+          <div className="bg-gray-900 p-6 rounded-xl shadow-2xl border border-red-600/50">
+            <h3 className="text-2xl font-bold text-red-400 mb-4 flex items-center"><MessageCircle className="w-6 h-6 mr-2"/> Contact Messages ({contactMessages.length})</h3>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-700">
+                <thead>
+                  <tr className="bg-gray-800">
+                    <th className="px-6 py-3 text-left text-xs font-medium text-white uppercase tracking-wider">Date</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-white uppercase tracking-wider">Name/Email</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-white uppercase tracking-wider">Message</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-800">
+                  {contactMessages.map(s => (
+                    <tr key={s.id} onClick={() => openSubmission(s.id)} className={`cursor-pointer hover:bg-gray-800/50 ${seenIds.has(s.id) ? '' : 'bg-red-950/40 border-l-4 border-red-600'}`}>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-400">{s.timestamp}</td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-white font-semibold">{s.name}<UnreadBadge count={unreadMessages[s.id]} /></div>
+                        <div className="text-red-400 text-xs">{s.email}</div>
+                      </td>
+                      <td className="px-6 py-4 max-w-xs overflow-hidden truncate text-sm text-gray-400" title={s.message}>{s.message}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+          )}
+
+          <div className="text-center">
+            {hasMore ? (
+              <Button onClick={loadMore} variant="ghost" className="mx-auto" disabled={isLoadingMore}>
+                {isLoadingMore ? 'Loading...' : 'Load Older Submissions'}
+              </Button>
+            ) : (
+              <p className="text-sm text-gray-500">All {submissions.length} matching submissions loaded.</p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// --- Analytics ---
+// Figures for the Analytics tab, computed in the browser from every submission in the selected
+// range (spam excluded). Charts are plain SVG and CSS, so nothing is sent to a chart service.
+
+const ANALYTICS_RANGES = [
+  { value: '90', label: 'Last 90 days', days: 90 },
+  { value: '182', label: 'Last 6 months', days: 182 },
+  { value: '365', label: 'Last 12 months', days: 365 },
+  { value: 'all', label: 'All time', days: null },
+];
+const DEFAULT_ANALYTICS_RANGE = '365';
+const TOP_SHOE_MODEL_COUNT = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tailwind classes spelled out in full so the build keeps them.
+const ANALYTICS_TYPE_SERIES = [
+  { key: 'custom_booking', label: 'Custom', fill: 'fill-red-500', swatch: 'bg-red-500' },
+  { key: 'cleaning_booking', label: 'Cleaning', fill: 'fill-sky-400', swatch: 'bg-sky-400' },
+  { key: 'contact_message', label: 'Messages', fill: 'fill-gray-500', swatch: 'bg-gray-500' },
+];
+const ANALYTICS_REVENUE_SERIES = [{ key: 'revenue', label: 'Revenue', fill: 'fill-green-500', swatch: 'bg-green-500' }];
+
+const getAnalyticsRange = (value) => ANALYTICS_RANGES.find(r => r.value === value) || ANALYTICS_RANGES.find(r => r.value === DEFAULT_ANALYTICS_RANGE);
+
+// Periods are keyed by their first shop date: the Monday of the week, or the 1st of the month.
+const getPeriodStart = (date, period) => (period === 'month' ? `${date.slice(0, 7)}-01` : addDays(date, -((getWeekday(date) + 6) % 7)));
+const getNextPeriodStart = (start, period) => {
+  if (period === 'week') return addDays(start, 7);
+  const [year, month] = start.split('-').map(Number);
+  return new Date(Date.UTC(year, month, 1)).toISOString().slice(0, 10);
+};
+const formatPeriodLabel = (start, period) => new Intl.DateTimeFormat('en-US', {
+  timeZone: 'UTC',
+  ...(period === 'month' ? { month: 'short', year: 'numeric' } : { month: 'short', day: 'numeric' }),
+}).format(new Date(`${start}T12:00:00Z`));
+
+const toMillis = (value) => {
+  if (!value) return null;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  return value instanceof Date ? value.getTime() : null;
+};
+
+const median = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const getStatusIndex = (status) => ORDER_STATUSES.findIndex(s => s.value === status);
+const getReachedStatuses = (submission) => [submission.status, ...(submission.statusHistory || []).map(entry => entry.status)].filter(Boolean);
+
+// A booking is an accepted job once it reached Accepted or a later stage, even if it was
+// cancelled afterwards.
+const isAcceptedJob = (submission) => getReachedStatuses(submission)
+  .some(status => status !== 'Cancelled' && getStatusIndex(status) >= getStatusIndex('Accepted'));
+const isQuotedBooking = (submission) => isAcceptedJob(submission)
+  || getReachedStatuses(submission).includes('Quoted')
+  || Boolean(submission.quote && submission.quote.status !== 'draft');
+
+// Days from the request to its first move to Completed, or null.
+const getDaysToComplete = (submission) => {
+  const completed = (submission.statusHistory || []).find(entry => entry.status === 'Completed');
+  const end = toMillis(completed?.changedAt);
+  const start = toMillis(submission.createdAt);
+  return end && start ? Math.max(end - start, 0) / DAY_MS : null;
+};
+
+// Quoted total of an accepted job, or null when it was cancelled or no price was recorded.
+const getJobValue = (submission) => {
+  if (!isAcceptedJob(submission) || submission.status === 'Cancelled' || !submission.quote) return null;
+  const total = Number(submission.quote.total ?? calculateQuoteTotals(submission.quote).total);
+  return total > 0 ? total : null;
+};
+
+const getShoeModels = (submission) => (submission.type === 'cleaning_booking'
+  ? (submission.pairs || []).map(pair => pair.shoeModel)
+  : [submission.shoeModel]
+).map(model => (model || '').trim().replace(/\s+/g, ' ')).filter(Boolean);
+
+// Models are counted ignoring case and spacing, and shown with their most common spelling.
+const countShoeModels = (submissions) => {
+  const models = new Map();
+  submissions.forEach(submission => getShoeModels(submission).forEach(model => {
+    const key = model.toLowerCase();
+    const entry = models.get(key) || { count: 0, spellings: new Map() };
+    entry.count += 1;
+    entry.spellings.set(model, (entry.spellings.get(model) || 0) + 1);
+    models.set(key, entry);
+  }));
+  return [...models.values()]
+    .map(({ count, spellings }) => ({ label: [...spellings.entries()].sort((a, b) => b[1] - a[1])[0][0], value: count }))
+    .sort((a, b) => b.value - a.value || a.label.localeCompare(b.label))
+    .slice(0, TOP_SHOE_MODEL_COUNT);
+};
+
+// `from` is the first shop date of the range, or empty for all time. Revenue is attributed to
+// the period the request came in.
+const computeAnalytics = (submissions, { from, period }) => {
+  const dated = submissions.filter(s => !s.spam && s.createdAt);
+  const today = getShopDate();
+  const first = from || dated.reduce((earliest, s) => {
+    const date = getShopDate(s.createdAt);
+    return date < earliest ? date : earliest;
+  }, today);
+
+  const periods = [];
+  for (let start = getPeriodStart(first, period); start <= today; start = getNextPeriodStart(start, period)) {
+    periods.push({ start, label: formatPeriodLabel(start, period), values: { revenue: 0 } });
+  }
+  const periodByStart = new Map(periods.map(p => [p.start, p]));
+  const getPeriod = (submission) => periodByStart.get(getPeriodStart(getShopDate(submission.createdAt), period));
+
+  dated.forEach(submission => {
+    const bucket = getPeriod(submission);
+    if (bucket) bucket.values[submission.type] = (bucket.values[submission.type] || 0) + 1;
+  });
+
+  const bookings = dated.filter(s => s.type !== 'contact_message');
+  const accepted = bookings.filter(isAcceptedJob);
+  const completionDays = bookings.map(getDaysToComplete).filter(days => days !== null);
+
+  let revenue = 0;
+  let pricedJobs = 0;
+  accepted.forEach(submission => {
+    const value = getJobValue(submission);
+    if (value === null) return;
+    revenue += value;
+    pricedJobs += 1;
+    const bucket = getPeriod(submission);
+    if (bucket) bucket.values.revenue = roundCents(bucket.values.revenue + value);
+  });
+
+  const customBookings = bookings.filter(s => s.type === 'custom_booking');
+  return {
+    periods,
+    requestCount: dated.length,
+    typeTotals: Object.fromEntries(ANALYTICS_TYPE_SERIES.map(({ key }) => [key, dated.filter(s => s.type === key).length])),
+    budgets: [...BUDGET_OPTIONS, ''].map(budget => ({
+      label: budget || 'Not given',
+      value: customBookings.filter(s => (BUDGET_OPTIONS.includes(s.budget) ? s.budget : '') === budget).length,
+    })).filter(row => row.label !== 'Not given' || row.value > 0),
+    shoeModels: countShoeModels(bookings),
+    funnel: [
+      { label: 'Booking requests', value: bookings.length },
+      { label: 'Quoted', value: bookings.filter(isQuotedBooking).length },
+      { label: 'Accepted', value: accepted.length },
+      { label: 'Completed', value: bookings.filter(s => getReachedStatuses(s).includes('Completed')).length },
+    ],
+    conversionRate: bookings.length ? accepted.length / bookings.length : null,
+    medianDaysToComplete: median(completionDays),
+    completedCount: completionDays.length,
+    revenue: roundCents(revenue),
+    pricedJobs,
+    averageJobValue: pricedJobs ? roundCents(revenue / pricedJobs) : null,
+  };
+};
+
+const formatPercent = (ratio) => (ratio === null ? '—' : `${Math.round(ratio * 100)}%`);
+const formatDays = (days) => {
+  if (days === null) return '—';
+  return days < 1 ? `${Math.round(days * 24)} hours` : `${days.toFixed(days < 10 ? 1 : 0)} days`;
+};
+
+// Round axis maximum: 1, 2 or 5 times a power of ten.
+const getNiceMax = (value) => {
+  if (value <= 0) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  return [1, 2, 5, 10].map(step => step * magnitude).find(max => max >= value);
+};
+
+// Vertical bars per period, stacked by `series`. Each bar has a <title> with its figures.
+const StackedBarChart = ({ periods, series, formatValue = String, label }) => {
+  const width = 640;
+  const height = 220;
+  const plot = { left: 48, right: 8, top: 10, bottom: 26 };
+  const plotWidth = width - plot.left - plot.right;
+  const plotHeight = height - plot.top - plot.bottom;
+  const totals = periods.map(p => series.reduce((sum, s) => sum + (p.values[s.key] || 0), 0));
+  const max = getNiceMax(Math.max(0, ...totals));
+  const slot = plotWidth / Math.max(periods.length, 1);
+  const barWidth = Math.max(slot * 0.7, 1);
+  const labelEvery = Math.ceil(periods.length / 12);
+  const toY = (value) => plot.top + plotHeight - (value / max) * plotHeight;
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto" role="img" aria-label={label}>
+      {[0, max / 2, max].map(tick => (
+        <g key={tick}>
+          <line x1={plot.left} x2={width - plot.right} y1={toY(tick)} y2={toY(tick)} className="stroke-gray-800" strokeDasharray={tick ? '4 4' : undefined} />
+          {tick !== max / 2 && <text x={plot.left - 6} y={toY(tick) + 4} textAnchor="end" className="fill-gray-500 text-[10px]">{formatValue(tick)}</text>}
+        </g>
+      ))}
+      {periods.map((p, index) => {
+        const x = plot.left + index * slot + (slot - barWidth) / 2;
+        let offset = 0;
+        return (
+          <g key={p.start}>
+            <title>{`${p.label}: ${series.map(s => `${s.label} ${formatValue(p.values[s.key] || 0)}`).join(', ')}`}</title>
+            <rect x={plot.left + index * slot} y={plot.top} width={slot} height={plotHeight} className="fill-transparent" />
+            {series.map(s => {
+              const value = p.values[s.key] || 0;
+              if (!value) return null;
+              const barHeight = (value / max) * plotHeight;
+              offset += barHeight;
+              return <rect key={s.key} x={x} y={plot.top + plotHeight - offset} width={barWidth} height={barHeight} className={s.fill} />;
+            })}
+            {index % labelEvery === 0 && (
+              <text x={x + barWidth / 2} y={height - 8} textAnchor="middle" className="fill-gray-500 text-[10px]">{p.label}</text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+const ChartLegend = ({ series, totals, formatValue = String }) => (
+  <ul className="flex flex-wrap gap-4 text-xs text-gray-400 mt-2">
+    {series.map(s => (
+      <li key={s.key} className="flex items-center gap-1.5">
+        <span className={`inline-block w-3 h-3 rounded-sm ${s.swatch}`}></span>
+        {s.label}{totals && ` (${formatValue(totals[s.key] || 0)})`}
+      </li>
+    ))}
+  </ul>
+);
+
+// Labelled horizontal bars, scaled to the largest value.
+const HorizontalBars = ({ rows, formatValue = String, emptyText = 'No data yet.' }) => {
+  const max = Math.max(0, ...rows.map(row => row.value));
+  if (!max) return <p className="text-sm text-gray-500">{emptyText}</p>;
+  return (
+    <ul className="space-y-2 text-sm">
+      {rows.map(row => (
+        <li key={row.label}>
+          <div className="flex justify-between gap-3 text-gray-300">
+            <span className="truncate">{row.label}</span>
+            <span className="text-gray-400">{formatValue(row.value)}</span>
+          </div>
+          <div className="h-2 mt-1 rounded bg-gray-800">
+            <div className="h-2 rounded bg-red-600" style={{ width: `${(row.value / max) * 100}%` }}></div>
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const StatCard = ({ label, value, detail }) => (
+  <div className="p-4 rounded-xl bg-gray-900 border border-gray-800">
+    <p className="text-xs uppercase tracking-wider text-gray-500">{label}</p>
+    <p className="text-2xl font-bold text-white mt-1">{value}</p>
+    {detail && <p className="text-xs text-gray-500 mt-1">{detail}</p>}
+  </div>
+);
+
+const AnalyticsPanel = ({ title, children, className = '' }) => (
+  <section className={`p-5 rounded-xl bg-gray-900 border border-gray-800 ${className}`}>
+    <h3 className="text-lg font-bold text-white mb-3">{title}</h3>
+    {children}
+  </section>
+);
+
+// Range and period live in the query string (e.g. /dashboard/analytics?range=90&period=month).
+const AnalyticsDashboard = ({ fetchAllSubmissions, search, navigate }) => {
+  const params = new URLSearchParams(search);
+  const range = getAnalyticsRange(params.get('range'));
+  const period = params.get('period') === 'month' ? 'month' : 'week';
+  const from = range.days ? addDays(getShopDate(), 1 - range.days) : '';
+  const [result, setResult] = useState({ submissions: null, error: '' });
+
+  useEffect(() => {
+    let isCurrent = true;
+    setResult({ submissions: null, error: '' });
+    fetchAllSubmissions({ from }).then(({ submissions, error }) => {
+      if (isCurrent) setResult({ submissions, error: error || '' });
+    });
+    return () => { isCurrent = false; };
+  }, [from, fetchAllSubmissions]);
+
+  const analytics = useMemo(() => (result.submissions ? computeAnalytics(result.submissions, { from, period }) : null), [result.submissions, from, period]);
+
+  const setParam = (key, value) => {
+    const next = new URLSearchParams(search);
+    next.set(key, value);
+    navigate('analytics', {}, { replace: true, search: `?${next}` });
+  };
+  const formatMoney = (value) => formatCurrency(value).replace(/\.00$/, '');
+  const periodLabel = period === 'month' ? 'month' : 'week';
+
+  return (
+    <div className="container mx-auto p-4 md:p-10">
+      <SectionTitle>Analytics</SectionTitle>
+      <AdminTabs activePage="analytics" navigate={navigate} />
+
+      <div className="flex flex-wrap items-center justify-center gap-3 mb-8 text-sm">
+        <label htmlFor="analyticsRange" className="sr-only">Date range</label>
+        <select id="analyticsRange" value={range.value} onChange={e => setParam('range', e.target.value)} className="p-2 rounded bg-gray-800 text-white border border-gray-700 focus:border-red-500">
+          {ANALYTICS_RANGES.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+        </select>
+        <div className="flex rounded-lg overflow-hidden border border-gray-700" role="group" aria-label="Group by">
+          {['week', 'month'].map(value => (
+            <button key={value} type="button" onClick={() => setParam('period', value)} aria-pressed={period === value} className={`px-3 py-2 ${period === value ? 'bg-red-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}>
+              {value === 'week' ? 'Weekly' : 'Monthly'}
+            </button>
+          ))}
         </div>
       </div>
+
+      {result.error && <p className="text-center text-red-400 mb-6" role="alert">Couldn't load submissions: {result.error}</p>}
+      {!analytics && !result.error && <div className="text-center text-red-500 text-xl p-10">Loading submissions...</div>}
+
+      {analytics && (
+        <div className="space-y-6">
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+            <StatCard label="Requests" value={analytics.requestCount} detail={`${analytics.funnel[0].value} bookings · ${analytics.typeTotals.contact_message} messages`} />
+            <StatCard label="Conversion" value={formatPercent(analytics.conversionRate)} detail={`${analytics.funnel[2].value} of ${analytics.funnel[0].value} booking requests accepted`} />
+            <StatCard label="Median New → Completed" value={formatDays(analytics.medianDaysToComplete)} detail={`Across ${analytics.completedCount} completed ${analytics.completedCount === 1 ? 'order' : 'orders'}`} />
+            <StatCard label="Revenue" value={formatMoney(analytics.revenue)} detail={analytics.pricedJobs ? `${analytics.pricedJobs} priced jobs · ${formatMoney(analytics.averageJobValue)} average` : 'No accepted quotes yet'} />
+          </div>
+
+          <AnalyticsPanel title={`Requests per ${periodLabel}`}>
+            <StackedBarChart periods={analytics.periods} series={ANALYTICS_TYPE_SERIES} label={`Requests per ${periodLabel} by type`} />
+            <ChartLegend series={ANALYTICS_TYPE_SERIES} totals={analytics.typeTotals} />
+          </AnalyticsPanel>
+
+          <AnalyticsPanel title={`Revenue per ${periodLabel}`}>
+            <StackedBarChart periods={analytics.periods} series={ANALYTICS_REVENUE_SERIES} formatValue={formatMoney} label={`Revenue per ${periodLabel}`} />
+            <p className="text-xs text-gray-500 mt-2">Quoted totals of accepted jobs, by the {periodLabel} the request came in. Cancelled jobs and jobs without a quote aren't counted.</p>
+          </AnalyticsPanel>
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <AnalyticsPanel title="Budgets (custom requests)">
+              <HorizontalBars rows={analytics.budgets} emptyText="No custom requests in this range." />
+            </AnalyticsPanel>
+            <AnalyticsPanel title="Most requested shoes">
+              <HorizontalBars rows={analytics.shoeModels} emptyText="No bookings in this range." />
+            </AnalyticsPanel>
+            <AnalyticsPanel title="Booking pipeline">
+              <HorizontalBars
+                rows={analytics.funnel}
+                formatValue={value => `${value}${analytics.funnel[0].value ? ` · ${formatPercent(value / analytics.funnel[0].value)}` : ''}`}
+                emptyText="No bookings in this range."
+              />
+              <p className="text-xs text-gray-500 mt-3">Accepted counts every booking that reached Accepted or a later stage, even if it was cancelled afterwards.</p>
+            </AnalyticsPanel>
+          </div>
+        </div>
+      )}
     </div>
-    
-    {/* Gallery Preview Section */}
-    <div className="py-20 bg-gray-900">
-      <SectionTitle>Gallery Preview</SectionTitle>
-      <div className="container mx-auto px-4 grid grid-cols-2 sm:grid-cols-4 gap-4 max-w-6xl">
-        {[1, 2, 3, 4].map(i => (
-          <div key={i} className="aspect-square rounded-xl overflow-hidden shadow-lg border border-gray-700 hover:border-red-600 transition-all cursor-pointer" onClick={() => navigate('gallery')}>
-             <img src={`https://placehold.co/400x400/1F2937/FCA5A5?text=Custom+Shoe+${i}`} alt={`Custom Shoe ${i}`} className="w-full h-full object-cover transition-transform duration-300 hover:scale-105"/>
+  );
+};
+
+// --- Invoice Page ---
+// One invoice as a printable page (white, print-ready like the mail-in instructions) with a PDF
+// download. Payments and voiding are managed below the document and left out of the printout.
+
+const PaymentForm = ({ balance, onAdd }) => {
+  const [payment, setPayment] = useState(() => ({ amount: String(balance), method: PAYMENT_METHODS[0], paidOn: getShopDate(), reference: '' }));
+  const [saveState, setSaveState] = useState(null);
+  const update = (key) => (e) => setPayment(prev => ({ ...prev, [key]: e.target.value }));
+  const inputClass = LINE_ITEM_INPUT_CLASS;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const amount = roundCents(parseFloat(payment.amount));
+    if (!(amount > 0)) {
+      setSaveState({ error: 'Enter the amount received.' });
+      return;
+    }
+    if (amount > balance) {
+      setSaveState({ error: `That's more than the balance of ${formatCurrency(balance)}.` });
+      return;
+    }
+    if (!DATE_PATTERN.test(payment.paidOn)) {
+      setSaveState({ error: 'Pick the payment date.' });
+      return;
+    }
+    setSaveState({ busy: true });
+    const result = await onAdd({ id: createLineItemId(), amount, method: payment.method, paidOn: payment.paidOn, reference: payment.reference.trim() });
+    if (result.success) {
+      setPayment({ amount: String(roundCents(balance - amount)), method: payment.method, paidOn: getShopDate(), reference: '' });
+      setSaveState({ message: 'Payment recorded.' });
+    } else {
+      setSaveState({ error: result.error });
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 text-sm">
+        <label className="text-gray-400">
+          Amount
+          <input type="number" min="0.01" step="0.01" value={payment.amount} onChange={update('amount')} className={`${inputClass} w-full mt-1`} />
+        </label>
+        <label className="text-gray-400">
+          Method
+          <select value={payment.method} onChange={update('method')} className={`${inputClass} w-full mt-1`}>
+            {PAYMENT_METHODS.map(method => <option key={method} value={method}>{method}</option>)}
+          </select>
+        </label>
+        <label className="text-gray-400">
+          Date
+          <input type="date" value={payment.paidOn} onChange={update('paidOn')} className={`${inputClass} w-full mt-1`} />
+        </label>
+        <label className="text-gray-400">
+          Reference
+          <input value={payment.reference} onChange={update('reference')} maxLength="100" placeholder="Optional" className={`${inputClass} w-full mt-1`} />
+        </label>
+      </div>
+      <div className="flex flex-wrap items-center justify-end gap-3">
+        {saveState?.message && <p className="text-sm text-green-400">{saveState.message}</p>}
+        {saveState?.error && <p className="text-sm text-red-400" role="alert">{saveState.error}</p>}
+        <Button type="submit" variant="primary" className="px-4 py-2" disabled={saveState?.busy}>Record Payment</Button>
+      </div>
+    </form>
+  );
+};
+
+const InvoicePage = ({ invoiceId, subscribeToInvoice, updateInvoice, shipInSettings, navigate }) => {
+  const [invoice, setInvoice] = useState(undefined); // null once we know there is no such invoice
+  const [loadError, setLoadError] = useState('');
+  const [actionError, setActionError] = useState('');
+
+  useEffect(() => (
+    subscribeToInvoice(invoiceId, setInvoice, () => setLoadError("We couldn't load this invoice. Check your connection and try again."))
+  ), [invoiceId, subscribeToInvoice]);
+
+  if (loadError || !invoice) {
+    return (
+      <div className="container mx-auto p-4 md:p-10 max-w-3xl">
+        <SectionTitle>Invoice</SectionTitle>
+        <div className="bg-gray-900 p-8 rounded-xl shadow-2xl border border-red-600/50 text-center">
+          {loadError ? (
+            <p className="text-red-400" role="alert">{loadError}</p>
+          ) : invoice === undefined ? (
+            <p className="text-gray-400">Loading invoice...</p>
+          ) : (
+            <div className="space-y-4">
+              <p className="text-gray-400">There's no invoice {invoiceId}.</p>
+              <Button onClick={() => navigate('submissions')} variant="ghost" className="mx-auto">Back to Dashboard</Button>
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  const shopLines = formatAddressLines(shipInSettings.address);
+  const billTo = [invoice.customerName, invoice.customerEmail, ...formatAddressLines(invoice.billingAddress).slice(1)].filter(Boolean);
+  const title = getInvoiceTitle(invoice);
+  const payments = invoice.payments || [];
+  const isVoid = invoice.status === 'void';
+
+  const runUpdate = async (changes) => {
+    setActionError('');
+    const result = await updateInvoice(invoice.id, changes);
+    if (!result.success) setActionError(result.error);
+    return result;
+  };
+  const removePayment = (payment) => {
+    if (!window.confirm(`Remove the ${formatCurrency(payment.amount)} ${payment.method} payment from ${invoice.number}?`)) return;
+    runUpdate({ removePaymentId: payment.id });
+  };
+  const toggleVoid = () => {
+    if (!isVoid && !window.confirm(`Void ${invoice.number}? It keeps its number and stays in the customer's history.`)) return;
+    runUpdate({ voided: !isVoid });
+  };
+  const downloadPdf = () => downloadFile(buildInvoicePdf(invoice, shopLines), `2xcustoms-${invoice.number}.pdf`, 'application/pdf');
+
+  return (
+    <div className="container mx-auto p-4 md:p-10 max-w-3xl print:p-0 print:max-w-none">
+      <div className="flex flex-wrap items-center gap-3 mb-6 text-sm print:hidden">
+        <button type="button" onClick={() => navigate('submissions')} className="text-red-400 hover:text-red-300 underline">
+          Dashboard
+        </button>
+        <InvoiceStatusBadge status={invoice.status} />
+        <div className="flex flex-wrap gap-3 ml-auto">
+          <Button variant="ghost" icon={Download} onClick={downloadPdf} className="px-4 py-2">PDF</Button>
+          <Button variant="primary" icon={Printer} onClick={() => window.print()} className="px-4 py-2">Print</Button>
+        </div>
+      </div>
+
+      <article className="bg-white text-gray-900 p-8 rounded-xl shadow-2xl print:shadow-none print:rounded-none print:p-0">
+        <header className="flex flex-wrap items-start justify-between gap-4 border-b border-gray-300 pb-4 mb-6">
+          <div>
+            <p className="text-2xl font-extrabold tracking-tight">2X <span className="text-red-600">CUSTOMS</span></p>
+            {shopLines.length > 0 && (
+              <address className="not-italic text-sm text-gray-500 mt-1">
+                {shopLines.map(line => <div key={line}>{line}</div>)}
+              </address>
+            )}
+          </div>
+          <div className="text-right text-sm">
+            <h2 className="text-2xl font-extrabold uppercase">{title}{isVoid && <span className="text-gray-500"> (Void)</span>}</h2>
+            <p className="font-mono font-bold">{invoice.number}</p>
+            <p>Issued {formatInvoiceDate(invoice.issuedOn)}</p>
+            {invoice.status === 'open' && invoice.dueOn && <p>Due {formatInvoiceDate(invoice.dueOn)}</p>}
+            {invoice.trackingCode && <p>Order <span className="font-mono">{invoice.trackingCode}</span></p>}
+          </div>
+        </header>
+
+        <section className="mb-6">
+          <h3 className="text-xs uppercase tracking-wider text-gray-500 mb-1">Bill to</h3>
+          {billTo.map((line, index) => <div key={line} className={index === 0 ? 'font-semibold' : ''}>{line}</div>)}
+        </section>
+
+        <table className="w-full text-sm mb-6">
+          <thead>
+            <tr className="text-left text-xs uppercase tracking-wider text-gray-500 border-b border-gray-300">
+              <th className="py-2 pr-4">Item</th>
+              <th className="py-2 pr-4 text-right">Qty</th>
+              <th className="py-2 pr-4 text-right">Price</th>
+              <th className="py-2 text-right">Amount</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {invoice.lineItems.map(item => (
+              <tr key={item.id} className="break-inside-avoid">
+                <td className="py-2 pr-4">
+                  <div>{item.label}</div>
+                  {item.description && <div className="text-xs text-gray-500">{item.description}</div>}
+                </td>
+                <td className="py-2 pr-4 text-right align-top">{item.quantity}</td>
+                <td className="py-2 pr-4 text-right align-top">{formatCurrency(item.unitPrice)}</td>
+                <td className="py-2 text-right align-top">{formatCurrency(item.quantity * item.unitPrice)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <dl className="ml-auto w-full sm:w-72 text-sm space-y-1 border-t border-gray-300 pt-3 break-inside-avoid">
+          {getInvoiceTotalRows(invoice).map(row => (
+            <div key={row.label} className={`flex justify-between ${row.strong ? 'font-bold text-base' : ''}`}>
+              <dt>{row.label}</dt>
+              <dd>{formatSignedCurrency(row.amount)}</dd>
+            </div>
+          ))}
+        </dl>
+
+        {payments.length > 0 && (
+          <section className="mt-6 break-inside-avoid">
+            <h3 className="text-xs uppercase tracking-wider text-gray-500 mb-1">Payments</h3>
+            <ul className="text-sm space-y-1">
+              {payments.map(payment => (
+                <li key={payment.id} className="flex justify-between gap-4">
+                  <span>{[formatInvoiceDate(payment.paidOn), payment.method, payment.reference].filter(Boolean).join(' · ')}</span>
+                  <span>{formatCurrency(payment.amount)}</span>
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+
+        {invoice.notes && (
+          <section className="mt-6 break-inside-avoid">
+            <h3 className="text-xs uppercase tracking-wider text-gray-500 mb-1">Notes</h3>
+            <p className="text-sm whitespace-pre-wrap">{invoice.notes}</p>
+          </section>
+        )}
+
+        <p className="mt-8 text-sm text-gray-500">Thank you for choosing 2X Customs.</p>
+      </article>
+
+      <div className="mt-8 space-y-6 print:hidden">
+        {actionError && <p className="text-sm text-red-400" role="alert">{actionError}</p>}
+        {payments.length > 0 && (
+          <div>
+            <h4 className="text-lg font-bold text-white mb-2">Payments</h4>
+            <ul className="space-y-2">
+              {payments.map(payment => (
+                <li key={payment.id} className="flex items-center gap-3 p-3 rounded-lg bg-gray-900 text-sm">
+                  <span className="text-white font-semibold">{formatCurrency(payment.amount)}</span>
+                  <span className="text-gray-400">{[formatInvoiceDate(payment.paidOn), payment.method, payment.reference].filter(Boolean).join(' · ')}</span>
+                  <button type="button" onClick={() => removePayment(payment)} title="Remove payment" className="ml-auto text-gray-400 hover:text-red-500">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+        {invoice.status === 'open' && (
+          <div>
+            <h4 className="text-lg font-bold text-white mb-2">Record a Payment</h4>
+            <PaymentForm balance={invoice.balance} onAdd={payment => runUpdate({ addPayment: payment })} />
+          </div>
+        )}
+        <div className="flex justify-end">
+          <Button variant="ghost" className="px-4 py-2" onClick={toggleVoid}>{isVoid ? 'Restore Invoice' : 'Void Invoice'}</Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- Appointments Admin ---
+
+const APPOINTMENT_RANGES = [
+  { value: 'upcoming', label: 'Upcoming' },
+  { value: 'past', label: 'Past 30 days' },
+];
+
+const getAppointmentRange = (range) => {
+  const startOfToday = shopTimeToMillis(getShopDate(), '00:00');
+  return range === 'past'
+    ? { from: startOfToday - 30 * 24 * 60 * 60 * 1000, to: startOfToday }
+    : { from: startOfToday };
+};
+
+const appointmentToIcsEvent = (appointment) => ({
+  uid: `${appointment.id}@2xcustoms`,
+  startsAt: appointment.startsAt,
+  minutes: appointment.minutes,
+  summary: `${APPOINTMENT_KINDS[appointment.kind] || 'Appointment'}: ${appointment.name}`,
+  description: [
+    appointment.shoeModel,
+    SUBMISSION_TYPE_LABELS[appointment.type],
+    appointment.email,
+  ].filter(Boolean).join('\n'),
+});
+
+// Booked drop-offs and pickups, grouped by day, with .ics export. Availability is edited below
+// on a local copy like the price catalog; nothing is written until "Save Availability".
+const AppointmentsManager = ({ availability, subscribeToAppointments, cancelAppointment, saveAvailability, shipInSettings, saveShipInSettings, navigate }) => {
+  const [range, setRange] = useState('upcoming');
+  const [appointments, setAppointments] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+  const [cancelState, setCancelState] = useState(null);
+
+  useEffect(() => {
+    setIsLoading(true);
+    return subscribeToAppointments(getAppointmentRange(range), (data) => {
+      setAppointments(data);
+      setIsLoading(false);
+      setLoadError('');
+    }, (error) => {
+      setIsLoading(false);
+      setLoadError(error.message);
+    });
+  }, [subscribeToAppointments, range]);
+
+  const byDay = appointments.reduce((groups, appointment) => {
+    (groups[appointment.date] = groups[appointment.date] || []).push(appointment);
+    return groups;
+  }, {});
+
+  const exportAll = () => downloadFile(buildIcsCalendar(appointments.map(appointmentToIcsEvent)), `2xcustoms-appointments-${getShopDate()}.ics`, 'text/calendar');
+  const exportOne = (appointment) => downloadFile(buildIcsCalendar([appointmentToIcsEvent(appointment)]), `2xcustoms-${appointment.kind}-${appointment.id.replace(':', '')}.ics`, 'text/calendar');
+
+  const handleCancel = async (appointment) => {
+    if (!window.confirm(`Cancel ${appointment.name}'s ${APPOINTMENT_KINDS[appointment.kind].toLowerCase()} on ${formatAppointment(appointment)}? The slot opens up again; let the customer know.`)) return;
+    setCancelState({ busyId: appointment.id });
+    const result = await cancelAppointment(appointment);
+    setCancelState(result.success ? null : { error: `Could not cancel: ${result.error}` });
+  };
+
+  return (
+    <div className="container mx-auto p-4 md:p-10 max-w-5xl">
+      <SectionTitle>Appointments</SectionTitle>
+      <AdminTabs activePage="appointments" navigate={navigate} />
+
+      <div className="bg-gray-900 p-6 rounded-xl shadow-2xl border border-red-600/50 mb-10">
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+          <div className="flex gap-2" role="group" aria-label="Range">
+            {APPOINTMENT_RANGES.map(option => (
+              <button
+                key={option.value}
+                type="button"
+                onClick={() => setRange(option.value)}
+                aria-pressed={range === option.value}
+                className={`px-4 py-2 rounded-full text-sm font-medium ${range === option.value ? 'bg-red-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <Button variant="ghost" icon={Download} onClick={exportAll} disabled={!appointments.length}>Export .ics</Button>
+        </div>
+
+        {loadError && <p className="text-sm text-red-400 mb-4" role="alert">Could not load appointments: {loadError}</p>}
+        {cancelState?.error && <p className="text-sm text-red-400 mb-4" role="alert">{cancelState.error}</p>}
+        {isLoading ? (
+          <p className="text-gray-400">Loading appointments...</p>
+        ) : !appointments.length ? (
+          <p className="text-gray-500">{range === 'upcoming' ? 'No upcoming appointments.' : 'No appointments in the last 30 days.'}</p>
+        ) : (
+          <div className="space-y-6">
+            {Object.entries(byDay).map(([date, dayAppointments]) => (
+              <div key={date}>
+                <h3 className="text-lg font-bold text-red-400 mb-2">{formatShopDay(date)}</h3>
+                <ul className="space-y-2">
+                  {dayAppointments.map(appointment => (
+                    <li key={appointment.id} className="flex flex-wrap items-center gap-3 p-3 rounded-lg bg-gray-950 border border-gray-800 text-sm">
+                      <span className="font-mono text-white w-20">{formatShopTime(appointment.time)}</span>
+                      <span className={`px-2 py-0.5 rounded-full text-xs ${appointment.kind === 'pickup' ? 'bg-lime-500/20 text-lime-300' : 'bg-sky-500/20 text-sky-300'}`}>
+                        {APPOINTMENT_KINDS[appointment.kind]}
+                      </span>
+                      <span className="text-white font-semibold">{appointment.name}</span>
+                      <a href={`mailto:${appointment.email}`} className="text-red-400 hover:underline">{appointment.email}</a>
+                      <span className="text-gray-400">{appointment.shoeModel}</span>
+                      <div className="ml-auto flex items-center gap-2">
+                        <button type="button" onClick={() => exportOne(appointment)} title="Download .ics" className="p-1 text-gray-400 hover:text-white"><Download className="w-4 h-4" /></button>
+                        <button type="button" onClick={() => handleCancel(appointment)} disabled={cancelState?.busyId === appointment.id} title="Cancel appointment" className="p-1 text-gray-400 hover:text-red-500 disabled:opacity-30"><Trash2 className="w-4 h-4" /></button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <AvailabilityEditor availability={availability} saveAvailability={saveAvailability} />
+      <ShipInSettingsEditor settings={shipInSettings} saveShipInSettings={saveShipInSettings} />
+    </div>
+  );
+};
+
+const AvailabilityEditor = ({ availability, saveAvailability }) => {
+  const [settings, setSettings] = useState(() => availability || DEFAULT_AVAILABILITY);
+  const [isDirty, setIsDirty] = useState(false);
+  const [blackoutDate, setBlackoutDate] = useState('');
+  const [saveState, setSaveState] = useState(null);
+  const isUnpublished = !availability;
+
+  // Pick up live changes unless there are unsaved edits here.
+  useEffect(() => {
+    if (!isDirty) setSettings(availability || DEFAULT_AVAILABILITY);
+  }, [availability, isDirty]);
+
+  const edit = (changes) => {
+    setSettings(prev => ({ ...prev, ...changes }));
+    setIsDirty(true);
+    setSaveState(null);
+  };
+  const updateDay = (index, changes) => edit({ weeklyHours: settings.weeklyHours.map((day, i) => i === index ? { ...day, ...changes } : day) });
+  const addBlackout = () => {
+    if (!DATE_PATTERN.test(blackoutDate) || settings.blackoutDates.includes(blackoutDate)) return;
+    edit({ blackoutDates: [...settings.blackoutDates, blackoutDate].sort() });
+    setBlackoutDate('');
+  };
+  const discardChanges = () => {
+    setSettings(availability || DEFAULT_AVAILABILITY);
+    setIsDirty(false);
+    setSaveState(null);
+  };
+
+  const handleSave = async () => {
+    const error = validateAvailability(settings);
+    if (error) {
+      setSaveState({ error });
+      return;
+    }
+    setSaveState({ busy: true });
+    // Past blackout dates no longer matter.
+    const today = getShopDate();
+    const result = await saveAvailability({ ...settings, blackoutDates: settings.blackoutDates.filter(date => date >= today) });
+    if (result.success) {
+      setIsDirty(false);
+      setSaveState({ saved: true });
+    } else {
+      setSaveState({ error: result.error });
+    }
+  };
+
+  const inputClass = "p-2 rounded bg-gray-800 text-gray-200 border border-gray-700 focus:border-red-500 text-sm";
+  const numberField = (key, label, props) => (
+    <label className="block text-sm text-gray-300">
+      {label}
+      <input type="number" value={settings[key]} onChange={e => edit({ [key]: parseInt(e.target.value, 10) || 0 })} {...props} className={`${inputClass} mt-1 w-full`} />
+    </label>
+  );
+
+  return (
+    <div className="bg-gray-900 p-6 rounded-xl shadow-2xl border border-red-600/50">
+      <h3 className="text-2xl font-bold text-red-400 mb-2">Availability</h3>
+      <p className="text-gray-400 text-sm mb-6">
+        Drop-off times are offered in the booking forms and pickup times on the tracking page once an order is Ready. Times are in New York time.
+      </p>
+      {isUnpublished && (
+        <div className="mb-6 p-4 rounded-lg bg-amber-500/10 border border-amber-500/40 text-amber-200 text-sm">
+          Online booking is off until availability is saved. These are suggested defaults.
+        </div>
+      )}
+
+      <label className="flex items-center text-gray-200 mb-6">
+        <input type="checkbox" checked={settings.enabled} onChange={e => edit({ enabled: e.target.checked })} className="mr-2 accent-red-600" />
+        Accept online bookings
+      </label>
+
+      <h4 className="text-lg font-bold text-white mb-3">Weekly Hours</h4>
+      <div className="space-y-2 mb-8">
+        {settings.weeklyHours.map((day, index) => (
+          <div key={WEEKDAY_LABELS[index]} className="grid grid-cols-2 sm:grid-cols-4 items-center gap-3 text-sm">
+            <label className="flex items-center text-gray-200">
+              <input type="checkbox" checked={day.open} onChange={e => updateDay(index, { open: e.target.checked })} className="mr-2 accent-red-600" />
+              {WEEKDAY_LABELS[index]}
+            </label>
+            {day.open ? (
+              <>
+                <input type="time" aria-label={`${WEEKDAY_LABELS[index]} opens`} value={day.start} step="900" onChange={e => updateDay(index, { start: e.target.value })} className={inputClass} />
+                <input type="time" aria-label={`${WEEKDAY_LABELS[index]} closes`} value={day.end} step="900" onChange={e => updateDay(index, { end: e.target.value })} className={inputClass} />
+              </>
+            ) : (
+              <span className="text-gray-500 sm:col-span-2">Closed</span>
+            )}
           </div>
         ))}
       </div>
-      <div className="text-center mt-10">
-        <Button onClick={() => navigate('gallery')} variant="ghost">View Full Gallery</Button>
+
+      <div className="grid grid-cols-1 sm:grid-cols-4 gap-4 mb-8">
+        <label className="block text-sm text-gray-300">
+          Slot length
+          <select value={settings.slotMinutes} onChange={e => edit({ slotMinutes: Number(e.target.value) })} className={`${inputClass} mt-1 w-full`}>
+            {SLOT_LENGTH_OPTIONS.map(minutes => <option key={minutes} value={minutes}>{minutes} minutes</option>)}
+          </select>
+        </label>
+        {numberField('maxPerDay', 'Max appointments per day', { min: 1, max: 50 })}
+        {numberField('minNoticeHours', 'Minimum notice (hours)', { min: 0, max: 168 })}
+        {numberField('bookingWindowDays', 'Bookable days ahead', { min: 1, max: 90 })}
+      </div>
+
+      <h4 className="text-lg font-bold text-white mb-3">Blackout Dates</h4>
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <input type="date" aria-label="Blackout date" value={blackoutDate} min={getShopDate()} onChange={e => setBlackoutDate(e.target.value)} className={inputClass} />
+        <button type="button" onClick={addBlackout} disabled={!blackoutDate} className="px-3 py-2 rounded bg-gray-800 text-sm text-gray-200 hover:bg-gray-700 disabled:opacity-50">+ Add Date</button>
+      </div>
+      {settings.blackoutDates.length ? (
+        <ul className="flex flex-wrap gap-2">
+          {settings.blackoutDates.map(date => (
+            <li key={date} className="flex items-center px-3 py-1 rounded-full bg-gray-800 text-sm text-gray-200">
+              {formatShopDay(date)} {date.slice(0, 4)}
+              <button type="button" onClick={() => edit({ blackoutDates: settings.blackoutDates.filter(d => d !== date) })} title={`Remove ${date}`} className="ml-2 text-gray-400 hover:text-red-500"><X className="w-3 h-3" /></button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500">No blackout dates.</p>
+      )}
+
+      <div className="flex flex-wrap items-center justify-end gap-3 mt-8">
+        {saveState?.error && <span className="text-sm text-red-400" role="alert">{saveState.error}</span>}
+        {saveState?.saved && <span className="text-sm text-green-400">Availability saved.</span>}
+        {isDirty && <Button variant="ghost" onClick={discardChanges} disabled={saveState?.busy}>Discard Changes</Button>}
+        <Button variant="primary" onClick={handleSave} disabled={saveState?.busy || (!isDirty && !isUnpublished)}>
+          {saveState?.busy ? 'Saving...' : 'Save Availability'}
+        </Button>
       </div>
     </div>
+  );
+};
 
-    {/* Testimonials Section */}
-    <div className="py-20 bg-gray-950">
-      <SectionTitle>What Our Clients Say</SectionTitle>
-      <div className="container mx-auto px-4 grid grid-cols-1 md:grid-cols-2 gap-8 max-w-4xl">
-        <div className="p-6 bg-gray-900 rounded-xl border border-gray-800 italic text-gray-300">
-          "The best deep clean I've ever had. My Jordans look brand new, not a scuff in sight. Fast service too!"
-          <p className="mt-4 font-bold text-red-400">— Marcus L.</p>
-        </div>
-        <div className="p-6 bg-gray-900 rounded-xl border border-gray-800 italic text-gray-300">
-          "Got a simple custom and it turned out fire! The paint quality is great and the attention to detail is crazy."
-          <p className="mt-4 font-bold text-red-400">— Jessica P.</p>
-        </div>
+// The shop address printed on mail-in instructions. Ship-in stays bookable without one; the
+// instructions then tell the customer the address will follow by email.
+const ShipInSettingsEditor = ({ settings, saveShipInSettings }) => {
+  const [draft, setDraft] = useState(settings);
+  const [isDirty, setIsDirty] = useState(false);
+  const [saveState, setSaveState] = useState(null);
+
+  // Pick up live changes unless there are unsaved edits here.
+  useEffect(() => {
+    if (!isDirty) setDraft(settings);
+  }, [settings, isDirty]);
+
+  const edit = (changes) => {
+    setDraft(prev => ({ ...prev, ...changes }));
+    setIsDirty(true);
+    setSaveState(null);
+  };
+  const editAddress = (key, value) => edit({ address: { ...draft.address, [key]: value } });
+
+  const handleSave = async () => {
+    const address = trimAddress(draft.address);
+    const hasAddress = Object.values(address).some(Boolean);
+    const error = hasAddress && Object.entries(ADDRESS_FIELDS).map(([key, rule]) => validateValue(rule, address[key])).find(Boolean);
+    if (error) {
+      setSaveState({ error });
+      return;
+    }
+    setSaveState({ busy: true });
+    const result = await saveShipInSettings(draft);
+    if (result.success) {
+      setIsDirty(false);
+      setSaveState({ saved: true });
+    } else {
+      setSaveState({ error: result.error });
+    }
+  };
+
+  const inputClass = "p-2 rounded bg-gray-800 text-gray-200 border border-gray-700 focus:border-red-500 text-sm";
+  const addressField = (key, label, className = '') => (
+    <label className={`block text-sm text-gray-300 ${className}`}>
+      {label}
+      {key === 'state' ? (
+        <select value={draft.address.state} onChange={e => editAddress('state', e.target.value)} className={`${inputClass} mt-1 w-full`}>
+          <option value="">—</option>
+          {US_STATE_CODES.map(code => <option key={code} value={code}>{code}</option>)}
+        </select>
+      ) : (
+        <input type="text" value={draft.address[key]} onChange={e => editAddress(key, e.target.value)} className={`${inputClass} mt-1 w-full`} />
+      )}
+    </label>
+  );
+
+  return (
+    <div className="bg-gray-900 p-6 rounded-xl shadow-2xl border border-red-600/50 mt-10">
+      <h3 className="text-2xl font-bold text-red-400 mb-2">Ship-in Address</h3>
+      <p className="text-gray-400 text-sm mb-6">
+        Printed on the mail-in instructions for ship-in bookings, above the customer's order code.
+      </p>
+      <div className="grid grid-cols-1 sm:grid-cols-6 gap-4 mb-6">
+        {addressField('name', 'Name / business', 'sm:col-span-3')}
+        {addressField('line1', 'Street address', 'sm:col-span-3')}
+        {addressField('line2', 'Suite, unit (optional)', 'sm:col-span-2')}
+        {addressField('city', 'City', 'sm:col-span-2')}
+        {addressField('state', 'State')}
+        {addressField('zip', 'ZIP')}
+      </div>
+      <label className="block text-sm text-gray-300">
+        Packing notes (optional)
+        <textarea value={draft.packingNotes} onChange={e => edit({ packingNotes: e.target.value })} rows="3" maxLength={1000} placeholder="e.g., Leave the laces in; we clean them too." className={`${inputClass} mt-1 w-full`}></textarea>
+      </label>
+
+      <div className="flex flex-wrap items-center justify-end gap-3 mt-6">
+        {saveState?.error && <span className="text-sm text-red-400" role="alert">{saveState.error}</span>}
+        {saveState?.saved && <span className="text-sm text-green-400">Ship-in address saved.</span>}
+        {isDirty && <Button variant="ghost" onClick={() => { setDraft(settings); setIsDirty(false); setSaveState(null); }} disabled={saveState?.busy}>Discard Changes</Button>}
+        <Button variant="primary" onClick={handleSave} disabled={saveState?.busy || !isDirty}>
+          {saveState?.busy ? 'Saving...' : 'Save Address'}
+        </Button>
       </div>
     </div>
-  </div>
-);
+  );
+};
 
-// --- Form & Data Logic ---
+// --- Price Catalog Admin ---
 
-const CustomForm = ({ addSubmission }) => {
-  const [form, setForm] = useState({ name: '', email: '', shoeModel: '', designRequest: '', budget: '', image: null });
-  const [isSubmitting, setIsSubmitting] = useState(false);
-  const [modalOpen, setModalOpen] = useState(false);
+const createCatalogItem = (category) => ({ id: createLineItemId(), category, name: '', description: '', min: 0, max: null, currency: CURRENCY, active: true, sortOrder: 0 });
 
-  const budgetOptions = ['<$50', '$50-$100', '$100-$200', '$200+'];
+// Edits a local copy of the catalog; nothing is written until "Save Catalog". Order within a
+// category is the display order and becomes `sortOrder` on save.
+const PriceCatalogManager = ({ catalog, isBundled, savePriceCatalog, navigate }) => {
+  const [items, setItems] = useState(() => sortCatalog(catalog));
+  const [isDirty, setIsDirty] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [saveState, setSaveState] = useState(null);
 
-  const handleChange = (e) => {
-    const { name, value } = e.target;
-    setForm(prev => ({ ...prev, [name]: value }));
+  // Pick up live changes (e.g. another admin saving) unless there are unsaved edits here.
+  useEffect(() => {
+    if (!isDirty) setItems(sortCatalog(catalog));
+  }, [catalog, isDirty]);
+
+  const edit = (next) => {
+    setItems(next);
+    setIsDirty(true);
+    setSaveState(null);
+  };
+  const updateItem = (id, changes) => edit(items.map(item => item.id === id ? { ...item, ...changes } : item));
+  const removeItem = (id) => edit(items.filter(item => item.id !== id));
+  const addItem = (category) => edit([...items, createCatalogItem(category)]);
+  const moveItem = (category, index, direction) => {
+    const inCategory = items.filter(item => item.category === category);
+    const target = index + direction;
+    if (target < 0 || target >= inCategory.length) return;
+    [inCategory[index], inCategory[target]] = [inCategory[target], inCategory[index]];
+    edit([...items.filter(item => item.category !== category), ...inCategory]);
+  };
+  const discardChanges = () => {
+    setItems(sortCatalog(catalog));
+    setIsDirty(false);
+    setErrors({});
+    setSaveState(null);
   };
 
-  const handleImageUpload = (e) => {
-    const file = e.target.files[0];
-    if (file) {
-      // In a real app, you would upload this file to Firebase Storage.
-      // Here, we just store a placeholder and the file name/size.
-      setForm(prev => ({ ...prev, image: { name: file.name, size: file.size, type: file.type } }));
+  const handleSave = async () => {
+    const nextErrors = {};
+    items.forEach(item => {
+      const error = validateCatalogItem(item);
+      if (error) nextErrors[item.id] = error;
+    });
+    setErrors(nextErrors);
+    if (Object.keys(nextErrors).length) {
+      setSaveState({ error: 'Fix the highlighted items before saving.' });
+      return;
     }
-  };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    setIsSubmitting(true);
-    
-    // Data structure for Firestore
-    const submissionData = {
-      type: 'custom_booking',
-      status: 'New',
-      name: form.name,
-      email: form.email,
-      shoeModel: form.shoeModel,
-      designRequest: form.designRequest,
-      budget: form.budget,
-      imageFile: form.image ? `${form.image.name} (${(form.image.size / 1024).toFixed(1)} KB)` : 'No image uploaded',
-    };
+    const ordered = PRICE_CATEGORIES.flatMap(category => items
+      .filter(item => item.category === category.value)
+      .map((item, index) => ({ ...item, name: item.name.trim(), description: item.description.trim(), sortOrder: (index + 1) * 10 })));
+    // The bundled catalog has no documents to delete.
+    const removedIds = isBundled ? [] : catalog.filter(item => !items.some(i => i.id === item.id)).map(item => item.id);
 
-    const result = await addSubmission(submissionData);
-    
+    setSaveState({ busy: true });
+    const result = await savePriceCatalog(ordered, removedIds);
     if (result.success) {
-      // Simulate "backend email alert" by displaying success message
-      setModalOpen(true);
-      setForm({ name: '', email: '', shoeModel: '', designRequest: '', budget: '', image: null }); // Reset form
+      setIsDirty(false);
+      setSaveState({ saved: true });
     } else {
-      console.error("Submission failed:", result.error);
-      alert("Submission failed. Check console for details.");
+      setSaveState({ error: result.error });
     }
-    
-    setIsSubmitting(false);
   };
 
-  return (
-    <div className="container mx-auto p-4 md:p-10 max-w-4xl">
-      <Modal 
-        isOpen={modalOpen} 
-        onClose={() => setModalOpen(false)} 
-        title="Request Received!"
-      >
-        <p className="text-gray-300 text-lg flex items-center">
-          <CheckCircle className="w-6 h-6 text-green-500 mr-3" />
-          Thank you, {form.name.split(' ')[0] || 'Sneakerhead'}! Your custom shoe request has been received. We will be in touch via email soon!
-        </p>
-      </Modal>
-
-      <SectionTitle>Book Your Custom Kicks</SectionTitle>
-      <div className="bg-gray-900 p-8 rounded-xl shadow-2xl border border-red-600/50">
-        <p className="text-gray-400 mb-6 text-lg">
-          Ready to turn your vision into reality? Fill out the details below to start the design process.
-        </p>
-        <form onSubmit={handleSubmit} className="space-y-6">
-          <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
-            <div className="col-span-1">
-              <label htmlFor="name" className="block text-sm font-medium text-white mb-1">Name</label>
-              <input type="text" id="name" name="name" value={form.name} onChange={handleChange} required className="w-full p-3 rounded-lg bg-gray-800 text-white border border-gray-700 focus:border-red-500 focus:ring-red-500"/>
-            </div>
-            <div className="col-span-1">
-              <label htmlFor="email" className="block text-sm font-medium text-white mb-1">Email</label>
-              <input type="email" id="email" name="email" value={form.email} onChange={handleChange} required className="w-full p-3 rounded-lg bg-gray-800 text-white border border-gray-700 focus:border-red-500 focus:ring-red-500"/>
-            </div>
-          </div>
+  const inputClass = "p-2 rounded bg-gray-800 text-gray-200 border border-gray-700 focus:border-red-500 text-sm";
 
-          <div>
-            <label htmlFor="shoeModel" className="block text-sm font-medium text-white mb-1">Shoe Type / Model (e.g., Air Force 1, Dunk Low, Vans)</label>
-            <input type="text" id="shoeModel" name="shoeModel" value={form.shoeModel} onChange={handleChange} required className="w-full p-3 rounded-lg bg-gray-800 text-white border border-gray-700 focus:border-red-500 focus:ring-red-500"/>
-          </div>
+  return (
+    <div className="container mx-auto p-4 md:p-10 max-w-5xl">
+      <SectionTitle>Price Catalog</SectionTitle>
+      <AdminTabs activePage="priceCatalog" navigate={navigate} />
+      <p className="text-gray-400 text-center mb-8">
+        Prices shown on the Pricing and Cleaning pages, in the booking forms and in the quote editor. Leave "Max" empty for "and up" prices.
+      </p>
+      {isBundled && (
+        <div className="mb-6 p-4 rounded-lg bg-amber-500/10 border border-amber-500/40 text-amber-200 text-sm">
+          The site is showing the bundled default prices. Saving publishes this catalog to Firestore.
+        </div>
+      )}
 
-          <div>
-            <label htmlFor="designRequest" className="block text-sm font-medium text-white mb-1">Custom Design Request (Describe your idea!)</label>
-            <textarea id="designRequest" name="designRequest" value={form.designRequest} onChange={handleChange} required rows="4" className="w-full p-3 rounded-lg bg-gray-800 text-white border border-gray-700 focus:border-red-500 focus:ring-red-500"></textarea>
-          </div>
-          
-          <div className="grid grid-cols-1 sm:grid-cols-2 gap-6 items-start">
-            <div>
-              <label htmlFor="budget" className="block text-sm font-medium text-white mb-1">Budget Range (Customization cost only)</label>
-              <select id="budget" name="budget" value={form.budget} onChange={handleChange} required className="w-full p-3 rounded-lg bg-gray-800 text-white border border-gray-700 focus:border-red-500 focus:ring-red-500 appearance-none">
-                <option value="" disabled>Select a range</option>
-                {budgetOptions.map(b => <option key={b} value={b}>{b}</option>)}
-              </select>
-            </div>
-            
-            <div>
-              <label htmlFor="imageUpload" className="block text-sm font-medium text-white mb-1">Upload Reference Image (Optional)</label>
-              <div className="flex items-center space-x-2 p-3 rounded-lg bg-gray-800 border border-gray-700">
-                <Upload className="w-5 h-5 text-red-500 flex-shrink-0" />
-                <input 
-                  type="file" 
-                  id="imageUpload" 
-                  name="imageUpload" 
-                  accept="image/*" 
-                  onChange={handleImageUpload}
-                  className="block w-full text-sm text-gray-400 file:mr-4 file:py-1 file:px-3 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-gray-700 file:text-red-400 hover:file:bg-gray-600"
-                />
+      <div className="space-y-10">
+        {PRICE_CATEGORIES.map(category => {
+          const inCategory = items.filter(item => item.category === category.value);
+          return (
+            <div key={category.value} className="bg-gray-900 p-6 rounded-xl shadow-2xl border border-red-600/50">
+              <h3 className="text-2xl font-bold text-red-400 mb-4">{category.label}</h3>
+              <div className="space-y-4">
+                {inCategory.map((item, index) => (
+                  <div key={item.id} className={`p-4 rounded-lg bg-gray-950 border ${errors[item.id] ? 'border-red-500' : 'border-gray-800'} ${item.active ? '' : 'opacity-60'}`}>
+                    <div className="grid grid-cols-2 sm:grid-cols-12 gap-2">
+                      <input aria-label="Name" placeholder="Service name" value={item.name} onChange={e => updateItem(item.id, { name: e.target.value })} className={`${inputClass} col-span-2 sm:col-span-4`} />
+                      <select aria-label="Category" value={item.category} onChange={e => updateItem(item.id, { category: e.target.value })} className={`${inputClass} col-span-2 sm:col-span-3`}>
+                        {PRICE_CATEGORIES.map(c => <option key={c.value} value={c.value}>{c.label}</option>)}
+                      </select>
+                      <input aria-label="Min price" type="number" min="0" step="0.01" value={item.min} onChange={e => updateItem(item.id, { min: Math.max(0, parseFloat(e.target.value) || 0) })} className={`${inputClass} sm:col-span-2`} />
+                      <input aria-label="Max price" type="number" min="0" step="0.01" placeholder="and up" value={item.max === null ? '' : item.max} onChange={e => updateItem(item.id, { max: e.target.value === '' ? null : Math.max(0, parseFloat(e.target.value) || 0) })} className={`${inputClass} sm:col-span-2`} />
+                      <input aria-label="Currency" maxLength="3" value={item.currency} onChange={e => updateItem(item.id, { currency: e.target.value.toUpperCase() })} className={`${inputClass} col-span-2 sm:col-span-1`} />
+                      <textarea aria-label="Description" placeholder="Description" rows="2" value={item.description} onChange={e => updateItem(item.id, { description: e.target.value })} className={`${inputClass} col-span-2 sm:col-span-12`} />
+                    </div>
+                    <div className="flex flex-wrap items-center justify-between gap-3 mt-3 text-sm">
+                      <label className="flex items-center text-gray-300">
+                        <input type="checkbox" checked={item.active} onChange={e => updateItem(item.id, { active: e.target.checked })} className="mr-2 accent-red-600" />
+                        Active (shown to customers)
+                      </label>
+                      <div className="flex items-center gap-1">
+                        <span className="text-gray-500 mr-2">{formatPriceRange(item)}</span>
+                        <button type="button" onClick={() => moveItem(category.value, index, -1)} disabled={index === 0} title="Move up" className="p-1 text-gray-400 hover:text-white disabled:opacity-30"><ChevronUp className="w-4 h-4" /></button>
+                        <button type="button" onClick={() => moveItem(category.value, index, 1)} disabled={index === inCategory.length - 1} title="Move down" className="p-1 text-gray-400 hover:text-white disabled:opacity-30"><ChevronDown className="w-4 h-4" /></button>
+                        <button type="button" onClick={() => removeItem(item.id)} title="Remove item" className="p-1 text-gray-400 hover:text-red-500"><Trash2 className="w-4 h-4" /></button>
+                      </div>
+                    </div>
+                    {errors[item.id] && <p className="text-sm text-red-400 mt-2" role="alert">{errors[item.id]}</p>}
+                  </div>
+                ))}
+                {!inCategory.length && <p className="text-sm text-gray-500">No services in this category.</p>}
               </div>
-              {form.image && <p className="text-xs text-gray-500 mt-1">File: {form.image.name}</p>}
+              <button type="button" onClick={() => addItem(category.value)} className="mt-4 px-3 py-2 rounded bg-gray-800 text-sm text-gray-200 hover:bg-gray-700">+ Add Service</button>
             </div>
-          </div>
-          
-          <Button type="submit" variant="primary" className="w-full text-xl mt-6" disabled={isSubmitting}>
-            {isSubmitting ? 'Sending Request...' : 'Submit Custom Request'}
-          </Button>
-        </form>
+          );
+        })}
+      </div>
+
+      <div className="flex flex-wrap items-center justify-end gap-3 mt-8">
+        {saveState?.error && <span className="text-sm text-red-400" role="alert">{saveState.error}</span>}
+        {saveState?.saved && <span className="text-sm text-green-400">Catalog saved.</span>}
+        {isDirty && <Button variant="ghost" onClick={discardChanges} disabled={saveState?.busy}>Discard Changes</Button>}
+        <Button variant="primary" onClick={handleSave} disabled={saveState?.busy || (!isDirty && !isBundled)}>
+          {saveState?.busy ? 'Saving...' : 'Save Catalog'}
+        </Button>
       </div>
     </div>
   );
 };
 
-const CleaningPage = ({ navigate }) => (
-  <div className="container mx-auto p-4 md:p-10 max-w-4xl">
-    <SectionTitle>Shoe Cleaning & Restoration</SectionTitle>
-    <div className="bg-gray-900 p-8 rounded-xl shadow-2xl border border-red-600/50">
-      <p className="text-gray-400 mb-10 text-lg text-center">
-        From a quick touch-up to bringing a dead pair back to life, we handle it all with specialist, non-damaging solutions.
-      </p>
+// --- Gallery Admin ---
 
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-12">
-        {CLEANING_LEVELS.map((item, index) => (
-          <div key={item.level} className="p-5 bg-gray-800 rounded-xl border border-gray-700 hover:border-red-500 transition-all">
-            <h3 className="text-2xl font-bold text-red-400 mb-2">{item.level}</h3>
-            <p className="text-3xl font-extrabold text-white mb-3">{item.price}</p>
-            <p className="text-gray-400">{item.desc}</p>
-          </div>
-        ))}
-      </div>
-      
-      <SectionTitle>Before & After</SectionTitle>
-      <div className="grid grid-cols-2 gap-4">
-        <div>
-          <h4 className="text-white text-center mb-2 font-semibold">Before</h4>
-          <img src={`https://placehold.co/400x300/4B5563/FFFFFF?text=DIRTY+SHOE`} alt="Dirty Shoe Before Clean" className="w-full h-auto rounded-lg shadow-lg" />
-        </div>
-        <div>
-          <h4 className="text-white text-center mb-2 font-semibold">After</h4>
-          <img src={`https://placehold.co/400x300/10B981/FFFFFF?text=CLEAN+SHOE`} alt="Clean Shoe After Restoration" className="w-full h-auto rounded-lg shadow-lg" />
-        </div>
-      </div>
+const EMPTY_GALLERY_FORM = { title: '', category: GALLERY_CATEGORIES[0], description: '', tags: '', featured: false };
 
-      <div className="text-center mt-12">
-        <Button onClick={() => navigate('contact')} variant="primary" className="text-lg">
-          Book Cleaning Service
-        </Button>
-      </div>
-    </div>
-  </div>
-);
+const GALLERY_IMAGE_SLOTS = [
+  { key: 'image', label: 'Image', hint: 'The finished piece (the "after" of a before/after pair).', required: true },
+  { key: 'beforeImage', label: 'Before Image (Optional)', hint: 'Adding one shows this item as a before/after comparison.' },
+];
 
-const GalleryPage = () => {
-  const [selectedImage, setSelectedImage] = useState(null);
-
-  const galleryItems = useMemo(() => ([
-    { id: 1, category: 'Advanced Customs', title: 'Neon Matrix', url: 'https://placehold.co/400x400/8B5CF6/000?text=ADV-1' },
-    { id: 2, category: 'Simple Customs', title: 'Triple Red', url: 'https://placehold.co/400x400/EF4444/000?text=SIMPLE-1' },
-    { id: 3, category: 'Restorations', title: 'AJ1 Re-Dye', url: 'https://placehold.co/400x400/9CA3AF/000?text=RESTORE-1' },
-    { id: 4, category: 'Medium Customs', title: 'Camo Split', url: 'https://placehold.co/400x400/F97316/000?text=MED-1' },
-    { id: 5, category: 'Advanced Customs', title: 'Galaxy Flow', url: 'https://placehold.co/400x400/3B82F6/000?text=ADV-2' },
-    { id: 6, category: 'Simple Customs', title: 'Black Out', url: 'https://placehold.co/400x400/1F2937/FFF?text=SIMPLE-2' },
-    { id: 7, category: 'Restorations', title: 'Oxidation Fix', url: 'https://placehold.co/400x400/374151/FFF?text=RESTORE-2' },
-    { id: 8, category: 'Medium Customs', title: 'Cyber Drip', url: 'https://placehold.co/400x400/EC4899/000?text=MED-2' },
-    { id: 9, category: 'Advanced Customs', title: 'Graffiti Tag', url: 'https://placehold.co/400x400/000000/FCA5A5?text=GRAF-TAG' },
-    { id: 10, category: 'Simple Customs', title: 'Yellow Toe', url: 'https://placehold.co/400x400/FBBF24/000?text=SIMPLE-3' },
-    { id: 11, category: 'Restorations', title: 'Sole Swap', url: 'https://placehold.co/400x400/9333EA/000?text=RESTORE-3' },
-    { id: 12, category: 'Medium Customs', title: 'Street Maps', url: 'https://placehold.co/400x400/4F46E5/000?text=MED-3' },
-  ]), []);
+// Add / edit form for one gallery item. A new item needs an image; existing images are kept
+// unless replaced (or, for the optional before image, removed).
+const GalleryItemEditor = ({ item, nextSortOrder, onClose, uploadGalleryImage, saveGalleryItem }) => {
+  const [form, setForm] = useState(() => (item ? { ...item, tags: item.tags.join(', ') } : EMPTY_GALLERY_FORM));
+  // Per slot: the saved image (if any), a newly picked file and its preview URL.
+  const [slots, setSlots] = useState(() => Object.fromEntries(GALLERY_IMAGE_SLOTS.map(({ key }) => [key, { saved: item?.[key] || null, file: null, previewUrl: item?.[key]?.url || '' }])));
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState('');
 
-  const categories = useMemo(() => [
-    'All', 'Simple Customs', 'Medium Customs', 'Advanced Customs', 'Restorations'
-  ], []);
+  // Release preview object URLs when the editor closes.
+  const slotsRef = useRef(slots);
+  slotsRef.current = slots;
+  useEffect(() => () => Object.values(slotsRef.current).forEach(slot => slot.file && URL.revokeObjectURL(slot.previewUrl)), []);
 
-  const [activeCategory, setActiveCategory] = useState('All');
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
 
-  const filteredItems = galleryItems.filter(item => 
-    activeCategory === 'All' || item.category === activeCategory
-  );
+  // Passing no file clears the slot.
+  const setSlotFile = (key, file) => {
+    const current = slots[key];
+    if (current.file) URL.revokeObjectURL(current.previewUrl);
+    setSlots({ ...slots, [key]: file ? { ...current, file, previewUrl: URL.createObjectURL(file) } : { saved: null, file: null, previewUrl: '' } });
+  };
 
-  return (
-    <div className="container mx-auto p-4 md:p-10">
-      <SectionTitle>Our Art & Archive</SectionTitle>
+  const handleFile = (key) => (e) => {
+    const picked = e.target.files?.[0];
+    e.target.value = '';
+    if (!picked) return;
+    const fileError = validateReferenceImage(picked);
+    if (fileError) {
+      setError(fileError);
+      return;
+    }
+    setError('');
+    setSlotFile(key, picked);
+  };
 
-      <div className="text-center mb-8 overflow-x-auto whitespace-nowrap py-2">
-        {categories.map(cat => (
-          <button 
-            key={cat}
-            onClick={() => setActiveCategory(cat)}
-            className={`px-4 py-2 mx-2 text-sm font-medium rounded-full transition-colors duration-200 ${
-              activeCategory === cat 
-                ? 'bg-red-600 text-white shadow-lg' 
-                : 'bg-gray-800 text-gray-300 hover:bg-gray-700'
-            }`}
-          >
-            {cat}
-          </button>
-        ))}
-      </div>
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!slots.image.file && !slots.image.saved) {
+      setError('Choose an image.');
+      return;
+    }
+    setError('');
 
-      <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-4">
-        {filteredItems.map(item => (
-          <div 
-            key={item.id} 
-            className="group relative rounded-xl overflow-hidden shadow-xl border border-gray-800 cursor-pointer hover:border-red-600 transition-all"
-            onClick={() => setSelectedImage(item)}
-          >
-            <img 
-              src={item.url} 
-              alt={item.title} 
-              className="w-full aspect-square object-cover transition-transform duration-500 group-hover:scale-110"
-            />
-            <div className="absolute inset-0 bg-black bg-opacity-50 flex items-end opacity-0 group-hover:opacity-100 transition-opacity p-3">
-              <div className="text-white">
-                <p className="text-xl font-bold">{item.title}</p>
-                <p className="text-xs text-red-400">{item.category}</p>
+    const images = {};
+    for (const { key } of GALLERY_IMAGE_SLOTS) {
+      const { file, saved } = slots[key];
+      if (!file) {
+        images[key] = saved;
+        continue;
+      }
+      setProgress(0);
+      const upload = await uploadGalleryImage(file, setProgress);
+      if (!upload.success) {
+        setProgress(null);
+        setError(`Could not upload ${file.name}. ${upload.error}`);
+        return;
+      }
+      images[key] = upload.image;
+    }
+
+    const result = await saveGalleryItem({
+      id: item?.id,
+      title: form.title.trim(),
+      category: form.category,
+      description: form.description.trim(),
+      tags: parseTags(form.tags),
+      featured: form.featured,
+      sortOrder: item ? item.sortOrder : nextSortOrder,
+      ...images,
+    });
+    setProgress(null);
+    if (result.success) {
+      onClose();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const inputClass = "w-full p-3 rounded-lg bg-gray-800 text-white border border-gray-700 focus:border-red-500 focus:ring-red-500";
+
+  return (
+    <Modal isOpen onClose={onClose} title={item ? 'Edit Gallery Item' : 'Add Gallery Item'} wide>
+      <form onSubmit={handleSubmit} className="grid grid-cols-1 sm:grid-cols-2 gap-6">
+        <div className="space-y-5">
+          {GALLERY_IMAGE_SLOTS.map(({ key, label, hint, required }) => (
+            <div key={key}>
+              <span className="block text-sm font-medium text-white mb-1">{label}</span>
+              {slots[key].previewUrl ? (
+                <img src={slots[key].previewUrl} alt="" className="w-full aspect-square object-cover rounded-lg border border-gray-700" />
+              ) : (
+                <div className="w-full aspect-square rounded-lg border-2 border-dashed border-gray-700 flex items-center justify-center text-gray-500">No image yet</div>
+              )}
+              <p className="text-xs text-gray-500 mt-1">{hint}</p>
+              <div className="mt-2 flex gap-2">
+                <label className="flex-1 flex items-center justify-center px-4 py-2 rounded-lg bg-gray-800 text-sm text-gray-200 hover:bg-gray-700 cursor-pointer">
+                  <Upload className="w-4 h-4 mr-2 text-red-500" /> {slots[key].previewUrl ? 'Replace' : 'Choose'}
+                  <input type="file" accept={REFERENCE_IMAGE_LIMITS.acceptedTypes.join(',')} onChange={handleFile(key)} className="sr-only" />
+                </label>
+                {!required && slots[key].previewUrl && (
+                  <button type="button" onClick={() => setSlotFile(key, null)} className="px-3 py-2 rounded-lg bg-gray-800 text-sm text-gray-400 hover:text-red-500">Remove</button>
+                )}
               </div>
             </div>
+          ))}
+          {progress !== null && (
+            <div className="h-1.5 rounded bg-gray-800 overflow-hidden" role="progressbar" aria-valuenow={progress} aria-valuemin="0" aria-valuemax="100">
+              <div className="h-full bg-red-600 transition-all" style={{ width: `${progress}%` }}></div>
+            </div>
+          )}
+        </div>
+        <div className="space-y-4">
+          <div>
+            <label htmlFor="galleryTitle" className="block text-sm font-medium text-white mb-1">Title</label>
+            <input id="galleryTitle" name="title" value={form.title} onChange={handleChange} required className={inputClass} />
           </div>
-        ))}
-      </div>
-
-      <Modal isOpen={!!selectedImage} onClose={() => setSelectedImage(null)} title={selectedImage?.title || ''}>
-        {selectedImage && (
-          <>
-            <img src={selectedImage.url} alt={selectedImage.title} className="w-full h-auto rounded-lg mb-4" />
-            <p className="text-sm text-red-400">{selectedImage.category}</p>
-          </>
-        )}
-      </Modal>
-    </div>
+          <div>
+            <label htmlFor="galleryCategory" className="block text-sm font-medium text-white mb-1">Category</label>
+            <select id="galleryCategory" name="category" value={form.category} onChange={handleChange} className={`${inputClass} appearance-none`}>
+              {GALLERY_CATEGORIES.map(category => <option key={category} value={category}>{category}</option>)}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="galleryDescription" className="block text-sm font-medium text-white mb-1">Description</label>
+            <textarea id="galleryDescription" name="description" value={form.description} onChange={handleChange} rows="3" className={inputClass}></textarea>
+          </div>
+          <div>
+            <label htmlFor="galleryTags" className="block text-sm font-medium text-white mb-1">Tags (comma separated)</label>
+            <input id="galleryTags" name="tags" value={form.tags} onChange={handleChange} placeholder="jordan 1, suede, airbrush" className={inputClass} />
+          </div>
+          <label className="flex items-center text-gray-300 text-sm">
+            <input type="checkbox" name="featured" checked={form.featured} onChange={handleChange} className="mr-2 accent-red-600" />
+            Featured on the home page
+          </label>
+          {error && <p className="text-sm text-red-400" role="alert">{error}</p>}
+          <Button type="submit" variant="primary" className="w-full" disabled={progress !== null}>
+            {progress !== null ? 'Saving...' : 'Save Item'}
+          </Button>
+        </div>
+      </form>
+    </Modal>
   );
 };
 
-const PricingPage = ({ navigate }) => (
-  <div className="container mx-auto p-4 md:p-10 max-w-4xl">
-    <SectionTitle>Custom & Cleaning Price Breakdown</SectionTitle>
+// Lists the live gallery in display order. Items can be dragged (or moved with the arrow
+// buttons) to reorder; the new order is saved straight away and rolled back if that fails.
+const GalleryManager = ({ items, isBundled, uploadGalleryImage, saveGalleryItem, deleteGalleryItem, reorderGallery, navigate }) => {
+  const [order, setOrder] = useState(() => (isBundled ? [] : sortGallery(items)));
+  const [editing, setEditing] = useState(null); // null | 'new' | item
+  const [draggedId, setDraggedId] = useState(null);
+  const [error, setError] = useState('');
 
-    <div className="bg-gray-900 p-8 rounded-xl shadow-2xl border border-red-600/50">
-      <table className="min-w-full divide-y divide-gray-700">
-        <thead className="bg-gray-800">
-          <tr>
-            <th className="px-6 py-3 text-left text-xs font-medium text-red-400 uppercase tracking-wider">Service</th>
-            <th className="px-6 py-3 text-left text-xs font-medium text-red-400 uppercase tracking-wider">Price Range</th>
-            <th className="px-6 py-3 text-left text-xs font-medium text-red-400 uppercase tracking-wider hidden sm:table-cell">Description</th>
-          </tr>
-        </thead>
-        <tbody className="divide-y divide-gray-800">
-          {CUSTOM_PRICING.map((item, index) => (
-            <tr key={index} className="hover:bg-gray-800 transition-colors">
-              <td className="px-6 py-4 whitespace-nowrap">
-                <div className="text-lg font-bold text-white">{item.type}</div>
-              </td>
-              <td className="px-6 py-4 whitespace-nowrap">
-                <div className="text-xl font-extrabold text-red-500">{item.price}</div>
-              </td>
-              <td className="px-6 py-4 text-gray-400 hidden sm:table-cell">{item.desc}</td>
-            </tr>
-          ))}
-        </tbody>
-      </table>
+  // The bundled placeholders aren't documents, so there is nothing to manage until the first save.
+  useEffect(() => { setOrder(isBundled ? [] : sortGallery(items)); }, [items, isBundled]);
+
+  const saveOrder = async (next) => {
+    const previous = order;
+    setOrder(next);
+    setError('');
+    const result = await reorderGallery(next.map(item => item.id));
+    if (!result.success) {
+      setOrder(previous);
+      setError(`Could not save the new order: ${result.error}`);
+    }
+  };
+
+  const moveTo = (id, targetIndex) => {
+    const from = order.findIndex(item => item.id === id);
+    if (from === -1 || targetIndex < 0 || targetIndex >= order.length || from === targetIndex) return;
+    const next = [...order];
+    const [moved] = next.splice(from, 1);
+    next.splice(targetIndex, 0, moved);
+    saveOrder(next);
+  };
 
-      <div className="mt-12 text-center">
-        <Button onClick={() => navigate('custom')} variant="primary" className="text-xl">
-          Book Now & Start Designing
-        </Button>
+  const handleDelete = async (item) => {
+    if (!window.confirm(`Delete "${item.title}" from the gallery?`)) return;
+    const result = await deleteGalleryItem(item);
+    if (!result.success) setError(`Could not delete "${item.title}": ${result.error}`);
+  };
+
+  const nextSortOrder = order.length ? Math.max(...order.map(item => item.sortOrder)) + 10 : 10;
+
+  return (
+    <div className="container mx-auto p-4 md:p-10 max-w-6xl">
+      <SectionTitle>Gallery Manager</SectionTitle>
+      <AdminTabs activePage="galleryManager" navigate={navigate} />
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <p className="text-gray-400">Drag items to change the order they appear in the gallery. Featured items lead the home page preview.</p>
+        <Button variant="primary" icon={Upload} onClick={() => setEditing('new')}>Add Item</Button>
       </div>
-    </div>
-  </div>
-);
+      {isBundled && (
+        <div className="mb-6 p-4 rounded-lg bg-amber-500/10 border border-amber-500/40 text-amber-200 text-sm">
+          The gallery is empty, so the site shows placeholder samples. They are replaced as soon as you add your first item.
+        </div>
+      )}
+      {error && <div className="mb-4 text-sm text-red-400" role="alert">{error}</div>}
 
-const AboutPage = () => (
-  <div className="container mx-auto p-4 md:p-10 max-w-4xl">
-    <SectionTitle>About 2X Customs</SectionTitle>
-    <div className="bg-gray-900 p-8 rounded-xl shadow-2xl border border-red-600/50 flex flex-col md:flex-row items-center space-y-6 md:space-y-0 md:space-x-8">
-      
-      <div className="md:w-1/3 flex-shrink-0">
-        <img 
-          src="https://placehold.co/300x300/111827/FCA5A5?text=LILRO" 
-          alt="Lilro - Owner of 2X Customs" 
-          className="rounded-full w-40 h-40 object-cover mx-auto border-4 border-red-600"
+      <ol className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-4">
+        {order.map((item, index) => (
+          <li
+            key={item.id}
+            draggable
+            onDragStart={(e) => { setDraggedId(item.id); e.dataTransfer.setData('text/plain', item.id); e.dataTransfer.effectAllowed = 'move'; }}
+            onDragEnd={() => setDraggedId(null)}
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={(e) => { e.preventDefault(); moveTo(e.dataTransfer.getData('text/plain'), index); setDraggedId(null); }}
+            className={`bg-gray-900 rounded-xl border overflow-hidden cursor-grab active:cursor-grabbing ${draggedId === item.id ? 'border-red-500 opacity-50' : 'border-gray-800 hover:border-red-500'}`}
+          >
+            <img src={item.image?.url} alt={item.title} loading="lazy" className="w-full aspect-square object-cover pointer-events-none" />
+            <div className="p-3">
+              <div className="flex items-center justify-between gap-2">
+                <span className="text-white font-semibold text-sm truncate">{item.title}</span>
+                {item.featured && <span className="text-[10px] font-bold text-white bg-red-600 rounded px-1.5">FEATURED</span>}
+                {item.beforeImage && <span className="text-[10px] font-bold text-white bg-gray-700 rounded px-1.5">PAIR</span>}
+              </div>
+              <div className="text-xs text-red-400">{item.category}</div>
+              <div className="flex items-center justify-between mt-2">
+                <div className="flex">
+                  <button type="button" onClick={() => moveTo(item.id, index - 1)} disabled={index === 0} title="Move earlier" className="p-1 text-gray-400 hover:text-white disabled:opacity-30"><ChevronUp className="w-4 h-4" /></button>
+                  <button type="button" onClick={() => moveTo(item.id, index + 1)} disabled={index === order.length - 1} title="Move later" className="p-1 text-gray-400 hover:text-white disabled:opacity-30"><ChevronDown className="w-4 h-4" /></button>
+                </div>
+                <div className="flex gap-2 text-xs">
+                  <button type="button" onClick={() => setEditing(item)} className="text-gray-300 hover:text-white">Edit</button>
+                  <button type="button" onClick={() => handleDelete(item)} title="Delete item" className="text-gray-400 hover:text-red-500"><Trash2 className="w-4 h-4" /></button>
+                </div>
+              </div>
+            </div>
+          </li>
+        ))}
+      </ol>
+
+      {editing && (
+        <GalleryItemEditor
+          item={editing === 'new' ? null : editing}
+          nextSortOrder={nextSortOrder}
+          onClose={() => setEditing(null)}
+          uploadGalleryImage={uploadGalleryImage}
+          saveGalleryItem={saveGalleryItem}
         />
-        <h3 className="text-center text-xl font-bold text-white mt-4">Lilro, Founder</h3>
-      </div>
+      )}
+    </div>
+  );
+};
 
-      <div className="md:w-2/3 text-gray-300 space-y-4">
-        <p className="text-xl font-semibold text-white">
-          My name is Lilro, and I run 2X Customs.
-        </p>
-        <p className="text-lg">
-          I specialize in transforming everyday footwear into wearable art—from full custom shoe designs using durable, flexible paints, to deep cleaning and restoring beat pairs into fresh heat.
-        </p>
-        <p className="text-lg border-l-4 border-red-600 pl-4 italic">
-          Fast turnaround. Affordable. High quality. I treat every pair like my own. Let's make some noise.
-        </p>
+// --- Review Moderation ---
+
+// Queue of customer reviews, pending first. Approving publishes a review on the home page;
+// hiding takes it down again.
+const ReviewModeration = ({ subscribeToReviews, moderateReview, navigate }) => {
+  const [reviews, setReviews] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [filter, setFilter] = useState('pending');
+  const [error, setError] = useState('');
+
+  useEffect(() => subscribeToReviews(
+    (next) => { setReviews(next); setIsLoading(false); },
+    (err) => { setError(`Could not load reviews: ${err.message}`); setIsLoading(false); }
+  ), [subscribeToReviews]);
+
+  const handleModerate = async (review, status) => {
+    setError('');
+    const result = await moderateReview(review, status);
+    if (!result.success) setError(`Could not update the review from ${review.displayName}: ${result.error}`);
+  };
+
+  const visible = reviews.filter(review => review.status === filter);
+  const summary = summarizeRatings(reviews.filter(review => review.status === 'approved'));
+
+  return (
+    <div className="container mx-auto p-4 md:p-10 max-w-5xl">
+      <SectionTitle>Reviews</SectionTitle>
+      <AdminTabs activePage="reviewModeration" navigate={navigate} />
+
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <div className="flex rounded-lg overflow-hidden border border-gray-700" role="group" aria-label="Review status">
+          {REVIEW_STATUSES.map(({ value, label }) => (
+            <button
+              key={value}
+              onClick={() => setFilter(value)}
+              aria-pressed={filter === value}
+              className={`px-4 py-1.5 text-sm font-medium ${filter === value ? 'bg-red-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}
+            >
+              {label} ({reviews.filter(review => review.status === value).length})
+            </button>
+          ))}
+        </div>
+        {summary.count > 0 && (
+          <span className="flex items-center gap-2 text-sm text-gray-400">
+            <StarRating value={summary.average} /> {summary.average.toFixed(1)} average from {summary.count} published
+          </span>
+        )}
       </div>
+      {error && <div className="mb-4 text-sm text-red-400" role="alert">{error}</div>}
+
+      {isLoading ? (
+        <div className="text-center text-red-500 text-xl p-10">Loading reviews...</div>
+      ) : !visible.length ? (
+        <p className="text-center text-gray-500 p-10">No {REVIEW_STATUSES.find(s => s.value === filter).label.toLowerCase()} reviews.</p>
+      ) : (
+        <ul className="space-y-4">
+          {visible.map(review => (
+            <li key={review.id} className="p-5 bg-gray-900 rounded-xl border border-gray-800 flex flex-col sm:flex-row gap-5">
+              {review.photo && <img src={review.photo.url} alt="" className="w-full sm:w-32 h-32 object-cover rounded-lg" />}
+              <div className="flex-1">
+                <div className="flex flex-wrap items-center gap-3">
+                  <StarRating value={review.rating} />
+                  <span className="text-white font-semibold">{review.displayName}</span>
+                  <span className="text-xs text-gray-500">{formatTimestamp(review.createdAt)}</span>
+                  {review.shoeModel && <span className="text-xs text-gray-400">{review.shoeModel}</span>}
+                </div>
+                <p className="text-gray-300 mt-2 whitespace-pre-wrap">{review.text}</p>
+              </div>
+              <div className="flex sm:flex-col gap-2 flex-shrink-0">
+                {review.status !== 'approved' && (
+                  <button type="button" onClick={() => handleModerate(review, 'approved')} className="px-3 py-2 rounded bg-green-700 text-sm text-white hover:bg-green-600">Approve</button>
+                )}
+                {review.status !== 'hidden' && (
+                  <button type="button" onClick={() => handleModerate(review, 'hidden')} className="px-3 py-2 rounded bg-gray-800 text-sm text-gray-200 hover:bg-gray-700">Hide</button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
     </div>
-  </div>
-);
+  );
+};
 
-const ContactForm = ({ addSubmission }) => {
-  const [form, setForm] = useState({ name: '', email: '', message: '' });
-  const [isSubmitting, setIsSubmitting] = useState(false);
-  const [modalOpen, setModalOpen] = useState(false);
+// --- Admin Accounts ---
+
+// Manages the Firestore admin allowlist. Accounts themselves are created in Firebase
+// Authentication; an account becomes an admin once its user id is added here.
+const AdminAccounts = ({ subscribeToAdmins, addAdmin, removeAdmin, currentUser, navigate }) => {
+  const [admins, setAdmins] = useState([]);
+  const [form, setForm] = useState({ uid: '', email: '' });
+  const [state, setState] = useState(null);
+
+  useEffect(() => subscribeToAdmins(setAdmins, (err) => setState({ error: `Could not load admins: ${err.message}` })), [subscribeToAdmins]);
 
   const handleChange = (e) => {
     const { name, value } = e.target;
     setForm(prev => ({ ...prev, [name]: value }));
   };
 
-  const handleSubmit = async (e) => {
+  const handleAdd = async (e) => {
     e.preventDefault();
-    setIsSubmitting(true);
-    
-    const submissionData = {
-      type: 'contact_message',
-      name: form.name,
-      email: form.email,
-      message: form.message,
-    };
-
-    const result = await addSubmission(submissionData);
-    
+    setState({ busy: true });
+    const result = await addAdmin({ uid: form.uid.trim(), email: form.email.trim() });
     if (result.success) {
-      setModalOpen(true);
-      setForm({ name: '', email: '', message: '' }); // Reset form
+      setForm({ uid: '', email: '' });
+      setState(null);
     } else {
-      console.error("Submission failed:", result.error);
-      alert("Submission failed. Check console for details.");
+      setState({ error: result.error });
     }
-    
-    setIsSubmitting(false);
   };
 
+  const handleRemove = async (admin) => {
+    if (!window.confirm(`Remove admin access for ${admin.email || admin.uid}?`)) return;
+    const result = await removeAdmin(admin.uid);
+    if (!result.success) setState({ error: result.error });
+  };
+
+  const inputClass = "p-3 rounded-lg bg-gray-800 text-white border border-gray-700 focus:border-red-500 focus:ring-red-500";
+
   return (
-    <div className="container mx-auto p-4 md:p-10 max-w-2xl">
-      <Modal 
-        isOpen={modalOpen} 
-        onClose={() => setModalOpen(false)} 
-        title="Message Sent!"
-      >
-        <p className="text-gray-300 text-lg flex items-center">
-          <CheckCircle className="w-6 h-6 text-green-500 mr-3" />
-          Got it! Thanks for reaching out. I'll reply to your email soon.
-        </p>
-      </Modal>
+    <div className="container mx-auto p-4 md:p-10 max-w-4xl">
+      <SectionTitle>Admins</SectionTitle>
+      <AdminTabs activePage="adminAccounts" navigate={navigate} />
 
-      <SectionTitle>Get In Touch</SectionTitle>
-      <div className="bg-gray-900 p-8 rounded-xl shadow-2xl border border-red-600/50">
-        <p className="text-gray-400 mb-6 text-center">
-          Have a question about pricing, turnaround time, or a special request? Drop me a line!
+      <div className="bg-gray-900 p-6 rounded-xl shadow-2xl border border-red-600/50 space-y-6">
+        <p className="text-gray-400 text-sm">
+          Create the account under Authentication in the Firebase console, then add its user id here.
+          Accounts with the <code className="text-red-400">admin</code> custom claim are admins too and aren't listed.
+          You are signed in as <span className="text-white">{currentUser?.email}</span> (<code className="text-gray-300">{currentUser?.uid}</code>).
         </p>
-        <form onSubmit={handleSubmit} className="space-y-6">
-          <div>
-            <label htmlFor="contactName" className="block text-sm font-medium text-white mb-1">Name</label>
-            <input type="text" id="contactName" name="name" value={form.name} onChange={handleChange} required className="w-full p-3 rounded-lg bg-gray-800 text-white border border-gray-700 focus:border-red-500 focus:ring-red-500"/>
-          </div>
-          <div>
-            <label htmlFor="contactEmail" className="block text-sm font-medium text-white mb-1">Email</label>
-            <input type="email" id="contactEmail" name="email" value={form.email} onChange={handleChange} required className="w-full p-3 rounded-lg bg-gray-800 text-white border border-gray-700 focus:border-red-500 focus:ring-red-500"/>
-          </div>
-          <div>
-            <label htmlFor="contactMessage" className="block text-sm font-medium text-white mb-1">Message</label>
-            <textarea id="contactMessage" name="message" value={form.message} onChange={handleChange} required rows="5" className="w-full p-3 rounded-lg bg-gray-800 text-white border border-gray-700 focus:border-red-500 focus:ring-red-500"></textarea>
-          </div>
-          
-          <Button type="submit" variant="primary" className="w-full text-xl mt-6" disabled={isSubmitting}>
-            {isSubmitting ? 'Sending Message...' : 'Send Message'}
-          </Button>
+
+        <ul className="divide-y divide-gray-800">
+          {admins.map(admin => (
+            <li key={admin.uid} className="flex items-center justify-between gap-4 py-3">
+              <div>
+                <div className="text-white">{admin.email || '—'}</div>
+                <code className="text-xs text-gray-500">{admin.uid}</code>
+              </div>
+              {admin.uid === currentUser?.uid ? (
+                <span className="text-xs text-gray-500">You</span>
+              ) : (
+                <button type="button" onClick={() => handleRemove(admin)} title="Remove admin" className="text-gray-400 hover:text-red-500"><Trash2 className="w-4 h-4" /></button>
+              )}
+            </li>
+          ))}
+          {!admins.length && <li className="py-3 text-sm text-gray-500">No allowlisted admins.</li>}
+        </ul>
+
+        <form onSubmit={handleAdd} className="grid grid-cols-1 sm:grid-cols-5 gap-3 items-end">
+          <input aria-label="User id" name="uid" value={form.uid} onChange={handleChange} required placeholder="Firebase user id" className={`${inputClass} sm:col-span-2`} />
+          <input aria-label="Email" type="email" name="email" value={form.email} onChange={handleChange} required placeholder="Email (for reference)" className={`${inputClass} sm:col-span-2`} />
+          <Button type="submit" variant="primary" disabled={state?.busy}>Add Admin</Button>
         </form>
-        <div className="mt-8 text-center text-gray-500 text-sm flex items-center justify-center">
-          <MapPin className="w-4 h-4 mr-2"/> Based in NYC Metro Area, Shipping Nationwide
-        </div>
+        {state?.error && <p className="text-sm text-red-400" role="alert">{state.error}</p>}
       </div>
     </div>
   );
 };
 
+// --- Email Templates ---
+// Edits the emails sent by the Cloud Functions in functions/. A saved template overrides the
+// default; "Reset to default" deletes it again.
 
-const SubmissionsDashboard = ({ fetchSubmissions }) => {
-  const [submissions, setSubmissions] = useState([]);
-  const [isLoading, setIsLoading] = useState(true);
+const EMAIL_VARIABLE_NAMES = EMAIL_TEMPLATE_VARIABLES.map(variable => variable.name);
 
-  useEffect(() => {
-    const loadSubmissions = async () => {
-      setIsLoading(true);
-      const data = await fetchSubmissions();
-      setSubmissions(data);
-      setIsLoading(false);
-    };
-    loadSubmissions();
-    // Note: In a production app, we would use onSnapshot for real-time updates here.
-  }, [fetchSubmissions]);
-  
-  const customBookings = submissions.filter(s => s.type === 'custom_booking');
-  const contactMessages = submissions.filter(s => s.type === 'contact_message');
+const EmailTemplatesManager = ({ subscribeToEmailTemplates, saveEmailTemplate, resetEmailTemplate, navigate }) => {
+  const [saved, setSaved] = useState({});
+  const [templateId, setTemplateId] = useState(EMAIL_TEMPLATE_IDS[0]);
+  const [draft, setDraft] = useState(null); // unsaved edits to the selected template
+  const [previewType, setPreviewType] = useState('custom_booking');
+  const [state, setState] = useState(null);
+  const bodyRef = useRef(null);
+
+  useEffect(() => subscribeToEmailTemplates(setSaved, (err) => setState({ error: `Could not load templates: ${err.message}` })), [subscribeToEmailTemplates]);
+
+  const defaults = DEFAULT_EMAIL_TEMPLATES[templateId];
+  const template = draft || { ...defaults, ...saved[templateId] };
+  const isEnabled = template.enabled !== false;
+
+  const selectTemplate = (id) => {
+    if (draft && !window.confirm('Discard your unsaved changes?')) return;
+    setDraft(null);
+    setState(null);
+    setTemplateId(id);
+  };
+
+  const updateDraft = (changes) => {
+    setDraft({ subject: template.subject, body: template.body, enabled: isEnabled, ...changes });
+    setState(null);
+  };
+
+  // Inserts the placeholder at the cursor in the body.
+  const insertVariable = (name) => {
+    const token = `{{${name}}}`;
+    const textarea = bodyRef.current;
+    const start = textarea ? textarea.selectionStart : template.body.length;
+    const end = textarea ? textarea.selectionEnd : start;
+    updateDraft({ body: template.body.slice(0, start) + token + template.body.slice(end) });
+    requestAnimationFrame(() => {
+      if (!textarea) return;
+      textarea.focus();
+      textarea.setSelectionRange(start + token.length, start + token.length);
+    });
+  };
+
+  const handleSave = async () => {
+    setState({ busy: true });
+    const result = await saveEmailTemplate(templateId, { subject: template.subject, body: template.body, enabled: isEnabled });
+    if (result.success) {
+      setDraft(null);
+      setState({ message: 'Template saved.' });
+    } else {
+      setState({ error: result.error });
+    }
+  };
+
+  const handleReset = async () => {
+    if (!window.confirm(`Reset "${defaults.label}" to the default template?`)) return;
+    setState({ busy: true });
+    const result = saved[templateId] ? await resetEmailTemplate(templateId) : { success: true };
+    if (result.success) {
+      setDraft(null);
+      setState({ message: 'Default template restored.' });
+    } else {
+      setState({ error: result.error });
+    }
+  };
+
+  const unknownVariables = [...new Set([...`${template.subject}\n${template.body}`.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(match => match[1]))]
+    .filter(name => !EMAIL_VARIABLE_NAMES.includes(name));
+
+  // Status updates are only sent for bookings.
+  const previewTypes = templateId === 'customerStatusUpdate' ? ['custom_booking', 'cleaning_booking'] : Object.keys(SAMPLE_SUBMISSIONS);
+  const activePreviewType = previewTypes.includes(previewType) ? previewType : previewTypes[0];
+  const previewSubmission = SAMPLE_SUBMISSIONS[activePreviewType];
+  const preview = renderEmailTemplate(template, getTemplateData(previewSubmission, { siteUrl: window.location.origin, previousStatus: 'Accepted', messageText: SAMPLE_MESSAGE_TEXT }));
+
+  const inputClass = "w-full p-3 rounded-lg bg-gray-800 text-white border border-gray-700 focus:border-red-500 focus:ring-red-500";
 
   return (
     <div className="container mx-auto p-4 md:p-10">
-      <SectionTitle>Admin Dashboard</SectionTitle>
-      <p className="text-gray-400 text-center mb-8">All form submissions are stored here in Firestore (acting as your backend dashboard).</p>
-      
-      {isLoading ? (
-        <div className="text-center text-red-500 text-xl p-10">Loading submissions...</div>
-      ) : (
-        <div className="space-y-12">
-          
-          {/* Custom Bookings Table */}
-          <div className="bg-gray-900 p-6 rounded-xl shadow-2xl border border-red-600/50">
-            <h3 className="text-2xl font-bold text-red-400 mb-4 flex items-center"><Brush className="w-6 h-6 mr-2"/> Custom Booking Requests ({customBookings.length})</h3>
-            <div className="overflow-x-auto">
-              <table className="min-w-full divide-y divide-gray-700">
-                <thead>
-                  <tr className="bg-gray-800">
-                    <th className="px-6 py-3 text-left text-xs font-medium text-white uppercase tracking-wider">Date</th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-white uppercase tracking-wider">Name/Email</th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-white uppercase tracking-wider">Shoe/Budget</th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-white uppercase tracking-wider">Design Request</th>
-                  </tr>
-                </thead>
-                <tbody className="divide-y divide-gray-800">
-                  {customBookings.map(s => (
-                    <tr key={s.id} className="hover:bg-gray-800/50">
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-400">{s.timestamp}</td>
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        <div className="text-white font-semibold">{s.name}</div>
-                        <div className="text-red-400 text-xs">{s.email}</div>
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        <div className="text-gray-300">{s.shoeModel}</div>
-                        <div className="text-red-500 font-bold text-sm">{s.budget}</div>
-                      </td>
-                      <td className="px-6 py-4 max-w-xs overflow-hidden truncate text-sm text-gray-400" title={s.designRequest}>{s.designRequest}</td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
+      <SectionTitle>Emails</SectionTitle>
+      <AdminTabs activePage="emailTemplates" navigate={navigate} />
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+        <nav className="space-y-2" aria-label="Email templates">
+          {EMAIL_TEMPLATE_IDS.map(id => (
+            <button
+              key={id}
+              type="button"
+              onClick={() => selectTemplate(id)}
+              aria-current={id === templateId ? 'true' : undefined}
+              className={`w-full text-left p-4 rounded-lg border transition-colors ${id === templateId ? 'bg-gray-800 border-red-600' : 'bg-gray-900 border-gray-800 hover:border-gray-600'}`}
+            >
+              <span className="block text-white font-semibold">{DEFAULT_EMAIL_TEMPLATES[id].label}</span>
+              <span className="block text-xs text-gray-500 mt-1">
+                {saved[id] ? 'Customized' : 'Default'}{saved[id]?.enabled === false && ' · Off'}
+              </span>
+            </button>
+          ))}
+        </nav>
+
+        <div className="lg:col-span-2 bg-gray-900 p-6 rounded-xl shadow-2xl border border-red-600/50 space-y-4">
+          <p className="text-sm text-gray-400">{defaults.description}</p>
+          <label className="flex items-center space-x-2 text-sm text-gray-300 cursor-pointer">
+            <input type="checkbox" checked={isEnabled} onChange={(e) => updateDraft({ enabled: e.target.checked })} className="accent-red-600" />
+            <span>Send this email</span>
+          </label>
+          <div>
+            <label htmlFor="emailSubject" className="block text-sm font-medium text-white mb-1">Subject</label>
+            <input id="emailSubject" value={template.subject} onChange={(e) => updateDraft({ subject: e.target.value })} className={inputClass} />
           </div>
-          
-          {/* Contact Messages Table */}
-          <div className="bg-gray-900 p-6 rounded-xl shadow-2xl border border-red-600/50">
-            <h3 className="text-2xl font-bold text-red-400 mb-4 flex items-center"><MessageCircle className="w-6 h-6 mr-2"/> Contact Messages ({contactMessages.length})</h3>
-            <div className="overflow-x-auto">
-              <table className="min-w-full divide-y divide-gray-700">
-                <thead>
-                  <tr className="bg-gray-800">
-                    <th className="px-6 py-3 text-left text-xs font-medium text-white uppercase tracking-wider">Date</th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-white uppercase tracking-wider">Name/Email</th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-white uppercase tracking-wider">Message</th>
-                  </tr>
-                </thead>
-                <tbody className="divide-y divide-gray-800">
-                  {contactMessages.map(s => (
-                    <tr key={s.id} className="hover:bg-gray-800/50">
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-400">{s.timestamp}</td>
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        <div className="text-white font-semibold">{s.name}</div>
-                        <div className="text-red-400 text-xs">{s.email}</div>
-                      </td>
-                      <td className="px-6 py-4 max-w-xs overflow-hidden truncate text-sm text-gray-400" title={s.message}>{s.message}</td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
+          <div>
+            <label htmlFor="emailBody" className="block text-sm font-medium text-white mb-1">Body</label>
+            <textarea id="emailBody" ref={bodyRef} value={template.body} onChange={(e) => updateDraft({ body: e.target.value })} rows="14" className={`${inputClass} font-mono text-sm`}></textarea>
+          </div>
+          <div>
+            <p className="text-xs text-gray-500 mb-2">Insert a placeholder:</p>
+            <div className="flex flex-wrap gap-2">
+              {EMAIL_TEMPLATE_VARIABLES.map(variable => (
+                <button key={variable.name} type="button" onClick={() => insertVariable(variable.name)} title={variable.description} className="px-2 py-1 rounded bg-gray-800 text-xs font-mono text-red-300 hover:bg-gray-700">
+                  {`{{${variable.name}}}`}
+                </button>
+              ))}
             </div>
           </div>
+          {unknownVariables.length > 0 && (
+            <p className="text-sm text-yellow-400" role="alert">Unknown placeholders will be left empty: {unknownVariables.map(name => `{{${name}}}`).join(', ')}</p>
+          )}
+          <div className="flex flex-wrap items-center gap-3">
+            <Button type="button" variant="primary" onClick={handleSave} disabled={!draft || state?.busy}>Save Template</Button>
+            <Button type="button" variant="ghost" onClick={handleReset} disabled={(!draft && !saved[templateId]) || state?.busy}>Reset to Default</Button>
+            {draft && <span className="text-sm text-yellow-400">Unsaved changes</span>}
+          </div>
+          {state?.message && <p className="text-sm text-green-400">{state.message}</p>}
+          {state?.error && <p className="text-sm text-red-400" role="alert">{state.error}</p>}
         </div>
-      )}
+
+        <div className="bg-gray-900 p-6 rounded-xl shadow-2xl border border-gray-800 space-y-3">
+          <div className="flex items-center justify-between gap-2">
+            <h3 className="text-lg font-bold text-white">Preview</h3>
+            <select aria-label="Preview with" value={activePreviewType} onChange={(e) => setPreviewType(e.target.value)} className="p-2 rounded-lg bg-gray-800 text-white text-sm border border-gray-700">
+              {previewTypes.map(type => <option key={type} value={type}>{SUBMISSION_TYPE_LABELS[type]}</option>)}
+            </select>
+          </div>
+          {!isEnabled && <p className="text-sm text-yellow-400">This email is turned off and won't be sent.</p>}
+          <dl className="text-sm space-y-1">
+            <div className="flex space-x-2"><dt className="text-gray-500">To:</dt><dd className="text-gray-300">{templateId === 'ownerNewSubmission' ? 'OWNER_EMAIL' : previewSubmission.email}</dd></div>
+            <div className="flex space-x-2"><dt className="text-gray-500">Subject:</dt><dd className="text-white font-semibold">{preview.subject}</dd></div>
+          </dl>
+          {/* textToHtml escapes the text, so the preview can't inject markup. */}
+          <div className="p-4 rounded-lg bg-white text-gray-900 text-sm space-y-3 break-words [&_a]:text-red-700 [&_a]:underline" dangerouslySetInnerHTML={{ __html: textToHtml(preview.body) }} />
+        </div>
+      </div>
     </div>
   );
 };
 
-
 // --- App Structure Components ---
 
 const Header = ({ navigate, activePage, adminAuth, onOpenAdmin, onLogoutAdmin }) => {
   const [menuOpen, setMenuOpen] = useState(false);
 
   return (
-    <header className="sticky top-0 z-40 bg-gray-950/95 backdrop-blur-sm shadow-xl border-b border-red-600/50">
+    <header className="sticky top-0 z-40 bg-gray-950/95 backdrop-blur-sm shadow-xl border-b border-red-600/50 print:hidden">
       <div className="container mx-auto flex justify-between items-center p-4 md:p-6">
         {/* Logo */}
         <div className="flex items-center space-x-2 cursor-pointer" onClick={() => navigate('home')}>
@@ -885,7 +8369,8 @@ const Header = ({ navigate, activePage, adminAuth, onOpenAdmin, onLogoutAdmin })
 
         {/* Desktop Nav */}
         <nav className="hidden md:flex space-x-6 items-center">
-          {Object.entries(PAGE_ROUTES).map(([key, { title }]) => (
+          {Object.entries(PAGE_ROUTES).map(([key, { title, adminOnly, hideInNav }]) => (
+            !hideInNav && (!adminOnly || adminAuth) && (
             <button
               key={key}
               onClick={() => navigate(key)}
@@ -894,6 +8379,7 @@ const Header = ({ navigate, activePage, adminAuth, onOpenAdmin, onLogoutAdmin })
               {title}
               <span className={`absolute bottom-0 left-0 w-full h-[3px] bg-red-600 transition-transform duration-300 ${activePage === key ? 'scale-x-100' : 'scale-x-0 group-hover:scale-x-75'}`}></span>
             </button>
+            )
           ))}
           {adminAuth && (
             <Button variant="ghost" onClick={onLogoutAdmin} className="ml-4">Logout</Button>
@@ -916,9 +8402,9 @@ const Header = ({ navigate, activePage, adminAuth, onOpenAdmin, onLogoutAdmin })
       {/* Mobile Menu Drawer */}
       <div className={`md:hidden bg-gray-900/95 backdrop-blur-sm transition-all duration-300 ${menuOpen ? 'max-h-96 opacity-100 p-4' : 'max-h-0 opacity-0 overflow-hidden'}`}>
         <nav className="flex flex-col space-y-2">
-          {Object.entries(PAGE_ROUTES).map(([key, { title, icon: Icon }]) => (
-            // Hide submissions link in mobile menu unless adminAuth is true
-            (key !== 'submissions' || adminAuth) && (
+          {Object.entries(PAGE_ROUTES).map(([key, { title, icon: Icon, adminOnly, hideInNav }]) => (
+            // Hide admin-only links unless adminAuth is true
+            !hideInNav && (!adminOnly || adminAuth) && (
             <button
               key={key}
               onClick={() => { navigate(key); setMenuOpen(false); }}
@@ -938,7 +8424,7 @@ const Header = ({ navigate, activePage, adminAuth, onOpenAdmin, onLogoutAdmin })
 };
 
 const Footer = ({ navigate }) => (
-  <footer className="bg-gray-900 border-t border-red-600/50 py-10">
+  <footer className="bg-gray-900 border-t border-red-600/50 py-10 print:hidden">
     <div className="container mx-auto px-4 grid grid-cols-2 md:grid-cols-4 gap-8">
       {/* Brand Info */}
       <div className="col-span-2 md:col-span-1">
@@ -953,6 +8439,7 @@ const Footer = ({ navigate }) => (
           <button onClick={() => navigate('custom')} className="text-gray-400 hover:text-red-400 text-sm transition-colors text-left">Book a Custom</button>
           <button onClick={() => navigate('cleaning')} className="text-gray-400 hover:text-red-400 text-sm transition-colors text-left">Cleaning Services</button>
           <button onClick={() => navigate('pricing')} className="text-gray-400 hover:text-red-400 text-sm transition-colors text-left">Pricing Table</button>
+          <button onClick={() => navigate('track')} className="text-gray-400 hover:text-red-400 text-sm transition-colors text-left">Track My Order</button>
         </nav>
       </div>
       
@@ -983,34 +8470,77 @@ const Footer = ({ navigate }) => (
 // --- Main Application Component ---
 
 const App = () => {
-  const [page, setPage] = useState('home');
-  const { isReady, addSubmission, fetchSubmissions, userId, signInAdminWithEmail, signOutAdmin, currentUser } = useFirebase();
+  const { page, params, search, navigate } = useRouter();
+  const { isReady, isOnline, addSubmission, pendingSubmissions, sentSubmissions, retryPendingSubmissions, discardPendingSubmission, dismissSentSubmission, uploadReferenceImage, fetchSubmissions, fetchAllSubmissions, subscribeToSubmissions, updateSubmissionStatus, addSubmissionNote, saveQuote, respondToQuote, importSubmissions, setSubmissionSpam, deleteSubmissions, subscribeToPriceCatalog, savePriceCatalog, subscribeToGallery, uploadGalleryImage, saveGalleryItem, deleteGalleryItem, reorderGallery, submitReview, subscribeToApprovedReviews, subscribeToReviews, moderateReview, lookupOrder, subscribeToTrackedOrder, userId, signInAdminWithEmail, sendAdminPasswordReset, signOutAdmin, subscribeToAdmins, addAdmin, removeAdmin, subscribeToEmailTemplates, saveEmailTemplate, resetEmailTemplate, subscribeToThread, subscribeToUnreadThreads, sendThreadMessage, markThreadRead, subscribeToAvailability, saveAvailability, subscribeToBookedDays, subscribeToAppointments, bookPickup, cancelAppointment, saveShipping, subscribeToShipInSettings, saveShipInSettings, createInvoice, updateInvoice, subscribeToInvoice, subscribeToCustomerInvoices, isAdmin, adminSessionExpired, currentUser } = useFirebase();
 
-  const navigate = (newPage) => setPage(newPage);
+  // Live price catalog, falling back to the bundled one until Firestore has a catalog.
+  const [priceCatalog, setPriceCatalog] = useState({ items: DEFAULT_PRICE_CATALOG, isBundled: true });
+  useEffect(() => {
+    if (!isReady) return undefined;
+    return subscribeToPriceCatalog(items => setPriceCatalog(items ? { items, isBundled: false } : { items: DEFAULT_PRICE_CATALOG, isBundled: true }));
+  }, [isReady, subscribeToPriceCatalog]);
 
-  // Admin auth state (persisted to localStorage)
-  const [adminAuth, setAdminAuth] = useState(() => {
-    try {
-      return localStorage.getItem('2x_admin_auth') === 'true';
-    } catch (e) {
-      return false;
-    }
-  });
+  // Live gallery, showing the placeholder items while it is empty.
+  const [gallery, setGallery] = useState({ items: DEFAULT_GALLERY_ITEMS, isBundled: true, isLoaded: false });
+  useEffect(() => {
+    if (!isReady) return undefined;
+    return subscribeToGallery(
+      items => setGallery(items ? { items, isBundled: false, isLoaded: true } : { items: DEFAULT_GALLERY_ITEMS, isBundled: true, isLoaded: true }),
+      () => setGallery(prev => ({ ...prev, isLoaded: true }))
+    );
+  }, [isReady, subscribeToGallery]);
+
+  // Drop-off and pickup availability; null until an admin saves it (online booking off).
+  const [availability, setAvailability] = useState(null);
+  useEffect(() => {
+    if (!isReady) return undefined;
+    return subscribeToAvailability(setAvailability);
+  }, [isReady, subscribeToAvailability]);
+  const scheduling = useMemo(() => ({ availability, subscribeToBookedDays, isOnline }), [availability, subscribeToBookedDays, isOnline]);
+
+  // Ship-in address and packing notes for the mail-in instructions.
+  const [shipInSettings, setShipInSettings] = useState(() => normalizeShipInSettings(null));
+  useEffect(() => {
+    if (!isReady) return undefined;
+    return subscribeToShipInSettings(setShipInSettings);
+  }, [isReady, subscribeToShipInSettings]);
+
+  const [approvedReviews, setApprovedReviews] = useState([]);
+  useEffect(() => {
+    if (!isReady) return undefined;
+    return subscribeToApprovedReviews(setApprovedReviews);
+  }, [isReady, subscribeToApprovedReviews]);
+
+  useEffect(() => {
+    const title = PAGE_ROUTES[page]?.title || 'Page Not Found';
+    document.title = page === 'home' ? '2X Customs | Custom Shoes, Cleaning & Restoration' : `${title} | 2X Customs`;
+  }, [page]);
+
+  // Admin access comes from the signed-in Firebase user (see resolveAdminAccess).
+  const adminAuth = isAdmin;
   const [adminModalOpen, setAdminModalOpen] = useState(false);
 
+  // Prompt to sign in again when an admin session runs out.
+  useEffect(() => {
+    if (adminSessionExpired) setAdminModalOpen(true);
+  }, [adminSessionExpired]);
+
   const handleAdminSuccess = useCallback(() => {
-    setAdminAuth(true);
-    try { localStorage.setItem('2x_admin_auth', 'true'); } catch (e) {}
-    setPage('submissions');
-  }, []);
+    if (!PAGE_ROUTES[page]?.adminOnly) navigate('submissions');
+  }, [navigate, page]);
 
   const handleLogoutAdmin = useCallback(async () => {
-    setAdminAuth(false);
-    try { localStorage.removeItem('2x_admin_auth'); } catch (e) {}
-    // If Firebase sign-out helper exists, call it
-    try { if (signOutAdmin) await signOutAdmin(); } catch (e) { /* ignore */ }
-    setPage('home');
-  }, [signOutAdmin]);
+    await signOutAdmin();
+    navigate('home', {}, { replace: true });
+  }, [signOutAdmin, navigate]);
+
+  // Admin-only pages fall back to a prompt to sign in.
+  const requireAdmin = (content) => (adminAuth ? content : (
+    <div className="container mx-auto p-10 text-center">
+      <p className="text-gray-300 mb-4">Admin access required to view this page.</p>
+      <Button onClick={() => setAdminModalOpen(true)} variant="primary" icon={Lock}>Admin Sign In</Button>
+    </div>
+  ));
 
   const renderPage = () => {
     // Show a loading screen while Firebase initializes
@@ -1024,33 +8554,52 @@ const App = () => {
     
     switch (page) {
       case 'custom':
-        return <CustomForm addSubmission={addSubmission} />;
+        return <CustomForm addSubmission={addSubmission} uploadReferenceImage={uploadReferenceImage} navigate={navigate} catalog={priceCatalog.items} scheduling={scheduling} />;
       case 'cleaning':
-        return <CleaningPage navigate={navigate} />;
+        return <CleaningPage navigate={navigate} catalog={priceCatalog.items} galleryItems={gallery.items} />;
+      case 'cleaningBooking':
+        return <CleaningBookingForm addSubmission={addSubmission} navigate={navigate} catalog={priceCatalog.items} scheduling={scheduling} />;
       case 'gallery':
-        return <GalleryPage />;
+        return <GalleryPage navigate={navigate} itemId={params.itemId} items={gallery.items} isLoading={!gallery.isLoaded} />;
       case 'pricing':
-        return <PricingPage navigate={navigate} />;
+        return <PricingPage navigate={navigate} catalog={priceCatalog.items} />;
       case 'about':
         return <AboutPage />;
       case 'contact':
-        return <ContactForm addSubmission={addSubmission} />;
+        return <ContactForm addSubmission={addSubmission} navigate={navigate} />;
+      case 'track':
+        return <TrackOrderPage lookupOrder={lookupOrder} respondToQuote={respondToQuote} submitReview={submitReview} bookPickup={bookPickup} uploadReferenceImage={uploadReferenceImage} scheduling={scheduling} search={search} navigate={navigate} />;
+      case 'mailIn':
+        return <MailInInstructionsPage trackingId={params.trackingId} subscribeToTrackedOrder={subscribeToTrackedOrder} shipInSettings={shipInSettings} navigate={navigate} />;
+      case 'messages':
+        return <CustomerThreadPage threadId={params.threadId} subscribeToThread={subscribeToThread} sendThreadMessage={sendThreadMessage} markThreadRead={markThreadRead} uploadReferenceImage={uploadReferenceImage} navigate={navigate} />;
       case 'submissions':
-        // Require admin authentication to view submissions dashboard
-        return adminAuth ? <SubmissionsDashboard fetchSubmissions={fetchSubmissions} userId={userId} /> : (
-          <div className="container mx-auto p-10 text-center">
-            <p className="text-gray-300 mb-4">Admin access required to view this page.</p>
-            <Button onClick={() => setAdminModalOpen(true)} variant="primary">Enter Admin Password</Button>
-          </div>
-        );
+        return requireAdmin(<SubmissionsDashboard subscribeToSubmissions={subscribeToSubmissions} fetchSubmissions={fetchSubmissions} updateSubmissionStatus={updateSubmissionStatus} addSubmissionNote={addSubmissionNote} saveQuote={saveQuote} saveShipping={saveShipping} importSubmissions={importSubmissions} setSubmissionSpam={setSubmissionSpam} deleteSubmissions={deleteSubmissions} subscribeToUnreadThreads={subscribeToUnreadThreads} threadProps={{ subscribeToThread, sendThreadMessage, markThreadRead, uploadReferenceImage }} invoiceProps={{ subscribeToCustomerInvoices, createInvoice, navigate }} catalog={priceCatalog.items} search={search} navigate={navigate} userId={userId} />);
+      case 'analytics':
+        return requireAdmin(<AnalyticsDashboard fetchAllSubmissions={fetchAllSubmissions} search={search} navigate={navigate} />);
+      case 'invoice':
+        return requireAdmin(<InvoicePage invoiceId={params.invoiceId} subscribeToInvoice={subscribeToInvoice} updateInvoice={updateInvoice} shipInSettings={shipInSettings} navigate={navigate} />);
+      case 'appointments':
+        return requireAdmin(<AppointmentsManager availability={availability} subscribeToAppointments={subscribeToAppointments} cancelAppointment={cancelAppointment} saveAvailability={saveAvailability} shipInSettings={shipInSettings} saveShipInSettings={saveShipInSettings} navigate={navigate} />);
+      case 'galleryManager':
+        return requireAdmin(<GalleryManager items={gallery.items} isBundled={gallery.isBundled} uploadGalleryImage={uploadGalleryImage} saveGalleryItem={saveGalleryItem} deleteGalleryItem={deleteGalleryItem} reorderGallery={reorderGallery} navigate={navigate} />);
+      case 'reviewModeration':
+        return requireAdmin(<ReviewModeration subscribeToReviews={subscribeToReviews} moderateReview={moderateReview} navigate={navigate} />);
+      case 'emailTemplates':
+        return requireAdmin(<EmailTemplatesManager subscribeToEmailTemplates={subscribeToEmailTemplates} saveEmailTemplate={saveEmailTemplate} resetEmailTemplate={resetEmailTemplate} navigate={navigate} />);
+      case 'adminAccounts':
+        return requireAdmin(<AdminAccounts subscribeToAdmins={subscribeToAdmins} addAdmin={addAdmin} removeAdmin={removeAdmin} currentUser={currentUser} navigate={navigate} />);
+      case 'priceCatalog':
+        return requireAdmin(<PriceCatalogManager catalog={priceCatalog.items} isBundled={priceCatalog.isBundled} savePriceCatalog={savePriceCatalog} navigate={navigate} />);
       case 'home':
+        return <HomePage navigate={navigate} galleryItems={gallery.items} reviews={approvedReviews} />;
       default:
-        return <HomePage navigate={navigate} />;
+        return <NotFoundPage navigate={navigate} />;
     }
   };
 
   return (
-    <div className="min-h-screen bg-gray-950 text-white font-sans">
+    <div className="min-h-screen bg-gray-950 text-white font-sans print:bg-white">
       <style>{`
         /* Load Inter font from Google Fonts */
         @import url('https://fonts.googleapis.com/css2?family=Inter:wght@100..900&display=swap');
@@ -1058,19 +8607,38 @@ const App = () => {
           font-family: 'Inter', sans-serif;
           background-color: #0a0a0a;
         }
+        @media print {
+          body { background-color: #ffffff; }
+        }
         /* Custom SEO Metadata (Simulated) */
         head > title { content: "2X Customs | Custom Shoes, Cleaning & Restoration"; }
         head > meta[name="description"] { content: "Turn your kicks into art. High-quality custom shoe designs, deep cleaning, and restoration services."; }
         head > link[rel="icon"] { href: 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"><text y=".9em" font-size="90">👟</text></svg>'; }
       `}</style>
       
-      <Header navigate={navigate} activePage={page} adminAuth={adminAuth} onOpenAdmin={() => setAdminModalOpen(true)} onLogoutAdmin={handleLogoutAdmin} />
-      <AdminLogin isOpen={adminModalOpen} onClose={() => setAdminModalOpen(false)} onSuccess={handleAdminSuccess} signInWithEmail={signInAdminWithEmail} />
+      <Header navigate={navigate} activePage={PAGE_ROUTES[page]?.adminOnly ? 'submissions' : page} adminAuth={adminAuth} onOpenAdmin={() => setAdminModalOpen(true)} onLogoutAdmin={handleLogoutAdmin} />
+      <AdminLogin
+        isOpen={adminModalOpen}
+        onClose={() => setAdminModalOpen(false)}
+        onSuccess={handleAdminSuccess}
+        signInWithEmail={signInAdminWithEmail}
+        sendPasswordReset={sendAdminPasswordReset}
+        notice={adminSessionExpired ? 'Your admin session expired. Sign in again to continue.' : ''}
+      />
 
-      <main className="min-h-[70vh] py-10">
+      <main className="min-h-[70vh] py-10 print:py-0">
         {renderPage()}
       </main>
       <Footer navigate={navigate} />
+      <PendingSubmissionsBanner
+        pending={pendingSubmissions}
+        sent={sentSubmissions}
+        isOnline={isOnline}
+        onRetry={retryPendingSubmissions}
+        onDiscard={discardPendingSubmission}
+        onDismissSent={dismissSentSubmission}
+        navigate={navigate}
+      />
     </div>
   );
 };
@@ -0,0 +1,821 @@
+// Security rules tests for firestore.rules. They run against the Firestore emulator:
+//   npm run test:rules
+import { readFileSync } from 'node:fs';
+import { after, before, beforeEach, describe, test } from 'node:test';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import {
+  arrayUnion, collection, deleteDoc, doc, getDoc, getDocs, query, serverTimestamp, setDoc, Timestamp, updateDoc, where, writeBatch,
+} from 'firebase/firestore';
+import { BUDGET_OPTIONS, SUBMISSION_SCHEMAS } from '../functions/submissionSchema.js';
+
+const APP_ID = 'test-app';
+const TRACKING_ID = 'a'.repeat(64);
+const publicPath = (name) => `artifacts/${APP_ID}/public/data/${name}`;
+
+let testEnv;
+
+// Visitors sign in anonymously; admins use email/password. `auth_time` (seconds) is when the
+// account last entered its password.
+const nowInSeconds = () => Math.floor(Date.now() / 1000);
+const anonymousDb = (uid = 'visitor') => testEnv.authenticatedContext(uid, { firebase: { sign_in_provider: 'anonymous' } }).firestore();
+const accountDb = (uid, claims = {}) => testEnv.authenticatedContext(uid, { email: `${uid}@example.com`, firebase: { sign_in_provider: 'password' }, auth_time: nowInSeconds(), ...claims }).firestore();
+const allowlistedAdminDb = () => accountDb('owner');
+const claimAdminDb = () => accountDb('claim-admin', { admin: true });
+
+const seed = (path, data) => testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), path), data));
+
+const FINGERPRINT = 'f'.repeat(64);
+const rateLimitPath = (uid) => `artifacts/${APP_ID}/rateLimits/${uid}`;
+const secondsAgo = (seconds) => Timestamp.fromMillis(Date.now() - seconds * 1000);
+
+// Mirrors nextRateLimit for a visitor's first submission.
+const firstRateLimit = () => ({ lastSubmissionAt: serverTimestamp(), windowStart: serverTimestamp(), count: 1, recentFingerprints: [FINGERPRINT] });
+
+const contactMessage = (uid, overrides = {}) => ({
+  type: 'contact_message',
+  name: 'Sam Lee',
+  email: 'sam@example.com',
+  message: 'Do you do suede?',
+  fingerprint: FINGERPRINT,
+  userId: uid,
+  timestamp: serverTimestamp(),
+  ...overrides,
+});
+
+// Mirrors addSubmission for a contact message: the message and the visitor's rate limit doc
+// go in one batch. Pass `rateLimit: null` to leave the rate limit doc out.
+const sendContactMessage = (db, uid, overrides = {}, rateLimit = firstRateLimit()) => {
+  const batch = writeBatch(db);
+  batch.set(doc(collection(db, publicPath('submissions'))), contactMessage(uid, overrides));
+  if (rateLimit) batch.set(doc(db, rateLimitPath(uid)), rateLimit);
+  return batch.commit();
+};
+
+const BOOKING_FIELDS = {
+  custom_booking: {
+    shoeModel: 'Air Force 1',
+    designRequest: 'Red swoosh, black laces',
+    budget: BUDGET_OPTIONS[1],
+    referenceImages: [],
+  },
+  cleaning_booking: {
+    pairs: [{ shoeModel: 'Jordan 4', serviceId: 'deep', level: 'Deep Clean', problemAreas: ['Midsoles'], notes: '' }],
+    delivery: 'ship_in',
+    customerNotes: '',
+    estimate: { min: 40, max: 40 },
+  },
+};
+
+// An image as uploadImage saves it: the object in the uploader's folder and its download URL.
+const uploadedImage = (uid, name = 'photo.jpg') => {
+  const path = `artifacts/${APP_ID}/uploads/${uid}/${name}`;
+  return {
+    url: `https://firebasestorage.googleapis.com/v0/b/demo-2xcustoms.appspot.com/o/${encodeURIComponent(path)}?alt=media&token=0b6f3c1e-7d2a-4c5b-9e8f-1a2b3c4d5e6f`,
+    path,
+    name,
+    size: 120000,
+    contentType: 'image/jpeg',
+    width: 1600,
+    height: 1200,
+  };
+};
+
+// Mirrors addSubmission: the booking, its tracking doc and the rate limit doc go in one batch.
+const bookingBatch = (db, uid, { type = 'custom_booking', submissionId, submission = {}, tracking = {}, withTracking = true } = {}) => {
+  const submissionRef = submissionId ? doc(db, publicPath('submissions'), submissionId) : doc(collection(db, publicPath('submissions')));
+  const batch = writeBatch(db);
+  batch.set(submissionRef, {
+    type,
+    status: 'New',
+    name: 'Sam Lee',
+    email: 'sam@example.com',
+    ...BOOKING_FIELDS[type],
+    fingerprint: FINGERPRINT,
+    trackingCode: '2X-ABCD-EF23',
+    trackingId: TRACKING_ID,
+    userId: uid,
+    timestamp: serverTimestamp(),
+    ...submission,
+  });
+  batch.set(doc(db, rateLimitPath(uid)), firstRateLimit());
+  if (withTracking) {
+    batch.set(doc(db, publicPath('tracking'), TRACKING_ID), {
+      trackingCode: '2X-ABCD-EF23',
+      submissionId: submissionRef.id,
+      type,
+      firstName: 'Sam',
+      shoeModel: 'Air Force 1',
+      status: 'New',
+      statusHistory: [{ status: 'New', changedAt: Timestamp.now() }],
+      publicNotes: [],
+      userId: uid,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+      ...tracking,
+    });
+  }
+  return batch;
+};
+
+// An existing booking with a sent quote (or `status` / `quote` overrides) and its tracking doc.
+const seedOrder = async ({ status = 'Quoted', quote = { status: 'sent', total: 120, declineReason: '' } } = {}) => {
+  const shared = { status, quote, statusHistory: [{ status: 'New', changedAt: Timestamp.now() }] };
+  await seed(`${publicPath('submissions')}/order-1`, { type: 'custom_booking', name: 'Sam Lee', email: 'sam@example.com', trackingId: TRACKING_ID, userId: 'visitor', ...shared });
+  await seed(`${publicPath('tracking')}/${TRACKING_ID}`, { submissionId: 'order-1', type: 'custom_booking', shoeModel: 'Air Force 1', ...shared });
+};
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-2xcustoms',
+    firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') },
+  });
+});
+
+after(() => testEnv.cleanup());
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await seed(`artifacts/${APP_ID}/admins/owner`, { email: 'owner@example.com' });
+});
+
+describe('submissions', () => {
+  test('a visitor can send a contact message', async () => {
+    await assertSucceeds(sendContactMessage(anonymousDb(), 'visitor'));
+  });
+
+  test('rejects fields outside the whitelist', async () => {
+    await assertFails(sendContactMessage(anonymousDb(), 'visitor', { status: 'Completed' }));
+    await assertFails(sendContactMessage(anonymousDb(), 'visitor', { isAdmin: true }));
+  });
+
+  test("visitors can't mark a submission as imported to skip its emails", async () => {
+    await assertFails(sendContactMessage(anonymousDb(), 'visitor', { importedAt: serverTimestamp() }));
+    await assertFails(bookingBatch(anonymousDb(), 'visitor', { submission: { importedAt: serverTimestamp() } }).commit());
+  });
+
+  test('rejects unknown types, bad emails and oversized text', async () => {
+    const db = anonymousDb();
+    await assertFails(sendContactMessage(db, 'visitor', { type: 'refund_request' }));
+    await assertFails(sendContactMessage(db, 'visitor', { email: 'not-an-email' }));
+    await assertFails(sendContactMessage(db, 'visitor', { name: '' }));
+    await assertFails(sendContactMessage(db, 'visitor', { message: 'x'.repeat(5001) }));
+  });
+
+  test('length limits match SUBMISSION_SCHEMAS', async () => {
+    const { name, message } = SUBMISSION_SCHEMAS.contact_message;
+    await assertFails(sendContactMessage(anonymousDb(), 'visitor', { name: 'x'.repeat(name.maxLength + 1) }));
+    await assertFails(sendContactMessage(anonymousDb(), 'visitor', { message: 'x'.repeat(message.maxLength + 1) }));
+    await assertSucceeds(sendContactMessage(anonymousDb(), 'visitor', { name: 'x'.repeat(name.maxLength), message: 'x'.repeat(message.maxLength) }));
+  });
+
+  test('requires the caller as owner and a server timestamp', async () => {
+    const db = anonymousDb();
+    await assertFails(sendContactMessage(db, 'visitor', { userId: 'someone-else' }));
+    await assertFails(sendContactMessage(db, 'visitor', { timestamp: Timestamp.fromDate(new Date('2020-01-01')) }));
+  });
+
+  test('signed-out visitors cannot submit', async () => {
+    await assertFails(sendContactMessage(testEnv.unauthenticatedContext().firestore(), 'visitor'));
+  });
+
+  test('a booking is created together with its tracking doc', async () => {
+    await assertSucceeds(bookingBatch(anonymousDb(), 'visitor').commit());
+  });
+
+  test('a booking without a tracking doc is rejected', async () => {
+    await assertFails(bookingBatch(anonymousDb(), 'visitor', { withTracking: false }).commit());
+  });
+
+  test('bookings must start as New with valid values', async () => {
+    await assertFails(bookingBatch(anonymousDb(), 'visitor', { submission: { status: 'Completed' } }).commit());
+    await assertFails(bookingBatch(anonymousDb(), 'visitor', { submission: { budget: '$1' } }).commit());
+    await assertFails(bookingBatch(anonymousDb(), 'visitor', { tracking: { status: 'Completed' } }).commit());
+    await assertFails(bookingBatch(anonymousDb(), 'visitor', { submission: { trackingCode: 'nope' } }).commit());
+  });
+
+  test('cleaning bookings are validated too', async () => {
+    const cleaning = (submission) => bookingBatch(anonymousDb(), 'visitor', { type: 'cleaning_booking', submission }).commit();
+    await assertFails(cleaning({ delivery: 'teleport' }));
+    await assertFails(cleaning({ pairs: [] }));
+    await assertFails(cleaning({ designRequest: 'Custom fields belong to custom bookings' }));
+    // `notes` is the admin's notes list; the customer's text goes in `customerNotes`.
+    await assertFails(cleaning({ notes: 'Please hurry' }));
+    await assertSucceeds(cleaning({}));
+  });
+
+  test("reference images must be the visitor's own Storage uploads", async () => {
+    const withImages = (referenceImages) => bookingBatch(anonymousDb(), 'visitor', { submission: { referenceImages } }).commit();
+    const image = uploadedImage('visitor');
+    await assertFails(withImages([{ ...image, url: 'javascript:alert(1)' }]));
+    await assertFails(withImages([{ ...image, url: image.url.replace('firebasestorage.googleapis.com', 'evil.example') }]));
+    await assertFails(withImages([{ ...image, url: uploadedImage('visitor', 'other.jpg').url }]));
+    await assertFails(withImages([uploadedImage('someone-else')]));
+    await assertFails(withImages([{ ...image, onClick: 'steal()' }]));
+    await assertFails(withImages(['https://evil.example/photo.jpg']));
+    await assertSucceeds(withImages([image, uploadedImage('visitor', 'second.png')]));
+  });
+
+  test('visitors read only their own submissions', async () => {
+    await seed(`${publicPath('submissions')}/mine`, contactMessage('visitor', { timestamp: Timestamp.now() }));
+    await assertSucceeds(getDoc(doc(anonymousDb('visitor'), publicPath('submissions'), 'mine')));
+    await assertFails(getDoc(doc(anonymousDb('stranger'), publicPath('submissions'), 'mine')));
+  });
+
+  test('visitors can check whether a queued submission id was already written', async () => {
+    await assertSucceeds(getDoc(doc(anonymousDb('visitor'), publicPath('submissions'), 'not-sent-yet')));
+  });
+
+  test('only admins can list submissions', async () => {
+    await assertFails(getDocs(collection(anonymousDb(), publicPath('submissions'))));
+    await assertFails(getDocs(query(collection(anonymousDb(), publicPath('submissions')), where('userId', '==', 'visitor'))));
+    await assertFails(getDocs(collection(accountDb('not-an-admin'), publicPath('submissions'))));
+    await assertSucceeds(getDocs(collection(allowlistedAdminDb(), publicPath('submissions'))));
+    await assertSucceeds(getDocs(collection(claimAdminDb(), publicPath('submissions'))));
+  });
+
+  test('an anonymous session with an admin claim is still not an admin', async () => {
+    const db = testEnv.authenticatedContext('sneaky', { admin: true, firebase: { sign_in_provider: 'anonymous' } }).firestore();
+    await assertFails(getDocs(collection(db, publicPath('submissions'))));
+  });
+
+  test('admin access ends 12 hours after the last sign-in', async () => {
+    await assertSucceeds(getDocs(collection(accountDb('owner', { auth_time: nowInSeconds() - 11 * 60 * 60 }), publicPath('submissions'))));
+    await assertFails(getDocs(collection(accountDb('owner', { auth_time: nowInSeconds() - 13 * 60 * 60 }), publicPath('submissions'))));
+    await assertFails(getDocs(collection(accountDb('claim-admin', { admin: true, auth_time: nowInSeconds() - 13 * 60 * 60 }), publicPath('submissions'))));
+  });
+
+  test('only admins can change the status', async () => {
+    await seedOrder({ status: 'New', quote: { status: 'draft' } });
+    await assertFails(updateDoc(doc(anonymousDb(), publicPath('submissions'), 'order-1'), { status: 'Completed' }));
+    await assertSucceeds(updateDoc(doc(allowlistedAdminDb(), publicPath('submissions'), 'order-1'), { status: 'Completed' }));
+  });
+});
+
+describe('rate limits and spam flags', () => {
+  const seedRateLimit = (data) => seed(rateLimitPath('visitor'), { recentFingerprints: [], ...data });
+
+  test('every visitor submission must bump the rate limit doc', async () => {
+    await assertFails(sendContactMessage(anonymousDb(), 'visitor', {}, null));
+  });
+
+  test('submissions must be at least 30 seconds apart', async () => {
+    const windowStart = secondsAgo(10);
+    await seedRateLimit({ lastSubmissionAt: windowStart, windowStart, count: 1 });
+    const next = { lastSubmissionAt: serverTimestamp(), windowStart, count: 2, recentFingerprints: [] };
+    await assertFails(sendContactMessage(anonymousDb(), 'visitor', {}, next));
+
+    await seedRateLimit({ lastSubmissionAt: secondsAgo(60), windowStart, count: 1 });
+    await assertSucceeds(sendContactMessage(anonymousDb(), 'visitor', {}, next));
+  });
+
+  test('at most five submissions per hour', async () => {
+    const windowStart = secondsAgo(600);
+    await seedRateLimit({ lastSubmissionAt: secondsAgo(60), windowStart, count: 5 });
+    await assertFails(sendContactMessage(anonymousDb(), 'visitor', {}, { lastSubmissionAt: serverTimestamp(), windowStart, count: 6, recentFingerprints: [] }));
+    await assertFails(sendContactMessage(anonymousDb(), 'visitor', {}, firstRateLimit()));
+  });
+
+  test('the window starts over after an hour', async () => {
+    await seedRateLimit({ lastSubmissionAt: secondsAgo(3660), windowStart: secondsAgo(7200), count: 5 });
+    await assertSucceeds(sendContactMessage(anonymousDb(), 'visitor', {}, firstRateLimit()));
+  });
+
+  test("visitors can't touch another visitor's rate limit doc", async () => {
+    await seedRateLimit({ lastSubmissionAt: secondsAgo(60), windowStart: secondsAgo(60), count: 1 });
+    await assertFails(getDoc(doc(anonymousDb('stranger'), rateLimitPath('visitor'))));
+    await assertSucceeds(getDoc(doc(anonymousDb('visitor'), rateLimitPath('visitor'))));
+  });
+
+  test('flagged submissions are accepted into the spam bucket', async () => {
+    await assertFails(sendContactMessage(anonymousDb(), 'visitor', { spam: false }));
+    await assertFails(sendContactMessage(anonymousDb(), 'visitor', { spam: true, spamReasons: ['manual'] }));
+    await assertFails(sendContactMessage(anonymousDb(), 'visitor', { spam: true, spamReasons: [] }));
+    await assertSucceeds(sendContactMessage(anonymousDb(), 'visitor', { spam: true, spamReasons: ['honeypot', 'too_fast'] }));
+  });
+
+  test('only admins flag, restore and delete submissions', async () => {
+    await seed(`${publicPath('submissions')}/junk`, contactMessage('visitor', { spam: true, spamReasons: ['duplicate'], timestamp: Timestamp.now() }));
+    await assertFails(updateDoc(doc(anonymousDb(), publicPath('submissions'), 'junk'), { spam: false }));
+    await assertSucceeds(updateDoc(doc(allowlistedAdminDb(), publicPath('submissions'), 'junk'), { spam: false }));
+    await assertFails(deleteDoc(doc(anonymousDb(), publicPath('submissions'), 'junk')));
+    await assertSucceeds(deleteDoc(doc(allowlistedAdminDb(), publicPath('submissions'), 'junk')));
+  });
+});
+
+describe('quote responses', () => {
+  // Mirrors respondToQuote. `history` replaces the submission's whole status history, `entry`
+  // overrides its new history entry and `skip` leaves one of the two docs out of the batch.
+  const respond = (db, { responseKey = TRACKING_ID, quoteChanges = {}, status = 'Accepted', history, entry = {}, skip } = {}) => {
+    const changedAt = Timestamp.now();
+    const response = { 'quote.status': status === 'Accepted' ? 'accepted' : 'declined', 'quote.respondedAt': serverTimestamp(), status, ...quoteChanges };
+    const batch = writeBatch(db);
+    if (skip !== 'tracking') {
+      batch.update(doc(db, publicPath('tracking'), TRACKING_ID), { ...response, statusHistory: arrayUnion({ status, changedAt }), updatedAt: serverTimestamp() });
+    }
+    if (skip !== 'submission') {
+      const newEntry = { status, from: 'Quoted', changedAt, changedBy: 'customer', ...entry };
+      batch.update(doc(db, publicPath('submissions'), 'order-1'), {
+        ...response,
+        statusUpdatedAt: serverTimestamp(),
+        statusHistory: history || arrayUnion(newEntry),
+        customerResponseKey: responseKey,
+      });
+    }
+    return batch.commit();
+  };
+
+  test('the customer can accept or decline a sent quote', async () => {
+    await seedOrder();
+    await assertSucceeds(respond(anonymousDb('other-device')));
+    await seedOrder();
+    await assertSucceeds(respond(anonymousDb('other-device'), { status: 'Cancelled', quoteChanges: { 'quote.declineReason': 'Too pricey' } }));
+  });
+
+  test('requires the tracking id as the response key', async () => {
+    await seedOrder();
+    await assertFails(respond(anonymousDb(), { responseKey: 'b'.repeat(64) }));
+  });
+
+  test('cannot change the quoted amount or answer an unsent quote', async () => {
+    await seedOrder();
+    await assertFails(respond(anonymousDb(), { quoteChanges: { 'quote.total': 1 } }));
+    await seedOrder({ quote: { status: 'draft', total: 120, declineReason: '' } });
+    await assertFails(respond(anonymousDb()));
+  });
+
+  test('accepting must move the order to Accepted', async () => {
+    await seedOrder();
+    await assertFails(respond(anonymousDb(), { status: 'Completed', quoteChanges: { 'quote.status': 'accepted' } }));
+  });
+
+  test('an expired quote can no longer be answered', async () => {
+    await seedOrder({ quote: { status: 'sent', total: 120, declineReason: '', expiresAt: secondsAgo(60) } });
+    await assertFails(respond(anonymousDb()));
+    await seedOrder({ quote: { status: 'sent', total: 120, declineReason: '', expiresAt: Timestamp.fromMillis(Date.now() + 60 * 60 * 1000) } });
+    await assertSucceeds(respond(anonymousDb()));
+  });
+
+  test('the response time is the server time', async () => {
+    await seedOrder();
+    await assertFails(respond(anonymousDb(), { quoteChanges: { 'quote.respondedAt': secondsAgo(3600) } }));
+  });
+
+  test("earlier status history is kept and the new entry is the customer's", async () => {
+    await seedOrder();
+    await assertFails(respond(anonymousDb(), { history: [
+      { status: 'New', changedAt: secondsAgo(60) },
+      { status: 'Accepted', from: 'Quoted', changedAt: Timestamp.now(), changedBy: 'customer' },
+    ] }));
+    await assertFails(respond(anonymousDb(), { history: [{ status: 'Accepted', from: 'Quoted', changedAt: Timestamp.now(), changedBy: 'customer' }] }));
+    await assertFails(respond(anonymousDb(), { entry: { changedBy: 'owner' } }));
+    await assertFails(respond(anonymousDb(), { entry: { status: 'Completed' } }));
+  });
+
+  test('the submission and tracking doc are answered together', async () => {
+    await seedOrder();
+    await assertFails(respond(anonymousDb(), { skip: 'tracking' }));
+    await assertFails(respond(anonymousDb(), { skip: 'submission' }));
+  });
+});
+
+describe('tracking', () => {
+  test('anyone can fetch a tracking doc by id but not list them', async () => {
+    await seedOrder();
+    await assertSucceeds(getDoc(doc(testEnv.unauthenticatedContext().firestore(), publicPath('tracking'), TRACKING_ID)));
+    await assertFails(getDocs(collection(anonymousDb(), publicPath('tracking'))));
+    await assertSucceeds(getDocs(collection(allowlistedAdminDb(), publicPath('tracking'))));
+  });
+
+  test('visitors cannot edit tracking docs directly', async () => {
+    await seedOrder();
+    await assertFails(updateDoc(doc(anonymousDb(), publicPath('tracking'), TRACKING_ID), { status: 'Completed' }));
+  });
+});
+
+describe('ship-in', () => {
+  const ADDRESS = { name: 'Sam Lee', line1: '12 Main St', line2: '', city: 'Austin', state: 'TX', zip: '78701' };
+  const shipIn = (submission, tracking = {}) => bookingBatch(anonymousDb(), 'visitor', {
+    submission: { delivery: 'ship_in', returnAddress: ADDRESS, ...submission },
+    tracking: { delivery: 'ship_in', ...tracking },
+  }).commit();
+
+  test('a ship-in booking carries a valid return address', async () => {
+    await assertSucceeds(shipIn({}));
+  });
+
+  test('addresses are checked and only allowed when shipping in', async () => {
+    await assertFails(shipIn({ returnAddress: { ...ADDRESS, zip: '7870' } }));
+    await assertFails(shipIn({ returnAddress: { ...ADDRESS, state: 'Texas' } }));
+    await assertFails(shipIn({ returnAddress: { ...ADDRESS, phone: '555-0100' } }));
+    await assertFails(shipIn({ delivery: 'drop_off' }, { delivery: 'drop_off' }));
+    await assertFails(shipIn({ delivery: 'teleport' }, { delivery: 'teleport' }));
+  });
+
+  test('the tracking doc copies the delivery method but not the shipping record', async () => {
+    await assertFails(shipIn({}, { delivery: 'drop_off' }));
+    await assertFails(shipIn({}, { shipping: { state: 'delivered' } }));
+  });
+
+  test('only admins record shipments', async () => {
+    await seedOrder({ status: 'In Progress' });
+    const shipping = { state: 'received', inbound: null, outbound: null };
+    await assertFails(updateDoc(doc(anonymousDb(), publicPath('submissions'), 'order-1'), { shipping }));
+    await assertFails(updateDoc(doc(anonymousDb(), publicPath('tracking'), TRACKING_ID), { shipping }));
+    await assertSucceeds(updateDoc(doc(allowlistedAdminDb(), publicPath('tracking'), TRACKING_ID), { shipping }));
+  });
+
+  test('only admins set the ship-in address', async () => {
+    const settingsPath = `${publicPath('scheduling')}/shipIn`;
+    await assertFails(setDoc(doc(anonymousDb(), settingsPath), { address: ADDRESS, packingNotes: '' }));
+    await assertSucceeds(setDoc(doc(allowlistedAdminDb(), settingsPath), { address: ADDRESS, packingNotes: '' }));
+    await assertSucceeds(getDoc(doc(testEnv.unauthenticatedContext().firestore(), settingsPath)));
+  });
+});
+
+describe('appointments', () => {
+  const daysFromNow = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const DATE = daysFromNow(10);
+
+  // Mirrors shopTimeToMillis: a wall-clock date and time in New York.
+  const shopTimeToMillis = (date, time) => {
+    const asUtc = Date.parse(`${date}T${time}:00Z`);
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+      timeZone: 'America/New_York', hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+    }).formatToParts(new Date(asUtc)).map(part => [part.type, Number(part.value)]));
+    return asUtc - (Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - asUtc);
+  };
+
+  const slotAt = (time, date = DATE) => ({
+    kind: 'drop_off',
+    slotId: `${date}T${time}`,
+    date,
+    time,
+    startsAt: Timestamp.fromMillis(shopTimeToMillis(date, time)),
+    minutes: 30,
+  });
+  const dayPath = `${publicPath('appointmentDays')}/${DATE}`;
+  const appointmentPath = (slotId) => `artifacts/${APP_ID}/appointments/${slotId}`;
+
+  // Open every day, 11:00 to 19:00, so the tests don't depend on today's weekday.
+  const seedAvailability = (overrides = {}) => seed(`${publicPath('scheduling')}/availability`, {
+    enabled: true,
+    weeklyHours: Array.from({ length: 7 }, () => ({ open: true, start: '11:00', end: '19:00' })),
+    slotMinutes: 30,
+    maxPerDay: 2,
+    minNoticeHours: 24,
+    bookingWindowDays: 21,
+    blackoutDates: [],
+    ...overrides,
+  });
+
+  // Mirrors writeSubmission with a drop-off time: the booking, its appointment and the day doc,
+  // which already holds `bookedTimes`. `slot` overrides the picked slot.
+  const reserve = (db, uid, time, bookedTimes = [], slot = slotAt(time)) => {
+    const submissionId = 'booking-1';
+    const batch = bookingBatch(db, uid, { submissionId, submission: { appointment: slot }, tracking: { appointment: slot } });
+    batch.set(doc(db, appointmentPath(slot.slotId)), {
+      ...slot, submissionId, trackingId: TRACKING_ID, type: 'custom_booking', name: 'Sam Lee', email: 'sam@example.com', shoeModel: 'Air Force 1', userId: uid, createdAt: serverTimestamp(),
+    });
+    batch.set(doc(db, `${publicPath('appointmentDays')}/${slot.date}`), { date: slot.date, times: [...bookedTimes, slot.time], lastSlotId: slot.slotId });
+    return batch.commit();
+  };
+
+  test('a booking reserves its drop-off slot', async () => {
+    await seedAvailability();
+    await assertSucceeds(reserve(anonymousDb(), 'visitor', '11:00'));
+  });
+
+  test('a slot cannot be booked twice', async () => {
+    await seedAvailability();
+    await seed(appointmentPath(`${DATE}T11:00`), { ...slotAt('11:00'), submissionId: 'other', userId: 'someone' });
+    await seed(dayPath, { date: DATE, times: ['11:00'], lastSlotId: `${DATE}T11:00` });
+    await assertFails(reserve(anonymousDb(), 'visitor', '11:00', ['11:00']));
+  });
+
+  test('days are capped and blackout dates are closed', async () => {
+    await seedAvailability({ maxPerDay: 1 });
+    await seed(dayPath, { date: DATE, times: ['10:00'], lastSlotId: `${DATE}T10:00` });
+    await assertFails(reserve(anonymousDb(), 'visitor', '11:00', ['10:00']));
+
+    await testEnv.clearFirestore();
+    await seedAvailability({ blackoutDates: [DATE] });
+    await assertFails(reserve(anonymousDb(), 'visitor', '11:00'));
+  });
+
+  test('times must be on the slot grid inside opening hours', async () => {
+    await seedAvailability();
+    await assertFails(reserve(anonymousDb(), 'visitor', '03:00'));
+    await assertFails(reserve(anonymousDb(), 'visitor', '11:15'));
+    await assertFails(reserve(anonymousDb(), 'visitor', '18:45'));
+    await assertFails(reserve(anonymousDb(), 'visitor', '19:00'));
+
+    await seedAvailability({ weeklyHours: Array.from({ length: 7 }, () => ({ open: false, start: '11:00', end: '19:00' })) });
+    await assertFails(reserve(anonymousDb(), 'visitor', '11:00'));
+  });
+
+  test('the start time must match the date and time', async () => {
+    await seedAvailability();
+    const slot = slotAt('11:00');
+    await assertFails(reserve(anonymousDb(), 'visitor', '11:00', [], { ...slot, startsAt: Timestamp.fromMillis(Date.parse(`${DATE}T11:00:00Z`)) }));
+    await assertFails(reserve(anonymousDb(), 'visitor', '11:00', [], { ...slot, startsAt: slotAt('11:00', daysFromNow(11)).startsAt }));
+    await assertFails(reserve(anonymousDb(), 'visitor', '11:00', [], { ...slotAt('11:00', daysFromNow(-2)), startsAt: slot.startsAt }));
+  });
+
+  test('bookings respect the notice period and booking window', async () => {
+    await seedAvailability();
+    await assertFails(reserve(anonymousDb(), 'visitor', '11:00', [], slotAt('11:00', daysFromNow(-2))));
+    await seedAvailability({ minNoticeHours: 12 * 24 });
+    await assertFails(reserve(anonymousDb(), 'visitor', '11:00'));
+    await seedAvailability({ bookingWindowDays: 5 });
+    await assertFails(reserve(anonymousDb(), 'visitor', '11:00'));
+  });
+
+  test('booked times are public, appointment details are admin-only', async () => {
+    await seed(dayPath, { date: DATE, times: ['11:00'], lastSlotId: `${DATE}T11:00` });
+    await seed(appointmentPath(`${DATE}T11:00`), { ...slotAt('11:00'), name: 'Sam Lee', email: 'sam@example.com' });
+    await assertSucceeds(getDoc(doc(testEnv.unauthenticatedContext().firestore(), dayPath)));
+    await assertFails(getDoc(doc(anonymousDb(), appointmentPath(`${DATE}T11:00`))));
+    await assertSucceeds(getDocs(collection(allowlistedAdminDb(), `artifacts/${APP_ID}/appointments`)));
+  });
+
+  test('customers book a pickup once the order is ready', async () => {
+    await seedAvailability();
+    const pickup = (db) => {
+      const slot = { ...slotAt('15:00'), kind: 'pickup' };
+      const batch = writeBatch(db);
+      batch.set(doc(db, appointmentPath(slot.slotId)), {
+        ...slot, submissionId: 'order-1', trackingId: TRACKING_ID, type: 'custom_booking', name: 'Sam', email: 'sam@example.com', shoeModel: 'Air Force 1', userId: 'visitor', createdAt: serverTimestamp(),
+      });
+      batch.set(doc(db, dayPath), { date: DATE, times: ['15:00'], lastSlotId: slot.slotId });
+      batch.update(doc(db, publicPath('tracking'), TRACKING_ID), { pickup: slot, updatedAt: serverTimestamp() });
+      return batch.commit();
+    };
+    await seedOrder({ status: 'In Progress' });
+    await assertFails(pickup(anonymousDb()));
+    await seedOrder({ status: 'Ready' });
+    await assertSucceeds(pickup(anonymousDb()));
+  });
+});
+
+describe('message threads', () => {
+  const THREAD_ID = 'T'.repeat(22);
+  const threadPath = `${publicPath('threads')}/${THREAD_ID}`;
+
+  const newThread = (uid, submissionId, overrides = {}) => ({
+    submissionId,
+    type: 'contact_message',
+    firstName: 'Sam',
+    subject: 'Your message',
+    userId: uid,
+    createdAt: serverTimestamp(),
+    messageCount: 0,
+    unreadByAdmin: 0,
+    unreadByCustomer: 0,
+    ...overrides,
+  });
+
+  // Mirrors addSubmission: a contact message links to a thread created in the same batch.
+  const sendWithThread = (db, uid, { thread = {}, submissionId } = {}) => {
+    const submissionRef = doc(collection(db, publicPath('submissions')));
+    const batch = writeBatch(db);
+    batch.set(submissionRef, contactMessage(uid, { threadId: THREAD_ID }));
+    batch.set(doc(db, threadPath), newThread(uid, submissionId || submissionRef.id, thread));
+    batch.set(doc(db, rateLimitPath(uid)), firstRateLimit());
+    return batch.commit();
+  };
+
+  const seedThread = (overrides = {}) => seed(threadPath, {
+    ...newThread('visitor', 'message-1'),
+    createdAt: Timestamp.now(),
+    messageCount: 1,
+    unreadByCustomer: 1,
+    ...overrides,
+  });
+
+  // Mirrors nextMessageRateLimit for the thread's first customer message.
+  const firstMessageRateLimit = () => ({ lastMessageAt: serverTimestamp(), windowStart: serverTimestamp(), count: 1 });
+
+  // Mirrors sendThreadMessage.
+  const post = (db, uid, { from = 'customer', message = {}, thread = {} } = {}) => {
+    const messageRef = doc(collection(db, `${threadPath}/messages`));
+    const batch = writeBatch(db);
+    batch.set(messageRef, { from, text: 'Any update?', attachments: [], authorId: uid, createdAt: serverTimestamp(), ...message });
+    batch.update(doc(db, threadPath), {
+      lastMessageAt: serverTimestamp(),
+      lastMessagePreview: 'Any update?',
+      lastMessageFrom: from,
+      lastMessageId: messageRef.id,
+      messageCount: 2,
+      [from === 'admin' ? 'unreadByCustomer' : 'unreadByAdmin']: from === 'admin' ? 2 : 1,
+      ...(from === 'customer' ? { customerRateLimit: firstMessageRateLimit() } : {}),
+      ...thread,
+    });
+    return batch.commit();
+  };
+
+  test('new submissions are created with their thread', async () => {
+    await assertSucceeds(sendWithThread(anonymousDb(), 'visitor'));
+  });
+
+  test('a thread must point back at its submission and start empty', async () => {
+    await assertFails(sendWithThread(anonymousDb(), 'visitor', { submissionId: 'someone-else' }));
+    await assertFails(sendWithThread(anonymousDb(), 'visitor', { thread: { unreadByAdmin: 5 } }));
+  });
+
+  test('anyone with the link can read a thread, only admins can list them', async () => {
+    await seedThread();
+    await seed(`${threadPath}/messages/m1`, { from: 'admin', text: 'Hi!', attachments: [], createdAt: Timestamp.now() });
+    const db = testEnv.unauthenticatedContext().firestore();
+    await assertSucceeds(getDoc(doc(db, threadPath)));
+    await assertSucceeds(getDocs(collection(db, `${threadPath}/messages`)));
+    await assertFails(getDocs(collection(anonymousDb(), publicPath('threads'))));
+    await assertSucceeds(getDocs(query(collection(allowlistedAdminDb(), publicPath('threads')), where('unreadByAdmin', '>', 0))));
+  });
+
+  test('customers post as themselves and bump the admin unread count', async () => {
+    await seedThread();
+    await assertSucceeds(post(anonymousDb(), 'visitor'));
+  });
+
+  test('customers cannot post as the shop or tamper with the counters', async () => {
+    await seedThread();
+    await assertFails(post(anonymousDb(), 'visitor', { from: 'admin' }));
+    await assertFails(post(anonymousDb(), 'visitor', { thread: { unreadByCustomer: 0 } }));
+    await assertFails(post(anonymousDb(), 'visitor', { message: { authorId: 'someone-else' } }));
+    await assertFails(post(anonymousDb(), 'visitor', { message: { text: '' } }));
+  });
+
+  test('customer messages must bump the thread rate limit', async () => {
+    await seedThread();
+    await assertFails(post(anonymousDb(), 'visitor', { thread: { customerRateLimit: null } }));
+    await assertFails(post(anonymousDb(), 'visitor', { thread: { customerRateLimit: { ...firstMessageRateLimit(), count: 0 } } }));
+  });
+
+  test('customer messages are at least 10 seconds apart and at most 20 per hour', async () => {
+    const windowStart = secondsAgo(600);
+    const continued = (count) => ({ customerRateLimit: { lastMessageAt: serverTimestamp(), windowStart, count } });
+    await seedThread({ customerRateLimit: { lastMessageAt: secondsAgo(5), windowStart, count: 3 } });
+    await assertFails(post(anonymousDb(), 'visitor', { thread: continued(4) }));
+    await seedThread({ customerRateLimit: { lastMessageAt: secondsAgo(60), windowStart, count: 20 } });
+    await assertFails(post(anonymousDb(), 'visitor', { thread: continued(21) }));
+    await seedThread({ customerRateLimit: { lastMessageAt: secondsAgo(60), windowStart, count: 3 } });
+    await assertSucceeds(post(anonymousDb(), 'visitor', { thread: continued(4) }));
+  });
+
+  test('the message window starts over after an hour', async () => {
+    await seedThread({ customerRateLimit: { lastMessageAt: secondsAgo(3700), windowStart: secondsAgo(3700), count: 20 } });
+    await assertSucceeds(post(anonymousDb(), 'visitor'));
+  });
+
+  test("attachments must be the sender's own Storage uploads", async () => {
+    await seedThread();
+    const image = uploadedImage('visitor');
+    await assertFails(post(anonymousDb(), 'visitor', { message: { attachments: [{ ...image, url: 'https://evil.example/photo.jpg' }] } }));
+    await assertFails(post(anonymousDb(), 'visitor', { message: { attachments: [uploadedImage('owner')] } }));
+    await assertFails(post(anonymousDb(), 'visitor', { message: { attachments: [{ ...image, onClick: 'steal()' }] } }));
+    await assertSucceeds(post(anonymousDb(), 'visitor', { message: { attachments: [image] } }));
+  });
+
+  test('admins reply and customers mark the thread read', async () => {
+    await seedThread();
+    await assertSucceeds(post(allowlistedAdminDb(), 'owner', { from: 'admin' }));
+    await assertSucceeds(updateDoc(doc(anonymousDb(), threadPath), { unreadByCustomer: 0, customerReadAt: serverTimestamp() }));
+    await assertFails(updateDoc(doc(anonymousDb(), threadPath), { unreadByAdmin: 0 }));
+  });
+});
+
+describe('reviews', () => {
+  const review = (overrides = {}) => ({
+    rating: 5,
+    text: 'Came back looking brand new.',
+    displayName: 'Sam L.',
+    photo: null,
+    shoeModel: 'Air Force 1',
+    type: 'custom_booking',
+    submissionId: 'order-1',
+    status: 'pending',
+    userId: 'visitor',
+    createdAt: serverTimestamp(),
+    ...overrides,
+  });
+
+  // Mirrors submitReview: the review and the tracking doc's marker go in one batch.
+  const submit = (db, overrides) => {
+    const batch = writeBatch(db);
+    batch.set(doc(db, publicPath('reviews'), TRACKING_ID), review(overrides));
+    batch.update(doc(db, publicPath('tracking'), TRACKING_ID), { review: { rating: 5, submittedAt: Timestamp.now() } });
+    return batch.commit();
+  };
+
+  test('customers review completed orders', async () => {
+    await seedOrder({ status: 'Completed' });
+    await assertSucceeds(submit(anonymousDb()));
+  });
+
+  test('cannot review an order that is not completed', async () => {
+    await seedOrder({ status: 'In Progress' });
+    await assertFails(submit(anonymousDb()));
+  });
+
+  test('reviews start pending with a valid rating', async () => {
+    await seedOrder({ status: 'Completed' });
+    await assertFails(submit(anonymousDb(), { status: 'approved' }));
+    await assertFails(submit(anonymousDb(), { rating: 6 }));
+    await assertFails(submit(anonymousDb(), { text: 'x'.repeat(1001) }));
+  });
+
+  test("the photo must be the reviewer's own Storage upload", async () => {
+    await seedOrder({ status: 'Completed' });
+    const image = uploadedImage('visitor');
+    await assertFails(submit(anonymousDb(), { photo: { url: 'https://evil.example/pixel.gif' } }));
+    await assertFails(submit(anonymousDb(), { photo: uploadedImage('someone-else') }));
+    await assertFails(submit(anonymousDb(), { photo: { ...image, url: image.url.replace('firebasestorage.googleapis.com', 'evil.example') } }));
+    await assertSucceeds(submit(anonymousDb(), { photo: image }));
+  });
+
+  test('the shoe model and type must match the order', async () => {
+    await seedOrder({ status: 'Completed' });
+    await assertFails(submit(anonymousDb(), { shoeModel: 'Yeezy 350' }));
+    await assertFails(submit(anonymousDb(), { shoeModel: 42 }));
+    await assertFails(submit(anonymousDb(), { type: 'cleaning_booking' }));
+  });
+
+  test('only approved reviews are public', async () => {
+    await seed(`${publicPath('reviews')}/approved`, review({ status: 'approved', createdAt: Timestamp.now() }));
+    await seed(`${publicPath('reviews')}/pending`, review({ createdAt: Timestamp.now() }));
+    const db = testEnv.unauthenticatedContext().firestore();
+    await assertSucceeds(getDocs(query(collection(db, publicPath('reviews')), where('status', '==', 'approved'))));
+    await assertFails(getDoc(doc(db, publicPath('reviews'), 'pending')));
+    await assertFails(getDocs(collection(db, publicPath('reviews'))));
+    await assertSucceeds(getDocs(collection(allowlistedAdminDb(), publicPath('reviews'))));
+  });
+
+  test('only admins moderate', async () => {
+    await seed(`${publicPath('reviews')}/pending`, review({ createdAt: Timestamp.now() }));
+    await assertFails(updateDoc(doc(anonymousDb(), publicPath('reviews'), 'pending'), { status: 'approved' }));
+    await assertSucceeds(updateDoc(doc(allowlistedAdminDb(), publicPath('reviews'), 'pending'), { status: 'approved' }));
+  });
+});
+
+describe('site content', () => {
+  for (const name of ['priceCatalog', 'gallery']) {
+    test(`${name} is public to read and admin-only to write`, async () => {
+      await seed(`${publicPath(name)}/item`, { name: 'Item' });
+      await assertSucceeds(getDocs(collection(testEnv.unauthenticatedContext().firestore(), publicPath(name))));
+      await assertFails(setDoc(doc(anonymousDb(), publicPath(name), 'item'), { name: 'Hacked' }));
+      await assertFails(setDoc(doc(accountDb('not-an-admin'), publicPath(name), 'item'), { name: 'Hacked' }));
+      await assertSucceeds(setDoc(doc(allowlistedAdminDb(), publicPath(name), 'item'), { name: 'Updated' }));
+    });
+  }
+});
+
+describe('invoices', () => {
+  const invoicePath = `artifacts/${APP_ID}/invoices/INV-0001`;
+  const counterPath = `artifacts/${APP_ID}/counters/invoices`;
+
+  test('only admins issue and read invoices', async () => {
+    await assertFails(setDoc(doc(anonymousDb(), invoicePath), { number: 'INV-0001', customerEmail: 'sam@example.com' }));
+    await assertFails(setDoc(doc(accountDb('not-an-admin'), counterPath), { next: 2 }));
+    await assertSucceeds(setDoc(doc(allowlistedAdminDb(), counterPath), { next: 2 }));
+    await assertSucceeds(setDoc(doc(allowlistedAdminDb(), invoicePath), { number: 'INV-0001', customerEmail: 'sam@example.com' }));
+    await assertSucceeds(getDoc(doc(claimAdminDb(), invoicePath)));
+  });
+
+  test("customers can't look up invoices or the counter", async () => {
+    await seed(invoicePath, { number: 'INV-0001', customerEmail: 'sam@example.com' });
+    await seed(counterPath, { next: 2 });
+    await assertFails(getDoc(doc(anonymousDb(), invoicePath)));
+    await assertFails(getDocs(query(collection(anonymousDb(), `artifacts/${APP_ID}/invoices`), where('customerEmail', '==', 'sam@example.com'))));
+    await assertFails(getDoc(doc(accountDb('not-an-admin'), counterPath)));
+  });
+});
+
+describe('email', () => {
+  test('only admins read and edit email templates', async () => {
+    const templatePath = `artifacts/${APP_ID}/emailTemplates/customerConfirmation`;
+    await assertFails(getDoc(doc(anonymousDb(), templatePath)));
+    await assertFails(setDoc(doc(accountDb('not-an-admin'), templatePath), { subject: 'Hacked' }));
+    await assertSucceeds(setDoc(doc(allowlistedAdminDb(), templatePath), { subject: 'Thanks!' }));
+    await assertSucceeds(getDoc(doc(claimAdminDb(), templatePath)));
+  });
+
+  test('the mail log is admin-read-only', async () => {
+    await seed(`artifacts/${APP_ID}/mailLog/event-1-customerConfirmation`, { status: 'sent' });
+    await assertFails(getDocs(collection(anonymousDb(), `artifacts/${APP_ID}/mailLog`)));
+    await assertSucceeds(getDocs(collection(allowlistedAdminDb(), `artifacts/${APP_ID}/mailLog`)));
+    await assertFails(setDoc(doc(allowlistedAdminDb(), `artifacts/${APP_ID}/mailLog/fake`), { status: 'sent' }));
+  });
+});
+
+describe('admin allowlist', () => {
+  test('accounts can check their own entry only', async () => {
+    await assertSucceeds(getDoc(doc(accountDb('not-an-admin'), `artifacts/${APP_ID}/admins/not-an-admin`)));
+    await assertFails(getDoc(doc(accountDb('not-an-admin'), `artifacts/${APP_ID}/admins/owner`)));
+    await assertFails(getDocs(collection(accountDb('not-an-admin'), `artifacts/${APP_ID}/admins`)));
+  });
+
+  test('only admins can grant access', async () => {
+    await assertFails(setDoc(doc(accountDb('not-an-admin'), `artifacts/${APP_ID}/admins/not-an-admin`), { email: 'me@example.com' }));
+    await assertSucceeds(setDoc(doc(allowlistedAdminDb(), `artifacts/${APP_ID}/admins/new-admin`), { email: 'new@example.com' }));
+  });
+});